@@ -64,8 +64,9 @@ class FirestoreRepository: ObservableObject {
       "active": true
     ]
     
-    let docRef = try await db.collection("users").document(userId)
-      .collection("habits").addDocument(data: habitData)
+    // Counts the habit against the free-tier limit
+    let docRef = db.collection("users").document(userId).collection("habits").document()
+    try await HabitWriteService.shared.save(userId: userId, habitId: docRef.documentID, data: habitData)
     
     print("✅ FirestoreRepository: Habit created with ID: \(docRef.documentID)")
     return docRef.documentID
@@ -88,17 +89,23 @@ class FirestoreRepository: ObservableObject {
     if let color = color {
       updateData["color"] = color
     }
+    let habitRef = db.collection("users").document(userId).collection("habits").document(id)
     if let active = active {
       updateData["active"] = active
+      // Habits converted by the schema migration carry isActive as well; keep both in step
+      if try await habitRef.getDocument().data()?["isActive"] != nil {
+        updateData["isActive"] = active
+      }
     }
-    
-    try await db.collection("users").document(userId)
-      .collection("habits").document(id).updateData(updateData)
+
+    try await habitRef.updateData(updateData)
     
     print("✅ FirestoreRepository: Habit updated")
   }
   
-  /// Delete a habit
+  /// Soft-delete a habit: sets deletedAt so other devices see the deletion.
+  /// The server purges it (and its completions, goals and streak) after the
+  /// retention window unless it is restored first.
   func deleteHabit(id: String) async throws {
     print("🗑️ FirestoreRepository: Deleting habit \(id)")
     
@@ -108,12 +115,25 @@ class FirestoreRepository: ObservableObject {
     
     let db = Firestore.firestore()
     try await db.collection("users").document(userId)
-      .collection("habits").document(id).delete()
+      .collection("habits").document(id).updateData(["deletedAt": FieldValue.serverTimestamp()])
     
     habits.removeAll { $0.id == id }
     print("✅ FirestoreRepository: Habit deleted")
   }
   
+  /// Restore a soft-deleted habit before it is purged (counts against the free-tier limit)
+  func restoreHabit(id: String) async throws {
+    print("♻️ FirestoreRepository: Restoring habit \(id)")
+    
+    guard let userId = userId else {
+      throw FirestoreError.notAuthenticated
+    }
+    
+    try await HabitWriteService.shared.save(userId: userId, habitId: id, data: [:], restoring: true)
+    
+    print("✅ FirestoreRepository: Habit restored")
+  }
+  
   // MARK: - Goal Versioning
   
   /// Set a goal for a habit, effective from a specific local date
@@ -135,7 +155,8 @@ class FirestoreRepository: ObservableObject {
     }
     
     let db = Firestore.firestore()
-    let versionId = UUID().uuidString
+    // One version per day: the rules require versionId == effectiveLocalDate
+    let versionId = effectiveLocalDate
     let versionData: [String: Any] = [
       "habitId": habitId,
       "effectiveLocalDate": effectiveLocalDate,
@@ -143,10 +164,15 @@ class FirestoreRepository: ObservableObject {
       "createdAt": Timestamp(date: nowProvider.now())
     ]
     
-    try await db.collection("users").document(userId)
+    let versionRef = db.collection("users").document(userId)
       .collection("goalVersions").document(habitId)
       .collection("versions").document(versionId)
-      .setData(versionData)
+    
+    // Versions are immutable, so a second change on the same day replaces the first
+    if try await versionRef.getDocument().exists {
+      try await versionRef.delete()
+    }
+    try await versionRef.setData(versionData)
     
     print("✅ FirestoreRepository: Goal version created: \(versionId)")
   }
@@ -209,9 +235,21 @@ class FirestoreRepository: ObservableObject {
       let currentCount = document.data()?["count"] as? Int ?? 0
       let newCount = currentCount + 1
       
+      // The write throttle keys completions on updatedAt, so write it at millisecond precision
+      let updatedAt = WriteRateLimiter.timestamp(for: self.nowProvider.now())
+      do {
+        try WriteRateLimiter.shared.addKeys(
+          [WriteRateLimiter.completionKey(docKey: "\(localDate)_\(habitId)", updatedAt: updatedAt)],
+          userId: userId,
+          in: transaction)
+      } catch {
+        errorPointer?.pointee = error as NSError
+        return nil
+      }
+      
       transaction.setData([
         "count": newCount,
-        "updatedAt": Timestamp(date: self.nowProvider.now())
+        "updatedAt": updatedAt
       ], forDocument: docRef, merge: true)
       
       return newCount
@@ -237,52 +275,25 @@ class FirestoreRepository: ObservableObject {
   
   // MARK: - XP Management
   
-  /// Award XP (appends to ledger and updates state transactionally)
-  func awardXP(delta: Int, reason: String) async throws {
-    print("🎖️ FirestoreRepository: Awarding \(delta) XP for '\(reason)'")
-    
-    guard let userId = userId else {
+  /// Award the daily completion bonus for `dateKey` through the awardXP callable
+  ///
+  /// xp/state and xp_ledger are server-authoritative: the server derives the
+  /// amount and only grants it once the day's completions show every due habit
+  /// done (XPServerService.isNotEarned otherwise).
+  func awardXP(dateKey: String, reason: String) async throws {
+    print("🎖️ FirestoreRepository: Requesting daily XP for \(dateKey) ('\(reason)')")
+    
+    guard userId != nil else {
       throw FirestoreError.notAuthenticated
     }
     
-    let db = Firestore.firestore()
-    let stateRef = db.collection("users").document(userId).collection("xp").document("state")
-    let ledgerRef = db.collection("users").document(userId)
-      .collection("xp_ledger").document()
-    
-    _ = try await db.runTransaction({ (transaction, errorPointer) -> Any? in
-      let stateDoc: DocumentSnapshot
-      do {
-        stateDoc = try transaction.getDocument(stateRef)
-      } catch let fetchError as NSError {
-        errorPointer?.pointee = fetchError
-        return nil
-      }
-      
-      let currentTotalXP = stateDoc.data()?["totalXP"] as? Int ?? 0
-      let newTotalXP = currentTotalXP + delta
-      
-      // Calculate level (simple formula: every 100 XP = 1 level)
-      let newLevel = (newTotalXP / 100) + 1
-      let newCurrentLevelXP = newTotalXP % 100
-      
-      // Update state
-      transaction.setData([
-        "totalXP": newTotalXP,
-        "level": newLevel,
-        "currentLevelXP": newCurrentLevelXP,
-        "lastUpdated": Timestamp(date: self.nowProvider.now())
-      ], forDocument: stateRef, merge: true)
-      
-      // Append to ledger
-      transaction.setData([
-        "delta": delta,
-        "reason": reason,
-        "ts": Timestamp(date: self.nowProvider.now())
-      ], forDocument: ledgerRef)
-      
-      return newTotalXP
-    })
+    if let result = try await XPServerService.shared.awardDailyBonus(dateKey: dateKey, reason: reason) {
+      xpState = XPState(
+        totalXP: result.totalXP,
+        level: result.level,
+        currentLevelXP: result.currentLevelXP,
+        lastUpdated: nowProvider.now())
+    }
     
     print("✅ FirestoreRepository: XP awarded")
   }
@@ -324,9 +335,10 @@ class FirestoreRepository: ObservableObject {
     let ledgerSnapshot = try await db.collection("users").document(userId)
       .collection("xp_ledger").getDocuments()
     
+    // Every entry counts, as in the server's recompute: awardXP days, the
+    // legacy balance and entries clients wrote before XP moved server-side
     let ledgerSum = ledgerSnapshot.documents.reduce(0) { sum, doc in
-      let delta = doc.data()["delta"] as? Int ?? 0
-      return sum + delta
+      sum + (doc.data()["delta"] as? Int ?? 0)
     }
     
     let isValid = stateTotalXP == ledgerSum
@@ -340,38 +352,17 @@ class FirestoreRepository: ObservableObject {
     return isValid
   }
   
-  /// Auto-repair XP integrity (recalculate state from ledger)
+  /// Auto-repair XP integrity (recalculate state from ledger on the server)
   func repairXPIntegrity() async throws {
     print("🔧 FirestoreRepository: Repairing XP integrity")
     
-    guard let userId = userId else {
+    guard userId != nil else {
       throw FirestoreError.notAuthenticated
     }
     
-    let db = Firestore.firestore()
-    
-    // Sum ledger
-    let ledgerSnapshot = try await db.collection("users").document(userId)
-      .collection("xp_ledger").getDocuments()
-    
-    let correctTotalXP = ledgerSnapshot.documents.reduce(0) { sum, doc in
-      let delta = doc.data()["delta"] as? Int ?? 0
-      return sum + delta
-    }
-    
-    let newLevel = (correctTotalXP / 100) + 1
-    let newCurrentLevelXP = correctTotalXP % 100
+    try await XPServerService.shared.rebuildState()
     
-    // Update state
-    try await db.collection("users").document(userId)
-      .collection("xp").document("state").setData([
-        "totalXP": correctTotalXP,
-        "level": newLevel,
-        "currentLevelXP": newCurrentLevelXP,
-        "lastUpdated": Timestamp(date: nowProvider.now())
-      ])
-    
-    print("✅ FirestoreRepository: XP repaired to \(correctTotalXP)")
+    print("✅ FirestoreRepository: XP repaired from ledger")
   }
   
   // MARK: - Streaks
@@ -442,6 +433,148 @@ class FirestoreRepository: ObservableObject {
     print("✅ FirestoreRepository: Streak updated")
   }
   
+  // MARK: - Profile & Settings
+  
+  /// Save synced settings to /users/{uid}. createdAt is set on the first save
+  /// only; the rules reject any later change to it.
+  func saveProfile(_ profile: UserProfile) async throws {
+    print("👤 FirestoreRepository: Saving profile")
+    
+    guard let userId = userId else {
+      throw FirestoreError.notAuthenticated
+    }
+    
+    let db = Firestore.firestore()
+    let ref = db.collection("users").document(userId)
+    var data = profile.toFirestoreData()
+    data["updatedAt"] = FieldValue.serverTimestamp()
+    
+    if try await ref.getDocument().exists {
+      try await ref.updateData(data)
+    } else {
+      data["createdAt"] = FieldValue.serverTimestamp()
+      try await ref.setData(data)
+    }
+    
+    print("✅ FirestoreRepository: Profile saved")
+  }
+  
+  /// Fetch the synced settings, or nil before the first save
+  func fetchProfile() async throws -> UserProfile? {
+    guard let userId = userId else {
+      throw FirestoreError.notAuthenticated
+    }
+    
+    let db = Firestore.firestore()
+    let snapshot = try await db.collection("users").document(userId).getDocument()
+    
+    guard let data = snapshot.data() else {
+      return nil
+    }
+    return UserProfile.from(data: data)
+  }
+  
+  // MARK: - Accountability Partners
+  
+  /// Invite another user to follow selected habits. Returns the inviteId that
+  /// the habit grants are tied to.
+  func invitePartner(partnerId: String) async throws -> String {
+    print("🤝 FirestoreRepository: Inviting partner \(partnerId)")
+    
+    guard let userId = userId else {
+      throw FirestoreError.notAuthenticated
+    }
+    
+    let inviteId = UUID().uuidString
+    try await partnersCollection(ownerId: userId).document(partnerId).setData([
+      "partnerId": partnerId,
+      "inviteId": inviteId,
+      "status": "invited",
+      "invitedAt": FieldValue.serverTimestamp()
+    ])
+    
+    print("✅ FirestoreRepository: Partner invited")
+    return inviteId
+  }
+  
+  /// Invitations other users have sent to the current user
+  func fetchPartnerInvitations() async throws -> [QueryDocumentSnapshot] {
+    guard let userId = userId else {
+      throw FirestoreError.notAuthenticated
+    }
+    
+    let snapshot = try await Firestore.firestore().collectionGroup("partners")
+      .whereField("partnerId", isEqualTo: userId)
+      .getDocuments()
+    return snapshot.documents
+  }
+  
+  /// Accept an invitation from `ownerId`
+  func acceptPartnerInvitation(ownerId: String) async throws {
+    guard let userId = userId else {
+      throw FirestoreError.notAuthenticated
+    }
+    
+    try await partnersCollection(ownerId: ownerId).document(userId).updateData([
+      "status": "accepted",
+      "acceptedAt": FieldValue.serverTimestamp()
+    ])
+    
+    print("✅ FirestoreRepository: Accepted partner invitation from \(ownerId)")
+  }
+  
+  /// Let an invited partner read one habit's completions, streak and goal versions
+  func shareHabit(habitId: String, name: String, with partnerId: String) async throws {
+    guard let userId = userId else {
+      throw FirestoreError.notAuthenticated
+    }
+    
+    let partnerRef = partnersCollection(ownerId: userId).document(partnerId)
+    guard let inviteId = try await partnerRef.getDocument().data()?["inviteId"] as? String else {
+      throw FirestoreError.documentNotFound
+    }
+    
+    try await partnerRef.collection("shared_habits").document(habitId).setData([
+      "habitId": habitId,
+      "inviteId": inviteId,
+      "name": name,
+      "grantedAt": FieldValue.serverTimestamp()
+    ])
+    
+    print("✅ FirestoreRepository: Shared habit \(habitId) with \(partnerId)")
+  }
+  
+  /// Stop sharing one habit with a partner
+  func unshareHabit(habitId: String, with partnerId: String) async throws {
+    guard let userId = userId else {
+      throw FirestoreError.notAuthenticated
+    }
+    
+    try await partnersCollection(ownerId: userId).document(partnerId)
+      .collection("shared_habits").document(habitId).delete()
+  }
+  
+  /// End a partnership. Deleting the invitation revokes access immediately;
+  /// the grants are removed in the same batch so nothing is left behind.
+  func revokePartner(partnerId: String) async throws {
+    print("🚫 FirestoreRepository: Revoking partner \(partnerId)")
+    
+    guard let userId = userId else {
+      throw FirestoreError.notAuthenticated
+    }
+    
+    let db = Firestore.firestore()
+    let partnerRef = partnersCollection(ownerId: userId).document(partnerId)
+    let grants = try await partnerRef.collection("shared_habits").getDocuments()
+    
+    let batch = db.batch()
+    grants.documents.forEach { batch.deleteDocument($0.reference) }
+    batch.deleteDocument(partnerRef)
+    try await batch.commit()
+    
+    print("✅ FirestoreRepository: Partner revoked")
+  }
+  
   // MARK: - Real-time Streams
   
   /// Start listening to habits for current user
@@ -473,7 +606,9 @@ class FirestoreRepository: ObservableObject {
         
         Task { @MainActor in
           self.habits = snapshot.documents.compactMap { doc in
-            FirestoreHabit.from(id: doc.documentID, data: doc.data())
+            // Soft-deleted habits stay in Firestore until purged
+            guard doc.data()["deletedAt"] == nil || doc.data()["deletedAt"] is NSNull else { return nil }
+            return FirestoreHabit.from(id: doc.documentID, data: doc.data())
           }
           print("✅ FirestoreRepository: Habits stream updated: \(self.habits.count) habits")
         }
@@ -571,5 +706,9 @@ class FirestoreRepository: ObservableObject {
   private var userId: String? {
     Auth.auth().currentUser?.uid
   }
+  
+  private func partnersCollection(ownerId: String) -> CollectionReference {
+    Firestore.firestore().collection("users").document(ownerId).collection("partners")
+  }
 }
 
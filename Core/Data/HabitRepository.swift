@@ -1031,9 +1031,9 @@ class HabitRepository: ObservableObject {
     // Save context
     try modelContext.save()
     
-    // Re-upload to Firestore (habit was hard-deleted during soft-delete)
+    // Restore the soft-deleted Firestore copy and re-upload the habit
     debugLog("♻️ HabitRepository: Re-uploading habit to Firestore...")
-    FirebaseBackupService.shared.backupHabit(habit)
+    FirebaseBackupService.shared.backupHabit(habit, restoring: true)
     debugLog("♻️ HabitRepository: Habit backup initiated to Firestore: \(habit.name)")
     
     // Reload habits to update UI
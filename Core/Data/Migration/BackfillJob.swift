@@ -191,36 +191,33 @@ final class BackfillJob: ObservableObject {
   }
   
   private func migrateBatch(_ habits: [Habit], userId: String) async throws {
-    let batch = db.batch()
-    
+    // One write per habit: the rules count each new habit against the
+    // free-tier limit, which a batch of several creates cannot do
     for habit in habits {
       let firestoreHabit = FirestoreHabit(from: habit)
       let habitData = firestoreHabit.toFirestoreData()
       
-      let docRef = db.collection("users")
-        .document(userId)
-        .collection("habits")
-        .document(habit.id.uuidString)
-      
-      batch.setData(habitData, forDocument: docRef, merge: true)
+      try await saveWithRetry(userId: userId, habitId: habit.id.uuidString, data: habitData)
     }
-    
-    // Commit batch with retry logic
-    try await commitBatchWithRetry(batch)
   }
   
-  private func commitBatchWithRetry(_ batch: WriteBatch) async throws {
+  private func saveWithRetry(userId: String, habitId: String, data: [String: Any]) async throws {
     var lastError: Error?
     let retries = self.maxRetries
     
     for attempt in 1...retries {
       do {
-        try await batch.commit()
-        backfillLogger.debug("✅ BackfillJob: Batch committed successfully on attempt \(attempt)")
+        try await HabitWriteService.shared.save(userId: userId, habitId: habitId, data: data)
+        backfillLogger.debug("✅ BackfillJob: Habit \(habitId.prefix(8))... saved on attempt \(attempt)")
         return
       } catch {
         lastError = error
-        backfillLogger.warning("⚠️ BackfillJob: Batch commit attempt \(attempt)/\(retries) failed: \(error.localizedDescription)")
+        backfillLogger.warning("⚠️ BackfillJob: Habit save attempt \(attempt)/\(retries) failed: \(error.localizedDescription)")
+        
+        // The free-tier limit refuses the same write every time
+        if WriteRateLimiter.isPermissionDenied(error) {
+          break
+        }
         
         if attempt < retries {
           // Exponential backoff
@@ -231,7 +228,7 @@ final class BackfillJob: ObservableObject {
       }
     }
     
-    backfillLogger.error("❌ BackfillJob: All \(retries) batch commit attempts failed")
+    backfillLogger.error("❌ BackfillJob: Saving habit \(habitId.prefix(8))... failed")
     throw lastError ?? BackfillError.batchCommitFailed
   }
   
@@ -95,8 +95,8 @@ class BackfillProgressEventsFromCompletionRecords {
           continue
         }
         
-        // Calculate UTC day boundaries for the date
-        let utcDayBoundaries = calculateUTCDayBoundaries(for: record.date)
+        // The record's local day, as ProgressEventService computes it for live events
+        let utcDayBoundaries = EventSourcedUtils.utcDayBoundaries(for: record.date)
         
         // Get deterministic sequence number for backfill events
         // Use a high sequence number to ensure it doesn't conflict with real events
@@ -122,8 +122,9 @@ class BackfillProgressEventsFromCompletionRecords {
           operationId: backfillOperationId
         )
         
-        // Use the record's original createdAt as the event's occurredAt
-        event.occurredAt = record.createdAt
+        // Use the record's original createdAt as the event's occurredAt, never
+        // earlier than the day it belongs to (the rules reject that)
+        event.occurredAt = max(record.createdAt, utcDayBoundaries.start)
         event.createdAt = record.createdAt
         
         // Mark as synced=true (don't upload to Firestore - this is local reconciliation)
@@ -174,27 +175,4 @@ class BackfillProgressEventsFromCompletionRecords {
     UserDefaults.standard.set(true, forKey: migrationKey)
     UserDefaults.standard.synchronize()
   }
-  
-  /// Calculate UTC day boundaries for a given date
-  private func calculateUTCDayBoundaries(for date: Date) -> (start: Date, end: Date) {
-    let calendar = Calendar.current
-    
-    // Convert to UTC
-    var utcCalendar = Calendar(identifier: .gregorian)
-    utcCalendar.timeZone = TimeZone(identifier: "UTC") ?? TimeZone.current
-    
-    // Get start of day in local timezone
-    let dayStart = calendar.startOfDay(for: date)
-    
-    // Convert to UTC
-    let utcDayStart = utcCalendar.startOfDay(for: dayStart)
-    
-    // Calculate end of day (start of next day)
-    guard let utcDayEnd = utcCalendar.date(byAdding: .day, value: 1, to: utcDayStart) else {
-      // Fallback to 24 hours later
-      return (start: utcDayStart, end: utcDayStart.addingTimeInterval(86400))
-    }
-    
-    return (start: utcDayStart, end: utcDayEnd)
-  }
 }
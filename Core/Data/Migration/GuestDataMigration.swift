@@ -705,26 +705,27 @@ final class GuestDataMigration: ObservableObject {
         .collection("habits")
         .getDocuments()
       
-      if snapshot.documents.isEmpty {
+      // Habits cannot be deleted by the client: soft-delete the live ones and
+      // let purgeDeletedHabits remove them with their dependents
+      let liveHabits = snapshot.documents.filter { document in
+        let deletedAt = document.data()["deletedAt"]
+        return deletedAt == nil || deletedAt is NSNull
+      }
+      
+      if liveHabits.isEmpty {
         print("ℹ️ GuestDataMigration: No cloud habits to delete from Firestore")
       } else {
-        // Delete in batches
         let batch = db.batch()
-        for document in snapshot.documents {
-          batch.deleteDocument(document.reference)
+        for document in liveHabits {
+          batch.updateData(["deletedAt": FieldValue.serverTimestamp()], forDocument: document.reference)
         }
         
         try await batch.commit()
-        print("✅ GuestDataMigration: Deleted \(snapshot.documents.count) cloud habits from Firestore")
+        print("✅ GuestDataMigration: Soft-deleted \(liveHabits.count) cloud habits in Firestore")
       }
       
-      // Also delete XP state if it exists
-      let xpStateRef = db.collection("users")
-        .document(userId)
-        .collection("xp")
-        .document("state")
-      
-      try? await xpStateRef.delete()
+      // Also delete XP state if it exists (server-authoritative; resetXP deletes ledger and state)
+      try? await XPServerService.shared.reset()
       print("✅ GuestDataMigration: Deleted XP state from Firestore")
       
       // ✅ STEP 2: Delete from SwiftData (local data)
@@ -403,8 +403,9 @@ final class GuestToAuthMigration {
     )
     
     do {
-      try await FirestoreService.shared.saveUserProgress(progress)
-      logger.info("✅ Saved XP progress to Firestore: totalXP=\(totalXP), level=\(level), dailyXP=\(dailyXP)")
+      // xp/state is server-authoritative: the awardXP callable grants each migrated day
+      let granted = try await FirestoreService.shared.grantXP(forAwardedDays: awards.map(\.dateKey))
+      logger.info("✅ Server granted XP for \(granted)/\(awards.count) migrated days (local totalXP=\(progress.totalXP))")
       
       // Reload XPManager to sync the new progress
       await MainActor.run {
@@ -11,7 +11,7 @@ import UIKit
 ///    - type: .bulkAdjust (for migration/correction)
 ///    - amount: currentProgress value
 ///    - operationId: "migration_{recordId}"
-///    - deviceId: "migration"
+///    - deviceId: this device (DeviceIdProvider), which must be registered to upload
 /// 3. Updates CompletionRecord.eventIds to reference the new event (if such field exists)
 /// 4. Runs as a one-time migration (tracked in migration state)
 class MigrateCompletionsToEvents {
@@ -57,8 +57,8 @@ class MigrateCompletionsToEvents {
       var migratedCount = 0
       var skippedCount = 0
       
-      // Get device ID for migration (use a consistent identifier)
-      let deviceId = "migration_\(UIDevice.current.identifierForVendor?.uuidString ?? "unknown")"
+      // Events are uploaded, so they carry this device's registered id
+      let deviceId = DeviceIdProvider.shared.currentDeviceId
       let timezoneIdentifier = TimeZone.current.identifier
       
       for record in completionRecords {
@@ -78,8 +78,8 @@ class MigrateCompletionsToEvents {
           continue
         }
         
-        // Calculate UTC day boundaries for the date
-        let utcDayBoundaries = calculateUTCDayBoundaries(for: record.date)
+        // The record's local day, as ProgressEventService computes it for live events
+        let utcDayBoundaries = EventSourcedUtils.utcDayBoundaries(for: record.date)
         
         // Get deterministic sequence number for migration events
         // Use sequence counter to ensure deterministic IDs even for migration events
@@ -104,8 +104,9 @@ class MigrateCompletionsToEvents {
           operationId: operationId
         )
         
-        // Use the record's original createdAt as the event's occurredAt
-        event.occurredAt = record.createdAt
+        // Use the record's original createdAt as the event's occurredAt, never
+        // earlier than the day it belongs to (the rules reject that)
+        event.occurredAt = max(record.createdAt, utcDayBoundaries.start)
         event.createdAt = record.createdAt
         
         // Mark as synced=false so it will be synced to Firestore
@@ -164,35 +165,6 @@ class MigrateCompletionsToEvents {
     userDefaults.set(true, forKey: migrationKey)
     userDefaults.synchronize()
   }
-  
-  /// Calculate UTC day boundaries for a given date
-  /// Returns the start and end of the day in UTC
-  private func calculateUTCDayBoundaries(for date: Date) -> (start: Date, end: Date) {
-    let calendar = Calendar.current
-    let utcTimeZone = TimeZone(identifier: "UTC")!
-    
-    // Convert date to UTC
-    var utcCalendar = calendar
-    utcCalendar.timeZone = utcTimeZone
-    
-    // Get start of day in UTC
-    let components = utcCalendar.dateComponents([.year, .month, .day], from: date)
-    guard let utcDayStart = utcCalendar.date(from: components) else {
-      // Fallback: use the date itself as start, and add 24 hours for end
-      let fallbackStart = date
-      let fallbackEnd = date.addingTimeInterval(86400) // 24 hours
-      return (fallbackStart, fallbackEnd)
-    }
-    
-    // Get end of day (start of next day) in UTC
-    guard let utcDayEnd = utcCalendar.date(byAdding: .day, value: 1, to: utcDayStart) else {
-      // Fallback: add 24 hours to start
-      let fallbackEnd = utcDayStart.addingTimeInterval(86400)
-      return (utcDayStart, fallbackEnd)
-    }
-    
-    return (utcDayStart, utcDayEnd)
-  }
 }
 
 // MARK: - Date ISO8601 Extension
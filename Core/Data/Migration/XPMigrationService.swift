@@ -219,8 +219,9 @@ class XPMigrationService {
     print("   level: \(progress.level)")
     print("   dailyXP: \(progress.dailyXP)")
     
-    // Save to Firestore
-    try await FirestoreService.shared.saveUserProgress(progress)
+    // xp/state is server-authoritative: the awardXP callable grants each migrated day
+    let granted = try await FirestoreService.shared.grantXP(forAwardedDays: awards.map(\.dateKey))
+    print("🔄 XP_MIGRATION: Server granted XP for \(granted)/\(awards.count) days")
     
     print("✅ XP_MIGRATION: Current progress migrated successfully")
     logger.info("✅ Migrated current progress (totalXP: \(totalXP), level: \(level), dailyXP: \(dailyXP))")
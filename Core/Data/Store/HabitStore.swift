@@ -427,13 +427,10 @@ final actor HabitStore {
       return
     }
 
-    // TODO: Update Firestore to support soft delete (mark as deleted instead of hard delete)
-    // For now, we still hard-delete from Firestore but soft-delete locally for audit trail
+    // Soft-delete in Firestore too (deletedAt); purgeDeletedHabits removes the habit
+    // and its completion records after the retention window unless it is restored
     await FirebaseBackupService.shared.deleteHabitBackupAwait(habitId: habit.id)
     
-    // Delete completion records from Firestore
-    await FirebaseBackupService.shared.deleteCompletionRecordsForHabitAwait(habitId: habit.id)
-    
     // ✅ SOFT DELETE: This now soft-deletes (marks as deleted) instead of hard deleting
     // Returns false if deletion was skipped (e.g., habit was restored)
     let wasDeleted = try await activeStorage.deleteHabit(id: habit.id)
@@ -1433,6 +1430,13 @@ final actor HabitStore {
       logger.warning("⚠️ Failed to delete invalid DailyAward from Firestore: \(error.localizedDescription)")
       // Don't throw - this is cleanup, not critical
     }
+    
+    // xp/state is server-authoritative: reverse the day's bonus through awardXP
+    do {
+      try await XPServerService.shared.reverseDailyBonus(dateKey: dateKey)
+    } catch {
+      logger.warning("⚠️ Failed to reverse server XP for \(dateKey): \(error.localizedDescription)")
+    }
   }
   
   // MARK: - ProgressEvent Failure Diagnostics
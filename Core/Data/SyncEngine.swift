@@ -225,8 +225,10 @@ actor SyncEngine {
         var eventIdsToMarkSynced: [String] = []
         var alreadySyncedCount = 0
         
-        // Use Firestore batch write for atomicity
-        let batch = firestore.batch()
+        // Writes for one atomic batch, committed through the write throttle
+        var eventWrites: [(ref: DocumentReference, data: [String: Any])] = []
+        var rateKeys: [String] = []
+        var bulkRateKeys: [String] = []
         
         for eventId in eventIds {
             // Fetch event data on MainActor
@@ -276,7 +278,13 @@ actor SyncEngine {
             }
             
             // Write to Firestore (setData with merge for idempotency)
-            batch.setData(eventData.firestoreData, forDocument: eventRef, merge: true)
+            eventWrites.append((ref: eventRef, data: eventData.firestoreData))
+            if let eventType = eventData.firestoreData["eventType"] as? String,
+               ["BACKFILL", "SYNC_IMPORT"].contains(eventType) {
+                bulkRateKeys.append(eventData.id)
+            } else {
+                rateKeys.append(eventData.id)
+            }
             eventIdsToMarkSynced.append(eventData.id)
         }
         
@@ -287,8 +295,12 @@ actor SyncEngine {
             return alreadySyncedCount
         }
         
-        // Commit batch
-        try await batch.commit()
+        // Commit batch together with the events' keys in the rate window
+        try await WriteRateLimiter.shared.commit(userId: userId, keys: rateKeys, bulkKeys: bulkRateKeys) { batch in
+            for write in eventWrites {
+                batch.setData(write.data, forDocument: write.ref, merge: true)
+            }
+        }
         
         // Mark events as synced (must be on MainActor for ModelContext)
         await markEventsAsSynced(eventIds: eventIdsToMarkSynced)
@@ -589,7 +601,7 @@ actor SyncEngine {
     ///
     /// Awards are written to: `/users/{userId}/daily_awards/{userIdDateKey}`
     /// Uses `userIdDateKey` (deterministic: "{userId}#{dateKey}") for idempotency
-    /// Also updates `/users/{userId}/progress/current` with total XP in the same transaction
+    /// XP itself is granted by the awardXP callable afterwards (see grantServerXP)
     func syncAwards() async throws {
         // Prevent concurrent syncs
         guard !isSyncing else {
@@ -669,15 +681,6 @@ actor SyncEngine {
         
         logger.info("📤 Found \(awardDataArray.count) awards to sync")
         
-        // Snapshot the latest XP state from DailyAwardService (source of truth)
-        let xpSnapshot: XPState? = await MainActor.run {
-            DailyAwardService.shared.xpState
-        }
-        
-        if xpSnapshot == nil {
-            logger.warning("⚠️ SyncEngine: XP snapshot unavailable; xp/state document update will be skipped to avoid zeroing remote data")
-        }
-        
         // Sync awards in batches using transactions
         let batchSize = 10 // Smaller batches for transactions
         for batchStart in stride(from: 0, to: awardDataArray.count, by: batchSize) {
@@ -687,8 +690,7 @@ actor SyncEngine {
             do {
                 let result = try await syncAwardsBatch(
                     awards: batch,
-                    userId: userId,
-                    xpSnapshot: xpSnapshot
+                    userId: userId
                 )
                 syncedCount += result.synced
                 alreadySyncedCount += result.alreadySynced
@@ -704,13 +706,43 @@ actor SyncEngine {
         }
         
         logger.info("✅ Award sync completed: \(syncedCount) synced, \(alreadySyncedCount) already synced, \(failedCount) failed")
+        
+        await grantServerXP(for: awardDataArray, userId: userId)
+    }
+    
+    /// Ask the awardXP callable for every local award the server ledger has not settled yet
+    ///
+    /// xp/state is server-authoritative: the callable checks each day against the
+    /// completions synced above and recomputes the total from the ledger, so the
+    /// client never writes XP itself. A day the server does not consider earned is
+    /// recorded as rejected and is not sent again.
+    private func grantServerXP(for awards: [AwardData], userId: String) async {
+        let settled: XPSettledDays
+        do {
+            settled = try await XPServerService.shared.settledDays(userId: userId)
+        } catch {
+            logger.error("❌ SyncEngine: Could not read XP ledger: \(error.localizedDescription)")
+            return
+        }
+        
+        let pending = awards.filter {
+            $0.xpGranted == XPServerService.dailyCompletionXP && !settled.contains($0.dateKey)
+        }
+        for award in pending {
+            do {
+                try await XPServerService.shared.awardDailyBonus(dateKey: award.dateKey)
+            } catch where XPServerService.isNotEarned(error) {
+                logger.warning("⚠️ SyncEngine: Server does not show \(award.dateKey) as earned; not retrying")
+            } catch {
+                logger.error("❌ SyncEngine: awardXP failed for \(award.dateKey): \(error.localizedDescription)")
+            }
+        }
     }
     
     /// Sync a batch of awards to Firestore using transactions
     private func syncAwardsBatch(
         awards: [AwardData],
-        userId: String,
-        xpSnapshot: XPState?
+        userId: String
     ) async throws -> (synced: Int, alreadySynced: Int) {
         // Track counts locally to avoid double-counting on transaction retries
         var syncedCount = 0
@@ -743,6 +775,17 @@ actor SyncEngine {
                     // This is expected for new awards
                 }
                 
+                // FirebaseBackupService may have stored this day as /daily_awards/{dateKey};
+                // the rules allow one award per day, so treat it as already synced
+                let backupRef = self.firestore.collection("users")
+                    .document(userId)
+                    .collection("daily_awards")
+                    .document(award.dateKey)
+                if let backupDoc = try? transaction.getDocument(backupRef), backupDoc.exists {
+                    batchAlreadySynced += 1
+                    continue
+                }
+                
                 // Create award document
                 // ✅ BUG 1 FIX: Use safeTimestamp to prevent crash from invalid dates
                 let awardData: [String: Any] = [
@@ -758,24 +801,6 @@ actor SyncEngine {
                 batchSynced += 1
             }
             
-            if let xpSnapshot {
-                let xpStateRef = self.firestore.collection("users")
-                    .document(userId)
-                    .collection("xp")
-                    .document("state")
-                
-                let progressData: [String: Any] = [
-                    "totalXP": xpSnapshot.totalXP,
-                    "level": xpSnapshot.level,
-                    "currentLevelXP": xpSnapshot.currentLevelXP,
-                    "lastUpdated": Timestamp(date: xpSnapshot.lastUpdated)
-                ]
-                
-                transaction.setData(progressData, forDocument: xpStateRef, merge: true)
-            } else {
-                self.logger.warning("⚠️ SyncEngine: Transaction skipped xp/state update – missing XP snapshot")
-            }
-            
             // Return counts as tuple (wrapped in array for easier casting)
             return [batchSynced, batchAlreadySynced]
         }
@@ -912,10 +937,28 @@ actor SyncEngine {
         var syncedCount = 0
         var alreadySyncedCount = 0
         
-        // Use Firestore batch write for efficiency
-        let batch = firestore.batch()
+        // Writes for one batch, committed through the write throttle
+        var completionWrites: [(ref: DocumentReference, data: [String: Any])] = []
+        var rateKeys: [String] = []
+        
+        // The rules refuse new completions for habits that are not in Firestore,
+        // which would fail the whole batch; leave those for a later cycle
+        var remoteHabitExists: [String: Bool] = [:]
         
         for completion in completions {
+            if remoteHabitExists[completion.habitId] == nil {
+                let habitDoc = try? await firestore.collection("users")
+                    .document(userId)
+                    .collection("habits")
+                    .document(completion.habitId)
+                    .getDocument()
+                remoteHabitExists[completion.habitId] = habitDoc?.exists ?? false
+            }
+            guard remoteHabitExists[completion.habitId] == true else {
+                logger.warning("⏭️ SyncEngine: Skipping completion for \(completion.habitId.prefix(8))... - habit not in Firestore yet")
+                continue
+            }
+            
             // Generate yearMonth from dateKey (format: "yyyy-MM-dd" -> "yyyy-MM")
             let yearMonth = String(completion.dateKey.prefix(7)) // "2025-10-31" -> "2025-10"
             
@@ -985,6 +1028,8 @@ actor SyncEngine {
             
             // Create/overwrite completion document
             // ✅ BUG 1 FIX: Use safeTimestamp to prevent crash from invalid dates
+            // The rate key carries updatedAt, so write it at millisecond precision
+            let updatedAt = WriteRateLimiter.timestamp(for: safeTimestamp(from: completion.updatedAt).dateValue())
             let completionData: [String: Any] = [
                 "userId": userId,
                 "habitId": completion.habitId,
@@ -992,11 +1037,12 @@ actor SyncEngine {
                 "isCompleted": completion.isCompleted,
                 "progress": completion.progress,
                 "createdAt": safeTimestamp(from: completion.createdAt),
-                "updatedAt": safeTimestamp(from: completion.updatedAt),
+                "updatedAt": updatedAt,
                 "completionId": completion.completionId
             ]
             
-            batch.setData(completionData, forDocument: completionRef, merge: true)
+            completionWrites.append((ref: completionRef, data: completionData))
+            rateKeys.append(WriteRateLimiter.completionKey(docKey: completion.completionId, updatedAt: updatedAt))
             syncedCount += 1
             logger.info("📤 SyncEngine: Pushing completion for \(completion.habitId.prefix(8))... dateKey=\(completion.dateKey) progress=\(completion.progress)")
         }
@@ -1006,8 +1052,12 @@ actor SyncEngine {
             return (synced: 0, alreadySynced: alreadySyncedCount)
         }
         
-        // Commit batch
-        try await batch.commit()
+        // Commit batch together with the completions' keys in the rate window
+        try await WriteRateLimiter.shared.commit(userId: userId, keys: rateKeys) { batch in
+            for write in completionWrites {
+                batch.setData(write.data, forDocument: write.ref, merge: true)
+            }
+        }
         
         return (synced: syncedCount, alreadySynced: alreadySyncedCount)
     }
@@ -1185,10 +1235,16 @@ actor SyncEngine {
             .collection("habits")
         
         // STEP 1: Get ALL habit IDs from Firestore (for reconciliation)
+        // Soft-deleted habits (deletedAt set) stay in Firestore until purged;
+        // they count as deleted remotely and are not merged
         let allHabitsSnapshot = try await habitsRef.getDocuments()
+        let liveHabitDocuments = allHabitsSnapshot.documents.filter { document in
+            let deletedAt = document.data()["deletedAt"]
+            return deletedAt == nil || deletedAt is NSNull
+        }
         var remoteHabitIds: Set<UUID> = []
         
-        for document in allHabitsSnapshot.documents {
+        for document in liveHabitDocuments {
             if let uuid = UUID(uuidString: document.documentID) {
                 remoteHabitIds.insert(uuid)
             }
@@ -1199,7 +1255,7 @@ actor SyncEngine {
         // STEP 2: Pull habits updated since lastSync (filter by timestamp)
         var pulledCount = 0
         
-        for document in allHabitsSnapshot.documents {
+        for document in liveHabitDocuments {
             guard let uuid = UUID(uuidString: document.documentID) else {
                 continue
             }
@@ -2229,7 +2285,7 @@ actor SyncEngine {
     }
     
     /// ✅ BUG FIX: Reconcile deletions bidirectionally:
-    /// 1. Delete from Firestore: habits that exist remotely but not locally (deleted on this device)
+    /// 1. Soft-delete in Firestore: habits that exist remotely but not locally (deleted on this device)
     /// 2. Delete from Local: habits that exist locally but not remotely (deleted on another device)
     /// Call this after pullHabits() completes to clean up orphaned habits
     private func reconcileDeletedHabits(userId: String, remoteHabitIds: Set<UUID>) async {
@@ -2247,7 +2303,7 @@ actor SyncEngine {
         }
         
         
-        // DIRECTION 1: Delete from Firestore habits that were deleted locally
+        // DIRECTION 1: Soft-delete in Firestore habits that were deleted locally
         // (exist in Firestore but not locally)
         let deletedLocallyButInFirestore = remoteHabitIds.subtracting(localHabitIds)
         
@@ -2279,15 +2335,14 @@ actor SyncEngine {
                         .collection("habits")
                         .document(habitId.uuidString)
                     
-                    try await docRef.delete()
-                    
-                    // Also delete orphaned completion records
-                    await FirebaseBackupService.shared.deleteCompletionRecordsForHabitAwait(habitId: habitId)
+                    // The rules refuse client deletes; purgeDeletedHabits removes the
+                    // habit and its completion records after the retention window
+                    try await docRef.updateData(["deletedAt": FieldValue.serverTimestamp()])
                     
                     // Clear the deleted marker after cleanup is complete
                     Self.clearDeletedHabit(habitId)
                 } catch {
-                    logger.error("❌ SyncEngine: Failed to delete orphaned habit \(habitId.uuidString.prefix(8))... from Firestore: \(error.localizedDescription)")
+                    logger.error("❌ SyncEngine: Failed to soft-delete orphaned habit \(habitId.uuidString.prefix(8))... in Firestore: \(error.localizedDescription)")
                     // Keep marker if deletion failed so it can be retried
                 }
             }
@@ -1,6 +1,7 @@
 import Foundation
 import FirebaseAuth
 import FirebaseFirestore
+import FirebaseFunctions
 import OSLog
 import UIKit
 
@@ -12,7 +13,7 @@ import UIKit
 /// - Register current device on app launch
 /// - Fetch all devices for current user
 /// - Update device name
-/// - Remove devices (premium only)
+/// - Revoke devices (premium only) and sign out every session
 /// - Cleanup stale devices (>90 days inactive)
 actor DeviceManager {
   // MARK: - Singleton
@@ -47,7 +48,7 @@ actor DeviceManager {
     }
     
     do {
-      let currentDevice = UserDevice.createCurrentDevice()
+      let currentDevice = UserDevice.createCurrentDevice(id: await getCurrentDeviceId())
       let deviceRef = firestore.collection("users")
         .document(userId)
         .collection("devices")
@@ -57,6 +58,27 @@ actor DeviceManager {
       let doc = try await deviceRef.getDocument()
       let isNewDevice = !doc.exists
       
+      // A revoked device stays revoked; the rules reject the update anyway
+      if doc.data()?["revoked"] as? Bool == true {
+        logger.warning("⚠️ Device \(currentDevice.id) was revoked - not re-registering")
+        return
+      }
+      
+      // Builds that registered under the identifierForVendor id: carry that
+      // doc over to the Keychain id, or stay revoked if it was revoked
+      var legacyData: [String: Any]?
+      if isNewDevice, let legacyId = await getLegacyDeviceId(), legacyId != currentDevice.id {
+        let legacyRef = firestore.collection("users")
+          .document(userId)
+          .collection("devices")
+          .document(legacyId)
+        legacyData = try await legacyRef.getDocument().data()
+        if legacyData?["revoked"] as? Bool == true {
+          logger.warning("⚠️ Device \(legacyId) was revoked - not registering it as \(currentDevice.id)")
+          return
+        }
+      }
+      
       // Update lastLogin and deviceName (merge to preserve existing name if set)
       var updateData: [String: Any] = [
         "id": currentDevice.id,
@@ -67,12 +89,21 @@ actor DeviceManager {
       
       // Only update deviceName if it's a new device (preserve user-edited name for existing)
       if isNewDevice {
-        updateData["deviceName"] = currentDevice.deviceName
-        updateData["createdAt"] = Timestamp(date: Date())
+        updateData["deviceName"] = legacyData?["deviceName"] as? String ?? currentDevice.deviceName
+        updateData["createdAt"] = legacyData?["createdAt"] as? Timestamp ?? Timestamp(date: Date())
       }
       
       try await deviceRef.setData(updateData, merge: true)
       
+      if legacyData != nil, let legacyId = await getLegacyDeviceId() {
+        try await firestore.collection("users")
+          .document(userId)
+          .collection("devices")
+          .document(legacyId)
+          .delete()
+        logger.info("🔄 Moved device \(legacyId) to \(currentDevice.id)")
+      }
+      
       logger.info("✅ Device registered/updated: \(currentDevice.id)")
       
       // Cleanup stale devices as a side effect (fire-and-forget)
@@ -132,7 +163,7 @@ actor DeviceManager {
       throw DeviceManagerError.guestUser
     }
     
-    let deviceId = KeychainManager.shared.getOrCreateDeviceIdentifier()
+    let deviceId = await getCurrentDeviceId()
     let deviceRef = firestore.collection("users")
       .document(userId)
       .collection("devices")
@@ -147,8 +178,14 @@ actor DeviceManager {
   
   // MARK: - Device Removal
   
-  /// Remove a device (premium users only)
+  /// Remove a device (premium users only) by revoking it
   /// Cannot remove the current device
+  ///
+  /// The revokeDevice callable (functions/src/devices.js) keeps the device
+  /// document with `revoked: true`, so the device cannot register again and
+  /// the rules refuse its progress events, and revokes the user's refresh
+  /// tokens so the lost device's sign-in stops working. That signs out every
+  /// device, this one included: the user signs in again afterwards.
   func removeDevice(_ deviceId: String) async throws {
     guard let userId = await getCurrentUserId() else {
       throw DeviceManagerError.notAuthenticated
@@ -158,24 +195,23 @@ actor DeviceManager {
       throw DeviceManagerError.guestUser
     }
     
-    let currentDeviceId = KeychainManager.shared.getOrCreateDeviceIdentifier()
+    let currentDeviceId = await getCurrentDeviceId()
     guard deviceId != currentDeviceId else {
       throw DeviceManagerError.cannotRemoveCurrentDevice
     }
     
-    let deviceRef = firestore.collection("users")
-      .document(userId)
-      .collection("devices")
-      .document(deviceId)
-    
-    try await deviceRef.delete()
+    _ = try await Functions.functions().httpsCallable("revokeDevice").call(["deviceId": deviceId])
+    logger.info("✅ Revoked device: \(deviceId)")
     
-    logger.info("✅ Removed device: \(deviceId)")
+    await MainActor.run {
+      AuthenticationManager.shared.signOut()
+    }
   }
   
   // MARK: - Cleanup
   
   /// Remove devices that haven't logged in for more than 90 days
+  /// Revoked devices are kept so they cannot register again
   func cleanupStaleDevices() async {
     guard let userId = await getCurrentUserId() else {
       return
@@ -192,7 +228,7 @@ actor DeviceManager {
       
       let snapshot = try await devicesRef.getDocuments()
       let cutoffDate = Date().addingTimeInterval(-90 * 24 * 60 * 60) // 90 days ago
-      let currentDeviceId = KeychainManager.shared.getOrCreateDeviceIdentifier()
+      let currentDeviceId = await getCurrentDeviceId()
       
       var removedCount = 0
       for document in snapshot.documents {
@@ -202,6 +238,7 @@ actor DeviceManager {
         }
         
         if let device = UserDevice(from: document.data()),
+           !device.revoked,
            device.lastLogin < cutoffDate {
           try await document.reference.delete()
           removedCount += 1
@@ -226,6 +263,20 @@ actor DeviceManager {
       return Auth.auth().currentUser?.uid
     }
   }
+  
+  /// The deviceId this device stamps on its progress events
+  private func getCurrentDeviceId() async -> String {
+    await MainActor.run {
+      return DeviceIdProvider.shared.currentDeviceId
+    }
+  }
+  
+  /// The identifierForVendor-based id earlier builds registered under
+  private func getLegacyDeviceId() async -> String? {
+    await MainActor.run {
+      return DeviceIdProvider.shared.legacyDeviceId
+    }
+  }
 }
 
 // MARK: - DeviceManagerError
@@ -119,8 +119,11 @@ class SubscriptionManager: ObservableObject {
   }
   
   /// Handle transaction updates from StoreKit
-  /// - Parameter result: The verification result for the transaction
-  private func handleTransactionUpdate(_ result: VerificationResult<Transaction>) async {
+  /// - Parameters:
+  ///   - result: The verification result for the transaction
+  ///   - verifyOnServer: Send our products' transactions to verifyReceipt, which
+  ///     decides what the Firestore rules allow (e.g. the free habit limit)
+  private func handleTransactionUpdate(_ result: VerificationResult<Transaction>, verifyOnServer: Bool = true) async {
     guard case .verified(let transaction) = result else {
       print("⚠️ SubscriptionManager: Unverified transaction received")
       return
@@ -133,6 +136,10 @@ class SubscriptionManager: ObservableObject {
     
     // Check if this is one of our subscription products
     if ProductID.all.contains(transaction.productID) {
+      if verifyOnServer {
+        await EntitlementService.shared.verify(transaction)
+      }
+      
       if transaction.revocationDate == nil {
         
         // Update on MainActor since we're called from Task.detached (background thread)
@@ -299,11 +306,14 @@ class SubscriptionManager: ObservableObject {
         if ProductID.all.contains(transaction.productID) {
           foundOurProduct = true
           // Process it through the handler to update isPremium
-          await handleTransactionUpdate(result)
+          await handleTransactionUpdate(result, verifyOnServer: false)
         }
       }
     }
     
+    // Only current entitlements are sent to the server, not every past transaction
+    await EntitlementService.shared.syncCurrentEntitlements()
+    
     var entitlementCount = 0
     var foundActiveEntitlement = false
     for await result in Transaction.currentEntitlements {
@@ -378,10 +388,11 @@ class SubscriptionManager: ObservableObject {
           print("✅ Found synced transaction in Transaction.all: \(transaction.productID)")
           foundOurProduct = true
           // Process it through the handler
-          await handleTransactionUpdate(result)
+          await handleTransactionUpdate(result, verifyOnServer: false)
         }
       }
     }
+    await EntitlementService.shared.syncCurrentEntitlements()
     print("🔄 Step 2 complete - found \(allTransactionCount) total transaction(s)")
     let isPremiumAfterStep2 = self.isPremium
     print("🔄 After Step 2: isPremium = \(isPremiumAfterStep2)")
@@ -602,6 +613,9 @@ class SubscriptionManager: ObservableObject {
           await transaction.finish()
           print("   Product ID: \(transaction.productID)")
           
+          // Let the server know before the user tries to add more habits
+          await EntitlementService.shared.verify(transaction)
+          
           // Small delay to let StoreKit process
           try? await Task.sleep(nanoseconds: 500_000_000) // 0.5 seconds
           
@@ -661,6 +661,74 @@ struct Streak: Codable {
   }
 }
 
+// MARK: - UserProfile
+
+/// Profile and settings document stored in /users/{uid}, so preferences sync
+/// across devices instead of living only in UserDefaults
+struct UserProfile: Codable {
+  var displayName: String?
+  var timezoneIdentifier: String // IANA id, e.g. "Europe/Amsterdam"
+  var locale: String // LanguageView code: en, ko, ja, nl, de, zh, th
+  var firstWeekday: Int // Calendar.firstWeekday: 1 = Sunday ... 7 = Saturday
+  var dateFormat: String? // DateFormatOption.rawValue
+  var planReminderEnabled: Bool?
+  var planReminderMinutes: Int? // Minutes after local midnight
+  var completionReminderEnabled: Bool?
+  var completionReminderMinutes: Int?
+  var habitReminderEnabled: Bool?
+  
+  /// Fields written on every save; createdAt/updatedAt are added by the repository
+  func toFirestoreData() -> [String: Any] {
+    var data: [String: Any] = [
+      "displayName": displayName.map { String($0.prefix(50)) } ?? NSNull(),
+      "timezoneIdentifier": timezoneIdentifier,
+      "locale": locale,
+      "firstWeekday": firstWeekday
+    ]
+    
+    if let dateFormat = dateFormat {
+      data["dateFormat"] = dateFormat
+    }
+    if let planReminderEnabled = planReminderEnabled {
+      data["planReminderEnabled"] = planReminderEnabled
+    }
+    if let planReminderMinutes = planReminderMinutes {
+      data["planReminderMinutes"] = planReminderMinutes
+    }
+    if let completionReminderEnabled = completionReminderEnabled {
+      data["completionReminderEnabled"] = completionReminderEnabled
+    }
+    if let completionReminderMinutes = completionReminderMinutes {
+      data["completionReminderMinutes"] = completionReminderMinutes
+    }
+    if let habitReminderEnabled = habitReminderEnabled {
+      data["habitReminderEnabled"] = habitReminderEnabled
+    }
+    
+    return data
+  }
+  
+  static func from(data: [String: Any]) -> UserProfile? {
+    guard let timezoneIdentifier = data["timezoneIdentifier"] as? String,
+          let locale = data["locale"] as? String,
+          let firstWeekday = data["firstWeekday"] as? Int else {
+      return nil
+    }
+    
+    return UserProfile(
+      displayName: data["displayName"] as? String,
+      timezoneIdentifier: timezoneIdentifier,
+      locale: locale,
+      firstWeekday: firstWeekday,
+      dateFormat: data["dateFormat"] as? String,
+      planReminderEnabled: data["planReminderEnabled"] as? Bool,
+      planReminderMinutes: data["planReminderMinutes"] as? Int,
+      completionReminderEnabled: data["completionReminderEnabled"] as? Bool,
+      completionReminderMinutes: data["completionReminderMinutes"] as? Int,
+      habitReminderEnabled: data["habitReminderEnabled"] as? Bool)
+  }
+}
+
 // MARK: - FirestoreDailyAward
 
 /// Daily award document stored in /users/{uid}/daily_awards/{userIdDateKey}
@@ -8,15 +8,17 @@ import FirebaseFirestore
 struct UserDevice: Codable, Identifiable {
   // MARK: Internal
   
-  let id: String                  // Keychain UUID
+  let id: String                  // DeviceIdProvider id, the deviceId on this device's progress events
   var deviceName: String          // User-editable, defaults to deviceModel
   let deviceModel: String         // UIDevice.current.modelName (e.g., "iPhone 12 Pro")
   var lastLogin: Date
   let createdAt: Date
   let appVersion: String          // Bundle.main app version
+  var revoked: Bool               // Set by removeDevice; the rules refuse its events from then on
   
+  @MainActor
   var isCurrentDevice: Bool {
-    return id == KeychainManager.shared.getOrCreateDeviceIdentifier()
+    return id == DeviceIdProvider.shared.currentDeviceId
   }
   
   // MARK: - Initialization
@@ -27,7 +29,8 @@ struct UserDevice: Codable, Identifiable {
     deviceModel: String,
     lastLogin: Date,
     createdAt: Date,
-    appVersion: String)
+    appVersion: String,
+    revoked: Bool = false)
   {
     self.id = id
     self.deviceName = deviceName
@@ -35,11 +38,11 @@ struct UserDevice: Codable, Identifiable {
     self.lastLogin = lastLogin
     self.createdAt = createdAt
     self.appVersion = appVersion
+    self.revoked = revoked
   }
   
   /// Create a new device for the current device
-  static func createCurrentDevice() -> UserDevice {
-    let deviceId = KeychainManager.shared.getOrCreateDeviceIdentifier()
+  static func createCurrentDevice(id deviceId: String) -> UserDevice {
     let deviceModel = UIDevice.current.modelName
     let appVersion = Bundle.main.infoDictionary?["CFBundleShortVersionString"] as? String ?? "unknown"
     let now = Date()
@@ -88,5 +91,6 @@ extension UserDevice {
     self.lastLogin = lastLoginTimestamp.dateValue()
     self.createdAt = createdAtTimestamp.dateValue()
     self.appVersion = appVersion
+    self.revoked = firestoreData["revoked"] as? Bool ?? false
   }
 }
@@ -0,0 +1,76 @@
+import FirebaseAuth
+import FirebaseFunctions
+import Foundation
+import OSLog
+import StoreKit
+
+// MARK: - EntitlementService
+
+/// Client for the verifyReceipt callable (functions/src/entitlements.js)
+///
+/// `/users/{uid}/entitlements/premium` is read-only for clients and decides
+/// whether the rules let a user past the free habit limit. Each StoreKit
+/// transaction is sent by id; the server looks it up with the App Store Server
+/// API and links the purchase to the first account that verifies it.
+final class EntitlementService {
+  // MARK: Lifecycle
+
+  private init() { }
+
+  // MARK: Internal
+
+  static let shared = EntitlementService()
+
+  /// Send `transaction` to verifyReceipt; false when skipped or refused
+  ///
+  /// Guests are skipped so a purchase is not linked to an anonymous account
+  /// that is about to be replaced by a real one.
+  @discardableResult
+  func verify(_ transaction: Transaction) async -> Bool {
+    guard let user = Auth.auth().currentUser, !user.isAnonymous else {
+      return false
+    }
+
+    do {
+      let result = try await functions.httpsCallable("verifyReceipt").call(["receipt": String(transaction.id)])
+      let status = (result.data as? [String: Any])?["status"] as? String ?? "unknown"
+      logger.info("✅ EntitlementService: \(transaction.productID) verified → \(status)")
+      return true
+    } catch {
+      if Self.isLinkedToAnotherAccount(error) {
+        logger.warning("⚠️ EntitlementService: \(transaction.productID) is linked to another account")
+      } else {
+        logger.error("❌ EntitlementService: verifyReceipt failed: \(error.localizedDescription)")
+      }
+      return false
+    }
+  }
+
+  /// Verify every current StoreKit entitlement for our products; returns how many the server accepted
+  @discardableResult
+  func syncCurrentEntitlements() async -> Int {
+    var verified = 0
+    for await result in Transaction.currentEntitlements {
+      guard case .verified(let transaction) = result,
+            SubscriptionManager.ProductID.all.contains(transaction.productID) else {
+        continue
+      }
+      if await verify(transaction) {
+        verified += 1
+      }
+    }
+    return verified
+  }
+
+  /// true when the server refused a purchase already linked to a different account
+  static func isLinkedToAnotherAccount(_ error: Error) -> Bool {
+    let nsError = error as NSError
+    return nsError.domain == FunctionsErrorDomain
+      && nsError.code == FunctionsErrorCode.alreadyExists.rawValue
+  }
+
+  // MARK: Private
+
+  private lazy var functions = Functions.functions()
+  private let logger = Logger(subsystem: "com.habitto.app", category: "EntitlementService")
+}
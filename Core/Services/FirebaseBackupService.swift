@@ -30,9 +30,11 @@ class FirebaseBackupService {
 
   /// Backup a habit to Firestore (non-blocking)
   /// Collection: users/{userId}/habits/{habitId}
-  func backupHabit(_ habit: Habit) {
+  /// Pass `restoring` when the habit comes back from Recently Deleted, so a
+  /// soft-deleted backup is restored instead of refused.
+  func backupHabit(_ habit: Habit, restoring: Bool = false) {
     Task.detached { [weak self] in
-      await self?.performHabitBackup(habit)
+      await self?.performHabitBackup(habit, restoring: restoring)
     }
   }
 
@@ -70,30 +72,23 @@ class FirebaseBackupService {
     }
   }
 
-  /// Delete a habit from Firestore backup (non-blocking)
+  /// Soft-delete a habit in Firestore backup (non-blocking)
   func deleteHabitBackup(habitId: UUID) {
     Task.detached { [weak self] in
       await self?.performHabitDeletion(habitId: habitId)
     }
   }
   
-  /// Delete a habit from Firestore backup (blocking/awaited)
+  /// Soft-delete a habit in Firestore backup (blocking/awaited)
   /// ✅ CRITICAL FIX: This method awaits deletion completion to prevent habit restoration
   /// Use this when deletion must complete before proceeding (e.g., before reloading habits)
   func deleteHabitBackupAwait(habitId: UUID) async {
     await performHabitDeletion(habitId: habitId)
   }
   
-  /// Delete all completion records for a habit from Firestore backup (blocking/awaited)
-  /// ✅ CRITICAL FIX: This prevents orphaned completion records from recreating the habit
-  /// Completion records are stored at: users/{userId}/completions/{yearMonth}/completions/{habitId}_{dateKey}
-  func deleteCompletionRecordsForHabitAwait(habitId: UUID) async {
-    await performCompletionRecordsDeletion(habitId: habitId)
-  }
-
   // MARK: - Private Implementation
 
-  private func performHabitBackup(_ habit: Habit) async {
+  private func performHabitBackup(_ habit: Habit, restoring: Bool) async {
     // ✅ CRITICAL BUG FIX: Check if this habit was recently deleted - don't re-upload it
     if SyncEngine.isHabitDeleted(habit.id) {
       logger.info("⏭️ FirebaseBackupService: Skipping backup for deleted habit '\(habit.name)'")
@@ -118,12 +113,12 @@ class FirebaseBackupService {
       var dataWithTimestamp = habitData
       dataWithTimestamp["syncedAt"] = Timestamp(date: Date())
 
-      let docRef = db.collection("users")
-        .document(userId)
-        .collection("habits")
-        .document(habit.id.uuidString)
-
-      try await docRef.setData(dataWithTimestamp, merge: true)
+      // Counts new and restored habits against the free-tier limit
+      try await HabitWriteService.shared.save(
+        userId: userId,
+        habitId: habit.id.uuidString,
+        data: dataWithTimestamp,
+        restoring: restoring)
       print("✅ [CLOUD_BACKUP] Habit backed up: '\(habit.name)' (\(habit.id.uuidString.prefix(8))…)")
       logger.info("✅ FirebaseBackupService: Backed up habit '\(habit.name)'")
       
@@ -163,7 +158,8 @@ class FirebaseBackupService {
       // ✅ FIX 1: Use SAME document ID format as SyncEngine
       let completionId = "comp_\(habitId.uuidString)_\(dateKey)"
       
-      let now = Date()
+      // The write throttle keys completions on updatedAt, so write it at millisecond precision
+      let now = WriteRateLimiter.timestamp(for: Date())
       
       // ✅ FIX 2: Include ALL fields that SyncEngine expects
       let completionData: [String: Any] = [
@@ -173,8 +169,8 @@ class FirebaseBackupService {
         "dateKey": dateKey,
         "isCompleted": isCompleted,
         "progress": progress,
-        "createdAt": Timestamp(date: now),    // ✅ SyncEngine reads this
-        "updatedAt": Timestamp(date: now),    // ✅ SyncEngine reads this
+        "createdAt": now,    // ✅ SyncEngine reads this
+        "updatedAt": now,    // ✅ SyncEngine reads this
         "completionId": completionId
       ]
 
@@ -186,7 +182,12 @@ class FirebaseBackupService {
         .collection("completions")  // ✅ Not "records"!
         .document(completionId)     // ✅ Use completionId format
 
-      try await docRef.setData(completionData, merge: true)
+      try await WriteRateLimiter.shared.commit(
+        userId: userId,
+        keys: [WriteRateLimiter.completionKey(docKey: completionId, updatedAt: now)])
+      { batch in
+        batch.setData(completionData, forDocument: docRef, merge: true)
+      }
       
     } catch {
       // ✅ IMPROVED: Better error handling for permission errors
@@ -223,12 +224,17 @@ class FirebaseBackupService {
         "syncedAt": Timestamp(date: Date())
       ]
 
-      let docRef = db.collection("users")
+      let awards = db.collection("users")
         .document(userId)
         .collection("daily_awards")
-        .document(dateKey)
+      
+      // SyncEngine stores the day as {userId}#{dateKey}; the rules allow one award per day
+      let syncedAward = try await awards.document("\(userId)#\(dateKey)").getDocument()
+      if syncedAward.exists {
+        return
+      }
 
-      try await docRef.setData(awardData, merge: true)
+      try await awards.document(dateKey).setData(awardData, merge: true)
       
     } catch {
       // ✅ IMPROVED: Better error handling for permission errors
@@ -258,7 +264,7 @@ class FirebaseBackupService {
         .collection("habits")
         .document(habitId.uuidString)
 
-      try await docRef.delete()
+      try await softDeleteHabitDocument(docRef)
       
     } catch {
       print("⚠️ [CLOUD_BACKUP] Habit deletion failed: \(error.localizedDescription)")
@@ -275,94 +281,6 @@ class FirebaseBackupService {
     }
   }
   
-  /// Delete all completion records for a habit from Firestore
-  /// Completion records are stored at: users/{userId}/completions/{yearMonth}/completions/{habitId}_{dateKey}
-  /// Checks yearMonth collections for the last 2 years and deletes records matching the habitId prefix
-  private func performCompletionRecordsDeletion(habitId: UUID) async {
-    guard let userId = await getCurrentUserId() else {
-      return
-    }
-
-    guard FirebaseApp.app() != nil else {
-      return
-    }
-
-    // ✅ FIX: Removed unreachable do-catch block - all operations use try? which doesn't throw
-    let habitIdString = habitId.uuidString
-    let completionsRef = db.collection("users")
-      .document(userId)
-      .collection("completions")
-    
-    // ✅ Generate yearMonth values for the last 2 years (reasonable range for habit completions)
-    // Format: "YYYY-MM" (e.g., "2024-12", "2025-01")
-    let calendar = Calendar.current
-    let now = Date()
-    var yearMonths: [String] = []
-    
-    // Generate yearMonth values for last 24 months
-    for monthOffset in 0..<24 {
-      guard let date = calendar.date(byAdding: .month, value: -monthOffset, to: now) else { continue }
-      let year = calendar.component(.year, from: date)
-      let month = calendar.component(.month, from: date)
-      let yearMonth = String(format: "%04d-%02d", year, month)
-      yearMonths.append(yearMonth)
-    }
-    
-    var totalDeleted = 0
-    
-    // ✅ FIX: Check both "completions" (new) and "records" (legacy) subcollections
-    let subcollectionNames = ["completions", "records"]
-    
-    // Check each yearMonth collection
-    for yearMonth in yearMonths {
-      for subcollectionName in subcollectionNames {
-        let recordsRef = completionsRef
-          .document(yearMonth)
-          .collection(subcollectionName)
-        
-        // Get all records in this yearMonth/subcollection
-        // Note: This will return empty if the subcollection doesn't exist or has no documents
-        let recordsSnapshot = try? await recordsRef.getDocuments()
-        
-        guard let recordsSnapshot = recordsSnapshot, !recordsSnapshot.documents.isEmpty else {
-          continue // Skip empty collections
-        }
-        
-        // Filter and delete records where document ID matches habitId
-        // OR where the habitId field in the document data matches
-        for recordDoc in recordsSnapshot.documents {
-          let recordId = recordDoc.documentID
-          let recordData = recordDoc.data()
-          let recordHabitId = recordData["habitId"] as? String ?? ""
-          
-          // ✅ FIX: Check both old and new ID formats:
-          // Old format: "{habitId}_{dateKey}"
-          // New format: "comp_{habitId}_{dateKey}"
-          // Also check the habitId field in document data
-          let oldFormatPrefix = habitIdString + "_"
-          let newFormatPrefix = "comp_" + habitIdString + "_"
-          let matchesOldFormat = recordId.hasPrefix(oldFormatPrefix)
-          let matchesNewFormat = recordId.hasPrefix(newFormatPrefix)
-          let matchesByField = recordHabitId == habitIdString
-          
-          if matchesOldFormat || matchesNewFormat || matchesByField {
-            do {
-              try await recordDoc.reference.delete()
-              totalDeleted += 1
-            } catch {
-              // Continue with other records even if one fails
-            }
-          }
-        }
-      }
-    }
-    
-    print("☁️ [CLOUD_BACKUP] Completion records deleted from Firestore")
-    print("   Habit ID: \(habitIdString.prefix(8))...")
-    print("   Total records deleted: \(totalDeleted)")
-    logger.info("✅ FirebaseBackupService: Deleted \(totalDeleted) completion records for habit \(habitIdString.prefix(8))... from Firestore")
-  }
-
   // MARK: - Retry Pending Deletions
   
   /// ✅ BUG FIX: Retry pending Firestore deletions that failed previously
@@ -396,8 +314,8 @@ class FirebaseBackupService {
           .collection("habits")
           .document(habitIdString)
         
-        try await docRef.delete()
-        logger.info("✅ FirebaseBackupService: Retry succeeded - Deleted habit \(habitIdString.prefix(8))... from Firestore")
+        try await softDeleteHabitDocument(docRef)
+        logger.info("✅ FirebaseBackupService: Retry succeeded - Soft-deleted habit \(habitIdString.prefix(8))... in Firestore")
       } catch {
         logger.warning("⚠️ FirebaseBackupService: Retry failed for habit \(habitIdString.prefix(8))...: \(error.localizedDescription)")
         stillPending.append(habitIdString)
@@ -471,11 +389,24 @@ class FirebaseBackupService {
         if data["createdAt"] == nil {
           newData["createdAt"] = data["syncedAt"] ?? Timestamp(date: Date())
         }
-        if data["updatedAt"] == nil {
-          newData["updatedAt"] = data["syncedAt"] ?? Timestamp(date: Date())
-        }
+        // The write throttle keys completions on updatedAt, so write it at millisecond precision
+        let updatedAt = WriteRateLimiter.timestamp(
+          for: ((data["updatedAt"] ?? data["syncedAt"]) as? Timestamp)?.dateValue() ?? Date())
+        newData["updatedAt"] = updatedAt
         
-        try? await newRef.setData(newData, merge: true)
+        // Migration is a bulk write: use the restore bucket of the rate window
+        do {
+          try await WriteRateLimiter.shared.commit(
+            userId: userId,
+            keys: [],
+            bulkKeys: [WriteRateLimiter.completionKey(docKey: newCompletionId, updatedAt: updatedAt)])
+          { batch in
+            batch.setData(newData, forDocument: newRef, merge: true)
+          }
+        } catch {
+          logger.warning("⚠️ FirebaseBackupService: Failed to migrate record \(oldDoc.documentID): \(error.localizedDescription)")
+          continue
+        }
         
         // Delete old record
         try? await oldDoc.reference.delete()
@@ -493,6 +424,19 @@ class FirebaseBackupService {
 
   // MARK: - Helper Methods
 
+  /// Set deletedAt on a habit document. The rules refuse client deletes;
+  /// purgeDeletedHabits removes the habit and its dependents after the
+  /// retention window. A habit that was never backed up has nothing to delete.
+  private func softDeleteHabitDocument(_ docRef: DocumentReference) async throws {
+    do {
+      try await docRef.updateData(["deletedAt": FieldValue.serverTimestamp()])
+    } catch let error as NSError
+      where error.domain == FirestoreErrorDomain && error.code == FirestoreErrorCode.notFound.rawValue
+    {
+      return
+    }
+  }
+
   private func getCurrentUserId() async -> String? {
     await MainActor.run {
       // Check Firebase Auth first
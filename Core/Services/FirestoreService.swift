@@ -83,11 +83,8 @@ class FirestoreService: FirebaseService, ObservableObject {
     let firestoreHabit = FirestoreHabit(from: habit)
     let habitData = firestoreHabit.toFirestoreData()
     
-    try await db.collection("users")
-      .document(userId)
-      .collection("habits")
-      .document(habit.id.uuidString)
-      .setData(habitData, merge: true)
+    // Counts the habit against the free-tier limit
+    try await HabitWriteService.shared.save(userId: userId, habitId: habit.id.uuidString, data: habitData)
     
     // Update local cache
     habits.append(habit)
@@ -112,11 +109,8 @@ class FirestoreService: FirebaseService, ObservableObject {
     let firestoreHabit = FirestoreHabit(from: habit)
     let habitData = firestoreHabit.toFirestoreData()
     
-    try await db.collection("users")
-      .document(userId)
-      .collection("habits")
-      .document(habit.id.uuidString)
-      .setData(habitData, merge: true)
+    // Merges into a live habit; creates (and counts) it if it is missing
+    try await HabitWriteService.shared.save(userId: userId, habitId: habit.id.uuidString, data: habitData)
     
     // Update local cache
     if let index = habits.firstIndex(where: { $0.id == habit.id }) {
@@ -127,7 +121,7 @@ class FirestoreService: FirebaseService, ObservableObject {
     incrementCounter("dualwrite.update.primary_ok")
   }
   
-  /// Delete a habit
+  /// Soft-delete a habit: sets deletedAt; purgeDeletedHabits removes it after the retention window
   @MainActor
   func deleteHabit(id: String) async throws {
     guard isConfigured else {
@@ -142,7 +136,7 @@ class FirestoreService: FirebaseService, ObservableObject {
       .document(userId)
       .collection("habits")
       .document(id)
-      .delete()
+      .updateData(["deletedAt": FieldValue.serverTimestamp()])
     
     // Update local cache
     habits.removeAll { $0.id.uuidString == id }
@@ -196,6 +190,8 @@ class FirestoreService: FirebaseService, ObservableObject {
     print("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━")
     
     let fetchedHabits = snapshot.documents.compactMap { doc -> Habit? in
+      // Soft-deleted habits stay in Firestore until purged
+      guard doc.data()["deletedAt"] == nil || doc.data()["deletedAt"] is NSNull else { return nil }
       do {
         let firestoreHabit = try doc.data(as: FirestoreHabit.self)
         return firestoreHabit.toHabit()
@@ -280,7 +276,9 @@ class FirestoreService: FirebaseService, ObservableObject {
         guard let snapshot = snapshot else { return }
         
         Task { @MainActor in
-          let fetchedHabits = snapshot.documents.compactMap { doc in
+          let fetchedHabits = snapshot.documents.compactMap { doc -> Habit? in
+            // Soft-deleted habits stay in Firestore until purged
+            guard doc.data()["deletedAt"] == nil || doc.data()["deletedAt"] is NSNull else { return nil }
             do {
               let firestoreHabit = try doc.data(as: FirestoreHabit.self)
               return firestoreHabit.toHabit()
@@ -317,26 +315,33 @@ class FirestoreService: FirebaseService, ObservableObject {
   
   // MARK: - XP & Progress Operations
   
-  /// Save user's current progress (total XP, level, etc.)
+  /// Grant server XP for days that earned the daily completion bonus
+  ///
+  /// xp/state is server-authoritative (functions/src/xp.js), so progress is not
+  /// written directly: each day goes through the awardXP callable, which checks
+  /// it against the synced completions. Call this after those are migrated.
+  /// Returns the number of days the server accepted.
   @MainActor
-  func saveUserProgress(_ progress: FirestoreUserProgress) async throws {
+  @discardableResult
+  func grantXP(forAwardedDays dateKeys: [String]) async throws -> Int {
     guard isConfigured else {
       throw FirestoreServiceError.notConfigured
     }
     
-    guard let userId = currentUserId else {
+    guard currentUserId != nil else {
       throw FirestoreServiceError.notAuthenticated
     }
     
-    let progressData = progress.toFirestoreData()
-    
-    // Use transaction to prevent race conditions
-    let docRef = db.collection("users")
-      .document(userId)
-      .collection("xp")
-      .document("state")
-    
-    try await docRef.setData(progressData, merge: true)
+    var granted = 0
+    for dateKey in Set(dateKeys).sorted() {
+      do {
+        try await XPServerService.shared.awardDailyBonus(dateKey: dateKey)
+        granted += 1
+      } catch where XPServerService.isNotEarned(error) {
+        print("⚠️ FirestoreService: Server does not show \(dateKey) as earned; skipping")
+      }
+    }
+    return granted
   }
   
   /// Load user's current progress
@@ -375,23 +380,8 @@ class FirestoreService: FirebaseService, ObservableObject {
       return
     }
     
-    // Delete xp/state document
-    try? await db.collection("users")
-      .document(userId)
-      .collection("xp")
-      .document("state")
-      .delete()
-    
-    // Delete XP ledger entries
-    if let ledgerSnapshot = try? await db.collection("users")
-      .document(userId)
-      .collection("xp_ledger")
-      .getDocuments()
-    {
-      for document in ledgerSnapshot.documents {
-        try? await document.reference.delete()
-      }
-    }
+    // xp/state and xp_ledger are server-authoritative; the resetXP callable deletes both
+    try? await XPServerService.shared.reset()
     
     // Delete daily awards
     if let awardsSnapshot = try? await db.collection("users")
@@ -646,8 +636,32 @@ class FirestoreService: FirebaseService, ObservableObject {
     
     let userRef = db.collection("users").document(userId)
     
+    // xp/state and xp_ledger are server-authoritative; the resetXP callable deletes both
+    do {
+      try await XPServerService.shared.reset()
+      print("✅ DELETE_ALL: Deleted XP ledger and state")
+    } catch {
+      print("⚠️ DELETE_ALL: Error deleting XP: \(error.localizedDescription)")
+    }
+    
+    // Habits cannot be deleted by the client: soft-delete them and let
+    // purgeDeletedHabits remove them with their dependents
+    do {
+      let snapshot = try await userRef.collection("habits").getDocuments()
+      var softDeleted = 0
+      for document in snapshot.documents {
+        let deletedAt = document.data()["deletedAt"]
+        guard deletedAt == nil || deletedAt is NSNull else { continue }
+        try await document.reference.updateData(["deletedAt": FieldValue.serverTimestamp()])
+        softDeleted += 1
+      }
+      print("✅ DELETE_ALL: Soft-deleted \(softDeleted) habits")
+    } catch {
+      print("⚠️ DELETE_ALL: Error soft-deleting habits: \(error.localizedDescription)")
+    }
+    
     // Collections to delete
-    let collections = ["habits", "completions", "awards", "events", "xp", "progress", "daily_awards", "xp_ledger", "meta"]
+    let collections = ["completions", "awards", "events", "progress", "daily_awards", "meta"]
     
     for collectionName in collections {
       do {
@@ -0,0 +1,93 @@
+import FirebaseFirestore
+import Foundation
+import OSLog
+
+// MARK: - HabitWriteService
+
+/// Writes habit documents the way the rules' free-tier limit requires
+///
+/// Creating or restoring a habit must, in the same write, move
+/// `/users/{uid}/meta/habit_count` up by exactly one and name the habit in
+/// `lastHabitId` (`countsHabit` in firestore.rules), so a batch can never add
+/// several habits past the limit. The counter is read in a transaction, so
+/// concurrent creates retry instead of both counting from the same value.
+/// Updates to a live habit are merged as they are.
+final class HabitWriteService {
+  // MARK: Lifecycle
+
+  private init() { }
+
+  // MARK: Internal
+
+  static let shared = HabitWriteService()
+
+  /// Create `habitId` or merge `data` into it
+  ///
+  /// With `restoring`, a soft-deleted habit is restored first (the rules only
+  /// accept clearing deletedAt while it is deleted), then `data` is merged.
+  /// When the rules refuse a counted write, current StoreKit entitlements are
+  /// sent to the server once and the write is retried: the server may not have
+  /// seen a purchase made on this device yet.
+  func save(userId: String, habitId: String, data: [String: Any], restoring: Bool = false) async throws {
+    do {
+      try await commit(userId: userId, habitId: habitId, data: data, restoring: restoring)
+    } catch {
+      guard WriteRateLimiter.isPermissionDenied(error),
+            await EntitlementService.shared.syncCurrentEntitlements() > 0 else {
+        throw error
+      }
+      logger.info("🔄 HabitWriteService: Retrying habit \(habitId.prefix(8))... after syncing entitlements")
+      try await commit(userId: userId, habitId: habitId, data: data, restoring: restoring)
+    }
+  }
+
+  static func isSoftDeleted(_ data: [String: Any]?) -> Bool {
+    guard let deletedAt = data?["deletedAt"] else { return false }
+    return !(deletedAt is NSNull)
+  }
+
+  // MARK: Private
+
+  private let logger = Logger(subsystem: "com.habitto.app", category: "HabitWriteService")
+
+  private var firestore: Firestore { Firestore.firestore() }
+
+  private func commit(userId: String, habitId: String, data: [String: Any], restoring: Bool) async throws {
+    let userRef = firestore.collection("users").document(userId)
+    let habitRef = userRef.collection("habits").document(habitId)
+    let countRef = userRef.collection("meta").document("habit_count")
+
+    let restored = try await firestore.runTransaction({ transaction, errorPointer -> Any? in
+      do {
+        let habit = try transaction.getDocument(habitRef)
+        let isSoftDeleted = Self.isSoftDeleted(habit.data())
+        guard !habit.exists || (restoring && isSoftDeleted) else {
+          transaction.setData(data, forDocument: habitRef, merge: true)
+          return false
+        }
+
+        let counter = try transaction.getDocument(countRef)
+        transaction.setData([
+          "count": (counter.data()?["count"] as? Int ?? 0) + 1,
+          "lastHabitId": habitId,
+          "updatedAt": FieldValue.serverTimestamp()
+        ], forDocument: countRef)
+
+        guard habit.exists else {
+          transaction.setData(data, forDocument: habitRef)
+          return false
+        }
+        transaction.updateData(["deletedAt": NSNull()], forDocument: habitRef)
+        return true
+      } catch let fetchError as NSError {
+        errorPointer?.pointee = fetchError
+        return nil
+      }
+    })
+
+    // The restore above only cleared deletedAt; merge the rest now the habit is live
+    if restored as? Bool == true, !data.isEmpty {
+      try await habitRef.setData(data, merge: true)
+    }
+  }
+}
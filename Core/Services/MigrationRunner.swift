@@ -304,17 +304,9 @@ final class MigrationRunner {
           continue
         }
         
-        // Calculate UTC day boundaries for timezone safety
-        let calendar = Calendar.current
+        // Local day window for the date (Date values are already absolute instants)
         let timezone = TimeZone.current
-        let dayStart = calendar.startOfDay(for: date)
-        guard let dayEnd = calendar.date(byAdding: .day, value: 1, to: dayStart) else {
-          logger.warning("MigrationRunner: Failed to calculate day end for \(dateKeyString), skipping")
-          continue
-        }
-        
-        let utcDayStart = dayStart.addingTimeInterval(-TimeInterval(timezone.secondsFromGMT(for: dayStart)))
-        let utcDayEnd = dayEnd.addingTimeInterval(-TimeInterval(timezone.secondsFromGMT(for: dayEnd)))
+        let (utcDayStart, utcDayEnd) = EventSourcedUtils.utcDayBoundaries(for: date)
         
         // Get deterministic sequence number for migration events
         // MigrationRunner is @MainActor, so can call EventSequenceCounter directly
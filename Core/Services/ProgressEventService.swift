@@ -68,21 +68,10 @@ final class ProgressEventService {
             throw error
         }
         
-        // Calculate UTC day boundaries for timezone safety
-        let calendar = Calendar.current
-        let timezone = TimeZone.current
-        
-        // Get start and end of day in local timezone
-        let dayStart = calendar.startOfDay(for: date)
-        guard let dayEnd = calendar.date(byAdding: .day, value: 1, to: dayStart) else {
-            let error = ProgressEventError.dateCalculationFailed
-            logger.error("Failed to calculate day end for date: \(date)")
-            throw error
-        }
-        
-        // Convert to UTC for storage (ensures timezone-safe grouping)
-        let utcDayStart = dayStart.addingTimeInterval(-TimeInterval(timezone.secondsFromGMT(for: dayStart)))
-        let utcDayEnd = dayEnd.addingTimeInterval(-TimeInterval(timezone.secondsFromGMT(for: dayEnd)))
+        // Local day window as UTC instants. startOfDay already returns an
+        // absolute instant, so no further offset is applied (subtracting
+        // secondsFromGMT again shifted the window by the zone's offset).
+        let (utcDayStart, utcDayEnd) = EventSourcedUtils.utcDayBoundaries(for: date)
         
         // Get deterministic sequence number for this device+dateKey combination
         // This ensures same inputs always produce same ID (true idempotency)
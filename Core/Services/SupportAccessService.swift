@@ -0,0 +1,91 @@
+import FirebaseFirestore
+import FirebaseFunctions
+import Foundation
+import OSLog
+
+// MARK: - SupportGrant
+
+/// One `/users/{uid}/support_grants/{supportUid}` doc
+struct SupportGrant: Identifiable {
+  let supportUid: String
+  let ticketId: String
+  let status: String
+  let approvedAt: Date?
+  let expiresAt: Date?
+  let revokedAt: Date?
+
+  var id: String { supportUid }
+
+  /// Approved and not yet expired: support can read the user's data now
+  var isActive: Bool {
+    status == "approved" && (expiresAt.map { $0 > Date() } ?? false)
+  }
+
+  static func from(_ doc: QueryDocumentSnapshot) -> SupportGrant? {
+    let data = doc.data()
+    guard let ticketId = data["ticketId"] as? String,
+          let status = data["status"] as? String else {
+      return nil
+    }
+    return SupportGrant(
+      supportUid: doc.documentID,
+      ticketId: ticketId,
+      status: status,
+      approvedAt: (data["approvedAt"] as? Timestamp)?.dateValue(),
+      expiresAt: (data["expiresAt"] as? Timestamp)?.dateValue(),
+      revokedAt: (data["revokedAt"] as? Timestamp)?.dateValue())
+  }
+}
+
+// MARK: - SupportAccessService
+
+/// Client for the support-access callables (functions/src/support.js)
+///
+/// A support agent gives the user their support id and the ticket; the user
+/// approves it here for a limited time and can revoke it before it expires.
+/// The grant docs are read directly (owner-readable); every change goes
+/// through the callables, which check the support account and audit it.
+final class SupportAccessService {
+  // MARK: Lifecycle
+
+  private init() { }
+
+  // MARK: Internal
+
+  static let shared = SupportAccessService()
+
+  /// Longest approval the server accepts
+  static let maxHours = 72
+
+  /// The signed-in user's grants, newest approval first
+  func grants(userId: String) async throws -> [SupportGrant] {
+    let snapshot = try await Firestore.firestore().collection("users")
+      .document(userId)
+      .collection("support_grants")
+      .getDocuments()
+    return snapshot.documents
+      .compactMap(SupportGrant.from)
+      .sorted { ($0.approvedAt ?? .distantPast) > ($1.approvedAt ?? .distantPast) }
+  }
+
+  /// Let `supportUid` read the signed-in user's data for `ticketId` during the next `hours`
+  func approve(supportUid: String, ticketId: String, hours: Int) async throws {
+    _ = try await functions.httpsCallable("approveSupportAccess").call([
+      "supportUid": supportUid,
+      "ticketId": ticketId,
+      "hours": hours
+    ])
+    logger.info("✅ SupportAccessService: approved \(supportUid) for \(ticketId), \(hours)h")
+  }
+
+  /// End `supportUid`'s access now
+  func revoke(supportUid: String) async throws {
+    _ = try await functions.httpsCallable("revokeSupportAccess").call(["supportUid": supportUid])
+    logger.info("✅ SupportAccessService: revoked \(supportUid)")
+  }
+
+  // MARK: Private
+
+  private lazy var functions = Functions.functions()
+  private let logger = Logger(subsystem: "com.habitto.app", category: "SupportAccessService")
+}
@@ -0,0 +1,176 @@
+import FirebaseFirestore
+import Foundation
+import OSLog
+
+// MARK: - RateLimitError
+
+enum RateLimitError: LocalizedError {
+  case windowFull(retryAfter: TimeInterval)
+
+  var errorDescription: String? {
+    switch self {
+    case .windowFull(let retryAfter):
+      "Too many writes in the last minute; try again in \(max(Int(retryAfter.rounded(.up)), 1))s"
+    }
+  }
+}
+
+// MARK: - WriteRateLimiter
+
+/// Client side of the rules' write throttle (`/users/{uid}/rate_limits/writes`)
+///
+/// Every progress event create and every completion write must add its key to
+/// the signed-in user's current rate window in the same batch. Events use their
+/// id; completions use `completionKey(docKey:updatedAt:)`. Interactive writes go
+/// in `ids` (120 per minute), backfills and restores in `bulkIds` (500 per minute).
+final class WriteRateLimiter {
+  // MARK: Lifecycle
+
+  private init() { }
+
+  // MARK: Internal
+
+  static let shared = WriteRateLimiter()
+
+  static let windowLength: TimeInterval = 60
+  static let idsCapacity = 120
+  static let bulkIdsCapacity = 500
+
+  /// `date` truncated to whole milliseconds, so the key matches what the rules read back
+  static func timestamp(for date: Date) -> Timestamp {
+    let timestamp = Timestamp(date: date)
+    return Timestamp(
+      seconds: timestamp.seconds,
+      nanoseconds: timestamp.nanoseconds / 1_000_000 * 1_000_000)
+  }
+
+  /// Rate key for a completion document: `{docKey}@{updatedAt in ms}`
+  ///
+  /// `docKey` is `{localDate}_{habitId}` for daily completions and the record id
+  /// for completion records. `updatedAt` must be the exact value written.
+  static func completionKey(docKey: String, updatedAt: Timestamp) -> String {
+    let millis = updatedAt.seconds * 1000 + Int64(updatedAt.nanoseconds / 1_000_000)
+    return "\(docKey)@\(millis)"
+  }
+
+  /// Commit the writes added by `build` together with their rate keys
+  ///
+  /// `build` may run more than once: the batch is rebuilt when the window has to
+  /// be reopened or is full (in which case this waits for it to expire).
+  func commit(
+    userId: String,
+    keys: [String],
+    bulkKeys: [String] = [],
+    build: (WriteBatch) -> Void) async throws
+  {
+    guard !keys.isEmpty || !bulkKeys.isEmpty else {
+      let batch = firestore.batch()
+      build(batch)
+      try await batch.commit()
+      return
+    }
+
+    let windowRef = firestore.collection("users")
+      .document(userId)
+      .collection("rate_limits")
+      .document("writes")
+    var forceNewWindow: Bool?
+
+    for attempt in 0..<Self.maxAttempts {
+      let snapshot = try await windowRef.getDocument()
+      let window = openWindow(snapshot)
+
+      if let window, forceNewWindow != true,
+         window.ids + keys.count > Self.idsCapacity || window.bulkIds + bulkKeys.count > Self.bulkIdsCapacity
+      {
+        let wait = max(window.expiresAt.timeIntervalSinceNow, 0) + 1
+        logger.info("⏳ WriteRateLimiter: rate window full, waiting \(Int(wait))s")
+        try await Task.sleep(nanoseconds: UInt64(wait * 1_000_000_000))
+        forceNewWindow = true
+        continue
+      }
+
+      let batch = firestore.batch()
+      build(batch)
+      let added: [String: Any] = [
+        "ids": Dictionary(uniqueKeysWithValues: keys.map { ($0, true) }),
+        "bulkIds": Dictionary(uniqueKeysWithValues: bulkKeys.map { ($0, true) })
+      ]
+      let opensWindow = forceNewWindow ?? (window == nil)
+      if opensWindow {
+        var fresh = added
+        fresh["windowStart"] = FieldValue.serverTimestamp()
+        batch.setData(fresh, forDocument: windowRef)
+      } else {
+        batch.setData(added, forDocument: windowRef, merge: true)
+      }
+
+      do {
+        try await batch.commit()
+        return
+      } catch {
+        // The local clock disagrees with the server about whether the window
+        // has expired; try the other way once before giving up
+        guard Self.isPermissionDenied(error), attempt < Self.maxAttempts - 1 else { throw error }
+        logger.warning("⚠️ WriteRateLimiter: rate window rejected, retrying with \(opensWindow ? "current" : "new") window")
+        forceNewWindow = !opensWindow
+      }
+    }
+  }
+
+  /// Add `keys` to the rate window inside a transaction that writes the throttled documents
+  ///
+  /// Call before the transaction's writes (Firestore transactions read first).
+  /// Throws `RateLimitError.windowFull` rather than waiting inside the transaction.
+  func addKeys(_ keys: [String], userId: String, in transaction: Transaction) throws {
+    let windowRef = firestore.collection("users")
+      .document(userId)
+      .collection("rate_limits")
+      .document("writes")
+    let added: [String: Any] = ["ids": Dictionary(uniqueKeysWithValues: keys.map { ($0, true) })]
+
+    guard let window = openWindow(try transaction.getDocument(windowRef)) else {
+      var fresh = added
+      fresh["windowStart"] = FieldValue.serverTimestamp()
+      fresh["bulkIds"] = [String: Any]()
+      transaction.setData(fresh, forDocument: windowRef)
+      return
+    }
+    guard window.ids + keys.count <= Self.idsCapacity else {
+      throw RateLimitError.windowFull(retryAfter: window.expiresAt.timeIntervalSinceNow)
+    }
+    transaction.setData(added, forDocument: windowRef, merge: true)
+  }
+
+  static func isPermissionDenied(_ error: Error) -> Bool {
+    let nsError = error as NSError
+    return nsError.domain == FirestoreErrorDomain
+      && nsError.code == FirestoreErrorCode.permissionDenied.rawValue
+  }
+
+  // MARK: Private
+
+  private struct OpenWindow {
+    let expiresAt: Date
+    let ids: Int
+    let bulkIds: Int
+  }
+
+  private static let maxAttempts = 3
+
+  private var firestore: Firestore { Firestore.firestore() }
+  private let logger = Logger(subsystem: "com.habitto.app", category: "WriteRateLimiter")
+
+  private func openWindow(_ snapshot: DocumentSnapshot) -> OpenWindow? {
+    guard let data = snapshot.data(),
+          let windowStart = (data["windowStart"] as? Timestamp)?.dateValue() else {
+      return nil
+    }
+    let expiresAt = windowStart.addingTimeInterval(Self.windowLength)
+    guard expiresAt > Date() else { return nil }
+    return OpenWindow(
+      expiresAt: expiresAt,
+      ids: (data["ids"] as? [String: Any])?.count ?? 0,
+      bulkIds: (data["bulkIds"] as? [String: Any])?.count ?? 0)
+  }
+}
@@ -0,0 +1,148 @@
+import FirebaseFirestore
+import FirebaseFunctions
+import Foundation
+import OSLog
+
+// MARK: - XPAwardResult
+
+/// Server XP state returned by the awardXP callable
+struct XPAwardResult {
+  let totalXP: Int
+  let level: Int
+  let currentLevelXP: Int
+  /// true when the server had already recorded this outcome
+  let duplicate: Bool
+
+  static func from(_ data: Any) -> XPAwardResult? {
+    guard let dict = data as? [String: Any],
+          let totalXP = dict["totalXP"] as? Int,
+          let level = dict["level"] as? Int,
+          let currentLevelXP = dict["currentLevelXP"] as? Int else {
+      return nil
+    }
+    return XPAwardResult(
+      totalXP: totalXP,
+      level: level,
+      currentLevelXP: currentLevelXP,
+      duplicate: dict["duplicate"] as? Bool ?? false)
+  }
+}
+
+// MARK: - XPSettledDays
+
+/// Days the awardXP callable has already decided, from the owner's ledger
+struct XPSettledDays {
+  let dateKeys: Set<String>
+  /// First day not covered by the legacy balance, if the user had app-granted XP
+  let coveredBefore: String?
+
+  func contains(_ dateKey: String) -> Bool {
+    if let coveredBefore, dateKey < coveredBefore {
+      return true
+    }
+    return dateKeys.contains(dateKey)
+  }
+}
+
+// MARK: - XPServerService
+
+/// Client for the server-authoritative XP callables (functions/src/xp.js)
+///
+/// `xp/state` and `xp_ledger` are read-only for clients; every change goes
+/// through here. The server derives the amount and checks a daily award
+/// against the day's synced habits and completions, so sync completions
+/// before awarding (SyncEngine does this in its full cycle).
+final class XPServerService {
+  // MARK: Lifecycle
+
+  private init() { }
+
+  // MARK: Internal
+
+  static let shared = XPServerService()
+
+  /// Daily completion bonus granted by DailyAwardService and awardXP
+  static let dailyCompletionXP = 50
+
+  /// Grant the daily completion bonus for `dateKey` (yyyy-MM-dd, local day)
+  @discardableResult
+  func awardDailyBonus(dateKey: String, reason: String? = nil) async throws -> XPAwardResult? {
+    try await callAwardXP(dateKey: dateKey, delta: Self.dailyCompletionXP, reason: reason)
+  }
+
+  /// Reverse the daily completion bonus for `dateKey`; a no-op if it was never granted
+  @discardableResult
+  func reverseDailyBonus(dateKey: String, reason: String? = nil) async throws -> XPAwardResult? {
+    try await callAwardXP(dateKey: dateKey, delta: -Self.dailyCompletionXP, reason: reason)
+  }
+
+  /// Recompute xp/state from the ledger on the server
+  func rebuildState() async throws {
+    _ = try await functions.httpsCallable("rebuildXPState").call()
+    logger.info("✅ XPServerService: xp/state rebuilt from ledger")
+  }
+
+  /// Delete the signed-in user's XP ledger and state on the server
+  func reset() async throws {
+    _ = try await functions.httpsCallable("resetXP").call()
+    logger.info("✅ XPServerService: XP ledger and state deleted")
+  }
+
+  /// Days the server has settled (readable by the owner), which SyncEngine does not send again
+  ///
+  /// A day is settled once the ledger holds a grant for it, or a rejection
+  /// (`rejectedAt`: the synced data did not show it earned), or when it falls
+  /// before `coversBefore` of the `legacy_balance` entry, which carries the
+  /// XP granted on the device before awards moved to the server.
+  func settledDays(userId: String) async throws -> XPSettledDays {
+    let snapshot = try await Firestore.firestore().collection("users")
+      .document(userId)
+      .collection("xp_ledger")
+      .getDocuments()
+
+    var dateKeys = Set<String>()
+    var coveredBefore: String?
+    for doc in snapshot.documents {
+      let data = doc.data()
+      if doc.documentID == "legacy_balance" {
+        coveredBefore = data["coversBefore"] as? String
+        continue
+      }
+      guard data["source"] as? String == "awardXP", let dateKey = data["dateKey"] as? String else {
+        continue
+      }
+      if (data["delta"] as? Int ?? 0) > 0 || data["rejectedAt"] != nil {
+        dateKeys.insert(dateKey)
+      }
+    }
+    return XPSettledDays(dateKeys: dateKeys, coveredBefore: coveredBefore)
+  }
+
+  /// true when the server refused a grant because the day's synced data does not show it earned
+  static func isNotEarned(_ error: Error) -> Bool {
+    let nsError = error as NSError
+    return nsError.domain == FunctionsErrorDomain
+      && nsError.code == FunctionsErrorCode.failedPrecondition.rawValue
+  }
+
+  // MARK: Private
+
+  private lazy var functions = Functions.functions()
+  private let logger = Logger(subsystem: "com.habitto.app", category: "XPServerService")
+
+  private func callAwardXP(dateKey: String, delta: Int, reason: String?) async throws -> XPAwardResult? {
+    var payload: [String: Any] = [
+      "dateKey": dateKey,
+      "delta": delta,
+      "timeZone": TimeZone.current.identifier
+    ]
+    if let reason {
+      payload["reason"] = reason
+    }
+
+    let result = try await functions.httpsCallable("awardXP").call(payload)
+    let award = XPAwardResult.from(result.data)
+    logger.info("✅ XPServerService: awardXP \(delta) for \(dateKey) → totalXP \(award?.totalXP ?? -1)")
+    return award
+  }
+}
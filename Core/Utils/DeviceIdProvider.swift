@@ -5,38 +5,40 @@ import UIKit
 
 /// Provides stable device identifier for event sourcing
 ///
-/// Uses identifierForVendor to generate a stable device ID that:
-/// - Persists across app reinstalls (on same device)
-/// - Changes if app is deleted and reinstalled
+/// Uses the Keychain device identifier (KeychainManager) that:
+/// - Persists across launches, sign-outs and app reinstalls (on same device)
+/// - Is the id the device's `/users/{uid}/devices` doc was registered under
 /// - Unique per device for conflict resolution
 @MainActor
 final class DeviceIdProvider {
     // MARK: - Singleton
-    
+
     static let shared = DeviceIdProvider()
-    
+
     // MARK: - Properties
-    
-    /// Stable device identifier
-    /// Format: "iOS_{deviceModel}_{identifierForVendor}"
+
+    /// Stable device identifier, stored once in the Keychain
     private let deviceId: String
-    
+
+    /// Id this device used before it read the Keychain id
+    /// Format: "iOS_{deviceModel}_{identifierForVendor}"; nil when iOS has no vendor id yet
+    let legacyDeviceId: String?
+
     // MARK: - Initialization
-    
+
     private init() {
-        // Generate stable device ID: "iOS_{model}_{identifierForVendor}"
+        self.deviceId = KeychainManager.shared.getOrCreateDeviceIdentifier()
+
         let model = UIDevice.current.model.replacingOccurrences(of: " ", with: "_")
-        let vendorId = UIDevice.current.identifierForVendor?.uuidString ?? UUID().uuidString
-        self.deviceId = "iOS_\(model)_\(vendorId)"
-        
-        print("🔧 DeviceIdProvider: Generated deviceId: \(deviceId)")
+        self.legacyDeviceId = UIDevice.current.identifierForVendor.map { "iOS_\(model)_\($0.uuidString)" }
+
+        print("🔧 DeviceIdProvider: Using deviceId: \(deviceId)")
     }
-    
+
     // MARK: - Public API
-    
+
     /// Get current device ID
     var currentDeviceId: String {
         deviceId
     }
 }
-
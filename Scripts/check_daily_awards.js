@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * Find days that hold more than one daily award (the "{uid}#{dateKey}" and
+ * "{dateKey}" ids both present), for one user or every user.
+ *
+ * Usage:
+ *   node Scripts/check_daily_awards.js [<uid>] [--json] [--project <projectId>]
+ *
+ * Without a uid every user is scanned with a collection-group query.
+ * Exits 2 when duplicates exist, so it can gate scripts.
+ * Uses Application Default Credentials against production, or the emulator
+ * when FIRESTORE_EMULATOR_HOST is set.
+ */
+
+const parseArgs = (argv) => {
+  const args = { uid: null, json: false, project: null };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--json') {
+      args.json = true;
+    } else if (arg === '--project') {
+      args.project = argv[++i];
+    } else if (!args.uid) {
+      args.uid = arg;
+    }
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.project) {
+    process.env.GCLOUD_PROJECT = args.project;
+  }
+
+  const { db } = require('../functions/src/admin');
+  const { findDuplicateAwards } = require('../functions/src/dailyAwards');
+
+  const report = await findDuplicateAwards(db(), { uid: args.uid });
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`awards: ${report.awardsRead}, unreadable: ${report.unreadable.length}`);
+    report.unreadable.forEach((path) => console.log(`⚠️  no dateKey: ${path}`));
+    report.duplicates.forEach((d) => {
+      console.log(`❌ ${d.userId} ${d.dateKey} ids=${d.docIds.join(',')} excessXP=${d.excessXP}`);
+    });
+    if (report.duplicates.length === 0) {
+      console.log('✅ No duplicate daily awards');
+    }
+  }
+
+  process.exit(report.duplicates.length > 0 ? 2 : 0);
+};
+
+main().catch((error) => {
+  console.error(`❌ Daily award check failed: ${error.message}`);
+  process.exit(1);
+});
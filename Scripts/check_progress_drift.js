@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Compare one user's ProgressEvents against their stored completions.
+ *
+ * Usage:
+ *   node Scripts/check_progress_drift.js <uid> [--repair] [--json] [--project <projectId>]
+ *
+ * --repair rewrites drifted completion docs from the event log.
+ * Exits 2 when drift remains, so it can gate scripts.
+ * Uses Application Default Credentials against production, or the emulator
+ * when FIRESTORE_EMULATOR_HOST is set.
+ */
+
+const parseArgs = (argv) => {
+  const args = { uid: null, repair: false, json: false, project: null };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--repair') {
+      args.repair = true;
+    } else if (arg === '--json') {
+      args.json = true;
+    } else if (arg === '--project') {
+      args.project = argv[++i];
+    } else if (!args.uid) {
+      args.uid = arg;
+    }
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.uid) {
+    console.error('Usage: node Scripts/check_progress_drift.js <uid> [--repair] [--json] [--project <projectId>]');
+    process.exit(1);
+  }
+  if (args.project) {
+    process.env.GCLOUD_PROJECT = args.project;
+  }
+
+  const { db } = require('../functions/src/admin');
+  const { detectDrift, rebuildCompletions } = require('../functions/src/materializer');
+
+  let report = await detectDrift(db(), args.uid);
+  if (args.repair && report.mismatches.length > 0) {
+    const { rebuilt } = await rebuildCompletions(db(), args.uid, report);
+    console.error(`🔧 Rebuilt ${rebuilt} completion doc(s)`);
+    report = await detectDrift(db(), args.uid);
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`events: ${report.eventsRead}, completions: ${report.completionsRead}, ` +
+      `ignored events: ${report.ignoredEvents.length}`);
+    report.mismatches.forEach((m) => {
+      console.log(`❌ ${m.type} ${m.habitId} ${m.dateKey} ` +
+        `expected=${m.expectedProgress ?? '-'} stored=${m.storedProgress ?? '-'}`);
+    });
+    if (report.mismatches.length === 0) {
+      console.log('✅ No drift');
+    }
+  }
+
+  process.exit(report.mismatches.length > 0 ? 2 : 0);
+};
+
+main().catch((error) => {
+  console.error(`❌ Drift check failed: ${error.message}`);
+  process.exit(1);
+});
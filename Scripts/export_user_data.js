@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Export one user's Firestore data as archive.json plus CSVs.
+ *
+ * Usage:
+ *   node Scripts/export_user_data.js <uid> [--out <dir>] [--project <projectId>]
+ *
+ * Uses Application Default Credentials against production, or the emulator
+ * when FIRESTORE_EMULATOR_HOST is set (e.g. under `firebase emulators:exec`).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const parseArgs = (argv) => {
+  const args = { uid: null, out: null, project: null };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--out') {
+      args.out = argv[++i];
+    } else if (arg === '--project') {
+      args.project = argv[++i];
+    } else if (!args.uid) {
+      args.uid = arg;
+    }
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.uid) {
+    console.error('Usage: node Scripts/export_user_data.js <uid> [--out <dir>] [--project <projectId>]');
+    process.exit(1);
+  }
+  if (args.project) {
+    process.env.GCLOUD_PROJECT = args.project;
+  }
+
+  const { db } = require('../functions/src/admin');
+  const { exportUserData } = require('../functions/src/export');
+
+  const { archive, csv } = await exportUserData(db(), args.uid);
+
+  const stamp = archive.exportedAt.replace(/[:.]/g, '-');
+  const outDir = path.resolve(args.out || `habitto-export-${args.uid}-${stamp}`);
+  fs.mkdirSync(outDir, { recursive: true });
+
+  fs.writeFileSync(path.join(outDir, 'archive.json'), `${JSON.stringify(archive, null, 2)}\n`);
+  Object.entries(csv).forEach(([name, contents]) => {
+    fs.writeFileSync(path.join(outDir, name), contents);
+  });
+
+  console.log(`✅ Exported ${args.uid} to ${outDir}`);
+  console.log(`   habits: ${archive.habits.length}, completions: ${archive.completions.length}, ` +
+    `events: ${archive.progressEvents.length}, ledger: ${archive.xp.ledger.length}`);
+};
+
+main().catch((error) => {
+  console.error(`❌ Export failed: ${error.message}`);
+  process.exit(1);
+});
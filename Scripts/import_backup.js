@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Re-import a user's backed-up habits, completions and daily awards through
+ * the security rules, signed in as that user.
+ *
+ * Usage:
+ *   node Scripts/import_backup.js <uid> (--file <archive.json[.gz]> | --snapshot <snapshotId>)
+ *     [--policy skip|overwrite|newest-wins] [--json] [--project <projectId>] [--bucket <name>]
+ *     [--api-key <webApiKey>]
+ *
+ * --file reads a server-backup archive from disk; --snapshot downloads one
+ * from the backup bucket (see restore_user_backup.js). The app's on-device
+ * BackupManager files are not accepted; they are restored in the app. The default policy is
+ * skip. Exits 2 when the rules rejected any document.
+ *
+ * The Admin SDK mints a custom token for <uid> and the client SDK signs in
+ * with it, so every write is checked by firestore.rules exactly like the
+ * app's. Against production this needs Application Default Credentials that
+ * can sign tokens and the project's web API key (--api-key or
+ * FIREBASE_API_KEY); under the emulators (FIRESTORE_EMULATOR_HOST,
+ * FIREBASE_AUTH_EMULATOR_HOST) neither matters.
+ */
+
+const fs = require('fs');
+
+const parseArgs = (argv) => {
+  const args = {
+    uid: null, file: null, snapshot: null, policy: 'skip', json: false, project: null, bucket: null, apiKey: null,
+  };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--file') {
+      args.file = argv[++i];
+    } else if (arg === '--snapshot') {
+      args.snapshot = argv[++i];
+    } else if (arg === '--policy') {
+      args.policy = argv[++i];
+    } else if (arg === '--json') {
+      args.json = true;
+    } else if (arg === '--project') {
+      args.project = argv[++i];
+    } else if (arg === '--bucket') {
+      args.bucket = argv[++i];
+    } else if (arg === '--api-key') {
+      args.apiKey = argv[++i];
+    } else if (!args.uid) {
+      args.uid = arg;
+    }
+  }
+  return args;
+};
+
+/** Compat client app signed in as `uid` through an Admin-minted custom token */
+const signInAs = async (uid, projectId, apiKey) => {
+  const { getAuth } = require('firebase-admin/auth');
+  const { app } = require('../functions/src/admin');
+  const firebase = require('firebase/compat/app');
+  require('firebase/compat/auth');
+  require('firebase/compat/firestore');
+
+  const client = firebase.initializeApp({ projectId, apiKey: apiKey || 'emulator' }, 'backup-import');
+  if (process.env.FIREBASE_AUTH_EMULATOR_HOST) {
+    client.auth().useEmulator(`http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}`);
+  }
+  if (process.env.FIRESTORE_EMULATOR_HOST) {
+    const [host, port] = process.env.FIRESTORE_EMULATOR_HOST.split(':');
+    client.firestore().useEmulator(host, Number(port));
+  }
+
+  await client.auth().signInWithCustomToken(await getAuth(app()).createCustomToken(uid));
+  return client;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.uid || (!args.file === !args.snapshot)) {
+    console.error('Usage: node Scripts/import_backup.js <uid> (--file <archive> | --snapshot <snapshotId>) ' +
+      '[--policy skip|overwrite|newest-wins] [--json] [--project <projectId>] [--bucket <name>] [--api-key <key>]');
+    process.exit(1);
+  }
+  if (args.project) {
+    process.env.GCLOUD_PROJECT = args.project;
+  }
+  if (args.bucket) {
+    process.env.BACKUP_BUCKET = args.bucket;
+  }
+
+  const { app, backupBucket } = require('../functions/src/admin');
+  const { readSnapshot } = require('../functions/src/serverBackup');
+  const { parseImportFile, importArchive } = require('./lib/backupImport');
+
+  const archive = args.file
+    ? parseImportFile(fs.readFileSync(args.file), args.uid)
+    : await readSnapshot(backupBucket(), args.uid, args.snapshot);
+
+  const client = await signInAs(args.uid, app().options.projectId || process.env.GCLOUD_PROJECT,
+    args.apiKey || process.env.FIREBASE_API_KEY);
+  const report = await importArchive(client.firestore(), args.uid, archive, { policy: args.policy });
+  await client.delete();
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`policy: ${report.policy}, imported: ${report.imported}, skipped: ${report.skipped.length}, ` +
+      `not imported (other collections): ${report.ignored}`);
+    report.skipped.forEach((s) => console.log(`⏭️  ${s.path}: ${s.reason}`));
+    report.rejected.forEach((r) => {
+      console.log(`❌ ${r.path} [${r.collection}] ${r.field || '-'}: ${r.problem}`);
+    });
+    if (report.rejected.length === 0) {
+      console.log('✅ No rejections');
+    }
+  }
+
+  process.exit(report.rejected.length > 0 ? 2 : 0);
+};
+
+main().catch((error) => {
+  console.error(`❌ Import failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,340 @@
+/**
+ * Replay a backup archive through the client SDK, under firestore.rules.
+ *
+ * Server restores (functions/src/serverBackup.js) write with the Admin SDK
+ * and skip every validator in the rules. This import instead writes, as the
+ * signed-in user, the documents FirebaseBackupService keeps in Firestore:
+ *
+ *   habits/{habitId}
+ *   completions/{yearMonth}/completions/{completionId}
+ *   daily_awards/{awardDocId}
+ *
+ * Habits go first so completions can reference them. Each document is its
+ * own write (completions together with their key in the user's write
+ * throttle window, see writeThrottle.js; habits it brings live together
+ * with the user's habit counter), so one rejection never blocks the
+ * rest; a rejected document is
+ * reported with the collection and, where the field specs in
+ * documentSchema.js can tell, the field the rules refused.
+ *
+ * Only server-backup archives (serverBackup.js) are accepted. The app's
+ * on-device BackupManager files hold SwiftData records (goal and schedule
+ * strings, colorData, completions without a dateKey) rather than Firestore
+ * documents, usually LZFSE-compressed; those are restored in the app, and
+ * parseImportFile refuses them with that explanation.
+ *
+ * Conflict policies for a document that already exists:
+ *   skip         keep the existing document
+ *   overwrite    replace it (the rules' update checks apply)
+ *   newest-wins  replace it only when the archive's updatedAt is later;
+ *                documents without updatedAt on both sides are kept
+ */
+
+const firebase = require('firebase/compat/app');
+require('firebase/compat/firestore');
+
+const { decodeValue, parseArchive } = require('../../functions/src/serverBackup');
+const { FREE_HABIT_LIMIT, habitCountRef } = require('../../functions/src/entitlements');
+const { VARIANTS } = require('./documentSchema');
+const { commitThrottled, completionRateKey } = require('./writeThrottle');
+
+const POLICIES = ['skip', 'overwrite', 'newest-wins'];
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Compat SDK constructors for decodeValue */
+const CLIENT_TYPES = {
+  timestamp: (seconds, nanoseconds) => new firebase.firestore.Timestamp(seconds, nanoseconds),
+  geopoint: (latitude, longitude) => new firebase.firestore.GeoPoint(latitude, longitude),
+  bytes: (base64) => firebase.firestore.Blob.fromBase64String(base64),
+};
+
+/**
+ * Archive path → the VARIANTS collection it is checked against and the
+ * context its `from` fields compare to. Order is import order.
+ */
+const IMPORTED = [
+  {
+    collection: 'habits',
+    pattern: /^habits\/([^/]+)$/,
+    ctx: (uid, [habitId]) => ({ userId: uid, habitId }),
+  },
+  {
+    collection: 'syncCompletions',
+    pattern: /^completions\/(\d{4}-\d{2})\/completions\/([^/]+)$/,
+    ctx: (uid, [yearMonth, docId], data) => ({
+      userId: uid,
+      yearMonth,
+      docId,
+      habitId: data.habitId,
+      dateKey: data.dateKey,
+    }),
+  },
+  {
+    collection: 'dailyAwards',
+    pattern: /^daily_awards\/([^/]+)$/,
+    ctx: (uid, [awardDocId], data) => ({
+      userId: uid,
+      awardDocId,
+      dateKey: typeof data.dateKey === 'string' ? data.dateKey : data.date,
+    }),
+  },
+];
+
+/** BackupManager's file envelope, or the bare BackupData it wraps */
+const isDeviceBackup = (json) =>
+  json !== null && typeof json === 'object' &&
+  (('payload' in json && 'checksum' in json && 'isCompressed' in json) ||
+    (typeof json.metadata === 'object' && json.metadata !== null && 'backupId' in json.metadata));
+
+/**
+ * Read an archive file for import: a server-backup archive (gzipped or
+ * not), checked against `uid` by serverBackup.parseArchive. An on-device
+ * BackupManager file is refused with the reason rather than a format error.
+ */
+const parseImportFile = (contents, uid) => {
+  let json = null;
+  try {
+    json = JSON.parse(contents.toString('utf8'));
+  } catch (error) {
+    // Gzipped or not JSON: parseArchive reports it
+  }
+  if (isDeviceBackup(json)) {
+    throw new Error('This is an on-device BackupManager file, not a server-backup archive. ' +
+      'It holds SwiftData records rather than Firestore documents; restore it from the app ' +
+      '(More › Backup & Recovery) or import a server snapshot with --snapshot.');
+  }
+  return parseArchive(contents, uid);
+};
+
+const classify = (path) => {
+  for (const [order, entry] of IMPORTED.entries()) {
+    const match = path.match(entry.pattern);
+    if (match) {
+      return { ...entry, order, params: match.slice(1) };
+    }
+  }
+  return null;
+};
+
+// ---------------------------------------------------------------------------
+// Field diagnostics
+// ---------------------------------------------------------------------------
+
+/** What is wrong with one value against its schema field spec, or null */
+const fieldProblem = (spec, value, ctx, data) => {
+  if (value === undefined) {
+    return spec.optional ? null : 'missing';
+  }
+  if (value === null) {
+    return spec.nullable ? null : 'null';
+  }
+  if (spec.bound && value !== ctx[spec.from]) {
+    return `must equal ${ctx[spec.from]}`;
+  }
+  switch (spec.kind) {
+    case 'string':
+      if (typeof value !== 'string') {
+        return 'not a string';
+      }
+      return value.length < spec.min || value.length > spec.max ? `length not in ${spec.min}..${spec.max}` : null;
+    case 'int':
+      if (!Number.isInteger(value)) {
+        return 'not an integer';
+      }
+      if (spec.min !== null && value < spec.min) {
+        return `below ${spec.min}`;
+      }
+      if (spec.max != null && value > spec.max) {
+        return `above ${spec.max}`;
+      }
+      return spec.atMost && value > data[spec.atMost] ? `above ${spec.atMost}` : null;
+    case 'bool':
+      return typeof value === 'boolean' ? null : 'not a bool';
+    case 'timestamp':
+      return value instanceof firebase.firestore.Timestamp ? null : 'not a timestamp';
+    case 'dateKey':
+      if (typeof value !== 'string' || !DATE_KEY.test(value)) {
+        return 'not a YYYY-MM-DD string';
+      }
+      return spec.past && value > new Date().toISOString().slice(0, 10) ? 'in the future' : null;
+    case 'enum':
+      return spec.values.includes(value) ? null : `not one of ${spec.values.join(', ')}`;
+    case 'map':
+      return typeof value === 'object' && !Array.isArray(value) ? null : 'not a map';
+    default:
+      return null;
+  }
+};
+
+/**
+ * Field problems against the closest variants of a VARIANTS collection:
+ * [{ field, problem }] from every variant tied for fewest problems (a
+ * missing timestamp may be createdAt for one variant, grantedAt for
+ * another). Empty when the document matches some variant.
+ */
+const checkDocument = (collection, data, ctx) => {
+  const byVariant = Object.values(VARIANTS[collection]).map((fields) =>
+    Object.entries(fields)
+      .map(([field, spec]) => ({ field, problem: fieldProblem(spec, data[field], ctx, data) }))
+      .filter(({ problem }) => problem !== null)
+  );
+  const fewest = Math.min(...byVariant.map((problems) => problems.length));
+  const seen = new Set();
+  return byVariant
+    .filter((problems) => problems.length === fewest)
+    .flat()
+    .filter(({ field }) => !seen.has(field) && seen.add(field));
+};
+
+/** One rejection entry from the schema problems: the first field, every problem spelled out */
+const describeProblems = (problems) => ({
+  field: problems[0].field,
+  problem: problems.length === 1
+    ? problems[0].problem
+    : problems.map(({ field, problem }) => `${field}: ${problem}`).join('; '),
+});
+
+/** Why the rules refused a document the schema accepts: the cross-document checks */
+const crossDocumentProblem = async (firestore, uid, entry, ctx, existed, data) => {
+  const user = firestore.collection('users').doc(uid);
+  if (entry.collection === 'habits' && data.deletedAt == null) {
+    const count = await habitCountRef(firestore, uid).get();
+    if (count.exists && count.data().count >= FREE_HABIT_LIMIT) {
+      return { field: null, problem: `free habit limit (${FREE_HABIT_LIMIT}) reached without premium` };
+    }
+  }
+  if (entry.collection === 'syncCompletions') {
+    const habit = await user.collection('habits').doc(String(ctx.habitId)).get();
+    if (!habit.exists || habit.get('deletedAt') != null) {
+      return { field: 'habitId', problem: 'habit does not exist or is deleted' };
+    }
+  }
+  if (entry.collection === 'dailyAwards') {
+    const ids = [ctx.dateKey, `${uid}#${ctx.dateKey}`];
+    if (!ids.includes(ctx.awardDocId)) {
+      return { field: 'dateKey', problem: 'award id does not name the owner and this day' };
+    }
+    const sibling = ids.find((id) => id !== ctx.awardDocId);
+    if (!existed && (await user.collection('daily_awards').doc(sibling).get()).exists) {
+      return { field: 'dateKey', problem: `day already awarded as ${sibling}` };
+    }
+  }
+  return {
+    field: null,
+    problem: existed ? 'update refused (immutable fields or soft-deleted habit)' : 'refused by a cross-document rule',
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Import
+// ---------------------------------------------------------------------------
+
+const millis = (value) => (value instanceof firebase.firestore.Timestamp ? value.toMillis() : null);
+
+/**
+ * Write a habit; one that is missing or soft-deleted and arrives live is
+ * counted in /users/{uid}/meta/habit_count in the same transaction, as the
+ * rules' free-tier limit requires (countsHabit in firestore.rules).
+ */
+const setHabit = (firestore, uid, ref, data, current) => {
+  const bringsLive = data.deletedAt == null && (!current.exists || current.get('deletedAt') != null);
+  if (!bringsLive) {
+    return ref.set(data);
+  }
+  const counterRef = habitCountRef(firestore, uid);
+  return firestore.runTransaction(async (tx) => {
+    const counter = await tx.get(counterRef);
+    tx.set(ref, data);
+    tx.set(counterRef, {
+      count: (counter.exists ? counter.get('count') : 0) + 1,
+      lastHabitId: ref.id,
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+    });
+  });
+};
+
+/** 'write' or the reason to keep the existing document */
+const resolveConflict = (policy, incoming, existing) => {
+  if (policy === 'overwrite') {
+    return 'write';
+  }
+  if (policy === 'skip') {
+    return 'exists';
+  }
+  const [theirs, ours] = [millis(existing.updatedAt), millis(incoming.updatedAt)];
+  if (theirs === null || ours === null) {
+    return 'no updatedAt to compare';
+  }
+  return ours > theirs ? 'write' : 'archive is not newer';
+};
+
+/**
+ * Import the FirebaseBackupService documents of a server-backup `archive`
+ * (see serverBackup.parseArchive) as `uid` through `firestore`, a compat
+ * client Firestore signed in as that user. Returns
+ *   { policy, imported, skipped: [{ path, reason }],
+ *     rejected: [{ path, collection, field, problem, code }], ignored }
+ * where `ignored` counts archive documents outside the imported collections.
+ */
+const importArchive = async (firestore, uid, archive, { policy = 'skip' } = {}) => {
+  if (!POLICIES.includes(policy)) {
+    throw new Error(`Unknown conflict policy "${policy}" (expected ${POLICIES.join(', ')})`);
+  }
+
+  const user = firestore.collection('users').doc(uid);
+  const entries = archive.documents
+    .map((document) => ({ document, entry: classify(document.path) }))
+    .filter(({ entry }) => entry !== null)
+    .sort((a, b) => a.entry.order - b.entry.order);
+
+  const report = { policy, imported: 0, skipped: [], rejected: [], ignored: archive.documents.length - entries.length };
+
+  for (const { document, entry } of entries) {
+    const path = `${user.path}/${document.path}`;
+    const data = decodeValue(firestore, document.data, CLIENT_TYPES);
+    const ref = firestore.doc(path);
+
+    const current = await ref.get();
+    if (current.exists) {
+      const decision = resolveConflict(policy, data, current.data());
+      if (decision !== 'write') {
+        report.skipped.push({ path, reason: decision });
+        continue;
+      }
+    }
+
+    try {
+      if (entry.collection === 'syncCompletions' && millis(data.updatedAt) !== null) {
+        const key = completionRateKey(entry.params[1], data.updatedAt);
+        await commitThrottled(firestore, uid, { bulkIds: [key] }, (batch) => batch.set(ref, data));
+      } else if (entry.collection === 'habits') {
+        await setHabit(firestore, uid, ref, data, current);
+      } else {
+        await ref.set(data);
+      }
+      report.imported += 1;
+    } catch (error) {
+      if (error.code !== 'permission-denied') {
+        throw error;
+      }
+      const ctx = entry.ctx(uid, entry.params, data);
+      const problems = checkDocument(entry.collection, data, ctx);
+      const { field, problem } = problems.length > 0
+        ? describeProblems(problems)
+        : await crossDocumentProblem(firestore, uid, entry, ctx, current.exists, data);
+      report.rejected.push({ path, collection: document.path.split('/').slice(0, -1).join('/'), field, problem, code: error.code });
+    }
+  }
+
+  return report;
+};
+
+module.exports = {
+  POLICIES,
+  CLIENT_TYPES,
+  parseImportFile,
+  checkDocument,
+  resolveConflict,
+  importArchive,
+};
@@ -0,0 +1,117 @@
+/**
+ * Field specs of the document shapes firestore.rules validates.
+ *
+ * Production code (backupImport.js) checks documents against these; the
+ * rules fuzz schema (Tests/support/schema.js) builds on them, so the two
+ * cannot drift apart.
+ *
+ * A spec is a plain object with a `kind` (string, int, bool, timestamp,
+ * dateKey, enum, map) and options:
+ * - optional: the key may be omitted
+ * - nullable: the key may hold null
+ * - from:     valid values are taken from the generation context (ctx[from])
+ * - bound:    the rules compare the value to ctx[from] (e.g. userId == uid)
+ * - max:      int must not exceed this value
+ * - atMost:   int must not exceed the named sibling field (list that field first)
+ * - past:     dateKey must not be in the future
+ *
+ * `VARIANTS` lists, per collection, the flat field maps the rules accept on
+ * create; where the rules accept alternatives each one is its own variant.
+ */
+
+const string = (min, max, opts = {}) => ({ kind: 'string', min, max, ...opts });
+const int = (min = null, opts = {}) => ({ kind: 'int', min, ...opts });
+const bool = (opts = {}) => ({ kind: 'bool', ...opts });
+const timestamp = (opts = {}) => ({ kind: 'timestamp', ...opts });
+const dateKey = (opts = {}) => ({ kind: 'dateKey', ...opts });
+const oneOf = (values, opts = {}) => ({ kind: 'enum', values, ...opts });
+const map = (opts = {}) => ({ kind: 'map', ...opts });
+
+const optional = (spec) => ({ ...spec, optional: true });
+const nullable = (spec) => ({ ...spec, nullable: true });
+
+const HABIT_TYPES = ['formation', 'breaking', 'Habit Building', 'Habit Breaking'];
+
+const habitFields = {
+  name: string(1, 100),
+  createdAt: timestamp(),
+  deletedAt: optional(nullable(timestamp())),
+};
+
+// The optional `attachment` map (photo proof) is nested, which the specs do
+// not model; Tests/rules/attachments.test.js covers it field by field.
+const syncCompletionFields = {
+  habitId: string(1, 100, { from: 'habitId' }),
+  dateKey: dateKey({ from: 'dateKey' }),
+  isCompleted: bool(),
+  progress: int(0),
+  createdAt: timestamp(),
+  updatedAt: timestamp(),
+  userId: optional(string(1, 128, { from: 'userId', bound: true })),
+  completionId: optional(string(1, 200)),
+  date: optional(timestamp()),
+};
+
+const dailyAwardFields = {
+  xpGranted: int(1),
+  allHabitsCompleted: bool(),
+  userId: optional(string(1, 128, { from: 'userId', bound: true })),
+  syncedAt: optional(timestamp()),
+  habitCount: optional(int(0)),
+  bonusXP: optional(int(0)),
+};
+
+const VARIANTS = {
+  habits: {
+    simple: {
+      ...habitFields,
+      color: string(1, 50),
+      type: oneOf(HABIT_TYPES),
+      active: bool(),
+    },
+    sync: {
+      ...habitFields,
+      habitType: oneOf(HABIT_TYPES),
+      isActive: bool(),
+    },
+  },
+
+  syncCompletions: { default: syncCompletionFields },
+
+  dailyAwards: {
+    syncEngine: {
+      ...dailyAwardFields,
+      dateKey: dateKey({ from: 'dateKey', bound: true }),
+      createdAt: timestamp(),
+    },
+    backup: {
+      ...dailyAwardFields,
+      dateKey: dateKey({ from: 'dateKey', bound: true }),
+      grantedAt: timestamp(),
+    },
+    legacyDate: {
+      ...dailyAwardFields,
+      date: dateKey({ from: 'dateKey', bound: true }),
+      grantedAt: timestamp(),
+    },
+    legacyDateCreatedAt: {
+      ...dailyAwardFields,
+      date: dateKey({ from: 'dateKey', bound: true }),
+      createdAt: timestamp(),
+    },
+  },
+};
+
+module.exports = {
+  string,
+  int,
+  bool,
+  timestamp,
+  dateKey,
+  oneOf,
+  map,
+  optional,
+  nullable,
+  HABIT_TYPES,
+  VARIANTS,
+};
@@ -0,0 +1,90 @@
+/**
+ * Client side of the rules' write throttle for scripts that write as a user.
+ *
+ * Every progress event create and completion write must add its key to the
+ * signed-in user's rate window, /users/{uid}/rate_limits/writes, in the same
+ * batch (see "Write throttle" in README.md). Events use their id; completions
+ * use completionRateKey. Scripts replay bulk data, so they use the bulkIds
+ * bucket. Mirrors Core/Services/WriteRateLimiter.swift.
+ */
+
+const firebase = require('firebase/compat/app');
+require('firebase/compat/firestore');
+
+const WINDOW_MS = 60 * 1000;
+const CAPACITY = { ids: 120, bulkIds: 500 };
+const MAX_ATTEMPTS = 3;
+
+const rateWindowRef = (firestore, uid) => firestore.collection('users').doc(uid).collection('rate_limits').doc('writes');
+
+/** `{docKey}@{updatedAt in ms}`; updatedAt must be the Timestamp written */
+const completionRateKey = (docKey, updatedAt) => `${docKey}@${updatedAt.toMillis()}`;
+
+/** { expiresAt, ids, bulkIds } of the current window, or null when it has expired */
+const openWindow = (snapshot, now) => {
+  const windowStart = snapshot.exists ? snapshot.get('windowStart') : null;
+  if (!(windowStart instanceof firebase.firestore.Timestamp)) {
+    return null;
+  }
+  const expiresAt = windowStart.toMillis() + WINDOW_MS;
+  if (expiresAt <= now) {
+    return null;
+  }
+  const size = (field) => Object.keys(snapshot.get(field) || {}).length;
+  return { expiresAt, ids: size('ids'), bulkIds: size('bulkIds') };
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Commit the writes `build(batch)` adds together with `keys` ({ ids, bulkIds })
+ * in the rate window of `uid`. Waits for a full window to expire; when the
+ * rules refuse the window (local clock off from server time) it retries the
+ * other way before rethrowing.
+ */
+const commitThrottled = async (firestore, uid, { ids = [], bulkIds = [] }, build) => {
+  const ref = rateWindowRef(firestore, uid);
+  const added = {
+    ids: Object.fromEntries(ids.map((key) => [key, true])),
+    bulkIds: Object.fromEntries(bulkIds.map((key) => [key, true])),
+  };
+  let forceNewWindow = null;
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt += 1) {
+    const window = openWindow(await ref.get(), Date.now());
+
+    if (window && forceNewWindow !== true
+        && (window.ids + ids.length > CAPACITY.ids || window.bulkIds + bulkIds.length > CAPACITY.bulkIds)) {
+      await sleep(Math.max(window.expiresAt - Date.now(), 0) + 1000);
+      forceNewWindow = true;
+      continue;
+    }
+
+    const batch = firestore.batch();
+    build(batch);
+    const opensWindow = forceNewWindow ?? window === null;
+    if (opensWindow) {
+      batch.set(ref, { windowStart: firebase.firestore.FieldValue.serverTimestamp(), ...added });
+    } else {
+      batch.set(ref, added, { merge: true });
+    }
+
+    try {
+      await batch.commit();
+      return;
+    } catch (error) {
+      if (error.code !== 'permission-denied' || attempt === MAX_ATTEMPTS - 1) {
+        throw error;
+      }
+      forceNewWindow = !opensWindow;
+    }
+  }
+};
+
+module.exports = {
+  WINDOW_MS,
+  CAPACITY,
+  rateWindowRef,
+  completionRateKey,
+  commitThrottled,
+};
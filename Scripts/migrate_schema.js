@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+/**
+ * Run the schema-unification migration for one user.
+ *
+ * Usage:
+ *   node Scripts/migrate_schema.js <uid> [--dry-run | --pause | --rollback]
+ *                                  [--batch-size <n>] [--max-items <n>] [--project <projectId>]
+ *
+ * With no mode flag the migration starts, or resumes from meta/schema_migration.lastKey.
+ * Uses Application Default Credentials against production, or the emulator
+ * when FIRESTORE_EMULATOR_HOST is set.
+ */
+
+const USAGE = 'Usage: node Scripts/migrate_schema.js <uid> [--dry-run | --pause | --rollback] ' +
+  '[--batch-size <n>] [--max-items <n>] [--project <projectId>]';
+
+const parseArgs = (argv) => {
+  const args = { uid: null, mode: 'run', batchSize: undefined, maxItems: undefined, project: null };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      args.mode = 'dryRun';
+    } else if (arg === '--pause') {
+      args.mode = 'pause';
+    } else if (arg === '--rollback') {
+      args.mode = 'rollback';
+    } else if (arg === '--batch-size') {
+      args.batchSize = Number(argv[++i]);
+    } else if (arg === '--max-items') {
+      args.maxItems = Number(argv[++i]);
+    } else if (arg === '--project') {
+      args.project = argv[++i];
+    } else if (!args.uid) {
+      args.uid = arg;
+    }
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.uid) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  if (args.project) {
+    process.env.GCLOUD_PROJECT = args.project;
+  }
+
+  const { db } = require('../functions/src/admin');
+  const migration = require('../functions/src/schemaMigration');
+
+  switch (args.mode) {
+    case 'dryRun': {
+      const { itemsScanned, plan } = await migration.dryRun(db(), args.uid);
+      plan.forEach(({ key, action, target }) => console.log(`${action.padEnd(14)} ${key}${target ? ` → ${target}` : ''}`));
+      console.log(`🔍 Dry run: ${plan.length} of ${itemsScanned} item(s) would change`);
+      break;
+    }
+    case 'pause': {
+      await migration.pauseMigration(db(), args.uid);
+      console.log('⏸️  Pause requested; the runner stops after its current batch');
+      break;
+    }
+    case 'rollback': {
+      const { restored } = await migration.rollbackMigration(db(), args.uid, { batchSize: args.batchSize });
+      console.log(`↩️  Restored ${restored} document(s)`);
+      break;
+    }
+    default: {
+      const state = await migration.runMigration(db(), args.uid, {
+        batchSize: args.batchSize,
+        maxItems: args.maxItems,
+      });
+      console.log(`✅ ${state.status}: ${state.itemsProcessed}/${state.totalItems} item(s), lastKey=${state.lastKey}`);
+    }
+  }
+};
+
+main().catch((error) => {
+  console.error(`❌ Migration failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * List a user's server backups, take one now, or roll the user back to one.
+ *
+ * Usage:
+ *   node Scripts/restore_user_backup.js <uid> [--json] [--project <projectId>] [--bucket <name>]
+ *   node Scripts/restore_user_backup.js <uid> --snapshot-now
+ *   node Scripts/restore_user_backup.js <uid> --restore <snapshotId> [--yes]
+ *
+ * Without an action the kept snapshots are listed, newest first. --restore
+ * only describes the snapshot unless --yes is given; a real restore first
+ * snapshots the current state (reason "pre-restore") so it can be undone.
+ * The bucket defaults to BACKUP_BUCKET, then <projectId>.appspot.com.
+ * Uses Application Default Credentials against production, or the emulators
+ * when FIRESTORE_EMULATOR_HOST / FIREBASE_STORAGE_EMULATOR_HOST are set.
+ */
+
+const parseArgs = (argv) => {
+  const args = { uid: null, restore: null, snapshotNow: false, yes: false, json: false, project: null, bucket: null };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--restore') {
+      args.restore = argv[++i];
+    } else if (arg === '--snapshot-now') {
+      args.snapshotNow = true;
+    } else if (arg === '--yes') {
+      args.yes = true;
+    } else if (arg === '--json') {
+      args.json = true;
+    } else if (arg === '--project') {
+      args.project = argv[++i];
+    } else if (arg === '--bucket') {
+      args.bucket = argv[++i];
+    } else if (!args.uid) {
+      args.uid = arg;
+    }
+  }
+  return args;
+};
+
+const print = (args, value, text) => console.log(args.json ? JSON.stringify(value, null, 2) : text);
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.uid) {
+    console.error('Usage: node Scripts/restore_user_backup.js <uid> [--snapshot-now | --restore <snapshotId> [--yes]] ' +
+      '[--json] [--project <projectId>] [--bucket <name>]');
+    process.exit(1);
+  }
+  if (args.project) {
+    process.env.GCLOUD_PROJECT = args.project;
+  }
+  if (args.bucket) {
+    process.env.BACKUP_BUCKET = args.bucket;
+  }
+
+  const { db, backupBucket } = require('../functions/src/admin');
+  const { listSnapshots, readSnapshot, snapshotUser, restoreUser } = require('../functions/src/serverBackup');
+
+  if (args.snapshotNow) {
+    const result = await snapshotUser(db(), backupBucket(), args.uid, { reason: 'manual' });
+    print(args, result, `${result.written ? '✅ Wrote' : '✅ Unchanged since'} ${result.snapshotId} ` +
+      `(${result.documentCount} docs)`);
+    return;
+  }
+
+  if (args.restore && args.yes) {
+    const result = await restoreUser(db(), backupBucket(), args.uid, args.restore);
+    print(args, result, `✅ Restored ${args.uid} to ${result.snapshotId}: ${result.written} written, ` +
+      `${result.deleted} deleted. Undo with --restore ${result.preRestoreSnapshotId}`);
+    return;
+  }
+
+  if (args.restore) {
+    const archive = await readSnapshot(backupBucket(), args.uid, args.restore);
+    const summary = { snapshotId: archive.snapshotId, createdAt: archive.createdAt, documentCount: archive.documents.length };
+    print(args, summary, `${archive.snapshotId} (${archive.createdAt}, ${archive.documents.length} docs). ` +
+      'Re-run with --yes to restore it.');
+    return;
+  }
+
+  const snapshots = await listSnapshots(backupBucket(), args.uid);
+  print(args, snapshots, snapshots.length === 0
+    ? `No snapshots for ${args.uid}`
+    : snapshots.map((s) => `${s.snapshotId}  ${s.reason}  ${s.documentCount} docs`).join('\n'));
+};
+
+main().catch((error) => {
+  console.error(`❌ Backup command failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Give or take the support-staff role, and show what a support account can
+ * read right now.
+ *
+ * Usage:
+ *   node Scripts/support_access.js <uid|email> [--json] [--project <projectId>]
+ *   node Scripts/support_access.js <uid|email> --grant --operator <name> [--reason <text>] [--project <projectId>]
+ *   node Scripts/support_access.js <uid|email> --revoke --operator <name> [--reason <text>] [--project <projectId>]
+ *
+ * --grant sets the `support` custom claim, --revoke clears it (and revokes the
+ * account's refresh tokens); both record the operator in /support_audit.
+ * Without either, prints the account's role, the users whose approved grant
+ * is currently active, and the audit trail of role changes and of the reads
+ * it made through the supportReadUser callable. The claim never opens a
+ * user's data on its own: the user has to approve a grant in the app (see
+ * functions/src/support.js).
+ *
+ * Uses Application Default Credentials against production, or the emulators
+ * when FIRESTORE_EMULATOR_HOST and FIREBASE_AUTH_EMULATOR_HOST are set.
+ */
+
+const parseArgs = (argv) => {
+  const args = { account: null, grant: false, revoke: false, operator: null, reason: null, json: false, project: null };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--grant') {
+      args.grant = true;
+    } else if (arg === '--revoke') {
+      args.revoke = true;
+    } else if (arg === '--operator') {
+      args.operator = argv[++i];
+    } else if (arg === '--reason') {
+      args.reason = argv[++i];
+    } else if (arg === '--json') {
+      args.json = true;
+    } else if (arg === '--project') {
+      args.project = argv[++i];
+    } else if (!args.account) {
+      args.account = arg;
+    }
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.account || (args.grant && args.revoke)) {
+    console.error('Usage: node Scripts/support_access.js <uid|email> [--grant | --revoke] [--operator <name>] ' +
+      '[--reason <text>] [--json] [--project <projectId>]');
+    process.exit(1);
+  }
+  if (args.project) {
+    process.env.GCLOUD_PROJECT = args.project;
+  }
+
+  const { getAuth } = require('firebase-admin/auth');
+  const { app, db } = require('../functions/src/admin');
+  const { hasSupportClaim, setSupportRole, activeGrantsFor, auditTrail } = require('../functions/src/support');
+
+  const auth = getAuth(app());
+  const user = args.account.includes('@') ? await auth.getUserByEmail(args.account) : await auth.getUser(args.account);
+
+  if (args.grant || args.revoke) {
+    const result = await setSupportRole(auth, db(), user.uid, args.grant, {
+      operator: args.operator,
+      reason: args.reason,
+    });
+    if (args.json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else if (!result.changed) {
+      console.log(`ℹ️  ${user.uid} ${args.grant ? 'already has' : 'did not have'} the support role; recorded in the audit log`);
+    } else {
+      console.log(`✅ ${args.grant ? 'Granted' : 'Revoked'} the support role for ${user.uid}`);
+    }
+    process.exit(0);
+  }
+
+  const report = {
+    uid: user.uid,
+    email: user.email || null,
+    support: hasSupportClaim(user),
+    activeGrants: await activeGrantsFor(db(), user.uid),
+    audit: await auditTrail(db(), user.uid),
+  };
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`${report.uid}${report.email ? ` (${report.email})` : ''}: ` +
+      `${report.support ? 'support role' : 'no support role'}`);
+    report.activeGrants.forEach((g) => {
+      console.log(`🔓 ${g.userId} ticket=${g.ticketId} until ${g.expiresAt.toISOString()}`);
+    });
+    if (report.activeGrants.length === 0) {
+      console.log('No active grants');
+    }
+    report.audit.forEach((entry) => {
+      if (entry.action === 'read-user') {
+        console.log(`👁️  ${entry.at.toISOString()} read ${entry.userId} ticket=${entry.ticketId}`);
+      } else if (entry.action === 'approve-grant' || entry.action === 'revoke-grant') {
+        console.log(`🔑 ${entry.at.toISOString()} ${entry.action} by ${entry.userId} ticket=${entry.ticketId}`);
+      } else {
+        console.log(`📝 ${entry.at.toISOString()} ${entry.action} by ${entry.operator}${entry.reason ? `: ${entry.reason}` : ''}`);
+      }
+    });
+  }
+
+  process.exit(0);
+};
+
+main().catch((error) => {
+  console.error(`❌ Support access failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+/**
+ * Check firestore.indexes.json against the query catalog (firestore.queries.json).
+ *
+ * Usage:
+ *   node Scripts/verify_indexes.js [--json]
+ *
+ * Exits 1 when a catalog query needs an index that is not declared, or when a
+ * declared index is not needed by any catalog query. Runs offline; the
+ * emulator half of the check lives in Tests/queryCatalog.test.js.
+ */
+
+const path = require('path');
+
+const { verifyIndexes } = require('../Tests/support/indexCoverage');
+
+const main = () => {
+  const json = process.argv.includes('--json');
+  const root = path.join(__dirname, '..');
+  const result = verifyIndexes(
+    require(path.join(root, 'firestore.queries.json')),
+    require(path.join(root, 'firestore.indexes.json'))
+  );
+
+  if (json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    result.missing.forEach(({ queryId, index }) => console.log(`❌ ${queryId} needs undeclared ${index}`));
+    result.unused.forEach((index) => console.log(`❌ unused ${index}`));
+    if (result.missing.length === 0 && result.unused.length === 0) {
+      console.log('✅ Every catalog query is indexed and every declared index is used');
+    }
+  }
+
+  process.exit(result.missing.length > 0 || result.unused.length > 0 ? 1 : 0);
+};
+
+main();
@@ -0,0 +1,297 @@
+const {
+  initializeTestEnvironment,
+} = require('@firebase/rules-unit-testing');
+const firebase = require('firebase/compat/app');
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const { BACKUP_FORMAT_VERSION, encodeValue } = require('../functions/src/serverBackup');
+const { parseImportFile, checkDocument, resolveConflict, importArchive } = require('../Scripts/lib/backupImport');
+const { collections } = require('./support/schema');
+const { createRng, generateValidCases, generateMutationCases } = require('./support/generator');
+
+const PROJECT_ID = 'habitto-import-test';
+
+const HABIT_ID = '11111111-1111-1111-1111-111111111111';
+
+const { Timestamp } = firebase.firestore;
+
+/** Generated documents hold Dates; an imported archive decodes to Timestamps */
+const asImported = (data) =>
+  Object.fromEntries(Object.entries(data).map(([key, value]) => [key, value instanceof Date ? Timestamp.fromDate(value) : value]));
+
+/** Server-backup archive holding `documents` ({ path: data }) for `uid` */
+const archiveOf = (uid, documents) => ({
+  formatVersion: BACKUP_FORMAT_VERSION,
+  userId: uid,
+  snapshotId: '2025-10-15T08-30-00-000Z',
+  createdAt: '2025-10-15T08:30:00.000Z',
+  documents: Object.entries(documents).map(([docPath, data]) => ({ path: docPath, data: encodeValue(data) })),
+});
+
+/** FirestoreHabit.toFirestoreData() + syncedAt, as FirebaseBackupService writes it */
+const backupHabit = (overrides = {}) => ({
+  name: 'Morning Run',
+  description: 'Go for a run',
+  icon: 'figure.run',
+  color: '#34C759',
+  habitType: 'Habit Building',
+  schedule: 'daily',
+  goal: '1',
+  startDate: new Date('2025-01-15T00:00:00.000Z'),
+  createdAt: new Date('2025-01-15T10:00:00.000Z'),
+  isActive: true,
+  syncStatus: 'pending',
+  syncedAt: new Date('2025-10-15T08:00:00.000Z'),
+  ...overrides,
+});
+
+/** performCompletionBackup payload */
+const backupCompletion = (uid, dateKey, overrides = {}) => ({
+  userId: uid,
+  habitId: HABIT_ID,
+  date: new Date(`${dateKey}T00:00:00.000Z`),
+  dateKey,
+  isCompleted: true,
+  progress: 1,
+  createdAt: new Date('2025-10-15T08:00:00.000Z'),
+  updatedAt: new Date('2025-10-15T08:00:00.000Z'),
+  completionId: `comp_${HABIT_ID}_${dateKey}`,
+  ...overrides,
+});
+
+/** performDailyAwardBackup payload */
+const backupAward = (dateKey, overrides = {}) => ({
+  dateKey,
+  xpGranted: 50,
+  allHabitsCompleted: true,
+  grantedAt: new Date('2025-10-15T20:00:00.000Z'),
+  syncedAt: new Date('2025-10-15T20:00:00.000Z'),
+  ...overrides,
+});
+
+const completionPath = (dateKey) => `completions/${dateKey.slice(0, 7)}/completions/comp_${HABIT_ID}_${dateKey}`;
+
+// ============================================================================
+// FIELD DIAGNOSTICS AND POLICIES (no emulator required)
+// ============================================================================
+
+describe('Backup import diagnostics', () => {
+  const IMPORTED = ['habits', 'syncCompletions', 'dailyAwards'];
+
+  test('Generated valid documents have no field problems', () => {
+    const rng = createRng(21);
+    IMPORTED.forEach((name) => {
+      generateValidCases(collections[name], rng, 10).forEach(({ ctx, data }) => {
+        expect(checkDocument(name, asImported(data), ctx)).toEqual([]);
+      });
+    });
+  });
+
+  test('Every single-field mutation the rules deny is reported against a field', () => {
+    const rng = createRng(22);
+    IMPORTED.forEach((name) => {
+      generateMutationCases(collections[name], rng).forEach(({ title, field, ctx, data }) => {
+        const problems = checkDocument(name, asImported(data), ctx);
+
+        expect({ title, problems }).toEqual({ title, problems: expect.arrayContaining([expect.objectContaining({ field })]) });
+      });
+    });
+  });
+
+  test('Conflict policies decide on updatedAt only for newest-wins', () => {
+    const older = { updatedAt: Timestamp.fromMillis(1000) };
+    const newer = { updatedAt: Timestamp.fromMillis(2000) };
+
+    expect(resolveConflict('skip', newer, older)).toBe('exists');
+    expect(resolveConflict('overwrite', older, newer)).toBe('write');
+    expect(resolveConflict('newest-wins', newer, older)).toBe('write');
+    expect(resolveConflict('newest-wins', older, newer)).toBe('archive is not newer');
+    expect(resolveConflict('newest-wins', newer, {})).toBe('no updatedAt to compare');
+  });
+
+  test('Server-backup archives are read; on-device BackupManager files are refused with the reason', () => {
+    const archive = archiveOf('user1', { [`habits/${HABIT_ID}`]: backupHabit() });
+    const envelope = {
+      version: 1,
+      createdAt: '2025-10-15T08:30:00Z',
+      appVersion: '1.0',
+      isCompressed: true,
+      checksum: 'abc',
+      payload: 'YmFja3Vw',
+    };
+    const backupData = { metadata: { backupId: 'B1', userId: 'user1' }, habits: [], completions: [] };
+
+    expect(parseImportFile(zlib.gzipSync(JSON.stringify(archive)), 'user1').documents).toHaveLength(1);
+    expect(() => parseImportFile(Buffer.from(JSON.stringify(envelope)), 'user1')).toThrow(/on-device BackupManager file/);
+    expect(() => parseImportFile(Buffer.from(JSON.stringify(backupData)), 'user1')).toThrow(/on-device BackupManager file/);
+    expect(() => parseImportFile(Buffer.from('{}'), 'user1')).toThrow(/Unsupported backup formatVersion/);
+  });
+});
+
+// ============================================================================
+// IMPORT THROUGH THE RULES (emulator)
+// ============================================================================
+
+describe('Backup import through the rules (emulator)', () => {
+  let testEnv;
+
+  const clientDb = () => testEnv.authenticatedContext('user1').firestore();
+
+  const seed = (docPath, data) =>
+    testEnv.withSecurityRulesDisabled((context) => context.firestore().doc(`users/user1/${docPath}`).set(data));
+
+  const read = async (docPath) => (await clientDb().doc(`users/user1/${docPath}`).get()).data();
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      firestore: {
+        rules: fs.readFileSync(path.join(__dirname, '../firestore.rules'), 'utf8'),
+        host: 'localhost',
+        port: 8080,
+      },
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+  });
+
+  test('User can import habits, completions and awards; other collections are left out', async () => {
+    const archive = archiveOf('user1', {
+      [completionPath('2025-10-15')]: backupCompletion('user1', '2025-10-15'),
+      'daily_awards/2025-10-15': backupAward('2025-10-15'),
+      [`habits/${HABIT_ID}`]: backupHabit(),
+      'xp/state': { totalXP: 50, level: 1, currentLevelXP: 50, lastUpdated: new Date() },
+    });
+
+    const report = await importArchive(clientDb(), 'user1', archive);
+
+    expect(report).toEqual({ policy: 'skip', imported: 3, skipped: [], rejected: [], ignored: 1 });
+    expect((await read(completionPath('2025-10-15'))).updatedAt).toBeInstanceOf(Timestamp);
+    expect(await read('xp/state')).toBeUndefined();
+  });
+
+  test('Imported live habits are counted in the habit counter; soft-deleted ones are not', async () => {
+    const archive = archiveOf('user1', {
+      [`habits/${HABIT_ID}`]: backupHabit(),
+      'habits/habit-2': backupHabit({ name: 'Read' }),
+      'habits/habit-deleted': backupHabit({ name: 'Old', deletedAt: new Date('2025-10-01T00:00:00.000Z') }),
+    });
+
+    const report = await importArchive(clientDb(), 'user1', archive);
+
+    expect(report.imported).toBe(3);
+    expect(await read('meta/habit_count')).toMatchObject({ count: 2 });
+  });
+
+  test('Imported completions take bulk slots in the user\'s write throttle window', async () => {
+    const archive = archiveOf('user1', {
+      [`habits/${HABIT_ID}`]: backupHabit(),
+      [completionPath('2025-10-14')]: backupCompletion('user1', '2025-10-14'),
+      [completionPath('2025-10-15')]: backupCompletion('user1', '2025-10-15'),
+    });
+
+    const report = await importArchive(clientDb(), 'user1', archive);
+
+    expect(report.imported).toBe(3);
+    const updatedAt = Date.parse('2025-10-15T08:00:00.000Z');
+    expect(Object.keys((await read('rate_limits/writes')).bulkIds).sort()).toEqual([
+      `comp_${HABIT_ID}_2025-10-14@${updatedAt}`,
+      `comp_${HABIT_ID}_2025-10-15@${updatedAt}`,
+    ]);
+  });
+
+  test('Rejected documents are reported with collection and field; the rest still import', async () => {
+    const archive = archiveOf('user1', {
+      [`habits/${HABIT_ID}`]: backupHabit(),
+      'habits/habit-blank': backupHabit({ name: '' }),
+      [completionPath('2025-10-14')]: backupCompletion('user1', '2025-10-14', { progress: -1 }),
+      [completionPath('2025-10-15')]: backupCompletion('user1', '2025-10-15'),
+      'completions/2025-10/completions/comp_gone_2025-10-15': backupCompletion('user1', '2025-10-15', { habitId: 'gone' }),
+      'daily_awards/2025-10-15': backupAward('2025-10-15', { xpGranted: '50' }),
+      'daily_awards/2025-10-16': backupAward('2025-10-15'),
+    });
+
+    const report = await importArchive(clientDb(), 'user1', archive);
+
+    expect(report.imported).toBe(2);
+    expect(report.rejected).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ path: 'users/user1/habits/habit-blank', collection: 'habits', field: 'name' }),
+        expect.objectContaining({ collection: 'completions/2025-10/completions', field: 'progress', code: 'permission-denied' }),
+        expect.objectContaining({
+          path: 'users/user1/completions/2025-10/completions/comp_gone_2025-10-15',
+          field: 'habitId',
+          problem: 'habit does not exist or is deleted',
+        }),
+        expect.objectContaining({ path: 'users/user1/daily_awards/2025-10-15', field: 'xpGranted', problem: 'not an integer' }),
+        expect.objectContaining({ path: 'users/user1/daily_awards/2025-10-16', field: 'dateKey' }),
+      ])
+    );
+    expect(report.rejected).toHaveLength(5);
+  });
+
+  test('A day already awarded under the other id is rejected on dateKey', async () => {
+    await seed('daily_awards/user1#2025-10-15', {
+      userId: 'user1',
+      dateKey: '2025-10-15',
+      xpGranted: 50,
+      allHabitsCompleted: true,
+      createdAt: new Date(),
+    });
+
+    const report = await importArchive(clientDb(), 'user1', archiveOf('user1', { 'daily_awards/2025-10-15': backupAward('2025-10-15') }));
+
+    expect(report.rejected).toEqual([
+      expect.objectContaining({ field: 'dateKey', problem: 'day already awarded as user1#2025-10-15' }),
+    ]);
+  });
+
+  test('Habits past the free limit are rejected with the reason', async () => {
+    await seed('meta/habit_count', { count: 3 });
+
+    const report = await importArchive(clientDb(), 'user1', archiveOf('user1', { [`habits/${HABIT_ID}`]: backupHabit() }));
+
+    expect(report.rejected).toEqual([
+      expect.objectContaining({ collection: 'habits', field: null, problem: expect.stringContaining('free habit limit') }),
+    ]);
+  });
+
+  describe.each([
+    ['skip', { '2025-10-14': 1, '2025-10-15': 1 }, 2],
+    ['overwrite', { '2025-10-14': 5, '2025-10-15': 9 }, 0],
+    ['newest-wins', { '2025-10-14': 1, '2025-10-15': 9 }, 1],
+  ])('Conflict policy %s', (policy, expected, skipped) => {
+    test(`User can re-import with ${policy}`, async () => {
+      const at = (iso) => new Date(iso);
+      await seed(`habits/${HABIT_ID}`, backupHabit());
+      await seed(completionPath('2025-10-14'), backupCompletion('user1', '2025-10-14', { updatedAt: at('2025-10-16T00:00:00Z') }));
+      await seed(completionPath('2025-10-15'), backupCompletion('user1', '2025-10-15', { updatedAt: at('2025-10-16T00:00:00Z') }));
+      const archive = archiveOf('user1', {
+        [completionPath('2025-10-14')]: backupCompletion('user1', '2025-10-14', { progress: 5, updatedAt: at('2025-10-15T00:00:00Z') }),
+        [completionPath('2025-10-15')]: backupCompletion('user1', '2025-10-15', { progress: 9, updatedAt: at('2025-10-17T00:00:00Z') }),
+      });
+
+      const report = await importArchive(clientDb(), 'user1', archive, { policy });
+
+      expect(report.rejected).toEqual([]);
+      expect(report.skipped).toHaveLength(skipped);
+      expect((await read(completionPath('2025-10-14'))).progress).toBe(expected['2025-10-14']);
+      expect((await read(completionPath('2025-10-15'))).progress).toBe(expected['2025-10-15']);
+    });
+  });
+
+  test('Unknown conflict policies are refused before any write', async () => {
+    await expect(importArchive(clientDb(), 'user1', archiveOf('user1', {}), { policy: 'merge' })).rejects.toThrow(
+      'Unknown conflict policy'
+    );
+  });
+});
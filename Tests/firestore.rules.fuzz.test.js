@@ -0,0 +1,91 @@
+const {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} = require('@firebase/rules-unit-testing');
+
+const fs = require('fs');
+const path = require('path');
+
+const { collections } = require('./support/schema');
+const {
+  createRng,
+  hashString,
+  generateValidCases,
+  generateMutationCases,
+} = require('./support/generator');
+
+// Reproduce a failing run with FUZZ_SEED=<seed from the describe title>.
+// The rules coverage gate (`npm test`) merges this project's hits, so it runs
+// a pinned seed to keep its result the same from run to run.
+const GATE_SEED = 20251019;
+const SEED =
+  Number(process.env.FUZZ_SEED)
+  || (process.env.RULES_COVERAGE_GATE === '1' ? GATE_SEED : Math.floor(Math.random() * 2 ** 32));
+const RUNS = Number(process.env.FUZZ_RUNS) || 5;
+
+let testEnv;
+
+/** Write a generated document the way a client would */
+const write = (collection, db, ctx, data) =>
+  collection.write ? collection.write(db, ctx, data) : collection.ref(db, ctx).set(data);
+
+beforeAll(async () => {
+  const rulesPath = path.join(__dirname, '../firestore.rules');
+  const rules = fs.readFileSync(rulesPath, 'utf8');
+
+  // Separate project so this file can run alongside the Tests/rules/ files
+  testEnv = await initializeTestEnvironment({
+    projectId: 'habitto-fuzz-test',
+    firestore: {
+      rules,
+      host: 'localhost',
+      port: 8080,
+    },
+  });
+});
+
+afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+});
+
+// ============================================================================
+// SCHEMA-DRIVEN FUZZING
+// Valid documents must be allowed; every single-field mutation must be denied.
+// ============================================================================
+
+describe(`Schema fuzz (FUZZ_SEED=${SEED}, FUZZ_RUNS=${RUNS})`, () => {
+  Object.entries(collections).forEach(([name, collection]) => {
+    describe(name, () => {
+      const rng = createRng(SEED ^ hashString(name));
+      const validCases = generateValidCases(collection, rng, RUNS);
+      const mutationCases = generateMutationCases(collection, rng);
+
+      if (collection.serverOnly) {
+        test.each(validCases)('rejects client write of valid $title', async ({ ctx, data }) => {
+          const authedDb = testEnv.authenticatedContext(ctx.userId).firestore();
+          await assertFails(write(collection, authedDb, ctx, data));
+        });
+      } else {
+        test.each(validCases)('accepts valid $title', async ({ ctx, data }) => {
+          const authedDb = testEnv.authenticatedContext(ctx.userId).firestore();
+          await assertSucceeds(write(collection, authedDb, ctx, data));
+        });
+      }
+
+      test.each(mutationCases)('rejects $title', async ({ ctx, data }) => {
+        const authedDb = testEnv.authenticatedContext(ctx.userId).firestore();
+        await assertFails(write(collection, authedDb, ctx, data));
+      });
+
+      test.each(validCases)('rejects valid $title written by another user', async ({ ctx, data }) => {
+        const otherDb = testEnv.authenticatedContext(`${ctx.userId}-intruder`).firestore();
+        await assertFails(write(collection, otherDb, ctx, data));
+      });
+    });
+  });
+});
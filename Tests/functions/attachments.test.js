@@ -0,0 +1,136 @@
+const { initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+
+const fs = require('fs');
+const path = require('path');
+
+// Admin SDK must see the emulators before firebase-admin is loaded
+const PROJECT_ID = 'habitto-attachments-test';
+process.env.GCLOUD_PROJECT = PROJECT_ID;
+process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || 'localhost:8080';
+process.env.FIREBASE_STORAGE_EMULATOR_HOST = process.env.FIREBASE_STORAGE_EMULATOR_HOST || 'localhost:9199';
+
+const { attachmentBucket } = require('../../functions/src/admin');
+const {
+  attachmentPath,
+  releasedAttachment,
+  cleanupAttachment,
+  deleteUserAttachments,
+} = require('../../functions/src/attachments');
+const functions = require('../../functions');
+
+const BUCKET = `${PROJECT_ID}.appspot.com`;
+
+const PHOTO = attachmentPath('user1', 'habit1', '2025-10-15', 'proof.jpg');
+
+const completionWith = (photoPath) => ({
+  habitId: 'habit1',
+  dateKey: '2025-10-15',
+  ...(photoPath ? { attachment: { path: photoPath, contentType: 'image/jpeg', size: 3, uploadedAt: new Date() } } : {}),
+});
+
+// ============================================================================
+// RELEASED ATTACHMENTS (no emulator required)
+// ============================================================================
+
+describe('Released attachments', () => {
+  test('Deleting, removing or replacing an attachment releases the old photo', () => {
+    const retake = attachmentPath('user1', 'habit1', '2025-10-15', 'retake.jpg');
+
+    expect(releasedAttachment(completionWith(PHOTO), undefined)).toBe(PHOTO);
+    expect(releasedAttachment(completionWith(PHOTO), completionWith(null))).toBe(PHOTO);
+    expect(releasedAttachment(completionWith(PHOTO), { ...completionWith(null), attachment: null })).toBe(PHOTO);
+    expect(releasedAttachment(completionWith(PHOTO), completionWith(retake))).toBe(PHOTO);
+  });
+
+  test('Writes that keep or add an attachment release nothing', () => {
+    expect(releasedAttachment(completionWith(PHOTO), { ...completionWith(PHOTO), progress: 2 })).toBeNull();
+    expect(releasedAttachment(completionWith(null), completionWith(PHOTO))).toBeNull();
+    expect(releasedAttachment(undefined, completionWith(PHOTO))).toBeNull();
+  });
+});
+
+// ============================================================================
+// CLEANUP (Firestore + Storage emulators)
+// ============================================================================
+
+describe('Attachment cleanup (emulator)', () => {
+  let testEnv;
+
+  /** Upload as the signed-in user, the way the app does (storage.rules apply) */
+  const uploadAs = (uid, photoPath) =>
+    testEnv
+      .authenticatedContext(uid)
+      .storage(`gs://${BUCKET}`)
+      .ref(photoPath)
+      .put(new Uint8Array([0xff, 0xd8, 0xff]), { contentType: 'image/jpeg' });
+
+  const exists = async (photoPath) => (await attachmentBucket().file(photoPath).exists())[0];
+
+  /** Run the deployed trigger on a before/after pair */
+  const runTrigger = (before, after) =>
+    functions.cleanupAttachmentOnCompletion.run({
+      params: { userId: 'user1', yearMonth: '2025-10', recordId: 'comp_habit1_2025-10-15' },
+      data: { before: { data: () => before }, after: { data: () => after } },
+    });
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      firestore: { host: 'localhost', port: 8080 },
+      storage: {
+        rules: fs.readFileSync(path.join(__dirname, '../../storage.rules'), 'utf8'),
+        host: 'localhost',
+        port: 9199,
+      },
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    // clearStorage() only lists the bucket root; attachments live under users/
+    await attachmentBucket().deleteFiles({ prefix: 'users/' });
+  });
+
+  test('Deleting a completion deletes its photo', async () => {
+    await uploadAs('user1', PHOTO);
+
+    await runTrigger(completionWith(PHOTO), undefined);
+
+    expect(await exists(PHOTO)).toBe(false);
+  });
+
+  test('Replacing the photo deletes the old one and keeps the new one', async () => {
+    const retake = attachmentPath('user1', 'habit1', '2025-10-15', 'retake.jpg');
+    await uploadAs('user1', PHOTO);
+    await uploadAs('user1', retake);
+
+    await runTrigger(completionWith(PHOTO), completionWith(retake));
+
+    expect(await exists(PHOTO)).toBe(false);
+    expect(await exists(retake)).toBe(true);
+  });
+
+  test('A photo that is already gone is not an error', async () => {
+    await expect(cleanupAttachment(attachmentBucket(), 'user1', completionWith(PHOTO), undefined)).resolves.toBe(PHOTO);
+  });
+
+  test('Paths outside the user\'s attachments are never deleted', async () => {
+    const other = attachmentPath('user2', 'habit1', '2025-10-15', 'proof.jpg');
+    await uploadAs('user2', other);
+
+    expect(await cleanupAttachment(attachmentBucket(), 'user1', completionWith(other), undefined)).toBeNull();
+    expect(await exists(other)).toBe(true);
+  });
+
+  test('Erasing a user\'s attachments leaves other users\' alone', async () => {
+    await uploadAs('user1', PHOTO);
+    await uploadAs('user1', attachmentPath('user1', 'habit2', '2025-10-16', 'proof.jpg'));
+    await uploadAs('user10', attachmentPath('user10', 'habit1', '2025-10-15', 'proof.jpg'));
+
+    expect(await deleteUserAttachments(attachmentBucket(), 'user1')).toBe(2);
+    expect(await exists(attachmentPath('user10', 'habit1', '2025-10-15', 'proof.jpg'))).toBe(true);
+  });
+});
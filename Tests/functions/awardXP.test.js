@@ -0,0 +1,478 @@
+const {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} = require('@firebase/rules-unit-testing');
+
+const fs = require('fs');
+const path = require('path');
+
+// Admin SDK must see the emulator before firebase-admin is loaded
+const PROJECT_ID = 'habitto-functions-test';
+process.env.GCLOUD_PROJECT = PROJECT_ID;
+process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || 'localhost:8080';
+process.env.FIREBASE_AUTH_EMULATOR_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST || 'localhost:9099';
+
+const { db, auth } = require('../../functions/src/admin');
+const {
+  DAILY_COMPLETION_XP,
+  LEGACY_BALANCE_ID,
+  calculateLevel,
+  computeXPState,
+  dailyEventId,
+  parseAwardRequest,
+  awardXP,
+  rebuildXPState,
+  resetXP,
+  xpStateRef,
+  xpLedgerCollection,
+} = require('../../functions/src/xp');
+const { dueOnSchedule, isDayEarned } = require('../../functions/src/dailyCompletion');
+const functions = require('../../functions');
+
+const NOW = new Date('2025-10-15T12:00:00Z');
+
+/** Habit as SyncEngine / FirebaseBackupService store it */
+const syncHabit = (id, overrides = {}) => ({
+  id,
+  name: `Habit ${id}`,
+  schedule: 'Everyday',
+  startDate: new Date('2025-10-01T00:00:00Z'),
+  isActive: true,
+  skippedDaysJSON: '{}',
+  ...overrides,
+});
+
+// ============================================================================
+// LEVEL CURVE + INPUT VALIDATION (no emulator required)
+// ============================================================================
+
+describe('XP level curve', () => {
+  test('matches DailyAwardService.calculateLevel', () => {
+    expect(calculateLevel(0)).toEqual({ level: 1, currentLevelXP: 0 });
+    expect(calculateLevel(299)).toEqual({ level: 1, currentLevelXP: 299 });
+    expect(calculateLevel(300)).toEqual({ level: 2, currentLevelXP: 0 });
+    expect(calculateLevel(1199)).toEqual({ level: 2, currentLevelXP: 899 });
+    expect(calculateLevel(1200)).toEqual({ level: 3, currentLevelXP: 0 });
+  });
+
+  test('computeXPState sums ledger deltas', () => {
+    expect(computeXPState([{ delta: 50 }, { delta: 250 }, { delta: 10 }])).toEqual({
+      totalXP: 310,
+      level: 2,
+      currentLevelXP: 10,
+    });
+  });
+});
+
+describe('awardXP input validation', () => {
+  const valid = { dateKey: '2025-10-15', delta: DAILY_COMPLETION_XP };
+
+  test('derives the eventId and a default reason', () => {
+    expect(parseAwardRequest(valid)).toEqual({
+      ...valid,
+      eventId: 'daily_2025-10-15',
+      reason: 'All habits completed on 2025-10-15',
+      timeZone: 'UTC',
+    });
+    expect(parseAwardRequest({ ...valid, delta: -DAILY_COMPLETION_XP, timeZone: 'Asia/Seoul' })).toMatchObject({
+      delta: -DAILY_COMPLETION_XP,
+      timeZone: 'Asia/Seoul',
+    });
+  });
+
+  test('accepts the derived eventId when the client sends it', () => {
+    expect(parseAwardRequest({ ...valid, eventId: dailyEventId('2025-10-15') }).eventId).toBe('daily_2025-10-15');
+  });
+
+  test.each([
+    ['missing dateKey', { ...valid, dateKey: undefined }],
+    ['malformed dateKey', { ...valid, dateKey: '10/15/2025' }],
+    ['a delta the server did not derive', { ...valid, delta: 1000 }],
+    ['a smaller delta', { ...valid, delta: 10 }],
+    ['zero delta', { ...valid, delta: 0 }],
+    ['a client-chosen eventId', { ...valid, eventId: 'evt-1' }],
+    ['another day\'s eventId', { ...valid, eventId: 'daily_2025-10-14' }],
+    ['empty reason', { ...valid, reason: '' }],
+    ['reason > 500 chars', { ...valid, reason: 'a'.repeat(501) }],
+    ['an unknown time zone', { ...valid, timeZone: 'Mars/Olympus' }],
+  ])('rejects %s', (_, data) => {
+    expect(() => parseAwardRequest(data)).toThrow(
+      expect.objectContaining({ code: 'invalid-argument' })
+    );
+  });
+});
+
+// ============================================================================
+// DAY COMPLETION CHECK (no emulator required)
+// ============================================================================
+
+describe('Daily completion check', () => {
+  test.each([
+    ['Everyday', '2025-10-15', true],
+    ['Weekdays', '2025-10-18', false],
+    ['Weekends', '2025-10-18', true],
+    ['Wednesday', '2025-10-15', true],
+    ['thu', '2025-10-15', false],
+    ['Every Monday, Wednesday, Friday', '2025-10-17', true],
+    ['Every Monday, Wednesday, Friday', '2025-10-16', false],
+    ['Every 2 days', '2025-10-03', true],
+    ['Every 2 days', '2025-10-04', false],
+  ])('%s on %s is due: %s', (schedule, dateKey, expected) => {
+    expect(dueOnSchedule(schedule, dateKey, '2025-10-01')).toBe(expected);
+  });
+
+  test.each(['3 days a week', 'twice a month', '2 times per week', 'Whenever'])(
+    'Flexible or unknown schedule %s never holds a day back',
+    (schedule) => {
+      expect(dueOnSchedule(schedule, '2025-10-15', '2025-10-01')).toBeNull();
+    }
+  );
+
+  test('A day is earned once every due habit is completed or skipped', () => {
+    const habits = [
+      syncHabit('h1'),
+      syncHabit('h2', { skippedDaysJSON: JSON.stringify({ '2025-10-15': { reason: 'sick' } }) }),
+      syncHabit('h3', { schedule: '3 days a week' }),
+      syncHabit('h4', { schedule: 'Monday' }),
+    ];
+
+    expect(isDayEarned(habits, new Set(['h1']), '2025-10-15')).toBe(true);
+    expect(isDayEarned(habits, new Set(['h3']), '2025-10-15')).toBe(false);
+  });
+
+  test('A day with nothing completed or skipped is not earned', () => {
+    expect(isDayEarned([syncHabit('h1', { schedule: '3 days a week' })], new Set(), '2025-10-15')).toBe(false);
+    expect(isDayEarned([], new Set(), '2025-10-15')).toBe(false);
+  });
+
+  test('Skips alone never earn a day, however many days they cover', () => {
+    const skipped = Object.fromEntries(['0001-01-01', '2025-10-15'].map((day) => [day, { reason: 'sick' }]));
+    const habits = [syncHabit('h1', { skippedDaysJSON: JSON.stringify(skipped) })];
+
+    expect(isDayEarned(habits, new Set(), '2025-10-15')).toBe(false);
+    expect(isDayEarned(habits, new Set(), '0001-01-01')).toBe(false);
+  });
+
+  test('Completions of a habit not yet created or started do not earn the day', () => {
+    const created = syncHabit('h1', { startDate: undefined, createdAt: new Date('2025-10-10T09:00:00Z') });
+    const started = syncHabit('h2', { startDate: new Date('2025-10-10T00:00:00Z') });
+
+    expect(isDayEarned([created], new Set(['h1']), '2025-10-09')).toBe(false);
+    expect(isDayEarned([started], new Set(['h2']), '2025-10-09')).toBe(false);
+    expect(isDayEarned([created], new Set(['h1']), '2025-10-10')).toBe(true);
+  });
+
+  test('Deleted, inactive and not-yet-started habits are not due', () => {
+    const habits = [
+      syncHabit('h1'),
+      syncHabit('h2', { deletedAt: new Date() }),
+      syncHabit('h3', { isActive: false }),
+      syncHabit('h4', { startDate: new Date('2025-10-16T00:00:00Z') }),
+      syncHabit('h5', { endDate: new Date('2025-10-14T12:00:00Z') }),
+    ];
+
+    expect(isDayEarned(habits, new Set(['h1']), '2025-10-15')).toBe(true);
+  });
+
+  test('Start and end days are read in the caller\'s time zone', () => {
+    // Local midnight of 2025-10-15 in Seoul is 2025-10-14T15:00Z
+    const habits = [syncHabit('h1'), syncHabit('h2', { startDate: new Date('2025-10-14T15:00:00Z') })];
+
+    expect(isDayEarned(habits, new Set(['h1']), '2025-10-14', { timeZone: 'Asia/Seoul' })).toBe(true);
+    expect(isDayEarned(habits, new Set(['h1']), '2025-10-14', { timeZone: 'UTC' })).toBe(false);
+  });
+});
+
+// ============================================================================
+// awardXP AGAINST THE FIRESTORE EMULATOR
+// ============================================================================
+
+describe('awardXP callable (emulator)', () => {
+  let testEnv;
+
+  beforeAll(async () => {
+    const rulesPath = path.join(__dirname, '../../firestore.rules');
+    const rules = fs.readFileSync(rulesPath, 'utf8');
+
+    testEnv = await initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      firestore: {
+        rules,
+        host: 'localhost',
+        port: 8080,
+      },
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+  });
+
+  const user = (uid = 'user1') => db().collection('users').doc(uid);
+
+  /** One every-day habit, completed (SyncEngine layout) on each listed day */
+  const seedCompletedDays = async (uid, ...dateKeys) => {
+    const { id, ...habit } = syncHabit('habit1');
+    await user(uid).collection('habits').doc(id).set(habit);
+    for (const dateKey of dateKeys) {
+      await user(uid)
+        .collection('completions')
+        .doc(dateKey.slice(0, 7))
+        .collection('completions')
+        .doc(`comp_habit1_${dateKey}`)
+        .set({ userId: uid, habitId: 'habit1', dateKey, isCompleted: true, progress: 1 });
+    }
+  };
+
+  const grant = (dateKey) => ({ dateKey, delta: DAILY_COMPLETION_XP });
+
+  const reverse = (dateKey) => ({ dateKey, delta: -DAILY_COMPLETION_XP });
+
+  test('Grants the bonus for an earned day and keeps a running total', async () => {
+    await seedCompletedDays('user1', '2025-10-14', '2025-10-15');
+
+    await awardXP(db(), 'user1', grant('2025-10-14'), { now: NOW });
+    const result = await awardXP(db(), 'user1', grant('2025-10-15'), { now: NOW });
+
+    expect(result).toEqual({
+      totalXP: 100,
+      level: 1,
+      currentLevelXP: 100,
+      eventId: 'daily_2025-10-15',
+      duplicate: false,
+    });
+    const entry = await xpLedgerCollection(db(), 'user1').doc('daily_2025-10-15').get();
+    expect(entry.data()).toMatchObject({ dateKey: '2025-10-15', delta: 50, source: 'awardXP' });
+    expect((await xpStateRef(db(), 'user1').get()).data()).toMatchObject({ totalXP: 100, awardedDays: 2 });
+  });
+
+  test('Counts FirestoreRepository day completions against the goal in effect', async () => {
+    await user('user1').collection('habits').doc('habit1').set({ name: 'Run', active: true });
+    await user('user1').collection('goalVersions').doc('habit1').collection('versions').doc('2025-10-01')
+      .set({ habitId: 'habit1', effectiveLocalDate: '2025-10-01', goal: 2, createdAt: new Date() });
+    const count = user('user1').collection('completions').doc('2025-10-15').collection('habits').doc('habit1');
+
+    await count.set({ count: 1, updatedAt: new Date() });
+    await expect(awardXP(db(), 'user1', grant('2025-10-15'), { now: NOW })).rejects.toMatchObject({
+      code: 'failed-precondition',
+    });
+
+    await count.set({ count: 2, updatedAt: new Date() });
+    await expect(awardXP(db(), 'user1', grant('2025-10-15'), { now: NOW })).resolves.toMatchObject({ totalXP: 50 });
+  });
+
+  test('Refuses a day the synced data does not show as earned', async () => {
+    await seedCompletedDays('user1', '2025-10-15');
+    await user('user1').collection('habits').doc('habit2').set(syncHabit('habit2'));
+
+    await expect(awardXP(db(), 'user1', grant('2025-10-15'), { now: NOW })).rejects.toMatchObject({
+      code: 'failed-precondition',
+    });
+    await expect(awardXP(db(), 'user1', grant('2025-10-14'), { now: NOW })).rejects.toMatchObject({
+      code: 'failed-precondition',
+    });
+    expect((await xpStateRef(db(), 'user1').get()).exists).toBe(false);
+    const ledger = await xpLedgerCollection(db(), 'user1').get();
+    expect(ledger.docs.map((doc) => doc.get('delta'))).toEqual([0, 0]);
+  });
+
+  test('Refuses days that have not started anywhere yet', async () => {
+    await seedCompletedDays('user1', '2025-10-17');
+
+    await expect(awardXP(db(), 'user1', grant('2025-10-17'), { now: NOW })).rejects.toMatchObject({
+      code: 'failed-precondition',
+    });
+  });
+
+  test('New eventIds cannot mint XP: a day pays out once', async () => {
+    await seedCompletedDays('user1', '2025-10-15');
+
+    await awardXP(db(), 'user1', grant('2025-10-15'), { now: NOW });
+    const retry = await awardXP(db(), 'user1', grant('2025-10-15'), { now: NOW });
+
+    expect(retry).toMatchObject({ totalXP: 50, duplicate: true });
+    await expect(
+      awardXP(db(), 'user1', { ...grant('2025-10-15'), eventId: 'evt-new' }, { now: NOW })
+    ).rejects.toMatchObject({ code: 'invalid-argument' });
+    expect((await xpLedgerCollection(db(), 'user1').get()).size).toBe(1);
+  });
+
+  test('Concurrent grants for one day award XP once', async () => {
+    await seedCompletedDays('user1', '2025-10-15');
+
+    await Promise.all([
+      awardXP(db(), 'user1', grant('2025-10-15'), { now: NOW }),
+      awardXP(db(), 'user1', grant('2025-10-15'), { now: NOW }),
+      awardXP(db(), 'user1', grant('2025-10-15'), { now: NOW }),
+    ]);
+
+    expect((await xpStateRef(db(), 'user1').get()).data().totalXP).toBe(50);
+  });
+
+  test('A reversal takes the day back out and can be re-granted', async () => {
+    await seedCompletedDays('user1', '2025-10-14', '2025-10-15');
+    await awardXP(db(), 'user1', grant('2025-10-14'), { now: NOW });
+    await awardXP(db(), 'user1', grant('2025-10-15'), { now: NOW });
+
+    const reversed = await awardXP(db(), 'user1', reverse('2025-10-15'), { now: NOW });
+    const again = await awardXP(db(), 'user1', reverse('2025-10-15'), { now: NOW });
+
+    expect(reversed).toMatchObject({ totalXP: 50, duplicate: false });
+    expect(again).toMatchObject({ totalXP: 50, duplicate: true });
+    expect((await xpLedgerCollection(db(), 'user1').doc('daily_2025-10-15').get()).data().delta).toBe(0);
+
+    await expect(awardXP(db(), 'user1', grant('2025-10-15'), { now: NOW })).resolves.toMatchObject({ totalXP: 100 });
+  });
+
+  test('Reversing a day that was never granted changes nothing', async () => {
+    const result = await awardXP(db(), 'user1', reverse('2025-10-15'), { now: NOW });
+
+    expect(result).toMatchObject({ totalXP: 0, duplicate: true });
+    expect((await xpStateRef(db(), 'user1').get()).exists).toBe(false);
+  });
+
+  test('Days the synced data refuses are recorded as rejected, and a later grant is checked again', async () => {
+    await seedCompletedDays('user1', '2025-10-14');
+
+    await expect(awardXP(db(), 'user1', grant('2025-10-15'), { now: NOW })).rejects.toMatchObject({
+      code: 'failed-precondition',
+    });
+    const entry = await xpLedgerCollection(db(), 'user1').doc('daily_2025-10-15').get();
+    expect(entry.data()).toMatchObject({ dateKey: '2025-10-15', delta: 0, source: 'awardXP' });
+    expect(entry.get('rejectedAt')).toBeDefined();
+
+    await seedCompletedDays('user1', '2025-10-15');
+    await expect(awardXP(db(), 'user1', grant('2025-10-15'), { now: NOW })).resolves.toMatchObject({ totalXP: 50 });
+    expect((await xpLedgerCollection(db(), 'user1').doc('daily_2025-10-15').get()).get('rejectedAt')).toBeUndefined();
+  });
+
+  test('Days before the account was created are never earned', async () => {
+    await seedCompletedDays('user1', '2025-10-14', '2025-10-15');
+    const accountCreatedAt = new Date('2025-10-15T08:00:00Z');
+
+    await expect(
+      awardXP(db(), 'user1', grant('2025-10-14'), { now: NOW, accountCreatedAt })
+    ).rejects.toMatchObject({ code: 'failed-precondition' });
+    await expect(
+      awardXP(db(), 'user1', grant('2025-10-15'), { now: NOW, accountCreatedAt })
+    ).resolves.toMatchObject({ totalXP: 50 });
+  });
+
+  test('XP the app granted before the move is carried over once as the legacy balance', async () => {
+    await seedCompletedDays('user1', '2025-10-10', '2025-10-15');
+    await xpStateRef(db(), 'user1').set({ totalXP: 1250, level: 3, currentLevelXP: 50, lastUpdated: new Date() });
+    await xpLedgerCollection(db(), 'user1').doc('legacy').set({ delta: 200, reason: 'Client write', ts: new Date() });
+
+    const result = await awardXP(db(), 'user1', grant('2025-10-15'), { now: NOW });
+
+    expect(result).toMatchObject({ totalXP: 1300, duplicate: false });
+    expect((await xpLedgerCollection(db(), 'user1').doc(LEGACY_BALANCE_ID).get()).data()).toMatchObject({
+      delta: 1050,
+      source: 'migration',
+      coversBefore: '2025-10-15',
+    });
+    expect((await xpStateRef(db(), 'user1').get()).data()).toMatchObject({ totalXP: 1300, awardedDays: 1 });
+
+    // Days before the migration were already paid by the app
+    await expect(awardXP(db(), 'user1', grant('2025-10-10'), { now: NOW })).resolves.toMatchObject({
+      totalXP: 1300,
+      duplicate: true,
+    });
+    expect((await xpLedgerCollection(db(), 'user1').doc('daily_2025-10-10').get()).exists).toBe(false);
+  });
+
+  test('rebuildXPState recomputes the total from every ledger entry', async () => {
+    await seedCompletedDays('user1', '2025-10-14', '2025-10-15');
+    await awardXP(db(), 'user1', grant('2025-10-14'), { now: NOW });
+    await awardXP(db(), 'user1', grant('2025-10-15'), { now: NOW });
+    await awardXP(db(), 'user1', reverse('2025-10-14'), { now: NOW });
+    await xpLedgerCollection(db(), 'user1').doc('legacy').set({ delta: 1000, reason: 'Client write', ts: new Date() });
+    await xpStateRef(db(), 'user1').update({ totalXP: 5000 });
+
+    expect(await rebuildXPState(db(), 'user1', { now: NOW })).toEqual({
+      totalXP: 1050,
+      level: 2,
+      currentLevelXP: 750,
+      awardedDays: 1,
+    });
+    expect((await xpStateRef(db(), 'user1').get()).data()).toMatchObject({ totalXP: 1050 });
+  });
+
+  test('rebuildXPState carries an app-written state over as the legacy balance', async () => {
+    await xpStateRef(db(), 'user1').set({ totalXP: 400, level: 2, currentLevelXP: 100, lastUpdated: new Date() });
+
+    expect(await rebuildXPState(db(), 'user1', { now: NOW })).toMatchObject({ totalXP: 400, awardedDays: 0 });
+    expect((await xpLedgerCollection(db(), 'user1').doc(LEGACY_BALANCE_ID).get()).get('delta')).toBe(400);
+  });
+
+  test('resetXP deletes the ledger and state; days can be earned again', async () => {
+    await seedCompletedDays('user1', '2025-10-15');
+    await awardXP(db(), 'user1', grant('2025-10-15'), { now: NOW });
+
+    expect(await resetXP(db(), 'user1')).toEqual({ deletedEntries: 1 });
+    expect((await xpStateRef(db(), 'user1').get()).exists).toBe(false);
+    await expect(awardXP(db(), 'user1', grant('2025-10-15'), { now: NOW })).resolves.toMatchObject({ totalXP: 50 });
+  });
+
+  test('Awards are scoped to the caller', async () => {
+    await seedCompletedDays('user1', '2025-10-15');
+
+    await awardXP(db(), 'user1', grant('2025-10-15'), { now: NOW });
+
+    await expect(awardXP(db(), 'user2', grant('2025-10-15'), { now: NOW })).rejects.toMatchObject({
+      code: 'failed-precondition',
+    });
+  });
+
+  test('Callable rejects unauthenticated requests', async () => {
+    await expect(functions.awardXP.run({ data: grant('2025-10-15') })).rejects.toMatchObject({
+      code: 'unauthenticated',
+    });
+    await expect(functions.resetXP.run({ data: {} })).rejects.toMatchObject({ code: 'unauthenticated' });
+  });
+
+  test('Callable awards XP to the authenticated uid', async () => {
+    await seedCompletedDays('user1', '2025-10-14');
+    await auth().deleteUser('user1').catch(() => {});
+    await auth().createUser({ uid: 'user1' });
+
+    const result = await functions.awardXP.run({
+      auth: { uid: 'user1', token: {} },
+      data: grant('2025-10-14'),
+    });
+
+    expect(result).toMatchObject({ totalXP: 50, duplicate: false });
+    expect((await xpStateRef(db(), 'user1').get()).exists).toBe(true);
+  });
+
+  test('Owner can read state written by awardXP but cannot overwrite it', async () => {
+    await seedCompletedDays('user1', '2025-10-15');
+    await awardXP(db(), 'user1', grant('2025-10-15'), { now: NOW });
+
+    const ownerDb = testEnv.authenticatedContext('user1').firestore();
+    const ref = ownerDb.collection('users').doc('user1').collection('xp').doc('state');
+
+    await assertSucceeds(ref.get());
+    await assertFails(
+      ref.set({ totalXP: 100000, level: 19, currentLevelXP: 0, lastUpdated: new Date() })
+    );
+    await assertFails(ref.delete());
+    await assertSucceeds(
+      ownerDb.collection('users').doc('user1').collection('xp_ledger').doc('daily_2025-10-15').get()
+    );
+    await assertFails(
+      ownerDb
+        .collection('users')
+        .doc('user1')
+        .collection('xp_ledger')
+        .doc('daily_2025-10-16')
+        .set({ delta: 50, reason: 'forged', ts: new Date() })
+    );
+    await assertFails(ownerDb.collection('users').doc('user1').collection('xp_ledger').doc('daily_2025-10-15').delete());
+  });
+});
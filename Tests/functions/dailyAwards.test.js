@@ -0,0 +1,119 @@
+const { initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+
+// Admin SDK must see the emulator before firebase-admin is loaded
+const PROJECT_ID = 'habitto-daily-awards-test';
+process.env.GCLOUD_PROJECT = PROJECT_ID;
+process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || 'localhost:8080';
+
+const { db } = require('../../functions/src/admin');
+const { canonicalAwardId, awardDateKey, findDuplicateAwards } = require('../../functions/src/dailyAwards');
+
+/** SyncEngine award under "{uid}#{dateKey}" */
+const syncAward = (uid, dateKey, xpGranted = 50) => ({
+  userId: uid,
+  dateKey,
+  xpGranted,
+  allHabitsCompleted: true,
+  createdAt: new Date(),
+  userIdDateKey: `${uid}#${dateKey}`,
+});
+
+/** FirebaseBackupService award under "{dateKey}" */
+const backupAward = (dateKey, xpGranted = 50) => ({
+  dateKey,
+  xpGranted,
+  allHabitsCompleted: true,
+  grantedAt: new Date(),
+  syncedAt: new Date(),
+});
+
+// ============================================================================
+// AWARD DAY (no emulator required)
+// ============================================================================
+
+describe('awardDateKey', () => {
+  test('Canonical id is "{uid}#{dateKey}"', () => {
+    expect(canonicalAwardId('user1', '2025-10-15')).toBe('user1#2025-10-15');
+  });
+
+  test('Reads dateKey, then the legacy date field, then the id', () => {
+    expect(awardDateKey('user1#2025-10-15', { dateKey: '2025-10-14' })).toBe('2025-10-14');
+    expect(awardDateKey('2025-10-15', { date: '2025-10-13' })).toBe('2025-10-13');
+    expect(awardDateKey('user1#2025-10-15', {})).toBe('2025-10-15');
+    expect(awardDateKey('2025-10-15')).toBe('2025-10-15');
+  });
+
+  test('Ids and fields that are not YYYY-MM-DD have no day', () => {
+    expect(awardDateKey('award-1', { dateKey: '10/15/2025' })).toBeNull();
+    expect(awardDateKey('user1#15-10-2025', {})).toBeNull();
+  });
+});
+
+// ============================================================================
+// DUPLICATE SCAN (emulator)
+// ============================================================================
+
+describe('findDuplicateAwards (emulator)', () => {
+  let testEnv;
+
+  const awards = (uid) => db().collection('users').doc(uid).collection('daily_awards');
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      firestore: { host: 'localhost', port: 8080 },
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+  });
+
+  test('One award per day under either id is clean', async () => {
+    await awards('user1').doc('user1#2025-10-15').set(syncAward('user1', '2025-10-15'));
+    await awards('user1').doc('2025-10-16').set(backupAward('2025-10-16'));
+
+    expect(await findDuplicateAwards(db(), { uid: 'user1' })).toEqual({ awardsRead: 2, unreadable: [], duplicates: [] });
+  });
+
+  test('A day stored under both ids is reported with its excess XP', async () => {
+    await awards('user1').doc('user1#2025-10-15').set(syncAward('user1', '2025-10-15', 50));
+    await awards('user1').doc('2025-10-15').set(backupAward('2025-10-15', 60));
+
+    const { duplicates } = await findDuplicateAwards(db(), { uid: 'user1' });
+
+    expect(duplicates).toEqual([
+      {
+        userId: 'user1',
+        dateKey: '2025-10-15',
+        docIds: ['2025-10-15', 'user1#2025-10-15'],
+        xpGranted: expect.arrayContaining([50, 60]),
+        excessXP: 50,
+      },
+    ]);
+  });
+
+  test('Scanning every user keeps users apart', async () => {
+    await awards('user1').doc('user1#2025-10-15').set(syncAward('user1', '2025-10-15'));
+    await awards('user2').doc('user2#2025-10-15').set(syncAward('user2', '2025-10-15'));
+    await awards('user2').doc('2025-10-15').set(backupAward('2025-10-15'));
+
+    const report = await findDuplicateAwards(db());
+
+    expect(report.awardsRead).toBe(3);
+    expect(report.duplicates.map((d) => [d.userId, d.dateKey])).toEqual([['user2', '2025-10-15']]);
+  });
+
+  test('Awards without a readable day are listed, not grouped', async () => {
+    await awards('user1').doc('award-1').set({ xpGranted: 50, allHabitsCompleted: true });
+
+    expect(await findDuplicateAwards(db(), { uid: 'user1' })).toMatchObject({
+      unreadable: ['users/user1/daily_awards/award-1'],
+      duplicates: [],
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const { initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+
+// Admin SDK must see the emulators before firebase-admin is loaded
+const PROJECT_ID = 'habitto-devices-test';
+process.env.GCLOUD_PROJECT = PROJECT_ID;
+process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || 'localhost:8080';
+process.env.FIREBASE_AUTH_EMULATOR_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST || 'localhost:9099';
+
+const { db, auth } = require('../../functions/src/admin');
+const { revokeDevice, sessionsRef } = require('../../functions/src/devices');
+const functions = require('../../functions');
+
+// ============================================================================
+// INPUT CHECKS (no emulator required)
+// ============================================================================
+
+describe('revokeDevice input', () => {
+  test('Refuses a missing or malformed deviceId before any lookup', async () => {
+    for (const data of [null, {}, { deviceId: '' }, { deviceId: 'a/b' }, { deviceId: 'x'.repeat(201) }]) {
+      await expect(revokeDevice(null, null, 'user1', data)).rejects.toMatchObject({ code: 'invalid-argument' });
+    }
+  });
+
+  test('The callable needs a signed-in caller', async () => {
+    await expect(functions.revokeDevice.run({ data: { deviceId: 'device-lost' } })).rejects.toMatchObject({
+      code: 'unauthenticated',
+    });
+  });
+});
+
+// ============================================================================
+// REVOCATION (Firestore + Auth emulators)
+// ============================================================================
+
+describe('revokeDevice (emulator)', () => {
+  let testEnv;
+  let uid;
+
+  const deviceRef = (deviceId) => db().collection('users').doc(uid).collection('devices').doc(deviceId);
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      firestore: { host: 'localhost', port: 8080 },
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    uid = (await auth().createUser({})).uid;
+    await deviceRef('device-lost').set({
+      id: 'device-lost',
+      deviceName: 'Old iPhone',
+      deviceModel: 'iPhone',
+      appVersion: '1.0.0',
+      lastLogin: new Date(),
+      createdAt: new Date(),
+    });
+  });
+
+  afterEach(async () => {
+    await auth().deleteUser(uid);
+  });
+
+  test('Marks the device revoked, revokes refresh tokens and records the cut-off', async () => {
+    const before = Math.floor(Date.now() / 1000) - 1;
+
+    const { revokeTime } = await revokeDevice(auth(), db(), uid, { deviceId: 'device-lost' });
+
+    expect((await deviceRef('device-lost').get()).data()).toMatchObject({ revoked: true });
+    expect((await deviceRef('device-lost').get()).get('revokedAt')).toBeDefined();
+    expect(revokeTime).toBeGreaterThanOrEqual(before);
+    expect(revokeTime).toBe(Date.parse((await auth().getUser(uid)).tokensValidAfterTime) / 1000);
+    expect((await sessionsRef(db(), uid).get()).data()).toMatchObject({ revokeTime, revokedDeviceId: 'device-lost' });
+  });
+
+  test('Revoking again keeps the first revokedAt', async () => {
+    await revokeDevice(auth(), db(), uid, { deviceId: 'device-lost' });
+    const { revokedAt } = (await deviceRef('device-lost').get()).data();
+
+    await revokeDevice(auth(), db(), uid, { deviceId: 'device-lost' });
+
+    expect((await deviceRef('device-lost').get()).get('revokedAt')).toEqual(revokedAt);
+  });
+
+  test('Refuses a device the caller never registered', async () => {
+    await expect(revokeDevice(auth(), db(), uid, { deviceId: 'device-other' })).rejects.toMatchObject({
+      code: 'not-found',
+    });
+    expect((await sessionsRef(db(), uid).get()).exists).toBe(false);
+  });
+
+  test('Callable revokes a device of the authenticated uid', async () => {
+    await expect(
+      functions.revokeDevice.run({ auth: { uid, token: {} }, data: { deviceId: 'device-lost' } })
+    ).resolves.toMatchObject({ deviceId: 'device-lost' });
+    expect((await deviceRef('device-lost').get()).get('revoked')).toBe(true);
+  });
+});
@@ -0,0 +1,156 @@
+const { initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+
+// Admin SDK must see the emulators before firebase-admin is loaded
+const PROJECT_ID = 'habitto-erasure-test';
+process.env.GCLOUD_PROJECT = PROJECT_ID;
+process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || 'localhost:8080';
+process.env.FIREBASE_AUTH_EMULATOR_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST || 'localhost:9099';
+process.env.FIREBASE_STORAGE_EMULATOR_HOST = process.env.FIREBASE_STORAGE_EMULATOR_HOST || 'localhost:9199';
+
+const { getAuth } = require('firebase-admin/auth');
+
+const { app, db } = require('../../functions/src/admin');
+const { hashUid, receiptRef, eraseUserData } = require('../../functions/src/erasure');
+const functions = require('../../functions');
+const { seedUserTree } = require('../support/seed');
+
+let testEnv;
+
+/** Every document path under /users/{uid}, including parent-less subcollection docs */
+const remainingPaths = async (uid) => {
+  const paths = [];
+  const visit = async (docRef) => {
+    if ((await docRef.get()).exists) {
+      paths.push(docRef.path);
+    }
+    for (const collection of await docRef.listCollections()) {
+      for (const doc of await collection.listDocuments()) {
+        await visit(doc);
+      }
+    }
+  };
+  await visit(db().collection('users').doc(uid));
+  return paths;
+};
+
+/** db wrapper whose Nth batch commit fails, to simulate a crash mid-erasure */
+const failingOnCommit = (failAt) => {
+  let commits = 0;
+  return new Proxy(db(), {
+    get(target, prop) {
+      if (prop !== 'batch') {
+        const value = Reflect.get(target, prop);
+        return typeof value === 'function' ? value.bind(target) : value;
+      }
+      return () => {
+        const batch = target.batch();
+        const commit = batch.commit.bind(batch);
+        batch.commit = () => {
+          commits += 1;
+          return commits === failAt ? Promise.reject(new Error('simulated crash')) : commit();
+        };
+        return batch;
+      };
+    },
+  });
+};
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { host: 'localhost', port: 8080 },
+  });
+});
+
+afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+});
+
+describe('Account erasure', () => {
+  test('Erases every collection under the uid and leaves other users alone', async () => {
+    const seeded = await seedUserTree(db(), 'user1');
+    await seedUserTree(db(), 'user2');
+
+    const receipt = await eraseUserData(db(), 'user1', { batchSize: 4 });
+
+    expect(await remainingPaths('user1')).toEqual([]);
+    expect((await remainingPaths('user2')).length).toBe(seeded);
+    expect(receipt).toMatchObject({ status: 'complete', documentsDeleted: expect.any(Number) });
+    // Missing parent documents (e.g. completions/2025-10) are deleted too
+    expect(receipt.documentsDeleted).toBeGreaterThanOrEqual(seeded);
+    expect(receipt.batches).toBeGreaterThan(1);
+  });
+
+  test("Removes other users' partner records for the erased user, with their shared habits", async () => {
+    const partners = (owner) => db().collection('users').doc(owner).collection('partners');
+    await seedUserTree(db(), 'user2');
+    await partners('user2').doc('user1').set({ partnerId: 'user1', inviteId: 'invite-1', status: 'accepted' });
+    await partners('user2').doc('user1').collection('shared_habits').doc('habit1').set({ habitId: 'habit1' });
+    await partners('user3').doc('user1').set({ partnerId: 'user1', inviteId: 'invite-2', status: 'invited' });
+    await partners('user2').doc('user3').set({ partnerId: 'user3', inviteId: 'invite-3', status: 'accepted' });
+
+    await eraseUserData(db(), 'user1');
+
+    expect((await partners('user2').doc('user1').get()).exists).toBe(false);
+    expect((await partners('user2').doc('user1').collection('shared_habits').get()).empty).toBe(true);
+    expect((await partners('user3').doc('user1').get()).exists).toBe(false);
+    expect((await partners('user2').doc('user3').get()).exists).toBe(true);
+    expect((await db().collection('users').doc('user2').get()).exists).toBe(true);
+  });
+
+  test('Receipt is keyed by a hash and holds no user data', async () => {
+    await seedUserTree(db(), 'user1');
+    await eraseUserData(db(), 'user1');
+
+    const snapshot = await receiptRef(db(), 'user1').get();
+    expect(snapshot.id).toBe(hashUid('user1'));
+    expect(snapshot.id).not.toContain('user1');
+    expect(Object.keys(snapshot.data()).sort()).toEqual(
+      ['batches', 'completedAt', 'documentsDeleted', 'requestedAt', 'status', 'trigger', 'updatedAt']
+    );
+  });
+
+  test('Resumes after a crash mid-erasure', async () => {
+    await seedUserTree(db(), 'user1');
+
+    await expect(eraseUserData(failingOnCommit(2), 'user1', { batchSize: 3 })).rejects.toThrow(
+      'simulated crash'
+    );
+    expect((await receiptRef(db(), 'user1').get()).data().status).toBe('in_progress');
+    expect((await remainingPaths('user1')).length).toBeGreaterThan(0);
+
+    const receipt = await eraseUserData(db(), 'user1', { batchSize: 3 });
+
+    expect(receipt.status).toBe('complete');
+    expect(await remainingPaths('user1')).toEqual([]);
+  });
+
+  test('Running again after completion is a no-op', async () => {
+    await seedUserTree(db(), 'user1');
+    const first = await eraseUserData(db(), 'user1');
+    const second = await eraseUserData(db(), 'user1');
+
+    expect(second.documentsDeleted).toBe(first.documentsDeleted);
+  });
+
+  test('Auth onDelete trigger erases the deleted user', async () => {
+    const auth = getAuth(app());
+    const user = await auth.createUser({ email: 'erase-me@example.com', password: 'secret123' });
+    await seedUserTree(db(), user.uid);
+    await db().collection('purchase_claims').doc('otx-erase').set({ uid: user.uid, productId: 'lifetime' });
+
+    await auth.deleteUser(user.uid);
+    await functions.eraseUserOnDelete.run(user, { eventId: 'evt-delete', params: {} });
+
+    expect(await remainingPaths(user.uid)).toEqual([]);
+    expect((await db().collection('purchase_claims').doc('otx-erase').get()).exists).toBe(false);
+    expect((await receiptRef(db(), user.uid).get()).data()).toMatchObject({
+      status: 'complete',
+      trigger: 'auth.onDelete',
+    });
+  });
+});
@@ -0,0 +1,257 @@
+const { initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+const { Timestamp } = require('firebase-admin/firestore');
+
+// Admin SDK must see the emulator before firebase-admin is loaded
+const PROJECT_ID = 'habitto-export-test';
+process.env.GCLOUD_PROJECT = PROJECT_ID;
+process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || 'localhost:8080';
+
+const { db } = require('../../functions/src/admin');
+const {
+  EXPORT_FORMAT_VERSION,
+  normalizeValue,
+  csvField,
+  toCsv,
+  exportUserData,
+} = require('../../functions/src/export');
+const functions = require('../../functions');
+const { SEED_DATE, seedUserTree } = require('../support/seed');
+
+// ============================================================================
+// NORMALIZATION + CSV (no emulator required)
+// ============================================================================
+
+describe('Export normalization', () => {
+  test('Timestamps and Dates become ISO-8601 strings, nested too', () => {
+    const ts = Timestamp.fromDate(new Date('2025-10-15T08:30:00.000Z'));
+
+    expect(
+      normalizeValue({ at: ts, when: new Date(0), nested: { list: [ts] }, dateKey: '2025-10-15' })
+    ).toEqual({
+      at: '2025-10-15T08:30:00.000Z',
+      when: '1970-01-01T00:00:00.000Z',
+      nested: { list: ['2025-10-15T08:30:00.000Z'] },
+      dateKey: '2025-10-15',
+    });
+  });
+
+  test('CSV fields are quoted only when needed', () => {
+    expect(csvField('plain')).toBe('plain');
+    expect(csvField('a,b')).toBe('"a,b"');
+    expect(csvField('say "hi"')).toBe('"say ""hi"""');
+    expect(csvField('line\nbreak')).toBe('"line\nbreak"');
+    expect(csvField(null)).toBe('');
+    expect(csvField(false)).toBe('false');
+    expect(csvField({ a: 1 })).toBe('"{""a"":1}"');
+  });
+
+  test('Text a spreadsheet would run as a formula is prefixed with a quote', () => {
+    expect(csvField('=HYPERLINK("http://x","Run")')).toBe('"\'=HYPERLINK(""http://x"",""Run"")"');
+    expect(csvField('+1 push-up')).toBe("'+1 push-up");
+    expect(csvField('-stretch')).toBe("'-stretch");
+    expect(csvField('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(csvField('\tcmd')).toBe("'\tcmd");
+    expect(csvField('Run = 5km')).toBe('Run = 5km');
+    expect(csvField(-50)).toBe('-50');
+  });
+
+  test('toCsv writes a header row and CRLF line endings', () => {
+    expect(toCsv(['id', 'name'], [{ id: 1, name: 'Run' }, { id: 2 }])).toBe(
+      'id,name\r\n1,Run\r\n2,\r\n'
+    );
+  });
+});
+
+// ============================================================================
+// EXPORT AGAINST THE FIRESTORE EMULATOR
+// ============================================================================
+
+describe('User data export (emulator)', () => {
+  let testEnv;
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      firestore: { host: 'localhost', port: 8080 },
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seedUserTree(db(), 'user1');
+    await seedUserTree(db(), 'user2');
+  });
+
+  test('Archive is versioned and covers every collection', async () => {
+    const now = new Date('2026-01-01T00:00:00.000Z');
+    const { archive } = await exportUserData(db(), 'user1', { now });
+
+    expect(archive).toMatchObject({
+      formatVersion: EXPORT_FORMAT_VERSION,
+      exportedAt: '2026-01-01T00:00:00.000Z',
+      userId: 'user1',
+      profile: { displayName: 'Seed User' },
+    });
+    expect(archive.goalVersions).toHaveLength(1);
+    expect(archive.progressEvents).toHaveLength(1);
+    expect(archive.dailyAwards).toHaveLength(1);
+    expect(archive.streaks).toHaveLength(1);
+    expect(archive.devices).toHaveLength(1);
+    expect(archive.xp.state).toMatchObject({ totalXP: 60 });
+    expect(archive.meta.migration).toMatchObject({ status: 'complete' });
+    expect(archive.meta.schemaMigration).toBeNull();
+    expect(archive.meta.sessions).toBeNull();
+    expect(archive.meta.xpMigration).toMatchObject({ version: '1.0' });
+    expect(archive.meta.habitCount).toMatchObject({ count: 2 });
+  });
+
+  test('Entitlements and the purchases linked to the user are exported', async () => {
+    await db().collection('purchase_claims').doc('otx-user1').set({
+      uid: 'user1',
+      productId: 'com.chloe_lee.Habitto.subscription.lifetime',
+      claimedAt: Timestamp.fromDate(new Date('2025-10-15T08:30:00.000Z')),
+    });
+    await db().collection('purchase_claims').doc('otx-user2').set({ uid: 'user2', productId: 'other' });
+
+    const { archive } = await exportUserData(db(), 'user1');
+
+    expect(archive.entitlements).toEqual([
+      expect.objectContaining({ id: 'premium', originalTransactionId: 'otx-user1', status: 'active', expiresAt: null }),
+    ]);
+    expect(archive.purchaseClaims).toEqual([
+      {
+        id: 'otx-user1',
+        productId: 'com.chloe_lee.Habitto.subscription.lifetime',
+        claimedAt: '2025-10-15T08:30:00.000Z',
+      },
+    ]);
+  });
+
+  test('Both habit schemas are exported and labelled', async () => {
+    const { archive } = await exportUserData(db(), 'user1');
+    const schemas = Object.fromEntries(archive.habits.map((habit) => [habit.id, habit.schema]));
+
+    expect(schemas).toEqual({ habit1: 'simple', habit2: 'sync' });
+  });
+
+  test('All three completion paths are exported', async () => {
+    const { archive } = await exportUserData(db(), 'user1');
+    const paths = archive.completions.map((c) => `${c.path}:${c.bucket}:${c.habitId}:${c.dateKey}`);
+
+    expect(paths.sort()).toEqual([
+      'completions:2025-10:habit2:2025-10-15',
+      'habits:2025-10-15:habit1:2025-10-15',
+      'records:2025-10:habit2:2025-10-14',
+    ]);
+  });
+
+  test('Both XP ledger paths are exported', async () => {
+    const { archive } = await exportUserData(db(), 'user1');
+
+    expect(archive.xp.ledger.map((entry) => entry.path).sort()).toEqual([
+      'xp/ledger/entries',
+      'xp_ledger',
+    ]);
+  });
+
+  test('Partners the user invited, their shared habits and invitations from others are exported', async () => {
+    const at = Timestamp.fromDate(new Date('2025-10-15T08:30:00.000Z'));
+    const partners = (ownerId) => db().collection('users').doc(ownerId).collection('partners');
+    await partners('user1').doc('user2').set({ partnerId: 'user2', inviteId: 'invite-1', status: 'accepted', invitedAt: at, acceptedAt: at });
+    await partners('user1').doc('user2').collection('shared_habits').doc('habit1').set({ habitId: 'habit1', inviteId: 'invite-1', grantedAt: at });
+    await partners('user3').doc('user1').set({ partnerId: 'user1', inviteId: 'invite-2', status: 'invited', invitedAt: at });
+    await partners('user3').doc('user2').set({ partnerId: 'user2', inviteId: 'invite-3', status: 'invited', invitedAt: at });
+
+    const { archive } = await exportUserData(db(), 'user1');
+
+    expect(archive.partners).toEqual([
+      {
+        id: 'user2',
+        partnerId: 'user2',
+        inviteId: 'invite-1',
+        status: 'accepted',
+        invitedAt: '2025-10-15T08:30:00.000Z',
+        acceptedAt: '2025-10-15T08:30:00.000Z',
+        sharedHabits: [{ id: 'habit1', habitId: 'habit1', inviteId: 'invite-1', grantedAt: '2025-10-15T08:30:00.000Z' }],
+      },
+    ]);
+    expect(archive.partnerInvitations).toEqual([
+      { ownerId: 'user3', id: 'user1', partnerId: 'user1', inviteId: 'invite-2', status: 'invited', invitedAt: '2025-10-15T08:30:00.000Z' },
+    ]);
+  });
+
+  test('Support grants the user approved or revoked are exported', async () => {
+    const at = Timestamp.fromDate(new Date('2025-10-15T08:30:00.000Z'));
+    const grants = db().collection('users').doc('user1').collection('support_grants');
+    await grants.doc('support1').set({ supportUid: 'support1', ticketId: 'TICKET-1042', status: 'approved', approvedAt: at, expiresAt: at });
+    await grants.doc('support2').set({ supportUid: 'support2', ticketId: 'TICKET-7', status: 'revoked', approvedAt: at, expiresAt: at, revokedAt: at });
+
+    const { archive } = await exportUserData(db(), 'user1');
+
+    expect(archive.supportGrants).toEqual([
+      {
+        id: 'support1',
+        supportUid: 'support1',
+        ticketId: 'TICKET-1042',
+        status: 'approved',
+        approvedAt: '2025-10-15T08:30:00.000Z',
+        expiresAt: '2025-10-15T08:30:00.000Z',
+      },
+      {
+        id: 'support2',
+        supportUid: 'support2',
+        ticketId: 'TICKET-7',
+        status: 'revoked',
+        approvedAt: '2025-10-15T08:30:00.000Z',
+        expiresAt: '2025-10-15T08:30:00.000Z',
+        revokedAt: '2025-10-15T08:30:00.000Z',
+      },
+    ]);
+  });
+
+  test('Timestamps are ISO-8601 and dateKeys are preserved verbatim', async () => {
+    const { archive } = await exportUserData(db(), 'user1');
+    const [event] = archive.progressEvents;
+
+    expect(event.occurredAt).toBe(SEED_DATE.toISOString());
+    expect(event.utcDayStart).toBe('2025-10-14T15:00:00.000Z');
+    // Local calendar day in Asia/Seoul, not the UTC date of occurredAt
+    expect(event.dateKey).toBe('2025-10-15');
+    expect(archive.goalVersions[0].effectiveLocalDate).toBe('2025-10-15');
+  });
+
+  test('CSVs flatten habits, completions, events and ledger entries', async () => {
+    const { csv } = await exportUserData(db(), 'user1');
+
+    expect(Object.keys(csv).sort()).toEqual([
+      'completions.csv', 'habits.csv', 'progress_events.csv', 'xp_ledger.csv',
+    ]);
+    expect(csv['habits.csv'].split('\r\n')).toEqual(expect.arrayContaining([
+      'id,schema,name,type,active,color,createdAt,deletedAt',
+      `habit1,simple,Run,formation,true,green500,${SEED_DATE.toISOString()},`,
+      `habit2,sync,Read,Habit Building,true,,${SEED_DATE.toISOString()},`,
+    ]));
+    expect(csv['completions.csv']).toContain(`habits,2025-10-15,habit1,habit1,2025-10-15,1,,,${SEED_DATE.toISOString()}`);
+    expect(csv['progress_events.csv']).toContain('2025-10,evt1,habit2,2025-10-15,INCREMENT,1,');
+    expect(csv['xp_ledger.csv']).toContain(`xp_ledger,evt-award-1,50,Daily award,2025-10-15,${SEED_DATE.toISOString()}`);
+  });
+
+  test('Export never includes another user\'s documents', async () => {
+    const { archive } = await exportUserData(db(), 'user1');
+
+    expect(JSON.stringify(archive)).not.toContain('user2');
+  });
+
+  test('Callable exports the authenticated caller only', async () => {
+    const result = await functions.exportMyData.run({ auth: { uid: 'user2', token: {} }, data: {} });
+    expect(result.archive.userId).toBe('user2');
+
+    await expect(functions.exportMyData.run({ data: {} })).rejects.toMatchObject({
+      code: 'unauthenticated',
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} = require('@firebase/rules-unit-testing');
+
+const fs = require('fs');
+const path = require('path');
+
+// Admin SDK must see the emulator before firebase-admin is loaded
+const PROJECT_ID = 'habitto-goals-test';
+process.env.GCLOUD_PROJECT = PROJECT_ID;
+process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || 'localhost:8080';
+
+const { Timestamp } = require('firebase-admin/firestore');
+
+const { db } = require('../../functions/src/admin');
+const { DEFAULT_GOAL, versionIdFor, goalResolver, goalInEffect } = require('../../functions/src/goals');
+
+const version = (effectiveLocalDate, goal, createdAt = '2025-01-01T00:00:00Z') => ({
+  habitId: 'habit1',
+  effectiveLocalDate,
+  goal,
+  createdAt: Timestamp.fromDate(new Date(createdAt)),
+});
+
+// ============================================================================
+// GOAL RESOLUTION (no emulator required)
+// ============================================================================
+
+describe('goalResolver', () => {
+  test('Before the first version the goal is the default', () => {
+    const goalOn = goalResolver([version('2025-10-10', 3)]);
+
+    expect(DEFAULT_GOAL).toBe(1);
+    expect(goalOn('2025-10-09')).toBe(1);
+    expect(goalResolver([])('2025-10-09')).toBe(1);
+  });
+
+  test('Each version applies from its date until the next, in any input order', () => {
+    const goalOn = goalResolver([version('2025-10-20', 5), version('2025-10-10', 3), version('2025-10-15', 0)]);
+
+    expect(goalOn('2025-10-10')).toBe(3);
+    expect(goalOn('2025-10-14')).toBe(3);
+    expect(goalOn('2025-10-15')).toBe(0);
+    expect(goalOn('2025-10-19')).toBe(0);
+    expect(goalOn('2025-10-20')).toBe(5);
+    expect(goalOn('2026-01-01')).toBe(5);
+  });
+
+  test('Legacy versions sharing a date resolve to the one created last', () => {
+    const goalOn = goalResolver([
+      version('2025-10-10', 4, '2025-10-10T18:00:00Z'),
+      version('2025-10-10', 2, '2025-10-10T08:00:00Z'),
+    ]);
+
+    expect(goalOn('2025-10-10')).toBe(4);
+  });
+
+  test('Version ids are the effective date', () => {
+    expect(versionIdFor('2025-10-10')).toBe('2025-10-10');
+  });
+});
+
+// ============================================================================
+// GOAL CHANGES THROUGH THE RULES, RESOLVED AGAINST THE EMULATOR
+// ============================================================================
+
+describe('Goal in effect (emulator)', () => {
+  let testEnv;
+
+  const versionsRef = (firestore) =>
+    firestore.collection('users').doc('user1').collection('goalVersions').doc('habit1').collection('versions');
+
+  /** Change the goal from `effectiveLocalDate` the way FirestoreRepository.setGoal does */
+  const setGoal = async (effectiveLocalDate, goal) => {
+    const ref = versionsRef(testEnv.authenticatedContext('user1').firestore()).doc(versionIdFor(effectiveLocalDate));
+    if ((await ref.get()).exists) {
+      await assertSucceeds(ref.delete());
+    }
+    await assertSucceeds(ref.set({ habitId: 'habit1', effectiveLocalDate, goal, createdAt: new Date() }));
+  };
+
+  const goalsOn = (...dateKeys) => Promise.all(dateKeys.map((dateKey) => goalInEffect(db(), 'user1', 'habit1', dateKey)));
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      firestore: {
+        rules: fs.readFileSync(path.join(__dirname, '../../firestore.rules'), 'utf8'),
+        host: 'localhost',
+        port: 8080,
+      },
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    // Goal versions can only be created for an existing habit
+    await db().collection('users').doc('user1').collection('habits').doc('habit1')
+      .set({ name: 'Habit 1', color: '#fff', type: 'formation', createdAt: new Date(), active: true });
+  });
+
+  test('No goal versions resolves to the default goal', async () => {
+    expect(await goalsOn('2025-10-15')).toEqual([DEFAULT_GOAL]);
+  });
+
+  test('Raise, pause with goal 0, then resume', async () => {
+    await setGoal('2025-10-01', 2);
+    await setGoal('2025-10-10', 4);
+    await setGoal('2025-10-15', 0);
+    await setGoal('2025-10-20', 1);
+
+    expect(await goalsOn('2025-09-30', '2025-10-01', '2025-10-09', '2025-10-10', '2025-10-15', '2025-10-19', '2025-10-20'))
+      .toEqual([1, 2, 2, 4, 0, 0, 1]);
+  });
+
+  test('Changing the goal twice on one day keeps only the last change', async () => {
+    await setGoal('2025-10-10', 3);
+    await setGoal('2025-10-10', 0);
+    await setGoal('2025-10-10', 5);
+
+    expect((await versionsRef(db()).get()).size).toBe(1);
+    expect(await goalsOn('2025-10-09', '2025-10-10', '2025-12-31')).toEqual([1, 5, 5]);
+  });
+
+  test('Backdated change only affects days from its effective date', async () => {
+    await setGoal('2025-10-10', 3);
+    await setGoal('2025-10-05', 2);
+
+    expect(await goalsOn('2025-10-04', '2025-10-05', '2025-10-09', '2025-10-10')).toEqual([1, 2, 2, 3]);
+  });
+
+  test('Goal 0 from the very first version pauses until the next change', async () => {
+    await setGoal('2025-10-01', 0);
+    await setGoal('2025-11-01', 2);
+
+    expect(await goalsOn('2025-09-30', '2025-10-01', '2025-10-31', '2025-11-01')).toEqual([1, 0, 0, 2]);
+  });
+
+  test('A duplicate version for one day is rejected by the rules', async () => {
+    await setGoal('2025-10-10', 3);
+    const clientVersions = versionsRef(testEnv.authenticatedContext('user1').firestore());
+
+    await assertFails(clientVersions.doc('2025-10-10').set({ habitId: 'habit1', effectiveLocalDate: '2025-10-10', goal: 4, createdAt: new Date() }));
+    await assertFails(clientVersions.doc('dup').set({ habitId: 'habit1', effectiveLocalDate: '2025-10-10', goal: 4, createdAt: new Date() }));
+    expect(await goalsOn('2025-10-10')).toEqual([3]);
+  });
+
+  test('Invalid dateKey is rejected', async () => {
+    await expect(goalInEffect(db(), 'user1', 'habit1', '2025/10/10')).rejects.toThrow('Invalid dateKey');
+  });
+});
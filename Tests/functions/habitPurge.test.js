@@ -0,0 +1,171 @@
+const { initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+
+// Admin SDK must see the emulator before firebase-admin is loaded
+const PROJECT_ID = 'habitto-purge-test';
+process.env.GCLOUD_PROJECT = PROJECT_ID;
+process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || 'localhost:8080';
+
+const { Timestamp } = require('firebase-admin/firestore');
+
+const { db } = require('../../functions/src/admin');
+const {
+  RETENTION_DAYS,
+  isPurgeDue,
+  purgeHabit,
+  purgeDeletedHabits,
+} = require('../../functions/src/habitPurge');
+const { recomputeStreak } = require('../../functions/src/streaks');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysBefore = (days) => Timestamp.fromMillis(NOW.getTime() - days * DAY_MS);
+
+// ============================================================================
+// RETENTION WINDOW (no emulator required)
+// ============================================================================
+
+describe('isPurgeDue', () => {
+  test('Live habits are never due', () => {
+    expect(isPurgeDue({ name: 'Run' }, { now: NOW })).toBe(false);
+    expect(isPurgeDue({ name: 'Run', deletedAt: null }, { now: NOW })).toBe(false);
+  });
+
+  test('Soft-deleted habits are due once the retention window has passed', () => {
+    expect(isPurgeDue({ deletedAt: daysBefore(RETENTION_DAYS - 1) }, { now: NOW })).toBe(false);
+    expect(isPurgeDue({ deletedAt: daysBefore(RETENTION_DAYS) }, { now: NOW })).toBe(true);
+    expect(isPurgeDue({ deletedAt: daysBefore(3) }, { now: NOW, retentionDays: 2 })).toBe(true);
+  });
+});
+
+// ============================================================================
+// PURGE AGAINST THE FIRESTORE EMULATOR
+// ============================================================================
+
+describe('Habit purge (emulator)', () => {
+  let testEnv;
+
+  const user = () => db().collection('users').doc('user1');
+
+  /** A habit with one of every dependent, soft-deleted `deletedDaysAgo` days before NOW */
+  const seedHabit = async (habitId, { deletedDaysAgo = null } = {}) => {
+    const batch = db().batch();
+    batch.set(user().collection('habits').doc(habitId), {
+      name: habitId,
+      habitType: 'Habit Building',
+      isActive: true,
+      createdAt: daysBefore(90),
+      deletedAt: deletedDaysAgo === null ? null : daysBefore(deletedDaysAgo),
+    });
+    batch.set(user().collection('completions').doc('2026-08-07').collection('habits').doc(habitId), {
+      count: 1,
+      updatedAt: daysBefore(60),
+    });
+    batch.set(user().collection('completions').doc('2026-08').collection('completions').doc(`comp_${habitId}_2026-08-07`), {
+      habitId,
+      dateKey: '2026-08-07',
+    });
+    batch.set(user().collection('completions').doc('2026-08').collection('records').doc(`rec_${habitId}`), {
+      habitId,
+      dateKey: '2026-08-07',
+    });
+    batch.set(user().collection('events').doc('2026-08').collection('events').doc(`evt_${habitId}`), {
+      habitId,
+      dateKey: '2026-08-07',
+    });
+    batch.set(user().collection('goalVersions').doc(habitId).collection('versions').doc('2026-08-01'), {
+      habitId,
+      effectiveLocalDate: '2026-08-01',
+      goal: 1,
+    });
+    batch.set(user().collection('streaks').doc(habitId), { current: 1, longest: 1 });
+    batch.set(user().collection('streak_checkpoints').doc(habitId), { before: '2026-07-01', current: 0, longest: 0 });
+    await batch.commit();
+  };
+
+  const pathsFor = (habitId) => [
+    `habits/${habitId}`,
+    `completions/2026-08-07/habits/${habitId}`,
+    `completions/2026-08/completions/comp_${habitId}_2026-08-07`,
+    `completions/2026-08/records/rec_${habitId}`,
+    `events/2026-08/events/evt_${habitId}`,
+    `goalVersions/${habitId}/versions/2026-08-01`,
+    `streaks/${habitId}`,
+    `streak_checkpoints/${habitId}`,
+  ];
+
+  const existing = async (habitId) => {
+    const snapshots = await Promise.all(pathsFor(habitId).map((path) => db().doc(`users/user1/${path}`).get()));
+    return snapshots.filter((snapshot) => snapshot.exists).length;
+  };
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      firestore: { host: 'localhost', port: 8080 },
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+  });
+
+  test('Purges a habit past the retention window with every dependent', async () => {
+    await seedHabit('habit1', { deletedDaysAgo: RETENTION_DAYS + 1 });
+    await seedHabit('habit2');
+
+    const result = await purgeDeletedHabits(db(), { now: NOW });
+
+    expect(result).toEqual({ scanned: 1, purged: 1, skipped: 0 });
+    expect(await existing('habit1')).toBe(0);
+    expect(await existing('habit2')).toBe(pathsFor('habit2').length);
+  });
+
+  test('Keeps a soft-deleted habit still inside the retention window', async () => {
+    await seedHabit('habit1', { deletedDaysAgo: RETENTION_DAYS - 1 });
+
+    expect(await purgeDeletedHabits(db(), { now: NOW })).toEqual({ scanned: 0, purged: 0, skipped: 0 });
+    expect(await existing('habit1')).toBe(pathsFor('habit1').length);
+  });
+
+  test('Restore before purge keeps the habit and its dependents', async () => {
+    await seedHabit('habit1', { deletedDaysAgo: RETENTION_DAYS - 1 });
+
+    // The user restores from "Recently Deleted" before the window ends
+    await user().collection('habits').doc('habit1').update({ deletedAt: null });
+
+    const later = new Date(NOW.getTime() + 2 * DAY_MS);
+    expect(await purgeDeletedHabits(db(), { now: later })).toEqual({ scanned: 0, purged: 0, skipped: 0 });
+    expect(await purgeHabit(db(), 'user1', 'habit1', { now: later })).toMatchObject({ purged: false, reason: 'not_due' });
+    expect(await existing('habit1')).toBe(pathsFor('habit1').length);
+  });
+
+  test('Only /users/{uid}/habits docs are purged, not dated completion docs', async () => {
+    await seedHabit('habit1', { deletedDaysAgo: RETENTION_DAYS + 1 });
+    // Same collection id as the habits collection, with a deletedAt that looks due
+    await user().collection('completions').doc('2026-08-08').collection('habits').doc('habit9').set({
+      count: 1,
+      deletedAt: daysBefore(RETENTION_DAYS + 1),
+    });
+
+    expect(await purgeDeletedHabits(db(), { now: NOW })).toMatchObject({ scanned: 1, purged: 1 });
+    expect((await user().collection('completions').doc('2026-08-08').collection('habits').doc('habit9').get()).exists).toBe(true);
+  });
+
+  test('Streak recompute leaves soft-deleted and purged habits alone', async () => {
+    await seedHabit('habit1', { deletedDaysAgo: RETENTION_DAYS + 1 });
+
+    expect(await recomputeStreak(db(), 'user1', 'habit1', { now: NOW })).toBeNull();
+    expect((await user().collection('streaks').doc('habit1').get()).data()).toEqual({ current: 1, longest: 1 });
+
+    await purgeHabit(db(), 'user1', 'habit1', { now: NOW });
+
+    // Completion-delete triggers fire after the purge; they must not recreate the streak
+    expect(await recomputeStreak(db(), 'user1', 'habit1', { now: NOW })).toBeNull();
+    expect((await user().collection('streaks').doc('habit1').get()).exists).toBe(false);
+  });
+});
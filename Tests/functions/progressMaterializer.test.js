@@ -0,0 +1,337 @@
+const { initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+
+// Admin SDK must see the emulator before firebase-admin is loaded
+const PROJECT_ID = 'habitto-materializer-test';
+process.env.GCLOUD_PROJECT = PROJECT_ID;
+process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || 'localhost:8080';
+
+const { db } = require('../../functions/src/admin');
+const {
+  EVENT_TYPES,
+  DRIFT,
+  materializeProgress,
+  diffProgress,
+  detectDrift,
+  rebuildCompletions,
+} = require('../../functions/src/materializer');
+
+let sequence = 0;
+
+/** ProgressEvent.toFirestore() shape with a fresh id per call */
+const progressEvent = (habitId, dateKey, eventType, progressDelta, overrides = {}) => {
+  sequence += 1;
+  const occurredAt = new Date(`${dateKey}T09:00:00.000Z`);
+  return {
+    id: `evt_${habitId}_${dateKey}_${sequence}`,
+    habitId,
+    dateKey,
+    eventType,
+    progressDelta,
+    createdAt: occurredAt,
+    occurredAt,
+    utcDayStart: new Date(`${dateKey}T00:00:00.000Z`),
+    utcDayEnd: new Date(`${dateKey}T23:59:59.999Z`),
+    deviceId: 'iOS_iPhone_test',
+    userId: 'user1',
+    timezoneIdentifier: 'UTC',
+    operationId: `op_${sequence}`,
+    syncVersion: 1,
+    isRemote: false,
+    ...overrides,
+  };
+};
+
+/** SyncEngine completion doc (deterministic id comp_{habitId}_{dateKey}) */
+const completion = (habitId, dateKey, progress, isCompleted = progress > 0) => ({
+  habitId,
+  dateKey,
+  isCompleted,
+  progress,
+  createdAt: new Date(),
+  updatedAt: new Date(),
+  completionId: `comp_${habitId}_${dateKey}`,
+});
+
+// ============================================================================
+// FOLD + DIFF (no emulator required)
+// ============================================================================
+
+describe('materializeProgress', () => {
+  const fold = (events) => materializeProgress(events).groups.get('h1|2025-10-15');
+
+  test('Sums signed deltas across every event type', () => {
+    const events = EVENT_TYPES.map((type, i) => progressEvent('h1', '2025-10-15', type, i % 2 ? -1 : 2));
+
+    // 4 × +2 and 4 × -1
+    expect(fold(events)).toMatchObject({ progress: 4, rawProgress: 4, eventCount: 8 });
+  });
+
+  test('Skips tombstoned events', () => {
+    const events = [
+      progressEvent('h1', '2025-10-15', 'INCREMENT', 1),
+      progressEvent('h1', '2025-10-15', 'INCREMENT', 1, { deletedAt: new Date() }),
+      progressEvent('h1', '2025-10-15', 'INCREMENT', 1, { deletedAt: null }),
+    ];
+
+    expect(fold(events)).toMatchObject({ progress: 2, eventCount: 2, tombstonedCount: 1 });
+  });
+
+  test('Clamps only the final sum at zero', () => {
+    const events = [
+      progressEvent('h1', '2025-10-15', 'DECREMENT', -2),
+      progressEvent('h1', '2025-10-15', 'INCREMENT', 3),
+    ];
+    expect(fold(events).progress).toBe(1);
+
+    expect(fold([progressEvent('h1', '2025-10-15', 'SYSTEM_RESET', -5)])).toMatchObject({
+      progress: 0,
+      rawProgress: -5,
+    });
+  });
+
+  test('Groups by habitId and dateKey', () => {
+    const { groups } = materializeProgress([
+      progressEvent('h1', '2025-10-15', 'INCREMENT', 1),
+      progressEvent('h1', '2025-10-16', 'INCREMENT', 1),
+      progressEvent('h2', '2025-10-15', 'INCREMENT', 1),
+    ]);
+
+    expect([...groups.keys()].sort()).toEqual(['h1|2025-10-15', 'h1|2025-10-16', 'h2|2025-10-15']);
+  });
+
+  test('Reports unknown event types instead of folding them', () => {
+    const bogus = progressEvent('h1', '2025-10-15', 'TELEPORT', 10);
+    const { groups, ignored } = materializeProgress([bogus]);
+
+    expect(groups.size).toBe(0);
+    expect(ignored).toEqual([bogus]);
+  });
+});
+
+describe('diffProgress', () => {
+  const groupsOf = (events) => materializeProgress(events).groups;
+  const storedOf = (...docs) => new Map(docs.map((doc) => [`${doc.habitId}|${doc.dateKey}`, doc]));
+
+  test('Agreeing progress produces no mismatches', () => {
+    const expected = groupsOf([progressEvent('h1', '2025-10-15', 'INCREMENT', 2)]);
+
+    expect(diffProgress(expected, storedOf(completion('h1', '2025-10-15', 2)))).toEqual([]);
+  });
+
+  test('Zero on both sides is not drift', () => {
+    const expected = groupsOf([progressEvent('h1', '2025-10-15', 'SYSTEM_RESET', -1)]);
+
+    expect(diffProgress(expected, new Map())).toEqual([]);
+  });
+
+  test('isCompleted is checked when the goal is known', () => {
+    const expected = groupsOf([progressEvent('h1', '2025-10-15', 'INCREMENT', 2)]);
+    const stored = storedOf(completion('h1', '2025-10-15', 2, true));
+
+    expect(diffProgress(expected, stored, { goalFor: () => 2 })).toEqual([]);
+    expect(diffProgress(expected, stored, { goalFor: () => 3 })).toEqual([
+      expect.objectContaining({ type: DRIFT.COMPLETION_MISMATCH, goal: 3, expectedCompleted: false }),
+    ]);
+  });
+});
+
+// ============================================================================
+// DRIFT DETECTION AGAINST THE FIRESTORE EMULATOR
+// ============================================================================
+
+describe('detectDrift (emulator)', () => {
+  let testEnv;
+
+  const user = () => db().collection('users').doc('user1');
+
+  const writeEvents = (events) =>
+    Promise.all(
+      events.map((event) =>
+        user()
+          .collection('events')
+          .doc(event.dateKey.slice(0, 7))
+          .collection('events')
+          .doc(event.id)
+          .set(event)
+      )
+    );
+
+  const writeCompletion = (doc, subcollection = 'completions') =>
+    user()
+      .collection('completions')
+      .doc(doc.dateKey.slice(0, 7))
+      .collection(subcollection)
+      .doc(doc.completionId)
+      .set(doc);
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      firestore: { host: 'localhost', port: 8080 },
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+  });
+
+  test('INCREMENT events matching the completion bucket report no drift', async () => {
+    await writeEvents([
+      progressEvent('h1', '2025-10-15', 'INCREMENT', 1),
+      progressEvent('h1', '2025-10-15', 'INCREMENT', 1),
+    ]);
+    await writeCompletion(completion('h1', '2025-10-15', 2));
+
+    const report = await detectDrift(db(), 'user1');
+
+    expect(report).toMatchObject({ eventsRead: 2, completionsRead: 1, mismatches: [] });
+  });
+
+  test('DECREMENT that never reached the bucket is a progress mismatch', async () => {
+    await writeEvents([
+      progressEvent('h1', '2025-10-15', 'INCREMENT', 3),
+      progressEvent('h1', '2025-10-15', 'DECREMENT', -1),
+    ]);
+    await writeCompletion(completion('h1', '2025-10-15', 3));
+
+    const { mismatches } = await detectDrift(db(), 'user1');
+
+    expect(mismatches).toEqual([
+      expect.objectContaining({
+        type: DRIFT.PROGRESS_MISMATCH,
+        habitId: 'h1',
+        dateKey: '2025-10-15',
+        expectedProgress: 2,
+        storedProgress: 3,
+        path: 'users/user1/completions/2025-10/completions/comp_h1_2025-10-15',
+      }),
+    ]);
+  });
+
+  test('SET and TOGGLE_COMPLETE deltas fold to the new absolute value', async () => {
+    await writeEvents([
+      progressEvent('h1', '2025-10-15', 'INCREMENT', 1),
+      progressEvent('h1', '2025-10-15', 'SET', 4), // 1 → 5
+      progressEvent('h2', '2025-10-15', 'TOGGLE_COMPLETE', 3), // 0 → goal 3
+      progressEvent('h2', '2025-10-15', 'TOGGLE_COMPLETE', -3), // back to 0
+    ]);
+    await writeCompletion(completion('h1', '2025-10-15', 5));
+    await writeCompletion(completion('h2', '2025-10-15', 0));
+
+    const { mismatches } = await detectDrift(db(), 'user1');
+
+    expect(mismatches).toEqual([]);
+  });
+
+  test('SYSTEM_RESET to zero must be reflected in the bucket', async () => {
+    await writeEvents([
+      progressEvent('h1', '2025-10-15', 'INCREMENT', 1),
+      progressEvent('h1', '2025-10-15', 'SYSTEM_RESET', -1),
+    ]);
+    await writeCompletion(completion('h1', '2025-10-15', 1));
+
+    const { mismatches } = await detectDrift(db(), 'user1');
+
+    expect(mismatches).toEqual([
+      expect.objectContaining({ type: DRIFT.PROGRESS_MISMATCH, expectedProgress: 0, storedProgress: 1 }),
+    ]);
+  });
+
+  test('BULK_ADJUST and BACKFILL without a completion doc are missing completions', async () => {
+    await writeEvents([
+      progressEvent('h1', '2025-09-30', 'BULK_ADJUST', 5),
+      progressEvent('h1', '2025-10-01', 'BACKFILL', 2),
+    ]);
+
+    const { mismatches } = await detectDrift(db(), 'user1');
+
+    expect(mismatches).toEqual([
+      expect.objectContaining({ type: DRIFT.MISSING_COMPLETION, dateKey: '2025-09-30', expectedProgress: 5 }),
+      expect.objectContaining({ type: DRIFT.MISSING_COMPLETION, dateKey: '2025-10-01', expectedProgress: 2 }),
+    ]);
+  });
+
+  test('SYNC_IMPORT with a tombstoned duplicate matches the bucket', async () => {
+    await writeEvents([
+      progressEvent('h1', '2025-10-15', 'SYNC_IMPORT', 2),
+      progressEvent('h1', '2025-10-15', 'SYNC_IMPORT', 2, { deletedAt: new Date() }),
+    ]);
+    await writeCompletion(completion('h1', '2025-10-15', 2));
+
+    const report = await detectDrift(db(), 'user1');
+
+    expect(report.mismatches).toEqual([]);
+    expect(report.expected).toEqual([
+      expect.objectContaining({ habitId: 'h1', progress: 2, eventCount: 1, tombstonedCount: 1 }),
+    ]);
+  });
+
+  test('Completion with progress but no events is reported as missing events', async () => {
+    // The INCREMENT_EVENTS_MISSING investigation: bucket says 2, log is empty
+    await writeCompletion(completion('h1', '2025-10-15', 2));
+
+    const { mismatches } = await detectDrift(db(), 'user1');
+
+    expect(mismatches).toEqual([
+      expect.objectContaining({ type: DRIFT.MISSING_EVENTS, storedProgress: 2 }),
+    ]);
+  });
+
+  test('Legacy records bucket is used when no completions doc exists', async () => {
+    await writeEvents([progressEvent('h1', '2025-10-15', 'INCREMENT', 1)]);
+    await writeCompletion(completion('h1', '2025-10-15', 4), 'records');
+
+    const { mismatches } = await detectDrift(db(), 'user1');
+
+    expect(mismatches).toEqual([
+      expect.objectContaining({
+        type: DRIFT.PROGRESS_MISMATCH,
+        storedProgress: 4,
+        path: 'users/user1/completions/2025-10/records/comp_h1_2025-10-15',
+      }),
+    ]);
+  });
+
+  test('Events spanning several month buckets are all read', async () => {
+    await writeEvents([
+      progressEvent('h1', '2025-09-30', 'INCREMENT', 1),
+      progressEvent('h1', '2025-10-01', 'INCREMENT', 1),
+      progressEvent('h1', '2025-11-01', 'INCREMENT', 1),
+    ]);
+    await Promise.all(
+      ['2025-09-30', '2025-10-01', '2025-11-01'].map((dateKey) => writeCompletion(completion('h1', dateKey, 1)))
+    );
+
+    const report = await detectDrift(db(), 'user1');
+
+    expect(report).toMatchObject({ eventsRead: 3, completionsRead: 3, mismatches: [] });
+  });
+
+  test('rebuildCompletions rewrites drifted days from the event log', async () => {
+    await writeEvents([
+      progressEvent('h1', '2025-10-15', 'INCREMENT', 2),
+      progressEvent('h2', '2025-10-15', 'BACKFILL', 1),
+    ]);
+    await writeCompletion(completion('h1', '2025-10-15', 5));
+    await writeCompletion(completion('h3', '2025-10-15', 1)); // no events: left for a human
+
+    const report = await detectDrift(db(), 'user1');
+    const result = await rebuildCompletions(db(), 'user1', report, { goalFor: () => 2 });
+
+    expect(result).toEqual({ rebuilt: 2 });
+
+    const bucket = user().collection('completions').doc('2025-10').collection('completions');
+    const h1 = (await bucket.doc('comp_h1_2025-10-15').get()).data();
+    const h2 = (await bucket.doc('comp_h2_2025-10-15').get()).data();
+    expect(h1).toMatchObject({ progress: 2, isCompleted: true });
+    expect(h2).toMatchObject({ habitId: 'h2', dateKey: '2025-10-15', progress: 1, isCompleted: false });
+    expect(h2.createdAt).toBeDefined();
+
+    const { mismatches } = await detectDrift(db(), 'user1');
+    expect(mismatches).toEqual([expect.objectContaining({ type: DRIFT.MISSING_EVENTS, habitId: 'h3' })]);
+  });
+});
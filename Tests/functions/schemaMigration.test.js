@@ -0,0 +1,299 @@
+const { initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+
+// Admin SDK must see the emulator before firebase-admin is loaded
+const PROJECT_ID = 'habitto-migration-test';
+process.env.GCLOUD_PROJECT = PROJECT_ID;
+process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || 'localhost:8080';
+
+const { Timestamp } = require('firebase-admin/firestore');
+
+const { db } = require('../../functions/src/admin');
+const {
+  MIGRATION_VERSION,
+  canonicalHabit,
+  canonicalCompletion,
+  dryRun,
+  runMigration,
+  pauseMigration,
+  rollbackMigration,
+} = require('../../functions/src/schemaMigration');
+
+const at = (iso) => Timestamp.fromDate(new Date(iso));
+
+// ============================================================================
+// CANONICAL SHAPES (no emulator required)
+// ============================================================================
+
+describe('canonicalHabit', () => {
+  test('Simple schema becomes habitType/isActive with display strings, keeping active', () => {
+    const createdAt = at('2025-01-01T00:00:00Z');
+    const result = canonicalHabit({ name: 'Run', color: 'blue', type: 'breaking', active: false, createdAt });
+
+    expect(result).toEqual({
+      name: 'Run', color: 'blue', habitType: 'Habit Breaking', isActive: false, active: false, createdAt,
+    });
+  });
+
+  test('Sync schema short keys are normalised', () => {
+    expect(canonicalHabit({ name: 'Read', habitType: 'formation', isActive: true })).toMatchObject({
+      habitType: 'Habit Building',
+    });
+  });
+
+  test('Already canonical habits are left alone', () => {
+    expect(canonicalHabit({ name: 'Read', habitType: 'Habit Building', isActive: true })).toBeNull();
+    expect(canonicalHabit({ name: 'Run', habitType: 'Habit Building', isActive: true, active: true })).toBeNull();
+  });
+
+  test('A legacy active that disagrees with isActive is brought in line', () => {
+    expect(canonicalHabit({ name: 'Run', habitType: 'Habit Building', isActive: false, active: true })).toMatchObject({
+      isActive: false,
+      active: false,
+    });
+  });
+});
+
+describe('canonicalCompletion', () => {
+  test('Fills completionId, userId and timestamps from syncedAt', () => {
+    const syncedAt = at('2025-10-14T12:00:00Z');
+    const result = canonicalCompletion('user1', { habitId: 'h1', dateKey: '2025-10-14', progress: 1, syncedAt });
+
+    expect(result).toMatchObject({
+      completionId: 'comp_h1_2025-10-14',
+      userId: 'user1',
+      createdAt: syncedAt,
+      updatedAt: syncedAt,
+    });
+  });
+});
+
+// ============================================================================
+// MIGRATION RUNS AGAINST THE FIRESTORE EMULATOR
+// ============================================================================
+
+describe('Schema-unification migration (emulator)', () => {
+  let testEnv;
+
+  const user = () => db().collection('users').doc('user1');
+  const bucket = () => user().collection('completions').doc('2025-10');
+  const read = async (ref) => {
+    const snapshot = await ref.get();
+    return snapshot.exists ? snapshot.data() : null;
+  };
+
+  /** Both habit schemas, both completion buckets and one day held in both */
+  const seedMixedSchema = () =>
+    Promise.all([
+      user().collection('habits').doc('simple').set({
+        name: 'Run', color: 'blue', type: 'formation', active: true, createdAt: at('2025-01-01T00:00:00Z'),
+      }),
+      user().collection('habits').doc('syncShort').set({
+        name: 'Smoke', habitType: 'breaking', isActive: true, createdAt: at('2025-01-02T00:00:00Z'),
+      }),
+      user().collection('habits').doc('canonical').set({
+        name: 'Read', habitType: 'Habit Building', isActive: false, createdAt: at('2025-01-03T00:00:00Z'),
+      }),
+      bucket().collection('records').doc('legacy1').set({
+        habitId: 'simple', dateKey: '2025-10-14', isCompleted: true, progress: 1, syncedAt: at('2025-10-14T20:00:00Z'),
+      }),
+      // Stale record: the completions bucket was updated later and must win
+      bucket().collection('records').doc('legacy2').set({
+        habitId: 'syncShort', dateKey: '2025-10-15', isCompleted: false, progress: 0,
+        createdAt: at('2025-10-15T08:00:00Z'), updatedAt: at('2025-10-15T08:00:00Z'),
+      }),
+      bucket().collection('completions').doc('comp_syncShort_2025-10-15').set({
+        habitId: 'syncShort', dateKey: '2025-10-15', isCompleted: true, progress: 1,
+        createdAt: at('2025-10-15T08:00:00Z'), updatedAt: at('2025-10-15T21:00:00Z'),
+      }),
+    ]);
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      firestore: { host: 'localhost', port: 8080 },
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seedMixedSchema();
+  });
+
+  test('Mixed-schema user ends in the canonical shape', async () => {
+    const state = await runMigration(db(), 'user1');
+
+    expect(state).toMatchObject({ status: 'completed', version: MIGRATION_VERSION, itemsProcessed: 5 });
+
+    const habits = await user().collection('habits').get();
+    habits.docs.forEach((doc) => {
+      expect(doc.data()).not.toHaveProperty('type');
+      expect(['Habit Building', 'Habit Breaking']).toContain(doc.data().habitType);
+      expect(typeof doc.data().isActive).toBe('boolean');
+    });
+    expect(await read(user().collection('habits').doc('simple'))).toMatchObject({
+      habitType: 'Habit Building', isActive: true, active: true, color: 'blue',
+    });
+    expect(await read(user().collection('habits').doc('syncShort'))).not.toHaveProperty('active');
+
+    // FirestoreRepository.streamHabits still finds the migrated simple-schema habit
+    const streamed = await user().collection('habits').where('active', '==', true).get();
+    expect(streamed.docs.map((doc) => doc.id)).toEqual(['simple']);
+
+    expect((await bucket().collection('records').get()).empty).toBe(true);
+    expect(await read(bucket().collection('completions').doc('comp_simple_2025-10-14'))).toMatchObject({
+      completionId: 'comp_simple_2025-10-14',
+      userId: 'user1',
+      progress: 1,
+      createdAt: at('2025-10-14T20:00:00Z'),
+    });
+    expect(await read(bucket().collection('completions').doc('comp_syncShort_2025-10-15'))).toMatchObject({
+      isCompleted: true, progress: 1,
+    });
+  });
+
+  test('Dry run reports the plan and writes nothing', async () => {
+    const report = await dryRun(db(), 'user1');
+
+    expect(report.plan.map(({ key, action }) => [key, action])).toEqual([
+      ['completions/2025-10/records/legacy1', 'move_record'],
+      ['completions/2025-10/records/legacy2', 'drop_record'],
+      ['habits/simple', 'convert_habit'],
+      ['habits/syncShort', 'convert_habit'],
+    ]);
+    expect(await read(user().collection('meta').doc('schema_migration'))).toBeNull();
+    expect((await bucket().collection('records').get()).size).toBe(2);
+    expect(await read(user().collection('habits').doc('simple'))).toMatchObject({ type: 'formation' });
+  });
+
+  test('maxItems pauses at lastKey and a second run resumes from it', async () => {
+    const paused = await runMigration(db(), 'user1', { batchSize: 1, maxItems: 2 });
+
+    expect(paused).toMatchObject({
+      status: 'paused', itemsProcessed: 2, lastKey: 'completions/2025-10/records/legacy2', totalItems: 5,
+    });
+    expect(await read(user().collection('habits').doc('simple'))).toMatchObject({ type: 'formation' });
+
+    const resumed = await runMigration(db(), 'user1', { batchSize: 1 });
+
+    expect(resumed).toMatchObject({ status: 'completed', itemsProcessed: 5, lastKey: 'habits/syncShort' });
+    expect(await read(user().collection('habits').doc('simple'))).toMatchObject({ habitType: 'Habit Building' });
+  });
+
+  test('pauseMigration stops a running migration before its next batch', async () => {
+    await user().collection('meta').doc('schema_migration').set({
+      status: 'running', version: MIGRATION_VERSION, itemsProcessed: 0, lastKey: null,
+    });
+    await pauseMigration(db(), 'user1');
+
+    // The run picks the paused migration back up and completes it
+    expect(await runMigration(db(), 'user1')).toMatchObject({ status: 'completed' });
+  });
+
+  test("Refuses to start while the app's migration is running", async () => {
+    await user().collection('meta').doc('migration').set({ status: 'running', version: '2.0', itemsProcessed: 3 });
+
+    await expect(runMigration(db(), 'user1')).rejects.toThrow(/app's migration/);
+    expect(await read(user().collection('habits').doc('simple'))).toMatchObject({ type: 'formation' });
+    expect(await read(user().collection('meta').doc('schema_migration'))).toBeNull();
+  });
+
+  test("Keeps its state out of the app's migration doc", async () => {
+    await user().collection('meta').doc('migration').set({ status: 'complete', lastKey: null });
+
+    await runMigration(db(), 'user1');
+    await rollbackMigration(db(), 'user1');
+
+    expect(await read(user().collection('meta').doc('migration'))).toEqual({ status: 'complete', lastKey: null });
+    expect(await read(user().collection('meta').doc('schema_migration'))).toMatchObject({
+      status: 'cancelled', version: MIGRATION_VERSION,
+    });
+  });
+
+  test('Rollback restores the mixed-schema fixtures exactly', async () => {
+    const before = await Promise.all([
+      read(user().collection('habits').doc('simple')),
+      read(user().collection('habits').doc('syncShort')),
+      read(bucket().collection('records').doc('legacy1')),
+      read(bucket().collection('records').doc('legacy2')),
+      read(bucket().collection('completions').doc('comp_syncShort_2025-10-15')),
+    ]);
+
+    await runMigration(db(), 'user1');
+    const { restored, state } = await rollbackMigration(db(), 'user1');
+
+    expect(restored).toBe(4);
+    expect(state).toMatchObject({ status: 'cancelled', itemsProcessed: 0, lastKey: null });
+    expect(
+      await Promise.all([
+        read(user().collection('habits').doc('simple')),
+        read(user().collection('habits').doc('syncShort')),
+        read(bucket().collection('records').doc('legacy1')),
+        read(bucket().collection('records').doc('legacy2')),
+        read(bucket().collection('completions').doc('comp_syncShort_2025-10-15')),
+      ])
+    ).toEqual(before);
+    expect(await read(bucket().collection('completions').doc('comp_simple_2025-10-14'))).toBeNull();
+    expect((await user().collection('meta').doc('schema_migration').collection('backup').get()).empty).toBe(true);
+  });
+
+  test('Rollback restores a target two records in different batches moved to', async () => {
+    await testEnv.clearFirestore();
+    await Promise.all([
+      bucket().collection('records').doc('a').set({
+        habitId: 'h1', dateKey: '2025-10-20', progress: 1, updatedAt: at('2025-10-20T08:00:00Z'),
+      }),
+      bucket().collection('records').doc('b').set({
+        habitId: 'h1', dateKey: '2025-10-20', progress: 2, updatedAt: at('2025-10-20T09:00:00Z'),
+      }),
+    ]);
+
+    const state = await runMigration(db(), 'user1', { batchSize: 1 });
+    expect(state).toMatchObject({ status: 'completed' });
+    expect(await read(bucket().collection('completions').doc('comp_h1_2025-10-20'))).toMatchObject({ progress: 2 });
+
+    await rollbackMigration(db(), 'user1');
+
+    expect(await read(bucket().collection('completions').doc('comp_h1_2025-10-20'))).toBeNull();
+    expect((await bucket().collection('records').get()).size).toBe(2);
+  });
+
+  test('A resumed run backs up targets with their pre-migration state', async () => {
+    await testEnv.clearFirestore();
+    await Promise.all([
+      bucket().collection('records').doc('a').set({
+        habitId: 'h1', dateKey: '2025-10-20', progress: 1, updatedAt: at('2025-10-20T08:00:00Z'),
+      }),
+      bucket().collection('records').doc('b').set({
+        habitId: 'h1', dateKey: '2025-10-20', progress: 2, updatedAt: at('2025-10-20T09:00:00Z'),
+      }),
+    ]);
+
+    await runMigration(db(), 'user1', { batchSize: 1, maxItems: 1 });
+    await runMigration(db(), 'user1', { batchSize: 1 });
+    await rollbackMigration(db(), 'user1');
+
+    expect(await read(bucket().collection('completions').doc('comp_h1_2025-10-20'))).toBeNull();
+    expect((await bucket().collection('records').get()).size).toBe(2);
+  });
+
+  test('Rollback after a partial run only undoes what was migrated', async () => {
+    await runMigration(db(), 'user1', { maxItems: 1 });
+    const { restored } = await rollbackMigration(db(), 'user1');
+
+    expect(restored).toBe(1);
+    expect((await bucket().collection('records').get()).size).toBe(2);
+  });
+
+  test('A completed migration is a no-op when run again', async () => {
+    const first = await runMigration(db(), 'user1');
+    await user().collection('habits').doc('late').set({
+      name: 'Late', color: 'red', type: 'formation', active: true, createdAt: at('2025-11-01T00:00:00Z'),
+    });
+
+    expect(await runMigration(db(), 'user1')).toEqual(first);
+  });
+});
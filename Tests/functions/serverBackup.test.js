@@ -0,0 +1,280 @@
+const { initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+
+// Admin SDK must see the emulators before firebase-admin is loaded
+const PROJECT_ID = 'habitto-server-backup-test';
+process.env.GCLOUD_PROJECT = PROJECT_ID;
+process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || 'localhost:8080';
+process.env.FIREBASE_STORAGE_EMULATOR_HOST = process.env.FIREBASE_STORAGE_EMULATOR_HOST || 'localhost:9199';
+process.env.BACKUP_BUCKET = `${PROJECT_ID}.appspot.com`;
+
+const { GeoPoint, Timestamp } = require('firebase-admin/firestore');
+
+const { db, backupBucket } = require('../../functions/src/admin');
+const { receiptRef } = require('../../functions/src/erasure');
+const {
+  snapshotIdFor,
+  objectName,
+  encodeValue,
+  decodeValue,
+  listSnapshots,
+  snapshotUser,
+  readSnapshot,
+  applyRetention,
+  deleteUserBackups,
+  backupRunRef,
+  snapshotActiveUsers,
+  restoreUser,
+} = require('../../functions/src/serverBackup');
+const { SEED_DATE, seedUserTree } = require('../support/seed');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const daysAfterSeed = (days) => new Date(SEED_DATE.getTime() + days * DAY);
+
+// ============================================================================
+// ARCHIVE FORMAT (no emulator required)
+// ============================================================================
+
+describe('Server backup archive format', () => {
+  test('Typed values round-trip through encode / decode', () => {
+    const firestore = db();
+    const value = {
+      at: new Timestamp(1760517000, 123000000),
+      place: new GeoPoint(37.5, 127),
+      raw: Buffer.from([1, 2, 3]),
+      habit: firestore.doc('users/user1/habits/habit1'),
+      nested: { list: [1, 'two', null, { __type: 'user data' }] },
+    };
+
+    const decoded = decodeValue(firestore, JSON.parse(JSON.stringify(encodeValue(value))));
+
+    expect(decoded.at.isEqual(value.at)).toBe(true);
+    expect(decoded.place.isEqual(value.place)).toBe(true);
+    expect(decoded.raw.equals(value.raw)).toBe(true);
+    expect(decoded.habit.path).toBe('users/user1/habits/habit1');
+    expect(decoded.nested).toEqual({ list: [1, 'two', null, { __type: 'user data' }] });
+  });
+
+  test('Map keys are sorted so equal documents encode identically', () => {
+    expect(JSON.stringify(encodeValue({ b: 1, a: { d: 2, c: 3 } }))).toBe('{"a":{"c":3,"d":2},"b":1}');
+  });
+
+  test('Snapshot ids sort chronologically and name one object per user', () => {
+    const ids = [new Date('2025-10-15T08:30:00.000Z'), new Date('2025-09-30T23:59:59.999Z')].map(snapshotIdFor);
+
+    expect(ids).toEqual(['2025-10-15T08-30-00-000Z', '2025-09-30T23-59-59-999Z']);
+    expect([...ids].sort()).toEqual([ids[1], ids[0]]);
+    expect(objectName('user1', ids[0])).toBe('backups/user1/2025-10-15T08-30-00-000Z.json.gz');
+  });
+});
+
+// ============================================================================
+// SNAPSHOT, RETENTION AND RESTORE (Firestore + Storage emulators)
+// ============================================================================
+
+describe('Server backups (emulator)', () => {
+  let testEnv;
+
+  const user = (uid) => db().collection('users').doc(uid);
+
+  /** Encoded { path: data } for every existing doc under /users/{uid} */
+  const currentState = async (uid) => {
+    const state = {};
+    const visit = async (docRef) => {
+      const snapshot = await docRef.get();
+      if (snapshot.exists) {
+        state[docRef.path] = encodeValue(snapshot.data());
+      }
+      for (const collection of await docRef.listCollections()) {
+        for (const doc of await collection.listDocuments()) {
+          await visit(doc);
+        }
+      }
+    };
+    await visit(user(uid));
+    return state;
+  };
+
+  /** One snapshot per day offset, touching a doc first so each one differs */
+  const snapshotOnDays = async (uid, days) => {
+    for (const day of days) {
+      await user(uid).set({ displayName: `Day ${day}` });
+      await snapshotUser(db(), backupBucket(), uid, { now: daysAfterSeed(day) });
+    }
+  };
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      firestore: { host: 'localhost', port: 8080 },
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    // clearStorage() only lists the bucket root; archives live under backups/
+    await backupBucket().deleteFiles({ prefix: 'backups/' });
+  });
+
+  test('Snapshot archives every document under the user, with types intact', async () => {
+    const seeded = await seedUserTree(db(), 'user1');
+    await user('user1').collection('habits').doc('habit1').update({ place: new GeoPoint(1, 2) });
+    await seedUserTree(db(), 'user2');
+
+    const result = await snapshotUser(db(), backupBucket(), 'user1', { now: SEED_DATE });
+    const archive = await readSnapshot(backupBucket(), 'user1', result.snapshotId);
+
+    expect(result).toEqual({ snapshotId: snapshotIdFor(SEED_DATE), written: true, documentCount: seeded });
+    expect(archive.documents.map((document) => document.path)).toContain('');
+    expect(archive.documents.map((document) => document.path)).toContain('completions/2025-10/completions/comp_habit2_2025-10-15');
+    expect(archive.documents.find((document) => document.path === 'habits/habit1').data).toMatchObject({
+      createdAt: { __type: 'timestamp' },
+      place: { __type: 'geopoint', latitude: 1, longitude: 2 },
+    });
+    expect(await listSnapshots(backupBucket(), 'user1')).toEqual([
+      expect.objectContaining({ snapshotId: result.snapshotId, reason: 'scheduled', documentCount: seeded }),
+    ]);
+  });
+
+  test('An unchanged subtree writes no new snapshot', async () => {
+    await seedUserTree(db(), 'user1');
+    const first = await snapshotUser(db(), backupBucket(), 'user1', { now: daysAfterSeed(0) });
+
+    const second = await snapshotUser(db(), backupBucket(), 'user1', { now: daysAfterSeed(1) });
+    await user('user1').collection('habits').doc('habit1').update({ name: 'Run 5k' });
+    const third = await snapshotUser(db(), backupBucket(), 'user1', { now: daysAfterSeed(2) });
+
+    expect(second).toMatchObject({ snapshotId: first.snapshotId, written: false });
+    expect(third).toMatchObject({ snapshotId: snapshotIdFor(daysAfterSeed(2)), written: true });
+    expect((await listSnapshots(backupBucket(), 'user1')).length).toBe(2);
+  });
+
+  test('Restore rolls the user back exactly and can itself be undone', async () => {
+    await seedUserTree(db(), 'user1');
+    const before = await currentState('user1');
+    const { snapshotId } = await snapshotUser(db(), backupBucket(), 'user1', { now: daysAfterSeed(0) });
+
+    await user('user1').collection('habits').doc('habit1').update({ name: 'Overwritten' });
+    await user('user1').collection('habits').doc('habit3').set({ name: 'Added later', createdAt: new Date() });
+    await user('user1').collection('completions').doc('2025-10').collection('completions').doc('comp_habit2_2025-10-15').delete();
+    const after = await currentState('user1');
+
+    const result = await restoreUser(db(), backupBucket(), 'user1', snapshotId, { now: daysAfterSeed(1) });
+
+    expect(result).toMatchObject({ snapshotId, preRestoreSnapshotId: snapshotIdFor(daysAfterSeed(1)), deleted: 1 });
+    expect(await currentState('user1')).toEqual(before);
+
+    await restoreUser(db(), backupBucket(), 'user1', result.preRestoreSnapshotId, { now: daysAfterSeed(2) });
+    expect(await currentState('user1')).toEqual(after);
+  });
+
+  test('Restore keeps devices, entitlements and partners as they are now', async () => {
+    await seedUserTree(db(), 'user1');
+    const { snapshotId } = await snapshotUser(db(), backupBucket(), 'user1', { now: daysAfterSeed(0) });
+
+    const device = user('user1').collection('devices').doc('device1');
+    await device.update({ revoked: true, revokedAt: new Date() });
+    await user('user1').collection('entitlements').doc('premium').set({ productId: 'lifetime', status: 'active' });
+    await user('user1').collection('partners').doc('user2').set({ partnerId: 'user2', status: 'active' });
+
+    await restoreUser(db(), backupBucket(), 'user1', snapshotId, { now: daysAfterSeed(1) });
+
+    expect((await device.get()).data().revoked).toBe(true);
+    expect((await user('user1').collection('entitlements').doc('premium').get()).exists).toBe(true);
+    expect((await user('user1').collection('partners').doc('user2').get()).exists).toBe(true);
+  });
+
+  test('Restore refuses a missing snapshot or another user\'s', async () => {
+    await seedUserTree(db(), 'user2');
+    const { snapshotId } = await snapshotUser(db(), backupBucket(), 'user2', { now: SEED_DATE });
+    const [contents] = await backupBucket().file(objectName('user2', snapshotId)).download();
+    await backupBucket().file(objectName('user1', snapshotId)).save(contents, { resumable: false });
+
+    await expect(restoreUser(db(), backupBucket(), 'user1', 'not-a-snapshot')).rejects.toThrow('No snapshot');
+    await expect(restoreUser(db(), backupBucket(), 'user1', snapshotId)).rejects.toThrow('belongs to user2');
+    expect(await currentState('user1')).toEqual({});
+  });
+
+  test('Retention drops snapshots past the window but keeps the newest few', async () => {
+    await seedUserTree(db(), 'user1');
+    await snapshotOnDays('user1', [-40, -35, -31, -10, -1]);
+    const now = daysAfterSeed(0);
+
+    expect(await applyRetention(backupBucket(), 'user1', { now, minSnapshots: 3 })).toEqual(
+      [-35, -40].map((day) => snapshotIdFor(daysAfterSeed(day)))
+    );
+    expect(await applyRetention(backupBucket(), 'user1', { now, minSnapshots: 1 })).toEqual([
+      snapshotIdFor(daysAfterSeed(-31)),
+    ]);
+    expect((await listSnapshots(backupBucket(), 'user1')).map((snapshot) => snapshot.snapshotId)).toEqual(
+      [-1, -10].map((day) => snapshotIdFor(daysAfterSeed(day)))
+    );
+  });
+
+  test('Scheduled run backs up recently active users only and skips erased ones', async () => {
+    await seedUserTree(db(), 'active', daysAfterSeed(-1));
+    await seedUserTree(db(), 'idle', daysAfterSeed(-30));
+    await seedUserTree(db(), 'erased', daysAfterSeed(-1));
+    await receiptRef(db(), 'erased').set({ status: 'in_progress' });
+
+    const summary = await snapshotActiveUsers(db(), backupBucket(), { now: SEED_DATE });
+
+    expect(summary).toEqual({
+      runId: SEED_DATE.toISOString().slice(0, 10),
+      status: 'completed',
+      users: 2,
+      remaining: 0,
+      written: 1,
+      unchanged: 0,
+      pruned: 0,
+      failed: [],
+    });
+    expect((await listSnapshots(backupBucket(), 'active')).length).toBe(1);
+    expect(await listSnapshots(backupBucket(), 'idle')).toEqual([]);
+    expect(await listSnapshots(backupBucket(), 'erased')).toEqual([]);
+  });
+
+  test('A run out of time resumes after its cursor and a completed day is not run again', async () => {
+    await Promise.all(['user-a', 'user-b', 'user-c'].map((uid) => seedUserTree(db(), uid, daysAfterSeed(-1))));
+    const run = () => snapshotActiveUsers(db(), backupBucket(), { now: SEED_DATE, timeBudgetMs: 0 });
+
+    // With no time budget each invocation backs up one user
+    expect(await run()).toMatchObject({ status: 'paused', users: 3, remaining: 2, written: 1 });
+    expect((await backupRunRef(db(), SEED_DATE).get()).data()).toMatchObject({ status: 'paused', lastUid: 'user-a' });
+    expect(await run()).toMatchObject({ status: 'paused', remaining: 1, written: 2 });
+    expect(await run()).toMatchObject({ status: 'completed', remaining: 0, written: 3 });
+    expect(await run()).toBeNull();
+
+    for (const uid of ['user-a', 'user-b', 'user-c']) {
+      expect((await listSnapshots(backupBucket(), uid)).length).toBe(1);
+    }
+  });
+
+  test('A run held by another invocation is skipped until its lease expires', async () => {
+    await seedUserTree(db(), 'active', daysAfterSeed(-1));
+    const runRef = backupRunRef(db(), SEED_DATE);
+    const held = { status: 'running', lastUid: null, written: 0, unchanged: 0, pruned: 0, failed: [] };
+
+    await runRef.set({ ...held, leaseUntil: Timestamp.fromMillis(Date.now() + 60 * 1000) });
+    expect(await snapshotActiveUsers(db(), backupBucket(), { now: SEED_DATE })).toBeNull();
+
+    // A crashed invocation leaves an expired lease behind
+    await runRef.set({ ...held, leaseUntil: Timestamp.fromMillis(Date.now() - 1000) });
+    expect(await snapshotActiveUsers(db(), backupBucket(), { now: SEED_DATE })).toMatchObject({ status: 'completed', written: 1 });
+  });
+
+  test('Erasing a user\'s backups leaves other users\' alone', async () => {
+    await seedUserTree(db(), 'user1');
+    await seedUserTree(db(), 'user10');
+    await snapshotOnDays('user1', [-2, -1]);
+    await snapshotOnDays('user10', [-1]);
+
+    expect(await deleteUserBackups(backupBucket(), 'user1')).toBe(2);
+    expect(await listSnapshots(backupBucket(), 'user1')).toEqual([]);
+    expect((await listSnapshots(backupBucket(), 'user10')).length).toBe(1);
+  });
+});
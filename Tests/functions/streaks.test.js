@@ -0,0 +1,279 @@
+const { initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+
+// Admin SDK must see the emulator before firebase-admin is loaded
+const PROJECT_ID = 'habitto-streaks-test';
+process.env.GCLOUD_PROJECT = PROJECT_ID;
+process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || 'localhost:8080';
+
+const { db } = require('../../functions/src/admin');
+const {
+  CHECKPOINT_LAG_DAYS,
+  todayWindow,
+  computeStreak,
+  advanceCheckpoint,
+  recomputeStreak,
+  checkpointRef,
+} = require('../../functions/src/streaks');
+const functions = require('../../functions');
+
+const NOW = new Date('2025-10-15T12:00:00Z');
+
+/** Map of dateKey -> count, one completion per listed day unless given */
+const counts = (...days) => new Map(days.map((day) => (Array.isArray(day) ? day : [day, 1])));
+
+const goal = (effectiveLocalDate, value) => ({ habitId: 'habit1', effectiveLocalDate, goal: value });
+
+// ============================================================================
+// STREAK CALCULATION (no emulator required)
+// ============================================================================
+
+describe('computeStreak', () => {
+  test('Today is a window from UTC-12 to UTC+14', () => {
+    expect(todayWindow(NOW)).toEqual({ earliest: '2025-10-15', latest: '2025-10-16' });
+  });
+
+  test('Consecutive completed days build the current streak', () => {
+    expect(computeStreak(counts('2025-10-13', '2025-10-14', '2025-10-15'), [], { now: NOW })).toEqual({
+      current: 3,
+      longest: 3,
+      lastCompletionDate: '2025-10-15',
+    });
+  });
+
+  test('A gap resets current but keeps longest', () => {
+    const days = counts(
+      '2025-10-08', '2025-10-09', '2025-10-10', '2025-10-11',
+      // 2025-10-12 missed
+      '2025-10-13', '2025-10-14', '2025-10-15'
+    );
+
+    expect(computeStreak(days, [], { now: NOW })).toMatchObject({ current: 3, longest: 4 });
+  });
+
+  test('An unfinished today does not break the streak; a missed yesterday does', () => {
+    expect(computeStreak(counts('2025-10-13', '2025-10-14'), [], { now: NOW }).current).toBe(2);
+    expect(computeStreak(counts('2025-10-12', '2025-10-13'), [], { now: NOW })).toEqual({
+      current: 0,
+      longest: 2,
+      lastCompletionDate: '2025-10-13',
+    });
+  });
+
+  test('Days are judged against the goal in effect on that day', () => {
+    const days = counts(
+      '2025-10-08', '2025-10-09', '2025-10-10',
+      '2025-10-11', ['2025-10-12', 3], '2025-10-13', ['2025-10-14', 3], ['2025-10-15', 4]
+    );
+    const versions = [goal('2025-10-11', 3), goal('2025-10-01', 1)];
+
+    expect(computeStreak(days, versions, { now: NOW })).toEqual({
+      current: 2,
+      longest: 3,
+      lastCompletionDate: '2025-10-15',
+    });
+  });
+
+  test('Goal 0 pauses the habit: paused days neither extend nor break the streak', () => {
+    const days = counts('2025-10-10', '2025-10-11', '2025-10-14', '2025-10-15');
+    const versions = [goal('2025-10-12', 0), goal('2025-10-14', 1)];
+
+    expect(computeStreak(days, versions, { now: NOW })).toMatchObject({ current: 4, longest: 4 });
+  });
+
+  test('Streaks run across month and leap-day boundaries', () => {
+    const monthEnd = counts('2025-09-29', '2025-09-30', '2025-10-01', '2025-10-02');
+    expect(computeStreak(monthEnd, [], { now: new Date('2025-10-02T12:00:00Z') }).current).toBe(4);
+
+    const leap = counts('2024-02-28', '2024-02-29', '2024-03-01');
+    expect(computeStreak(leap, [], { now: new Date('2024-03-01T12:00:00Z') }).current).toBe(3);
+
+    const yearEnd = counts('2024-12-31', '2025-01-01');
+    expect(computeStreak(yearEnd, [], { now: new Date('2025-01-01T12:00:00Z') }).current).toBe(2);
+  });
+
+  test('Completions dated beyond today everywhere are ignored', () => {
+    const result = computeStreak(counts('2025-10-14', '2025-10-20'), [], { now: NOW });
+
+    expect(result).toEqual({ current: 1, longest: 1, lastCompletionDate: '2025-10-14' });
+  });
+
+  test('A checkpoint folds the old days once and gives the same streak as the whole history', () => {
+    // 100 days: a 40-day run, a miss, then 59 completed days up to 2025-10-15
+    const start = Date.parse('2025-07-08T00:00:00Z');
+    const history = new Map();
+    for (let offset = 0; offset < 100; offset += 1) {
+      if (offset !== 40) {
+        history.set(new Date(start + offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10), 1);
+      }
+    }
+    const versions = [goal('2025-07-01', 1)];
+
+    const checkpoint = advanceCheckpoint(history, versions, { now: NOW });
+    const recent = new Map([...history].filter(([day]) => day >= checkpoint.before));
+
+    expect(checkpoint.before).toBe('2025-09-10');
+    expect(checkpoint).toMatchObject({ longest: 40, lastCompletionDate: '2025-09-09' });
+    expect(computeStreak(recent, versions, { now: NOW, checkpoint })).toEqual(
+      computeStreak(history, versions, { now: NOW })
+    );
+    expect(computeStreak(recent, versions, { now: NOW, checkpoint })).toMatchObject({ current: 59, longest: 59 });
+  });
+
+  test('The checkpoint only moves once it trails today by twice the lag', () => {
+    const checkpoint = { before: '2025-09-10', current: 3, longest: 40, lastCompletionDate: '2025-09-09' };
+    const later = (days) => new Date(NOW.getTime() + days * 24 * 60 * 60 * 1000);
+
+    expect(advanceCheckpoint(new Map(), [], { now: later(CHECKPOINT_LAG_DAYS), checkpoint })).toBeNull();
+    expect(advanceCheckpoint(new Map(), [], { now: later(CHECKPOINT_LAG_DAYS + 1), checkpoint })).toMatchObject({
+      before: '2025-10-16',
+      current: 0,
+      longest: 40,
+    });
+  });
+
+  test('A SyncEngine day marked completed meets any goal', () => {
+    expect(computeStreak(counts(['2025-10-15', Infinity]), [goal('2025-10-01', 5)], { now: NOW }).current).toBe(1);
+  });
+
+  test('No completions yields an empty streak', () => {
+    expect(computeStreak(new Map(), [], { now: NOW })).toEqual({
+      current: 0,
+      longest: 0,
+      lastCompletionDate: null,
+    });
+  });
+});
+
+// ============================================================================
+// RECOMPUTATION AGAINST THE FIRESTORE EMULATOR
+// ============================================================================
+
+describe('Streak recomputation (emulator)', () => {
+  let testEnv;
+
+  const user = () => db().collection('users').doc('user1');
+
+  const setCount = (dateKey, count, habitId = 'habit1') =>
+    user().collection('completions').doc(dateKey).collection('habits').doc(habitId).set({
+      count,
+      updatedAt: new Date(),
+    });
+
+  const setGoal = (versionId, effectiveLocalDate, value) =>
+    user()
+      .collection('goalVersions')
+      .doc('habit1')
+      .collection('versions')
+      .doc(versionId)
+      .set({ ...goal(effectiveLocalDate, value), createdAt: new Date() });
+
+  const readStreak = async () => (await user().collection('streaks').doc('habit1').get()).data();
+
+  /** dateKey `offset` days from the start of the current UTC day */
+  const daysAgo = (offset) => new Date(Date.now() - offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      firestore: { host: 'localhost', port: 8080 },
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+  });
+
+  test('Recomputes across a month boundary and overwrites an inconsistent doc', async () => {
+    await user().collection('streaks').doc('habit1').set({ current: 9, longest: 2, updatedAt: new Date() });
+    await Promise.all(['2025-09-30', '2025-10-01', '2025-10-02'].map((day) => setCount(day, 1)));
+
+    await recomputeStreak(db(), 'user1', 'habit1', { now: new Date('2025-10-02T12:00:00Z') });
+
+    expect(await readStreak()).toMatchObject({ current: 3, longest: 3, lastCompletionDate: '2025-10-02' });
+  });
+
+  test('Only reads the habit it was asked about', async () => {
+    await setCount('2025-10-14', 1, 'habit1');
+    await setCount('2025-10-15', 1, 'habit2');
+
+    const streak = await recomputeStreak(db(), 'user1', 'habit1', { now: NOW });
+
+    expect(streak).toEqual({ current: 1, longest: 1, lastCompletionDate: '2025-10-14' });
+  });
+
+  test('Gap in the completion history resets current', async () => {
+    await Promise.all(['2025-10-10', '2025-10-11', '2025-10-14', '2025-10-15'].map((day) => setCount(day, 1)));
+
+    expect(await recomputeStreak(db(), 'user1', 'habit1', { now: NOW })).toMatchObject({ current: 2, longest: 2 });
+  });
+
+  test('Completion trigger writes the streak doc', async () => {
+    await Promise.all([3, 2, 1].map((offset) => setCount(daysAgo(offset), 1)));
+
+    await functions.recomputeStreakOnCompletion.run({
+      params: { userId: 'user1', dateKey: daysAgo(1), habitId: 'habit1' },
+    });
+
+    expect(await readStreak()).toMatchObject({ current: 3, longest: 3, lastCompletionDate: daysAgo(1) });
+  });
+
+  test('SyncEngine completion trigger counts records marked completed', async () => {
+    const record = (dateKey) =>
+      user().collection('completions').doc(dateKey.slice(0, 7)).collection('completions').doc(`comp_habit1_${dateKey}`);
+    await setGoal('v1', daysAgo(30), 2);
+    await Promise.all([3, 2].map((offset) => setCount(daysAgo(offset), 2)));
+    await record(daysAgo(1)).set({ habitId: 'habit1', dateKey: daysAgo(1), isCompleted: true, progress: 1 });
+
+    await functions.recomputeStreakOnSyncCompletion.run({
+      data: {
+        before: { data: () => undefined },
+        after: { data: () => ({ habitId: 'habit1', dateKey: daysAgo(1), isCompleted: true, progress: 1 }) },
+      },
+      params: { userId: 'user1', yearMonth: daysAgo(1).slice(0, 7), recordId: `comp_habit1_${daysAgo(1)}` },
+    });
+
+    expect(await readStreak()).toMatchObject({ current: 3, longest: 3, lastCompletionDate: daysAgo(1) });
+  });
+
+  test('A completion write reads from the checkpoint; a write before it reads the whole history', async () => {
+    await checkpointRef(db(), 'user1', 'habit1').set({
+      before: '2025-10-10',
+      current: 20,
+      longest: 25,
+      lastCompletionDate: '2025-10-09',
+    });
+    await Promise.all(['2025-10-09', '2025-10-10', '2025-10-11'].map((day) => setCount(day, 1)));
+    const now = new Date('2025-10-11T12:00:00Z');
+
+    expect(await recomputeStreak(db(), 'user1', 'habit1', { now, dateKey: '2025-10-11' })).toEqual({
+      current: 22,
+      longest: 25,
+      lastCompletionDate: '2025-10-11',
+    });
+    expect(await recomputeStreak(db(), 'user1', 'habit1', { now, dateKey: '2025-10-09' })).toEqual({
+      current: 3,
+      longest: 3,
+      lastCompletionDate: '2025-10-11',
+    });
+    expect((await checkpointRef(db(), 'user1', 'habit1').get()).data()).toMatchObject({
+      before: new Date(Date.parse('2025-10-11') - CHECKPOINT_LAG_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+      longest: 0,
+    });
+  });
+
+  test('Raising the goal re-judges past days on the goal-change trigger', async () => {
+    await Promise.all([3, 2, 1].map((offset) => setCount(daysAgo(offset), 1)));
+    await setGoal('v1', daysAgo(30), 1);
+    await setGoal('v2', daysAgo(2), 2);
+
+    await functions.recomputeStreakOnGoalChange.run({
+      params: { userId: 'user1', habitId: 'habit1', versionId: 'v2' },
+    });
+
+    expect(await readStreak()).toMatchObject({ current: 0, longest: 1, lastCompletionDate: daysAgo(3) });
+  });
+});
@@ -0,0 +1,276 @@
+const { initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+
+// Admin SDK must see the emulators before firebase-admin is loaded
+const PROJECT_ID = 'habitto-support-test';
+process.env.GCLOUD_PROJECT = PROJECT_ID;
+process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || 'localhost:8080';
+process.env.FIREBASE_AUTH_EMULATOR_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST || 'localhost:9099';
+
+const { getAuth } = require('firebase-admin/auth');
+
+const { app, db } = require('../../functions/src/admin');
+const {
+  hasSupportClaim,
+  setSupportRole,
+  activeGrantsFor,
+  approveGrant,
+  revokeGrant,
+  readUserForSupport,
+  auditTrail,
+} = require('../../functions/src/support');
+const functions = require('../../functions');
+
+const HOUR = 60 * 60 * 1000;
+
+const NOW = new Date('2025-10-15T08:30:00.000Z');
+
+// ============================================================================
+// CLAIM CHECK (no emulator required)
+// ============================================================================
+
+describe('Support claim', () => {
+  test('Only an explicit support: true claim marks a support account', () => {
+    expect(hasSupportClaim({ customClaims: { support: true } })).toBe(true);
+    expect(hasSupportClaim({ customClaims: { support: 'true' } })).toBe(false);
+    expect(hasSupportClaim({ customClaims: { admin: true } })).toBe(false);
+    expect(hasSupportClaim({})).toBe(false);
+  });
+
+  test('Support reads are refused before any lookup without the claim or a user id', async () => {
+    await expect(readUserForSupport(null, { uid: 'support1', token: {} }, { userId: 'user1' })).rejects.toMatchObject({
+      code: 'permission-denied',
+    });
+    await expect(readUserForSupport(null, { uid: 'support1', token: { support: 'true' } }, { userId: 'user1' })).rejects.toMatchObject({
+      code: 'permission-denied',
+    });
+    for (const data of [{}, { userId: '' }, { userId: 'user1/habits' }, null]) {
+      await expect(readUserForSupport(null, { uid: 'support1', token: { support: true } }, data)).rejects.toMatchObject({
+        code: 'invalid-argument',
+      });
+    }
+  });
+
+  test('The callable needs a signed-in caller', async () => {
+    await expect(functions.supportReadUser.run({ data: { userId: 'user1' } })).rejects.toMatchObject({
+      code: 'unauthenticated',
+    });
+  });
+
+  test('Grant approvals with a bad support id, ticket or duration are refused before any lookup', async () => {
+    for (const data of [
+      null,
+      { ticketId: 'TICKET-1042' },
+      { supportUid: 'user1', ticketId: 'TICKET-1042' },
+      { supportUid: 'support/1', ticketId: 'TICKET-1042' },
+      { supportUid: 'support1' },
+      { supportUid: 'support1', ticketId: ' ' },
+      { supportUid: 'support1', ticketId: 'x'.repeat(101) },
+      { supportUid: 'support1', ticketId: 'TICKET-1042', hours: 0 },
+      { supportUid: 'support1', ticketId: 'TICKET-1042', hours: 73 },
+      { supportUid: 'support1', ticketId: 'TICKET-1042', hours: 1.5 },
+    ]) {
+      await expect(approveGrant(null, null, 'user1', data, { now: NOW })).rejects.toMatchObject({
+        code: 'invalid-argument',
+      });
+    }
+    await expect(revokeGrant(null, 'user1', { supportUid: '' })).rejects.toMatchObject({ code: 'invalid-argument' });
+  });
+
+  test('The grant callables need a signed-in caller', async () => {
+    await expect(
+      functions.approveSupportAccess.run({ data: { supportUid: 'support1', ticketId: 'TICKET-1042' } })
+    ).rejects.toMatchObject({ code: 'unauthenticated' });
+    await expect(functions.revokeSupportAccess.run({ data: { supportUid: 'support1' } })).rejects.toMatchObject({
+      code: 'unauthenticated',
+    });
+  });
+});
+
+// ============================================================================
+// ROLE CHANGES AND GRANTS (Firestore + Auth emulators)
+// ============================================================================
+
+describe('Support access (emulator)', () => {
+  let testEnv;
+  let supportUid;
+
+  const grantRef = (userId, uid = supportUid) =>
+    db().collection('users').doc(userId).collection('support_grants').doc(uid);
+
+  const grant = (overrides = {}) => ({
+    supportUid,
+    ticketId: 'TICKET-1042',
+    status: 'approved',
+    approvedAt: new Date(NOW.getTime() - HOUR),
+    expiresAt: new Date(NOW.getTime() + 23 * HOUR),
+    ...overrides,
+  });
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      firestore: { host: 'localhost', port: 8080 },
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    const user = await getAuth(app()).createUser({});
+    supportUid = user.uid;
+    await getAuth(app()).setCustomUserClaims(supportUid, { team: 'cx' });
+  });
+
+  afterEach(async () => {
+    await getAuth(app()).deleteUser(supportUid);
+  });
+
+  test('Granting the role sets the claim, keeps other claims and is audited', async () => {
+    const result = await setSupportRole(getAuth(app()), db(), supportUid, true, { operator: 'ops@habitto', now: NOW });
+
+    expect(result).toEqual({ uid: supportUid, support: true, changed: true });
+    expect((await getAuth(app()).getUser(supportUid)).customClaims).toEqual({ team: 'cx', support: true });
+    expect(await auditTrail(db(), supportUid)).toEqual([
+      expect.objectContaining({ action: 'grant-role', supportUid, operator: 'ops@habitto', changed: true, at: NOW }),
+    ]);
+  });
+
+  test('Revoking the role clears the claim and is audited after the grant', async () => {
+    await setSupportRole(getAuth(app()), db(), supportUid, true, { operator: 'ops@habitto', now: NOW });
+    const later = new Date(NOW.getTime() + HOUR);
+
+    const result = await setSupportRole(getAuth(app()), db(), supportUid, false, {
+      operator: 'ops@habitto',
+      reason: 'left the team',
+      now: later,
+    });
+
+    expect(result).toEqual({ uid: supportUid, support: false, changed: true });
+    expect((await getAuth(app()).getUser(supportUid)).customClaims).toEqual({ team: 'cx' });
+    expect((await auditTrail(db(), supportUid)).map((entry) => [entry.action, entry.reason])).toEqual([
+      ['revoke-role', 'left the team'],
+      ['grant-role', null],
+    ]);
+  });
+
+  test('Role changes without an operator are refused before anything changes', async () => {
+    await expect(setSupportRole(getAuth(app()), db(), supportUid, true, { now: NOW })).rejects.toThrow('operator');
+
+    expect((await getAuth(app()).getUser(supportUid)).customClaims).toEqual({ team: 'cx' });
+    expect(await auditTrail(db(), supportUid)).toEqual([]);
+  });
+
+  test('Active grants list only approved, unexpired grants keyed to the account', async () => {
+    await grantRef('user1').set(grant());
+    await grantRef('user2').set(grant({ expiresAt: new Date(NOW.getTime() - 1) }));
+    await grantRef('user3').set(grant({ status: 'revoked', revokedAt: NOW }));
+    await grantRef('user4', 'someone-else').set(grant());
+
+    expect(await activeGrantsFor(db(), supportUid, { now: NOW })).toEqual([
+      { userId: 'user1', ticketId: 'TICKET-1042', status: 'approved', expiresAt: new Date(NOW.getTime() + 23 * HOUR) },
+    ]);
+  });
+
+  test('A support read with an active grant returns the user\'s archive and is audited first', async () => {
+    await db().collection('users').doc('user1').collection('habits').doc('habit1').set({ name: 'Run' });
+    await grantRef('user1').set(grant());
+    const auth = { uid: supportUid, token: { support: true } };
+
+    const archive = await readUserForSupport(db(), auth, { userId: 'user1' }, { now: NOW });
+
+    expect(archive).toMatchObject({ userId: 'user1', habits: [expect.objectContaining({ id: 'habit1', name: 'Run' })] });
+    expect(await auditTrail(db(), supportUid)).toEqual([
+      { action: 'read-user', supportUid, userId: 'user1', ticketId: 'TICKET-1042', at: NOW },
+    ]);
+  });
+
+  test.each([
+    ['without a grant', null],
+    ['once the grant has expired', { expiresAt: new Date(NOW.getTime() - 1) }],
+    ['after the user revoked the grant', { status: 'revoked', revokedAt: NOW }],
+  ])('A support read is refused and not audited %s', async (_, overrides) => {
+    if (overrides) {
+      await grantRef('user1').set(grant(overrides));
+    }
+    await grantRef('user2').set(grant());
+
+    await expect(
+      readUserForSupport(db(), { uid: supportUid, token: { support: true } }, { userId: 'user1' }, { now: NOW })
+    ).rejects.toMatchObject({ code: 'permission-denied' });
+    expect(await auditTrail(db(), supportUid)).toEqual([]);
+  });
+
+  test('A grant opens support reads only to the support account it names', async () => {
+    await grantRef('user1', 'someone-else').set(grant({ supportUid: 'someone-else' }));
+
+    await expect(
+      readUserForSupport(db(), { uid: supportUid, token: { support: true } }, { userId: 'user1' }, { now: NOW })
+    ).rejects.toMatchObject({ code: 'permission-denied' });
+  });
+
+  test('The user approves a support account for a ticket; the grant opens support reads and is audited', async () => {
+    await getAuth(app()).setCustomUserClaims(supportUid, { support: true });
+
+    const result = await approveGrant(getAuth(app()), db(), 'user1', { supportUid, ticketId: 'TICKET-1042', hours: 2 }, {
+      now: NOW,
+    });
+
+    const expiresAt = new Date(NOW.getTime() + 2 * HOUR);
+    expect(result).toEqual({ supportUid, ticketId: 'TICKET-1042', expiresAt: expiresAt.toISOString() });
+    expect((await grantRef('user1').get()).data()).toMatchObject({ supportUid, ticketId: 'TICKET-1042', status: 'approved' });
+    expect(await activeGrantsFor(db(), supportUid, { now: NOW })).toEqual([
+      { userId: 'user1', ticketId: 'TICKET-1042', status: 'approved', expiresAt },
+    ]);
+    expect(await auditTrail(db(), supportUid)).toEqual([
+      { action: 'approve-grant', supportUid, userId: 'user1', ticketId: 'TICKET-1042', at: NOW },
+    ]);
+  });
+
+  test('Only an account with the support claim can be approved', async () => {
+    await expect(
+      approveGrant(getAuth(app()), db(), 'user1', { supportUid, ticketId: 'TICKET-1042' }, { now: NOW })
+    ).rejects.toMatchObject({ code: 'not-found' });
+    await expect(
+      approveGrant(getAuth(app()), db(), 'user1', { supportUid: 'no-such-account', ticketId: 'TICKET-1042' }, { now: NOW })
+    ).rejects.toMatchObject({ code: 'not-found' });
+    expect((await grantRef('user1').get()).exists).toBe(false);
+  });
+
+  test('Revoking keeps the grant as revoked, ends support reads and is audited once', async () => {
+    await grantRef('user1').set(grant());
+    const later = new Date(NOW.getTime() + HOUR);
+
+    expect(await revokeGrant(db(), 'user1', { supportUid }, { now: later })).toEqual({
+      supportUid,
+      status: 'revoked',
+      changed: true,
+    });
+    expect(await revokeGrant(db(), 'user1', { supportUid }, { now: later })).toMatchObject({ changed: false });
+
+    expect((await grantRef('user1').get()).data()).toMatchObject({ status: 'revoked', ticketId: 'TICKET-1042' });
+    await expect(
+      readUserForSupport(db(), { uid: supportUid, token: { support: true } }, { userId: 'user1' }, { now: later })
+    ).rejects.toMatchObject({ code: 'permission-denied' });
+    expect((await auditTrail(db(), supportUid)).map((entry) => entry.action)).toEqual(['revoke-grant']);
+  });
+
+  test('Revoking a grant that was never approved is refused', async () => {
+    await expect(revokeGrant(db(), 'user1', { supportUid }, { now: NOW })).rejects.toMatchObject({ code: 'not-found' });
+  });
+
+  test('The grant callables act on the authenticated uid', async () => {
+    await getAuth(app()).setCustomUserClaims(supportUid, { support: true });
+
+    await functions.approveSupportAccess.run({
+      auth: { uid: 'user1', token: {} },
+      data: { supportUid, ticketId: 'TICKET-1042' },
+    });
+    expect((await grantRef('user1').get()).get('status')).toBe('approved');
+
+    await functions.revokeSupportAccess.run({ auth: { uid: 'user1', token: {} }, data: { supportUid } });
+    expect((await grantRef('user1').get()).get('status')).toBe('revoked');
+  });
+});
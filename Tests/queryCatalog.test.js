@@ -0,0 +1,176 @@
+const {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} = require('@firebase/rules-unit-testing');
+
+const fs = require('fs');
+const path = require('path');
+
+const catalog = require('../firestore.queries.json');
+const indexConfig = require('../firestore.indexes.json');
+const { seedUserTree } = require('./support/seed');
+const {
+  collectionGroupOf,
+  requiredIndex,
+  verifyIndexes,
+  buildQuery,
+} = require('./support/indexCoverage');
+
+const PROJECT_ID = 'habitto-queries-test';
+
+// ============================================================================
+// INDEX COVERAGE (no emulator required)
+// ============================================================================
+
+describe('Index coverage', () => {
+  const composite = (collectionGroup, fields, queryScope = 'COLLECTION') => ({
+    collectionGroup,
+    queryScope,
+    fields: fields.map(([fieldPath, order]) => ({ fieldPath, order })),
+  });
+
+  test('Every catalog query is indexed and every declared index is used', () => {
+    expect(verifyIndexes(catalog, indexConfig)).toEqual({ missing: [], unused: [] });
+  });
+
+  test('Catalog ids are unique and every query names its source', () => {
+    const ids = catalog.queries.map((query) => query.id);
+
+    expect(new Set(ids).size).toBe(ids.length);
+    catalog.queries.forEach((query) => expect(query.source).toEqual(expect.any(String)));
+  });
+
+  test('Collection id is the last collection segment of the path', () => {
+    expect(collectionGroupOf({ collection: 'users/{uid}/goalVersions/{habitId}/versions' })).toBe('versions');
+    expect(collectionGroupOf({ collectionGroup: 'habits' })).toBe('habits');
+  });
+
+  test('One-field and equality-only queries use single-field indexes', () => {
+    expect(requiredIndex({ collection: 'c' })).toEqual({ kind: 'none' });
+    expect(requiredIndex({ collection: 'c', where: [['a', '>=', 1], ['a', '<', 2]] }).kind).toBe('single');
+    expect(requiredIndex({ collection: 'c', where: [['a', '<=', 1]], orderBy: [['a', 'desc']] })).toEqual({
+      kind: 'single',
+      fields: [{ fieldPath: 'a', order: 'DESCENDING' }],
+    });
+    expect(requiredIndex({ collection: 'c', where: [['a', '==', 1], ['b', '==', 2]] }).kind).toBe('single');
+  });
+
+  test('Equality plus ordering on another field needs a composite index', () => {
+    const query = { id: 'q', collection: 'users/{uid}/habits', where: [['active', '==', true]], orderBy: [['createdAt', 'desc']] };
+
+    expect(verifyIndexes({ queries: [query] }, { indexes: [] }).missing).toEqual([
+      { queryId: 'q', index: 'composite habits (COLLECTION): active ASCENDING, createdAt DESCENDING' },
+    ]);
+    expect(
+      verifyIndexes({ queries: [query] }, { indexes: [composite('habits', [['active', 'ASCENDING'], ['createdAt', 'DESCENDING']])] })
+    ).toEqual({ missing: [], unused: [] });
+  });
+
+  test('Composite index direction and scope must match', () => {
+    const query = { id: 'q', collection: 'x', where: [['a', '==', 1]], orderBy: [['b', 'desc']] };
+
+    expect(verifyIndexes({ queries: [query] }, { indexes: [composite('x', [['a', 'ASCENDING'], ['b', 'ASCENDING']])] })).toMatchObject({
+      missing: [{ queryId: 'q' }],
+      unused: ['composite x (COLLECTION): a ASCENDING, b ASCENDING'],
+    });
+    expect(
+      verifyIndexes({ queries: [query] }, { indexes: [composite('x', [['a', 'ASCENDING'], ['b', 'DESCENDING']], 'COLLECTION_GROUP')] })
+        .missing
+    ).toHaveLength(1);
+  });
+
+  test('An inequality on one field and ordering on another needs both in the index', () => {
+    const query = { id: 'q', collection: 'x', where: [['a', '>', 1]], orderBy: [['b', 'asc']] };
+
+    expect(requiredIndex(query)).toEqual({
+      kind: 'composite',
+      equality: [],
+      ordered: [{ fieldPath: 'a', order: 'ASCENDING' }, { fieldPath: 'b', order: 'ASCENDING' }],
+    });
+  });
+
+  test('Collection-group queries need a field override even on one field', () => {
+    const query = { id: 'q', collectionGroup: 'habits', where: [['deletedAt', '<=', 'x']] };
+    const override = {
+      collectionGroup: 'habits',
+      fieldPath: 'deletedAt',
+      indexes: [{ order: 'ASCENDING', queryScope: 'COLLECTION_GROUP' }],
+    };
+
+    expect(verifyIndexes({ queries: [query] }, { indexes: [] }).missing).toHaveLength(1);
+    expect(verifyIndexes({ queries: [query] }, { indexes: [], fieldOverrides: [override] })).toEqual({ missing: [], unused: [] });
+    expect(verifyIndexes({ queries: [] }, { indexes: [], fieldOverrides: [override] }).unused).toEqual([
+      'field override habits.deletedAt',
+    ]);
+  });
+
+  test('Queries the rules deny need no index', () => {
+    const query = { id: 'q', collection: 'habits', where: [['userId', '==', 'u']], orderBy: [['createdAt', 'asc']], expect: 'deny' };
+
+    expect(verifyIndexes({ queries: [query] }, { indexes: [] })).toEqual({ missing: [], unused: [] });
+  });
+});
+
+// ============================================================================
+// CATALOG QUERIES AGAINST THE EMULATOR
+// Client queries run as the owner under firestore.rules; admin queries bypass
+// the rules and only confirm the query shape is valid.
+// ============================================================================
+
+describe('Query catalog (emulator)', () => {
+  let testEnv;
+
+  const { params } = catalog;
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      firestore: {
+        rules: fs.readFileSync(path.join(__dirname, '../firestore.rules'), 'utf8'),
+        host: 'localhost',
+        port: 8080,
+      },
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await seedUserTree(context.firestore(), params.uid);
+    });
+  });
+
+  const clientQueries = catalog.queries.filter((query) => query.via !== 'admin');
+  const adminQueries = catalog.queries.filter((query) => query.via === 'admin');
+
+  test.each(clientQueries.map((query) => [query.id, query]))('%s', async (id, query) => {
+    const ownerDb = testEnv.authenticatedContext(params.uid).firestore();
+    const run = buildQuery(ownerDb, query, params).get();
+
+    if (query.expect === 'deny') {
+      await assertFails(run);
+    } else {
+      await assertSucceeds(run);
+    }
+  });
+
+  test.each(clientQueries.filter((query) => query.expect !== 'deny').map((query) => [query.id, query]))(
+    '%s is denied to another user',
+    async (id, query) => {
+      const otherDb = testEnv.authenticatedContext(`${params.uid}-other`).firestore();
+
+      await assertFails(buildQuery(otherDb, query, params).get());
+    }
+  );
+
+  test.each(adminQueries.map((query) => [query.id, query]))('%s (admin)', async (id, query) => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await expect(buildQuery(context.firestore(), query, params).get()).resolves.toBeDefined();
+    });
+  });
+});
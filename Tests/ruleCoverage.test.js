@@ -0,0 +1,76 @@
+const { parseBlocks, classify, mergeReports, summarize } = require('./support/ruleCoverage');
+
+// ============================================================================
+// RULES COVERAGE MAPPING (no emulator required)
+// ============================================================================
+
+const SOURCE = [
+  "rules_version = '2';",                                     // 1
+  'service cloud.firestore {',                                // 2
+  '  match /databases/{database}/documents {',                // 3
+  '    function isOwner(userId) {',                           // 4
+  '      return request.auth.uid == userId;',                 // 5
+  '    }',                                                    // 6
+  '    match /users/{userId}/streaks/{habitId} {',            // 7
+  '      allow read: if isOwner(userId);',                    // 8
+  '      allow write: if isOwner(userId) && request.resource.data.current >= 0;', // 9
+  '    }',                                                    // 10
+  '  }',                                                      // 11
+  '}',                                                        // 12
+].join('\n');
+
+const node = (line, column, values, children = []) => ({
+  sourcePosition: { line, column },
+  values: values.map((value) => ({ value, count: 1 })),
+  children,
+});
+
+describe('Rules coverage', () => {
+  test('Match blocks and functions are mapped to their line spans', () => {
+    expect(parseBlocks(SOURCE)).toEqual([
+      { kind: 'match', name: '/databases/{database}/documents', startLine: 3, endLine: 11 },
+      { kind: 'function', name: 'isOwner', startLine: 4, endLine: 6 },
+      { kind: 'match', name: '/users/{userId}/streaks/{habitId}', startLine: 7, endLine: 10 },
+    ]);
+  });
+
+  test('Only expressions seen both true and false count as covered', () => {
+    const entry = (values, evaluated = true) => ({ values: new Set(values), evaluated });
+
+    expect(classify(entry([true, false]))).toBe('covered');
+    expect(classify(entry([true]))).toBe('only_true');
+    expect(classify(entry([false]))).toBe('only_false');
+    expect(classify(entry([], false))).toBe('never_evaluated');
+    expect(classify(entry(['non-bool']))).toBe('operand');
+  });
+
+  test('Values seen in different projects are merged per source position', () => {
+    const merged = mergeReports([
+      { report: [node(5, 14, [{ boolValue: true }])] },
+      { report: [node(5, 14, [{ boolValue: false }])] },
+    ]);
+
+    expect(merged.get('5:14').values).toEqual(new Set([true, false]));
+  });
+
+  test('Summary attributes gaps to the innermost block', () => {
+    const summary = summarize(SOURCE, [
+      {
+        report: [
+          node(5, 14, [{ boolValue: true }, { boolValue: false }], [node(5, 14, [{ stringValue: 'user1' }])]),
+          node(8, 22, [{ boolValue: true }, { boolValue: false }]),
+          node(9, 42, [{ boolValue: true }]),
+          node(9, 23, []),
+        ],
+      },
+    ]);
+
+    expect(summary.totals).toEqual({ expressions: 4, covered: 2, uncovered: 2 });
+    const streaks = summary.blocks.find((block) => block.name === '/users/{userId}/streaks/{habitId}');
+    expect(streaks.uncovered).toEqual([
+      { line: 9, column: 23, status: 'never_evaluated', expression: null },
+      { line: 9, column: 42, status: 'only_true', expression: null },
+    ]);
+    expect(summary.blocks.find((block) => block.name === 'isOwner')).toMatchObject({ expressions: 1, covered: 1 });
+  });
+});
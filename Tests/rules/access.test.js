@@ -0,0 +1,358 @@
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+
+const {
+  setupRulesEnv,
+  asUser,
+  asGuest,
+  withRulesDisabled,
+  createHabitData,
+  createGoalVersionData,
+  createCompletionData,
+  createXPLedgerData,
+  createStreakData,
+  goalVersionRef,
+  completionRefFor,
+  syncCompletionRef,
+  xpLedgerRef,
+  partnerRef,
+  sharedHabitRef,
+  seedPartnership,
+  writeThrottledCompletion,
+  writeCountedHabit,
+} = require('../support/harness');
+
+setupRulesEnv();
+
+/** The reads an accountability partner is granted for one habit */
+const sharedHabitReads = (db, habitId) => [
+  completionRefFor(db, 'user1', '2025-10-15', habitId).get(),
+  syncCompletionRef(db, 'user1', '2025-10', `comp_${habitId}_2025-10-15`).get(),
+  db.collection('users').doc('user1').collection('completions').doc('2025-10').collection('completions')
+    .where('habitId', '==', habitId)
+    .get(),
+  db.collection('users').doc('user1').collection('streaks').doc(habitId).get(),
+  goalVersionRef(db, 'user1', habitId, '2025-10-15').get(),
+  db.collection('users').doc('user1').collection('goalVersions').doc(habitId).collection('versions').get(),
+];
+
+// ============================================================================
+// AUTHENTICATION TESTS
+// ============================================================================
+
+describe('Authentication Requirements', () => {
+  test('Unauthenticated users cannot read any data', async () => {
+    const unauthedDb = asGuest();
+    await assertFails(unauthedDb.collection('users').doc('user1').get());
+  });
+
+  test('Unauthenticated users cannot write any data', async () => {
+    const unauthedDb = asGuest();
+    await assertFails(
+      unauthedDb.collection('users').doc('user1').set({ test: 'data' })
+    );
+  });
+
+  test('Authenticated users can read their own data', async () => {
+    const authedDb = asUser('user1');
+    // This will fail because document doesn't exist, but not due to security rules
+    await assertSucceeds(
+      authedDb.collection('users').doc('user1').collection('habits').get()
+    );
+  });
+
+  test('Authenticated users cannot read other users data', async () => {
+    const authedDb = asUser('user1');
+    await assertFails(
+      authedDb.collection('users').doc('user2').collection('habits').get()
+    );
+  });
+});
+
+// ============================================================================
+// CROSS-USER ACCESS TESTS
+// ============================================================================
+
+describe('Cross-User Access Prevention', () => {
+  test('User cannot read another users habits', async () => {
+    const user1Db = asUser('user1');
+
+    // Create habit for user2
+    await withRulesDisabled(async (context) => {
+      await context
+        .firestore()
+        .collection('users')
+        .doc('user2')
+        .collection('habits')
+        .doc('habit1')
+        .set(createHabitData());
+    });
+
+    // User1 tries to read user2's habit
+    await assertFails(
+      user1Db
+        .collection('users')
+        .doc('user2')
+        .collection('habits')
+        .doc('habit1')
+        .get()
+    );
+  });
+
+  test('User cannot write to another users collections', async () => {
+    const user1Db = asUser('user1');
+
+    await assertFails(writeCountedHabit(user1Db, 'user2', 'habit1', createHabitData()));
+  });
+
+  test('User cannot delete another users data', async () => {
+    const user1Db = asUser('user1');
+
+    // Create habit for user2
+    await withRulesDisabled(async (context) => {
+      await context
+        .firestore()
+        .collection('users')
+        .doc('user2')
+        .collection('habits')
+        .doc('habit1')
+        .set(createHabitData());
+    });
+
+    // User1 tries to delete user2's habit
+    await assertFails(
+      user1Db
+        .collection('users')
+        .doc('user2')
+        .collection('habits')
+        .doc('habit1')
+        .delete()
+    );
+  });
+
+  test('Accepted partner can read a shared habits completions, streak and goal versions', async () => {
+    await seedPartnership();
+    const partnerDb = asUser('user2');
+
+    await Promise.all(sharedHabitReads(partnerDb, 'habit1').map((read) => assertSucceeds(read)));
+  });
+
+  test('Partner cannot read habits that were not shared', async () => {
+    await seedPartnership();
+    const partnerDb = asUser('user2');
+
+    await Promise.all(sharedHabitReads(partnerDb, 'habit2').map((read) => assertFails(read)));
+  });
+
+  test('Partner cannot read habit docs, events, XP, awards or the profile', async () => {
+    await seedPartnership();
+    const user = asUser('user2').collection('users').doc('user1');
+
+    await assertFails(user.get());
+    await assertFails(user.collection('habits').doc('habit1').get());
+    await assertFails(user.collection('habits').get());
+    await assertFails(user.collection('events').doc('2025-10').collection('events').get());
+    await assertFails(user.collection('xp').doc('state').get());
+    await assertFails(user.collection('xp_ledger').get());
+    await assertFails(user.collection('daily_awards').get());
+    // SyncEngine records only through a habitId filter the grant covers
+    await assertFails(user.collection('completions').doc('2025-10').collection('completions').get());
+    await assertFails(
+      user.collection('completions').doc('2025-10').collection('completions').where('dateKey', '==', '2025-10-15').get()
+    );
+    await assertFails(user.collection('completions').doc('2025-10-15').collection('habits').get());
+  });
+
+  test('Partner cannot write to a shared habit', async () => {
+    await seedPartnership();
+    const partnerDb = asUser('user2');
+
+    await assertFails(
+      writeThrottledCompletion(partnerDb, completionRefFor(partnerDb, 'user1', '2025-10-16', 'habit1'), createCompletionData(), {
+        callerId: 'user2',
+      })
+    );
+    await assertFails(partnerDb.collection('users').doc('user1').collection('streaks').doc('habit1').set(createStreakData()));
+    await assertFails(goalVersionRef(partnerDb, 'user1', 'habit1', '2025-10-16').set({
+      ...createGoalVersionData('habit1'),
+      effectiveLocalDate: '2025-10-16',
+    }));
+    await assertFails(partnerDb.collection('users').doc('user1').collection('habits').doc('habit1').update({ name: 'Mine' }));
+  });
+
+  test('Invited partner cannot read before accepting', async () => {
+    await seedPartnership({ status: 'invited' });
+    const partnerDb = asUser('user2');
+
+    await Promise.all(sharedHabitReads(partnerDb, 'habit1').map((read) => assertFails(read)));
+  });
+
+  test('A third user cannot use someone elses grant', async () => {
+    await seedPartnership();
+    const user3Db = asUser('user3');
+
+    await Promise.all(sharedHabitReads(user3Db, 'habit1').map((read) => assertFails(read)));
+    await assertFails(sharedHabitRef(user3Db, 'user1', 'user2', 'habit1').get());
+    await assertFails(partnerRef(user3Db, 'user1', 'user2').get());
+  });
+
+  test('Revoking the partnership removes access immediately', async () => {
+    await seedPartnership();
+    const ownerDb = asUser('user1');
+    const partnerDb = asUser('user2');
+    await assertSucceeds(sharedHabitReads(partnerDb, 'habit1')[0]);
+
+    await assertSucceeds(partnerRef(ownerDb, 'user1', 'user2').delete());
+
+    await Promise.all(sharedHabitReads(partnerDb, 'habit1').map((read) => assertFails(read)));
+  });
+
+  test('Unsharing one habit removes access to it only', async () => {
+    await seedPartnership({ shared: ['habit1', 'habit2'] });
+    const ownerDb = asUser('user1');
+    const partnerDb = asUser('user2');
+
+    await assertSucceeds(sharedHabitRef(ownerDb, 'user1', 'user2', 'habit2').delete());
+
+    await Promise.all(sharedHabitReads(partnerDb, 'habit2').map((read) => assertFails(read)));
+    await Promise.all(sharedHabitReads(partnerDb, 'habit1').map((read) => assertSucceeds(read)));
+  });
+
+  test('Grants from a revoked invitation do not come back with a new one', async () => {
+    await seedPartnership({ inviteId: 'invite-old' });
+    await withRulesDisabled(async (context) => {
+      // Partner left, then the owner invited them again; the old grant was never deleted
+      await partnerRef(context.firestore(), 'user1', 'user2').set({
+        partnerId: 'user2',
+        inviteId: 'invite-new',
+        status: 'accepted',
+        invitedAt: new Date(),
+        acceptedAt: new Date(),
+      });
+    });
+    const partnerDb = asUser('user2');
+
+    await Promise.all(sharedHabitReads(partnerDb, 'habit1').map((read) => assertFails(read)));
+  });
+});
+
+// ============================================================================
+// WILDCARD PATH DENIAL TESTS
+// ============================================================================
+
+describe('Deny Unknown Paths', () => {
+  test('User cannot access root collections', async () => {
+    const authedDb = asUser('user1');
+    await assertFails(authedDb.collection('unknown').doc('doc1').get());
+  });
+
+  test('User cannot write to root collections', async () => {
+    const authedDb = asUser('user1');
+    await assertFails(
+      authedDb.collection('unknown').doc('doc1').set({ data: 'test' })
+    );
+  });
+});
+
+// ============================================================================
+// SECURITY GAP REGRESSION
+// These cases were previously allowed by the blanket
+// match /users/{uid}/{document=**} { allow read, write: ... } rule.
+// ============================================================================
+
+describe('Security gap regression (blanket wildcard)', () => {
+  test('Owner cannot update an existing goalVersions document', async () => {
+    const authedDb = asUser('user1');
+    const goalRef = goalVersionRef(authedDb, 'user1', 'habit1', '2025-10-15');
+
+    await withRulesDisabled(async (context) => {
+      await goalVersionRef(context.firestore(), 'user1', 'habit1', '2025-10-15').set(
+        createGoalVersionData('habit1')
+      );
+    });
+
+    await assertFails(goalRef.update({ goal: 99, effectiveLocalDate: '2025-12-01' }));
+  });
+
+  test('Owner cannot update an xp/ledger entry', async () => {
+    const authedDb = asUser('user1');
+    const ledgerRef = xpLedgerRef(authedDb, 'user1', 'gap-event');
+
+    await withRulesDisabled(async (context) => {
+      await xpLedgerRef(context.firestore(), 'user1', 'gap-event').set(
+        createXPLedgerData()
+      );
+    });
+
+    await assertFails(ledgerRef.update({ reason: 'tampered' }));
+  });
+
+  test('Owner cannot delete an xp/ledger entry', async () => {
+    const authedDb = asUser('user1');
+    const ledgerRef = xpLedgerRef(authedDb, 'user1', 'gap-event-del');
+
+    await withRulesDisabled(async (context) => {
+      await xpLedgerRef(context.firestore(), 'user1', 'gap-event-del').set(
+        createXPLedgerData()
+      );
+    });
+
+    await assertFails(ledgerRef.delete());
+  });
+
+  test('Owner cannot create habit with invalid type', async () => {
+    const authedDb = asUser('user1');
+
+    const invalidData = createHabitData();
+    invalidData.type = 'neither';
+
+    await assertFails(writeCountedHabit(authedDb, 'user1', 'gap-habit-type', invalidData));
+  });
+
+  test('Owner cannot create habit with out-of-range goal via goalVersions', async () => {
+    const authedDb = asUser('user1');
+    const goalRef = goalVersionRef(authedDb, 'user1', 'habit1', '2025-10-15');
+
+    const invalidData = createGoalVersionData('habit1');
+    invalidData.goal = -100;
+
+    await assertFails(goalRef.set(invalidData));
+  });
+
+  test('Owner cannot append to xp_ledger (written only by awardXP)', async () => {
+    const authedDb = asUser('user1');
+    const ledgerRef = authedDb
+      .collection('users')
+      .doc('user1')
+      .collection('xp_ledger')
+      .doc('repo-event');
+
+    await assertFails(
+      ledgerRef.set({
+        delta: 10,
+        reason: 'Award',
+        ts: new Date(),
+      })
+    );
+  });
+
+  test('Owner cannot update xp_ledger entry (append-only)', async () => {
+    const authedDb = asUser('user1');
+    const ledgerRef = authedDb
+      .collection('users')
+      .doc('user1')
+      .collection('xp_ledger')
+      .doc('repo-event-upd');
+
+    await withRulesDisabled(async (context) => {
+      await context
+        .firestore()
+        .collection('users')
+        .doc('user1')
+        .collection('xp_ledger')
+        .doc('repo-event-upd')
+        .set({ delta: 10, reason: 'Award', ts: new Date() });
+    });
+
+    await assertFails(ledgerRef.update({ delta: 999 }));
+  });
+});
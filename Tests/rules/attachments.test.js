@@ -0,0 +1,199 @@
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+
+const firebase = require('firebase/compat/app');
+require('firebase/compat/firestore');
+
+const {
+  setupRulesEnv,
+  asUser,
+  storageAsUser,
+  storageAsGuest,
+  withRulesDisabled,
+  createSyncCompletionData,
+  syncCompletionRef,
+  seedLiveHabit,
+  writeThrottledCompletion,
+} = require('../support/harness');
+
+setupRulesEnv({ storage: true });
+
+const PHOTO_PATH = 'users/user1/attachments/habit1/2025-10-15/proof.jpg';
+
+const MAX_BYTES = 5 * 1024 * 1024;
+
+const createAttachmentData = (overrides = {}) => ({
+  path: PHOTO_PATH,
+  contentType: 'image/jpeg',
+  size: 1024,
+  uploadedAt: new Date(),
+  ...overrides,
+});
+
+const completionRef = (db) => syncCompletionRef(db, 'user1', '2025-10', 'comp_habit1_2025-10-15');
+
+/** Create the completion through the write throttle */
+const saveCompletion = (db, data) => writeThrottledCompletion(db, completionRef(db), data);
+
+/** Update the completion through the write throttle; every write moves updatedAt */
+const patchCompletion = (db, data) =>
+  writeThrottledCompletion(db, completionRef(db), { ...data, updatedAt: new Date() }, { update: true });
+
+const createCompletionWith = (attachment) => ({
+  ...createSyncCompletionData('user1', 'habit1', '2025-10-15'),
+  attachment,
+});
+
+/** Upload `bytes` zero bytes to `path` as `contentType` */
+const upload = (storage, path, bytes = 1024, contentType = 'image/jpeg') =>
+  storage.ref(path).put(new Uint8Array(bytes), { contentType });
+
+const seedPhoto = (path = PHOTO_PATH) => withRulesDisabled((context) => upload(context.storage(), path));
+
+// ============================================================================
+// COMPLETION ATTACHMENT FIELD
+// ============================================================================
+
+describe('Completion Attachment Rules', () => {
+  beforeEach(async () => {
+    await seedLiveHabit('user1', 'habit1');
+  });
+
+  test('User can create a completion with a photo attachment', async () => {
+    const authedDb = asUser('user1');
+
+    await assertSucceeds(saveCompletion(authedDb, createCompletionWith(createAttachmentData())));
+  });
+
+  test('User can create a completion with a null attachment', async () => {
+    const authedDb = asUser('user1');
+
+    await assertSucceeds(saveCompletion(authedDb, createCompletionWith(null)));
+  });
+
+  test('User can add, replace and remove the attachment later', async () => {
+    const authedDb = asUser('user1');
+    await assertSucceeds(saveCompletion(authedDb, createSyncCompletionData('user1', 'habit1', '2025-10-15')));
+
+    await assertSucceeds(patchCompletion(authedDb, { attachment: createAttachmentData() }));
+    await assertSucceeds(
+      patchCompletion(authedDb, {
+        attachment: createAttachmentData({
+          path: 'users/user1/attachments/habit1/2025-10-15/retake.png',
+          contentType: 'image/png',
+        }),
+      })
+    );
+    await assertSucceeds(patchCompletion(authedDb, { attachment: firebase.firestore.FieldValue.delete() }));
+  });
+
+  test('User can attach the largest allowed HEIC photo', async () => {
+    const authedDb = asUser('user1');
+
+    await assertSucceeds(
+      saveCompletion(authedDb, createCompletionWith(createAttachmentData({ contentType: 'image/heic', size: MAX_BYTES })))
+    );
+  });
+
+  test.each([
+    ['a bare path string', PHOTO_PATH],
+    ['an extra key', createAttachmentData({ url: 'https://example.com/proof.jpg' })],
+    ['no uploadedAt', { path: PHOTO_PATH, contentType: 'image/jpeg', size: 1024 }],
+    ['a non-string path', createAttachmentData({ path: 42 })],
+    ['a path outside attachments', createAttachmentData({ path: 'users/user1/photos/habit1/2025-10-15/proof.jpg' })],
+    ['a file name with a slash', createAttachmentData({ path: `${PHOTO_PATH}/nested.jpg` })],
+    ['another users path', createAttachmentData({ path: 'users/user2/attachments/habit1/2025-10-15/proof.jpg' })],
+    ['another habits path', createAttachmentData({ path: 'users/user1/attachments/habit2/2025-10-15/proof.jpg' })],
+    ['another days path', createAttachmentData({ path: 'users/user1/attachments/habit1/2025-10-14/proof.jpg' })],
+    ['a non-image content type', createAttachmentData({ contentType: 'image/gif' })],
+    ['a string size', createAttachmentData({ size: '1024' })],
+    ['an empty file', createAttachmentData({ size: 0 })],
+    ['a file over 5 MiB', createAttachmentData({ size: MAX_BYTES + 1 })],
+    ['an ISO string uploadedAt', createAttachmentData({ uploadedAt: new Date().toISOString() })],
+  ])('User cannot create a completion whose attachment is %s', async (_, attachment) => {
+    const authedDb = asUser('user1');
+
+    await assertFails(saveCompletion(authedDb, createCompletionWith(attachment)));
+  });
+
+  test('User cannot point an existing completion at another users photo', async () => {
+    const authedDb = asUser('user1');
+    await assertSucceeds(saveCompletion(authedDb, createCompletionWith(createAttachmentData())));
+
+    await assertFails(
+      patchCompletion(authedDb, {
+        attachment: createAttachmentData({ path: 'users/user2/attachments/habit1/2025-10-15/proof.jpg' }),
+      })
+    );
+  });
+});
+
+// ============================================================================
+// STORAGE — /users/{uid}/attachments/{habitId}/{dateKey}/{fileName}
+// ============================================================================
+
+describe('Attachment Storage Rules', () => {
+  test('User can upload a JPEG, PNG or HEIC photo for their habit and day', async () => {
+    const storage = storageAsUser('user1');
+
+    await assertSucceeds(upload(storage, PHOTO_PATH));
+    await assertSucceeds(upload(storage, 'users/user1/attachments/habit1/2025-10-15/proof.png', 1024, 'image/png'));
+    await assertSucceeds(upload(storage, 'users/user1/attachments/habit1/2025-10-15/IMG_0001.HEIC', 1024, 'image/heic'));
+  });
+
+  test('User can upload a photo of exactly 5 MiB', async () => {
+    await assertSucceeds(upload(storageAsUser('user1'), PHOTO_PATH, MAX_BYTES));
+  });
+
+  test('User cannot upload a photo over 5 MiB', async () => {
+    await assertFails(upload(storageAsUser('user1'), PHOTO_PATH, MAX_BYTES + 1));
+  });
+
+  test('User cannot upload an empty file', async () => {
+    await assertFails(upload(storageAsUser('user1'), PHOTO_PATH, 0));
+  });
+
+  test('User cannot upload a file that is not a photo', async () => {
+    const storage = storageAsUser('user1');
+
+    await assertFails(upload(storage, 'users/user1/attachments/habit1/2025-10-15/proof.gif', 1024, 'image/gif'));
+    await assertFails(upload(storage, 'users/user1/attachments/habit1/2025-10-15/notes.txt', 1024, 'text/plain'));
+  });
+
+  test('User cannot upload under a malformed day, file name or habit id', async () => {
+    const storage = storageAsUser('user1');
+
+    await assertFails(upload(storage, 'users/user1/attachments/habit1/2025-10/proof.jpg'));
+    await assertFails(upload(storage, 'users/user1/attachments/habit1/2025-10-15/proof photo.jpg'));
+    await assertFails(upload(storage, `users/user1/attachments/${'h'.repeat(101)}/2025-10-15/proof.jpg`));
+  });
+
+  test('User cannot upload into another users attachments', async () => {
+    await assertFails(upload(storageAsUser('user2'), PHOTO_PATH));
+    await assertFails(upload(storageAsGuest(), PHOTO_PATH));
+  });
+
+  test('User cannot overwrite an uploaded photo', async () => {
+    await seedPhoto();
+
+    await assertFails(upload(storageAsUser('user1'), PHOTO_PATH));
+  });
+
+  test('Only the owner can read or delete a photo', async () => {
+    await seedPhoto();
+
+    await assertFails(storageAsUser('user2').ref(PHOTO_PATH).getMetadata());
+    await assertFails(storageAsGuest().ref(PHOTO_PATH).getMetadata());
+    await assertFails(storageAsUser('user2').ref(PHOTO_PATH).delete());
+    await assertSucceeds(storageAsUser('user1').ref(PHOTO_PATH).getMetadata());
+    await assertSucceeds(storageAsUser('user1').ref(PHOTO_PATH).delete());
+  });
+
+  test('User cannot write or read outside their attachments', async () => {
+    const storage = storageAsUser('user1');
+    await withRulesDisabled((context) => upload(context.storage(), 'backups/user1/2025-10-15T08-30-00-000Z.json.gz'));
+
+    await assertFails(upload(storage, 'users/user1/avatar.jpg'));
+    await assertFails(upload(storage, 'backups/user1/forged.json.gz'));
+    await assertFails(storage.ref('backups/user1/2025-10-15T08-30-00-000Z.json.gz').getMetadata());
+  });
+});
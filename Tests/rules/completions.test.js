@@ -0,0 +1,203 @@
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+
+const {
+  setupRulesEnv,
+  asUser,
+  withRulesDisabled,
+  createCompletionData,
+  createSyncCompletionData,
+  completionRefFor,
+  syncCompletionRef,
+  seedLiveHabit,
+  writeThrottledCompletion,
+} = require('../support/harness');
+
+setupRulesEnv();
+
+// ============================================================================
+// COMPLETIONS TESTS
+// ============================================================================
+
+describe('Completions Rules', () => {
+  beforeEach(async () => {
+    await seedLiveHabit('user1', 'habit1');
+  });
+
+  test('User can create valid completion', async () => {
+    const authedDb = asUser('user1');
+    const completionRef = completionRefFor(authedDb, 'user1', '2025-10-15', 'habit1');
+
+    await assertSucceeds(writeThrottledCompletion(authedDb, completionRef, createCompletionData()));
+  });
+
+  test('User cannot create completion with invalid date format', async () => {
+    const authedDb = asUser('user1');
+    const completionRef = completionRefFor(authedDb, 'user1', '10-15-2025', 'habit1');
+
+    await assertFails(writeThrottledCompletion(authedDb, completionRef, createCompletionData()));
+  });
+
+  test('User cannot create completion with negative count', async () => {
+    const authedDb = asUser('user1');
+    const completionRef = completionRefFor(authedDb, 'user1', '2025-10-15', 'habit1');
+
+    const invalidData = createCompletionData();
+    invalidData.count = -1;
+
+    await assertFails(writeThrottledCompletion(authedDb, completionRef, invalidData));
+  });
+
+  test('User can update completion count', async () => {
+    const authedDb = asUser('user1');
+    const completionRef = completionRefFor(authedDb, 'user1', '2025-10-15', 'habit1');
+
+    // Create completion first
+    await withRulesDisabled(async (context) => {
+      await completionRefFor(context.firestore(), 'user1', '2025-10-15', 'habit1').set(
+        createCompletionData()
+      );
+    });
+
+    await assertSucceeds(
+      writeThrottledCompletion(authedDb, completionRef, { count: 2, updatedAt: new Date() }, { update: true })
+    );
+  });
+
+  test('User cannot update completion with negative count', async () => {
+    const authedDb = asUser('user1');
+    const completionRef = completionRefFor(authedDb, 'user1', '2025-10-15', 'habit1');
+
+    // Create completion first
+    await withRulesDisabled(async (context) => {
+      await completionRefFor(context.firestore(), 'user1', '2025-10-15', 'habit1').set(
+        createCompletionData()
+      );
+    });
+
+    await assertFails(
+      writeThrottledCompletion(authedDb, completionRef, { count: -5, updatedAt: new Date() }, { update: true })
+    );
+  });
+});
+
+// ============================================================================
+// SYNCENGINE COMPLETION BUCKETS
+// ============================================================================
+
+describe('SyncEngine Completion Bucket Rules', () => {
+  beforeEach(async () => {
+    await seedLiveHabit('user1', 'habit1');
+  });
+
+  test('User can create valid completion in completions bucket', async () => {
+    const authedDb = asUser('user1');
+    const ref = syncCompletionRef(
+      authedDb,
+      'user1',
+      '2025-10',
+      'comp_habit1_2025-10-15'
+    );
+
+    await assertSucceeds(
+      writeThrottledCompletion(authedDb, ref, createSyncCompletionData('user1', 'habit1', '2025-10-15'))
+    );
+  });
+
+  test('User can create valid completion in legacy records bucket', async () => {
+    const authedDb = asUser('user1');
+    const ref = syncCompletionRef(
+      authedDb,
+      'user1',
+      '2025-10',
+      'comp_habit1_2025-10-15',
+      'records'
+    );
+
+    await assertSucceeds(
+      writeThrottledCompletion(authedDb, ref, createSyncCompletionData('user1', 'habit1', '2025-10-15'))
+    );
+  });
+
+  test('User cannot create sync completion with negative progress', async () => {
+    const authedDb = asUser('user1');
+    const ref = syncCompletionRef(authedDb, 'user1', '2025-10', 'bad-progress');
+    const data = createSyncCompletionData('user1', 'habit1', '2025-10-15');
+    data.progress = -1;
+
+    await assertFails(writeThrottledCompletion(authedDb, ref, data));
+  });
+
+  test('User cannot create sync completion with invalid dateKey', async () => {
+    const authedDb = asUser('user1');
+    const ref = syncCompletionRef(authedDb, 'user1', '2025-10', 'bad-date');
+    const data = createSyncCompletionData('user1', 'habit1', '10-15-2025');
+
+    await assertFails(writeThrottledCompletion(authedDb, ref, data));
+  });
+
+  test('User cannot create sync completion with invalid yearMonth path', async () => {
+    const authedDb = asUser('user1');
+    // Must stay a single path segment (no '/'); use a non YYYY-MM value
+    const ref = syncCompletionRef(authedDb, 'user1', '202510', 'bad-ym');
+
+    await assertFails(
+      writeThrottledCompletion(authedDb, ref, createSyncCompletionData('user1', 'habit1', '2025-10-15'))
+    );
+  });
+
+  test('User cannot create sync completion missing required fields', async () => {
+    const authedDb = asUser('user1');
+    const ref = syncCompletionRef(authedDb, 'user1', '2025-10', 'incomplete');
+
+    await assertFails(
+      ref.set({
+        habitId: 'habit1',
+        progress: 1,
+      })
+    );
+  });
+
+  test('User can update sync completion progress', async () => {
+    const authedDb = asUser('user1');
+    const ref = syncCompletionRef(authedDb, 'user1', '2025-10', 'comp-upd');
+
+    await withRulesDisabled(async (context) => {
+      await syncCompletionRef(context.firestore(), 'user1', '2025-10', 'comp-upd').set(
+        createSyncCompletionData('user1', 'habit1', '2025-10-15')
+      );
+    });
+
+    await assertSucceeds(
+      writeThrottledCompletion(
+        authedDb,
+        ref,
+        { progress: 3, isCompleted: true, updatedAt: new Date() },
+        { update: true }
+      )
+    );
+  });
+
+  test('User can delete sync completion', async () => {
+    const authedDb = asUser('user1');
+    const ref = syncCompletionRef(authedDb, 'user1', '2025-10', 'comp-del');
+
+    await withRulesDisabled(async (context) => {
+      await syncCompletionRef(context.firestore(), 'user1', '2025-10', 'comp-del').set(
+        createSyncCompletionData('user1', 'habit1', '2025-10-15')
+      );
+    });
+
+    await assertSucceeds(ref.delete());
+  });
+
+  test('User cannot write another users sync completion', async () => {
+    const authedDb = asUser('user2');
+    const ref = syncCompletionRef(authedDb, 'user1', '2025-10', 'comp-x');
+
+    await assertFails(
+      writeThrottledCompletion(authedDb, ref, createSyncCompletionData('user1', 'habit1', '2025-10-15'), {
+        callerId: 'user2',
+      })
+    );
+  });
+});
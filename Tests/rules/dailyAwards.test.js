@@ -0,0 +1,183 @@
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+
+const {
+  setupRulesEnv,
+  asUser,
+  withRulesDisabled,
+  dailyAwardRef,
+} = require('../support/harness');
+
+setupRulesEnv();
+
+// ============================================================================
+// DAILY AWARDS
+// ============================================================================
+
+const createDailyAwardSyncData = (userId, dateKey) => ({
+  userId,
+  dateKey,
+  xpGranted: 50,
+  allHabitsCompleted: true,
+  createdAt: new Date(),
+  userIdDateKey: `${userId}#${dateKey}`,
+});
+
+const createDailyAwardBackupData = (dateKey) => ({
+  dateKey,
+  xpGranted: 50,
+  allHabitsCompleted: true,
+  grantedAt: new Date(),
+  syncedAt: new Date(),
+});
+
+describe('Daily Awards Rules', () => {
+  test('User can create valid SyncEngine daily award', async () => {
+    const authedDb = asUser('user1');
+    const ref = dailyAwardRef(authedDb, 'user1', 'user1#2025-10-15');
+
+    await assertSucceeds(ref.set(createDailyAwardSyncData('user1', '2025-10-15')));
+  });
+
+  test('User can create valid backup-schema daily award', async () => {
+    const authedDb = asUser('user1');
+    const ref = dailyAwardRef(authedDb, 'user1', '2025-10-15');
+
+    await assertSucceeds(ref.set(createDailyAwardBackupData('2025-10-15')));
+  });
+
+  test('User cannot create daily award with non-positive xpGranted', async () => {
+    const authedDb = asUser('user1');
+    const ref = dailyAwardRef(authedDb, 'user1', '2025-10-16');
+
+    const invalid = createDailyAwardBackupData('2025-10-16');
+    invalid.xpGranted = 0;
+
+    await assertFails(ref.set(invalid));
+  });
+
+  test('User cannot create daily award with invalid dateKey', async () => {
+    const authedDb = asUser('user1');
+    const ref = dailyAwardRef(authedDb, 'user1', 'bad-date');
+
+    const invalid = createDailyAwardBackupData('10/15/2025');
+    await assertFails(ref.set(invalid));
+  });
+
+  test('User cannot create daily award with non-bool allHabitsCompleted', async () => {
+    const authedDb = asUser('user1');
+    const ref = dailyAwardRef(authedDb, 'user1', '2025-10-17');
+
+    const invalid = createDailyAwardBackupData('2025-10-17');
+    invalid.allHabitsCompleted = 'yes';
+
+    await assertFails(ref.set(invalid));
+  });
+
+  test('User cannot update daily award xpGranted (core fields locked)', async () => {
+    const authedDb = asUser('user1');
+    const ref = dailyAwardRef(authedDb, 'user1', 'user1#2025-10-18');
+
+    await withRulesDisabled(async (context) => {
+      await dailyAwardRef(context.firestore(), 'user1', 'user1#2025-10-18').set(
+        createDailyAwardSyncData('user1', '2025-10-18')
+      );
+    });
+
+    await assertFails(ref.update({ xpGranted: 999 }));
+  });
+
+  test('User can refresh daily award timestamps without changing award', async () => {
+    const authedDb = asUser('user1');
+    const ref = dailyAwardRef(authedDb, 'user1', '2025-10-21');
+
+    await withRulesDisabled(async (context) => {
+      await dailyAwardRef(context.firestore(), 'user1', '2025-10-21').set(
+        createDailyAwardBackupData('2025-10-21')
+      );
+    });
+
+    // FirebaseBackupService setData(merge:true) rewrites timestamps only in practice
+    await assertSucceeds(
+      ref.set(
+        {
+          dateKey: '2025-10-21',
+          xpGranted: 50,
+          allHabitsCompleted: true,
+          grantedAt: new Date(),
+          syncedAt: new Date(),
+        },
+        { merge: true }
+      )
+    );
+  });
+
+  test('User can delete their own daily award', async () => {
+    const authedDb = asUser('user1');
+    const ref = dailyAwardRef(authedDb, 'user1', 'user1#2025-10-19');
+
+    await withRulesDisabled(async (context) => {
+      await dailyAwardRef(context.firestore(), 'user1', 'user1#2025-10-19').set(
+        createDailyAwardSyncData('user1', '2025-10-19')
+      );
+    });
+
+    await assertSucceeds(ref.delete());
+  });
+
+  test('User cannot write another users daily award', async () => {
+    const authedDb = asUser('user2');
+    const ref = dailyAwardRef(authedDb, 'user1', 'user1#2025-10-20');
+
+    await assertFails(ref.set(createDailyAwardSyncData('user1', '2025-10-20')));
+  });
+
+  test('Second award for a day is rejected under the backup id', async () => {
+    const authedDb = asUser('user1');
+
+    await assertSucceeds(dailyAwardRef(authedDb, 'user1', 'user1#2025-10-15').set(createDailyAwardSyncData('user1', '2025-10-15')));
+    await assertFails(dailyAwardRef(authedDb, 'user1', '2025-10-15').set(createDailyAwardBackupData('2025-10-15')));
+  });
+
+  test('Second award for a day is rejected under the SyncEngine id', async () => {
+    const authedDb = asUser('user1');
+
+    await assertSucceeds(dailyAwardRef(authedDb, 'user1', '2025-10-15').set(createDailyAwardBackupData('2025-10-15')));
+    await assertFails(dailyAwardRef(authedDb, 'user1', 'user1#2025-10-15').set(createDailyAwardSyncData('user1', '2025-10-15')));
+  });
+
+  test('Both ids for one day cannot be created in one batch', async () => {
+    const authedDb = asUser('user1');
+    const batch = authedDb.batch();
+    batch.set(dailyAwardRef(authedDb, 'user1', 'user1#2025-10-15'), createDailyAwardSyncData('user1', '2025-10-15'));
+    batch.set(dailyAwardRef(authedDb, 'user1', '2025-10-15'), createDailyAwardBackupData('2025-10-15'));
+
+    await assertFails(batch.commit());
+  });
+
+  test('Awards for different days under either id are allowed', async () => {
+    const authedDb = asUser('user1');
+
+    await assertSucceeds(dailyAwardRef(authedDb, 'user1', 'user1#2025-10-15').set(createDailyAwardSyncData('user1', '2025-10-15')));
+    await assertSucceeds(dailyAwardRef(authedDb, 'user1', '2025-10-16').set(createDailyAwardBackupData('2025-10-16')));
+  });
+
+  test('Award id must name the owner and the awarded day', async () => {
+    const authedDb = asUser('user1');
+
+    await assertFails(dailyAwardRef(authedDb, 'user1', '2025-10-16').set(createDailyAwardBackupData('2025-10-15')));
+    await assertFails(dailyAwardRef(authedDb, 'user1', 'user1#2025-10-16').set(createDailyAwardSyncData('user1', '2025-10-15')));
+    await assertFails(dailyAwardRef(authedDb, 'user1', 'user2#2025-10-15').set(createDailyAwardSyncData('user1', '2025-10-15')));
+  });
+
+  test('Deleting a duplicate frees the day for the other id', async () => {
+    await withRulesDisabled(async (context) => {
+      await dailyAwardRef(context.firestore(), 'user1', '2025-10-15').set(createDailyAwardBackupData('2025-10-15'));
+    });
+    const authedDb = asUser('user1');
+    const syncRef = dailyAwardRef(authedDb, 'user1', 'user1#2025-10-15');
+
+    await assertFails(syncRef.set(createDailyAwardSyncData('user1', '2025-10-15')));
+    await assertSucceeds(dailyAwardRef(authedDb, 'user1', '2025-10-15').delete());
+    await assertSucceeds(syncRef.set(createDailyAwardSyncData('user1', '2025-10-15')));
+  });
+});
@@ -0,0 +1,186 @@
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+
+const firebase = require('firebase/compat/app');
+require('firebase/compat/firestore');
+
+const {
+  setupRulesEnv,
+  asUser,
+  withRulesDisabled,
+  createDeviceData,
+  deviceRef,
+} = require('../support/harness');
+
+const { serverTimestamp } = firebase.firestore.FieldValue;
+
+setupRulesEnv();
+
+// ============================================================================
+// DEVICES
+// ============================================================================
+
+describe('Devices Rules', () => {
+  test('User can create valid device', async () => {
+    const authedDb = asUser('user1');
+    await assertSucceeds(
+      deviceRef(authedDb, 'user1', 'device-abc').set(createDeviceData('device-abc'))
+    );
+  });
+
+  test('User cannot create device with mismatched id', async () => {
+    const authedDb = asUser('user1');
+    const data = createDeviceData('other-id');
+    await assertFails(deviceRef(authedDb, 'user1', 'device-abc').set(data));
+  });
+
+  test('User cannot create device with empty deviceName', async () => {
+    const authedDb = asUser('user1');
+    const data = createDeviceData('device-abc');
+    data.deviceName = '';
+    await assertFails(deviceRef(authedDb, 'user1', 'device-abc').set(data));
+  });
+
+  test('User can update lastLogin and deviceName', async () => {
+    const authedDb = asUser('user1');
+    const ref = deviceRef(authedDb, 'user1', 'device-upd');
+
+    await withRulesDisabled(async (context) => {
+      await deviceRef(context.firestore(), 'user1', 'device-upd').set(
+        createDeviceData('device-upd')
+      );
+    });
+
+    await assertSucceeds(
+      ref.update({
+        lastLogin: new Date(),
+        deviceName: 'Chloe Phone',
+        appVersion: '1.2.4',
+      })
+    );
+  });
+
+  test('User cannot change createdAt on device', async () => {
+    const authedDb = asUser('user1');
+    const ref = deviceRef(authedDb, 'user1', 'device-immutable');
+
+    await withRulesDisabled(async (context) => {
+      await deviceRef(context.firestore(), 'user1', 'device-immutable').set(
+        createDeviceData('device-immutable')
+      );
+    });
+
+    await assertFails(ref.update({ createdAt: new Date() }));
+  });
+
+  test('User can delete their device', async () => {
+    const authedDb = asUser('user1');
+    const ref = deviceRef(authedDb, 'user1', 'device-del');
+
+    await withRulesDisabled(async (context) => {
+      await deviceRef(context.firestore(), 'user1', 'device-del').set(
+        createDeviceData('device-del')
+      );
+    });
+
+    await assertSucceeds(ref.delete());
+  });
+
+  test('User cannot write another users device', async () => {
+    const authedDb = asUser('user2');
+    await assertFails(
+      deviceRef(authedDb, 'user1', 'device-x').set(createDeviceData('device-x'))
+    );
+  });
+
+  test('User cannot revoke a device; only the revokeDevice function does', async () => {
+    const authedDb = asUser('user1');
+    const ref = deviceRef(authedDb, 'user1', 'device-lost');
+
+    await withRulesDisabled(async (context) => {
+      await deviceRef(context.firestore(), 'user1', 'device-lost').set(
+        createDeviceData('device-lost')
+      );
+    });
+
+    await assertFails(ref.update({ revoked: true, revokedAt: new Date() }));
+    await assertFails(ref.update({ revoked: true }));
+    await assertFails(ref.update({ revoked: true, revokedAt: serverTimestamp() }));
+    await assertSucceeds(ref.update({ lastLogin: new Date() }));
+  });
+
+  test('User cannot register a device as already revoked', async () => {
+    const authedDb = asUser('user1');
+    const ref = deviceRef(authedDb, 'user1', 'device-abc');
+
+    await assertFails(ref.set({ ...createDeviceData('device-abc'), revoked: true }));
+    await assertFails(ref.set({ ...createDeviceData('device-abc'), revokedAt: serverTimestamp() }));
+    await assertSucceeds(ref.set({ ...createDeviceData('device-abc'), revoked: false }));
+  });
+
+  test('Revoked device cannot be cleared, updated, deleted or re-registered', async () => {
+    const authedDb = asUser('user1');
+    const ref = deviceRef(authedDb, 'user1', 'device-lost');
+
+    await withRulesDisabled(async (context) => {
+      await deviceRef(context.firestore(), 'user1', 'device-lost').set({
+        ...createDeviceData('device-lost'),
+        revoked: true,
+        revokedAt: new Date(),
+      });
+    });
+
+    await assertFails(ref.update({ revoked: false, revokedAt: firebase.firestore.FieldValue.delete() }));
+    await assertFails(ref.update({ lastLogin: new Date() }));
+    await assertFails(ref.delete());
+    await assertFails(ref.set(createDeviceData('device-lost')));
+    await assertSucceeds(ref.get());
+  });
+});
+
+// ============================================================================
+// SESSIONS (meta/sessions, written by revokeDevice)
+// ============================================================================
+
+describe('Session cut-off Rules', () => {
+  const REVOKE_TIME = 1760000000;
+
+  const sessionsRef = (db, userId) => db.collection('users').doc(userId).collection('meta').doc('sessions');
+
+  beforeEach(async () => {
+    await withRulesDisabled(async (context) => {
+      await sessionsRef(context.firestore(), 'user1').set({
+        revokeTime: REVOKE_TIME,
+        revokedDeviceId: 'device-lost',
+        updatedAt: new Date(),
+      });
+    });
+  });
+
+  test('A token signed in before the revocation can no longer read or write', async () => {
+    const stale = asUser('user1', { iat: REVOKE_TIME - 60 });
+
+    await assertFails(deviceRef(stale, 'user1', 'device-lost').get());
+    await assertFails(deviceRef(stale, 'user1', 'device-abc').set(createDeviceData('device-abc')));
+    await assertFails(stale.collection('users').doc('user1').collection('habits').get());
+  });
+
+  test('A token signed in at or after the revocation keeps access', async () => {
+    for (const iat of [REVOKE_TIME, REVOKE_TIME + 60]) {
+      const fresh = asUser('user1', { iat });
+      await assertSucceeds(deviceRef(fresh, 'user1', 'device-abc').set(createDeviceData('device-abc')));
+      await assertSucceeds(fresh.collection('users').doc('user1').collection('habits').get());
+    }
+  });
+
+  test('Another user without a revocation is unaffected', async () => {
+    await assertSucceeds(deviceRef(asUser('user2'), 'user2', 'device-abc').set(createDeviceData('device-abc')));
+  });
+
+  test('Owner cannot move or clear the cut-off', async () => {
+    const fresh = asUser('user1', { iat: REVOKE_TIME + 60 });
+
+    await assertSucceeds(sessionsRef(fresh, 'user1').get());
+    await assertFails(sessionsRef(fresh, 'user1').update({ revokeTime: 0 }));
+    await assertFails(sessionsRef(fresh, 'user1').delete());
+  });
+});
@@ -0,0 +1,187 @@
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+
+const {
+  setupRulesEnv,
+  asUser,
+  withRulesDisabled,
+  dailyAwardRef,
+  writeCountedHabit,
+} = require('../support/harness');
+
+setupRulesEnv();
+
+// ============================================================================
+// FIREBASE BACKUP SERVICE — real write shapes
+// Mirrors Core/Services/FirebaseBackupService.swift + FirestoreHabit.toFirestoreData()
+// ============================================================================
+
+/**
+ * Exact field set from FirestoreHabit.toFirestoreData() + syncedAt (performHabitBackup).
+ * New habits go through HabitWriteService: a plain set counted in meta/habit_count.
+ */
+const createFirebaseBackupHabitPayload = (overrides = {}) => {
+  const createdAt = overrides.createdAt || new Date('2025-01-15T10:00:00.000Z');
+  return {
+    name: 'Morning Run',
+    description: 'Go for a run',
+    icon: 'figure.run',
+    color: '#34C759',
+    habitType: 'Habit Building', // HabitType.formation.rawValue — NOT "formation"
+    schedule: 'daily',
+    goal: '1',
+    reminder: 'none',
+    startDate: new Date('2025-01-15T00:00:00.000Z'),
+    createdAt,
+    reminders: [],
+    remindersJSON: '[]',
+    baseline: 0,
+    target: 1,
+    completionHistory: {},
+    completionStatus: {},
+    completionTimestamps: {},
+    difficultyHistory: {},
+    actualUsage: {},
+    skippedDaysJSON: '{}',
+    isActive: true,
+    syncStatus: 'pending',
+    syncedAt: new Date(),
+    ...overrides,
+  };
+};
+
+describe('FirebaseBackupService real write shapes', () => {
+  test('Habit backup create succeeds with Habit Building rawValue', async () => {
+    const authedDb = asUser('user1');
+
+    await assertSucceeds(
+      writeCountedHabit(authedDb, 'user1', '11111111-1111-1111-1111-111111111111', createFirebaseBackupHabitPayload())
+    );
+  });
+
+  test('Habit backup create succeeds with Habit Breaking rawValue', async () => {
+    const authedDb = asUser('user1');
+
+    await assertSucceeds(
+      writeCountedHabit(
+        authedDb,
+        'user1',
+        '22222222-2222-2222-2222-222222222222',
+        createFirebaseBackupHabitPayload({
+          name: 'No Soda',
+          habitType: 'Habit Breaking',
+        })
+      )
+    );
+  });
+
+  test('Habit backup merge update succeeds (full payload + new syncedAt)', async () => {
+    const authedDb = asUser('user1');
+    const habitId = '33333333-3333-3333-3333-333333333333';
+    const habitRef = authedDb
+      .collection('users')
+      .doc('user1')
+      .collection('habits')
+      .doc(habitId);
+
+    const createdAt = new Date('2025-01-15T10:00:00.000Z');
+    const initial = createFirebaseBackupHabitPayload({ createdAt });
+
+    await withRulesDisabled(async (context) => {
+      await context
+        .firestore()
+        .collection('users')
+        .doc('user1')
+        .collection('habits')
+        .doc(habitId)
+        .set(initial);
+    });
+
+    // Second backup: same createdAt, refreshed syncedAt / mutable fields
+    await assertSucceeds(
+      habitRef.set(
+        createFirebaseBackupHabitPayload({
+          createdAt,
+          name: 'Morning Run Updated',
+          target: 2,
+          syncedAt: new Date(),
+          syncStatus: 'synced',
+        }),
+        { merge: true }
+      )
+    );
+  });
+
+  test('Habit backup create still rejects empty name', async () => {
+    const authedDb = asUser('user1');
+
+    await assertFails(
+      writeCountedHabit(authedDb, 'user1', '44444444-4444-4444-4444-444444444444', createFirebaseBackupHabitPayload({ name: '' }))
+    );
+  });
+
+  test('Habit backup create still rejects unknown habitType', async () => {
+    const authedDb = asUser('user1');
+
+    await assertFails(
+      writeCountedHabit(
+        authedDb,
+        'user1',
+        '55555555-5555-5555-5555-555555555555',
+        createFirebaseBackupHabitPayload({ habitType: 'neither' })
+      )
+    );
+  });
+
+  test('Daily award backup create then merge refresh succeeds', async () => {
+    const authedDb = asUser('user1');
+    const ref = dailyAwardRef(authedDb, 'user1', '2025-11-01');
+
+    const payload = {
+      dateKey: '2025-11-01',
+      xpGranted: 50,
+      allHabitsCompleted: true,
+      grantedAt: new Date(),
+      syncedAt: new Date(),
+    };
+
+    await assertSucceeds(ref.set(payload, { merge: true }));
+    await assertSucceeds(
+      ref.set(
+        {
+          ...payload,
+          grantedAt: new Date(),
+          syncedAt: new Date(),
+        },
+        { merge: true }
+      )
+    );
+  });
+
+  test('Daily award backup merge cannot escalate xpGranted', async () => {
+    const authedDb = asUser('user1');
+    const ref = dailyAwardRef(authedDb, 'user1', '2025-11-02');
+
+    await withRulesDisabled(async (context) => {
+      await dailyAwardRef(context.firestore(), 'user1', '2025-11-02').set({
+        dateKey: '2025-11-02',
+        xpGranted: 50,
+        allHabitsCompleted: true,
+        grantedAt: new Date(),
+        syncedAt: new Date(),
+      });
+    });
+
+    await assertFails(
+      ref.set(
+        {
+          dateKey: '2025-11-02',
+          xpGranted: 500,
+          allHabitsCompleted: true,
+          grantedAt: new Date(),
+          syncedAt: new Date(),
+        },
+        { merge: true }
+      )
+    );
+  });
+});
@@ -0,0 +1,112 @@
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+
+const {
+  setupRulesEnv,
+  asUser,
+  withRulesDisabled,
+  createGoalVersionData,
+  goalVersionRef,
+  seedLiveHabit,
+} = require('../support/harness');
+
+setupRulesEnv();
+
+// ============================================================================
+// GOAL VERSIONS TESTS
+// ============================================================================
+
+describe('Goal Versions Rules', () => {
+  beforeEach(async () => {
+    await seedLiveHabit('user1', 'habit1');
+  });
+
+  test('User can create valid goal version', async () => {
+    const authedDb = asUser('user1');
+    const goalRef = goalVersionRef(authedDb, 'user1', 'habit1', '2025-10-15');
+
+    await assertSucceeds(goalRef.set(createGoalVersionData('habit1')));
+  });
+
+  test('User cannot create goal with invalid date format', async () => {
+    const authedDb = asUser('user1');
+    const goalRef = goalVersionRef(authedDb, 'user1', 'habit1', '2025-10-15');
+
+    const invalidData = createGoalVersionData('habit1');
+    invalidData.effectiveLocalDate = '2025/10/15'; // Wrong format
+
+    await assertFails(goalRef.set(invalidData));
+  });
+
+  test('User cannot create goal with negative goal value', async () => {
+    const authedDb = asUser('user1');
+    const goalRef = goalVersionRef(authedDb, 'user1', 'habit1', '2025-10-15');
+
+    const invalidData = createGoalVersionData('habit1');
+    invalidData.goal = -1;
+
+    await assertFails(goalRef.set(invalidData));
+  });
+
+  test('User can create goal with zero value', async () => {
+    const authedDb = asUser('user1');
+    const goalRef = goalVersionRef(authedDb, 'user1', 'habit1', '2025-10-15');
+
+    const validData = createGoalVersionData('habit1');
+    validData.goal = 0;
+
+    await assertSucceeds(goalRef.set(validData));
+  });
+
+  test('User cannot update goal version (immutable)', async () => {
+    const authedDb = asUser('user1');
+    const goalRef = goalVersionRef(authedDb, 'user1', 'habit1', '2025-10-15');
+
+    // Create goal first
+    await withRulesDisabled(async (context) => {
+      await goalVersionRef(context.firestore(), 'user1', 'habit1', '2025-10-15').set(
+        createGoalVersionData('habit1')
+      );
+    });
+
+    // Try to update
+    await assertFails(goalRef.update({ goal: 5 }));
+  });
+
+  test('User can delete goal version', async () => {
+    const authedDb = asUser('user1');
+    const goalRef = goalVersionRef(authedDb, 'user1', 'habit1', '2025-10-15');
+
+    // Create goal first
+    await withRulesDisabled(async (context) => {
+      await goalVersionRef(context.firestore(), 'user1', 'habit1', '2025-10-15').set(
+        createGoalVersionData('habit1')
+      );
+    });
+
+    await assertSucceeds(goalRef.delete());
+  });
+
+  test('User cannot create goal version whose id is not its effectiveLocalDate', async () => {
+    const authedDb = asUser('user1');
+
+    await assertFails(goalVersionRef(authedDb, 'user1', 'habit1', 'version1').set(createGoalVersionData('habit1')));
+    await assertFails(goalVersionRef(authedDb, 'user1', 'habit1', '2025-10-16').set(createGoalVersionData('habit1')));
+  });
+
+  test('User cannot add a second goal version for the same day', async () => {
+    const authedDb = asUser('user1');
+    const goalRef = goalVersionRef(authedDb, 'user1', 'habit1', '2025-10-15');
+
+    await assertSucceeds(goalRef.set(createGoalVersionData('habit1')));
+    await assertFails(goalRef.set({ ...createGoalVersionData('habit1'), goal: 3 }));
+  });
+
+  test('User can replace the same-day goal by deleting then creating', async () => {
+    const authedDb = asUser('user1');
+    const goalRef = goalVersionRef(authedDb, 'user1', 'habit1', '2025-10-15');
+
+    await assertSucceeds(goalRef.set(createGoalVersionData('habit1')));
+    await assertSucceeds(goalRef.delete());
+    await assertSucceeds(goalRef.set({ ...createGoalVersionData('habit1'), goal: 3 }));
+  });
+});
@@ -0,0 +1,490 @@
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+
+const {
+  setupRulesEnv,
+  asUser,
+  withRulesDisabled,
+  createHabitData,
+  createGoalVersionData,
+  createCompletionData,
+  createStreakData,
+  createSyncCompletionData,
+  createProgressEventData,
+  goalVersionRef,
+  completionRefFor,
+  syncCompletionRef,
+  progressEventRef,
+  seedLiveHabit,
+  completionRateKey,
+  addRateKeys,
+  writeThrottledEvents,
+  writeThrottledCompletion,
+  habitCountRef,
+  countHabit,
+  writeCountedHabit,
+} = require('../support/harness');
+
+setupRulesEnv();
+
+/** Completions go through the write throttle; other children are plain sets */
+const isCompletionRef = (ref) => ref.path.split('/')[2] === 'completions';
+
+/** Write a child document as the owner would */
+const writeChild = (db, [ref, data]) => (isCompletionRef(ref) ? writeThrottledCompletion(db, ref, data) : ref.set(data));
+
+/** Add a child document to `batch` as the owner would, with its rate key when it is a completion */
+const batchChild = (batch, db, [ref, data]) => {
+  batch.set(ref, data);
+  if (isCompletionRef(ref)) {
+    addRateKeys(batch, db, 'user1', { keys: [completionRateKey(ref, data)] });
+  }
+};
+
+// ============================================================================
+// HABITS COLLECTION TESTS
+// ============================================================================
+
+describe('Habits Collection Rules', () => {
+  test('User can create valid habit', async () => {
+    const authedDb = asUser('user1');
+
+    await assertSucceeds(writeCountedHabit(authedDb, 'user1', 'habit1', createHabitData()));
+  });
+
+  test('User cannot create habit without required fields', async () => {
+    const authedDb = asUser('user1');
+
+    await assertFails(writeCountedHabit(authedDb, 'user1', 'habit1', { name: 'Incomplete' }));
+  });
+
+  test('User cannot create habit with invalid type', async () => {
+    const authedDb = asUser('user1');
+
+    const invalidData = createHabitData();
+    invalidData.type = 'invalid_type';
+
+    await assertFails(writeCountedHabit(authedDb, 'user1', 'habit1', invalidData));
+  });
+
+  test('User cannot create habit with empty name', async () => {
+    const authedDb = asUser('user1');
+
+    const invalidData = createHabitData();
+    invalidData.name = '';
+
+    await assertFails(writeCountedHabit(authedDb, 'user1', 'habit1', invalidData));
+  });
+
+  test('User cannot create habit with name > 100 chars', async () => {
+    const authedDb = asUser('user1');
+
+    const invalidData = createHabitData();
+    invalidData.name = 'a'.repeat(101);
+
+    await assertFails(writeCountedHabit(authedDb, 'user1', 'habit1', invalidData));
+  });
+
+  test('User can update allowed habit fields', async () => {
+    const authedDb = asUser('user1');
+    const habitRef = authedDb
+      .collection('users')
+      .doc('user1')
+      .collection('habits')
+      .doc('habit1');
+
+    // Create habit first
+    await withRulesDisabled(async (context) => {
+      await context
+        .firestore()
+        .collection('users')
+        .doc('user1')
+        .collection('habits')
+        .doc('habit1')
+        .set(createHabitData());
+    });
+
+    // Update allowed fields
+    await assertSucceeds(
+      habitRef.update({
+        name: 'Updated Name',
+        color: 'blue500',
+        active: false,
+      })
+    );
+  });
+
+  test('User cannot update createdAt field', async () => {
+    const authedDb = asUser('user1');
+    const habitRef = authedDb
+      .collection('users')
+      .doc('user1')
+      .collection('habits')
+      .doc('habit1');
+
+    // Create habit first
+    await withRulesDisabled(async (context) => {
+      await context
+        .firestore()
+        .collection('users')
+        .doc('user1')
+        .collection('habits')
+        .doc('habit1')
+        .set(createHabitData());
+    });
+
+    // Try to update createdAt
+    await assertFails(habitRef.update({ createdAt: new Date() }));
+  });
+
+  test('User cannot hard-delete their own habit (soft delete only)', async () => {
+    const authedDb = asUser('user1');
+    const habitRef = authedDb
+      .collection('users')
+      .doc('user1')
+      .collection('habits')
+      .doc('habit1');
+
+    // Create habit first
+    await withRulesDisabled(async (context) => {
+      await context
+        .firestore()
+        .collection('users')
+        .doc('user1')
+        .collection('habits')
+        .doc('habit1')
+        .set(createHabitData());
+    });
+
+    await assertFails(habitRef.delete());
+  });
+
+  test('User cannot delete another users habit', async () => {
+    const authedDb = asUser('user2');
+    const habitRef = authedDb
+      .collection('users')
+      .doc('user1')
+      .collection('habits')
+      .doc('habit1');
+
+    await assertFails(habitRef.delete());
+  });
+});
+
+// ============================================================================
+// HABIT SOFT-DELETE
+// deletedAt on either habit schema; no new child data until restored
+// ============================================================================
+
+describe('Habit Soft-Delete Rules', () => {
+  const HABIT_ID = '9996D0CC-630C-4626-91E1-97EFF445E7BF';
+  const DELETED_AT = new Date('2026-08-07T09:00:00.000Z');
+
+  const habitRef = (db) => db.collection('users').doc('user1').collection('habits').doc(HABIT_ID);
+
+  const seedHabit = async (data) => {
+    await withRulesDisabled(async (context) => {
+      await habitRef(context.firestore()).set(data);
+    });
+  };
+
+  const syncHabitData = (overrides = {}) => ({
+    name: 'Morning Run',
+    habitType: 'Habit Building',
+    isActive: true,
+    createdAt: new Date('2026-01-01T00:00:00.000Z'),
+    ...overrides,
+  });
+
+  test('Owner can soft-delete a simple-schema habit', async () => {
+    await seedHabit(createHabitData());
+    const authedDb = asUser('user1');
+
+    await assertSucceeds(habitRef(authedDb).update({ deletedAt: DELETED_AT }));
+  });
+
+  test('Owner can soft-delete a sync-schema habit with a full merge', async () => {
+    await seedHabit(syncHabitData());
+    const authedDb = asUser('user1');
+
+    await assertSucceeds(habitRef(authedDb).set(syncHabitData({ deletedAt: DELETED_AT }), { merge: true }));
+  });
+
+  test('Owner can create a habit with deletedAt null', async () => {
+    const authedDb = asUser('user1');
+
+    await assertSucceeds(writeCountedHabit(authedDb, 'user1', HABIT_ID, syncHabitData({ deletedAt: null })));
+  });
+
+  test('Owner cannot set deletedAt to a non-timestamp', async () => {
+    await seedHabit(createHabitData());
+    const authedDb = asUser('user1');
+
+    await assertFails(habitRef(authedDb).update({ deletedAt: '2026-08-07' }));
+  });
+
+  test('Owner can restore a soft-deleted habit', async () => {
+    await seedHabit(syncHabitData({ deletedAt: DELETED_AT }));
+    const authedDb = asUser('user1');
+
+    await assertSucceeds(writeCountedHabit(authedDb, 'user1', HABIT_ID, { deletedAt: null }, { update: true }));
+  });
+
+  test('Owner cannot edit a soft-deleted habit without restoring it', async () => {
+    await seedHabit(syncHabitData({ deletedAt: DELETED_AT }));
+    const authedDb = asUser('user1');
+
+    await assertFails(habitRef(authedDb).update({ name: 'Evening Run' }));
+  });
+
+  test('Non-owner cannot restore a soft-deleted habit', async () => {
+    await seedHabit(syncHabitData({ deletedAt: DELETED_AT }));
+    const otherDb = asUser('user2');
+
+    await assertFails(writeCountedHabit(otherDb, 'user1', HABIT_ID, { deletedAt: null }, { update: true }));
+  });
+
+  // One writer per kind of child document that references the habit
+  const childWrites = {
+    'dated completion': (db) =>
+      writeThrottledCompletion(db, completionRefFor(db, 'user1', '2026-08-07', HABIT_ID), createCompletionData()),
+    'sync completion': (db) =>
+      writeThrottledCompletion(
+        db,
+        syncCompletionRef(db, 'user1', '2026-08', `comp_${HABIT_ID}_2026-08-07`),
+        createSyncCompletionData('user1', HABIT_ID, '2026-08-07')
+      ),
+    'legacy completion record': (db) =>
+      writeThrottledCompletion(
+        db,
+        syncCompletionRef(db, 'user1', '2026-08', 'rec_1', 'records'),
+        createSyncCompletionData('user1', HABIT_ID, '2026-08-07')
+      ),
+    'progress event': (db) =>
+      writeThrottledEvents(db, 'user1', [createProgressEventData('user1', { habitId: HABIT_ID })]),
+    'goal version': (db) =>
+      goalVersionRef(db, 'user1', HABIT_ID, '2026-08-07').set({
+        ...createGoalVersionData(HABIT_ID),
+        effectiveLocalDate: '2026-08-07',
+      }),
+    streak: (db) =>
+      db.collection('users').doc('user1').collection('streaks').doc(HABIT_ID).set(createStreakData()),
+  };
+
+  test.each(Object.keys(childWrites))('Owner cannot write a %s for a soft-deleted habit', async (kind) => {
+    await seedHabit(syncHabitData({ deletedAt: DELETED_AT }));
+    const authedDb = asUser('user1');
+
+    await assertFails(childWrites[kind](authedDb));
+  });
+
+  test.each(Object.keys(childWrites))('Owner can write a %s once the habit is restored', async (kind) => {
+    await seedHabit(syncHabitData({ deletedAt: null }));
+    const authedDb = asUser('user1');
+
+    await assertSucceeds(childWrites[kind](authedDb));
+  });
+
+  test('Owner cannot update an existing completion after the habit is soft-deleted', async () => {
+    await seedHabit(syncHabitData({ deletedAt: DELETED_AT }));
+    await withRulesDisabled(async (context) => {
+      await completionRefFor(context.firestore(), 'user1', '2026-08-07', HABIT_ID).set(createCompletionData());
+    });
+    const authedDb = asUser('user1');
+
+    await assertFails(
+      writeThrottledCompletion(
+        authedDb,
+        completionRefFor(authedDb, 'user1', '2026-08-07', HABIT_ID),
+        { count: 2, updatedAt: new Date() },
+        { update: true }
+      )
+    );
+  });
+
+  test('Owner can restore a habit and log a completion in one batch', async () => {
+    await seedHabit(syncHabitData({ deletedAt: DELETED_AT }));
+    const authedDb = asUser('user1');
+    const batch = authedDb.batch();
+    batch.update(habitRef(authedDb), { deletedAt: null });
+    countHabit(batch, authedDb, 'user1', HABIT_ID, 1);
+    batchChild(batch, authedDb, [completionRefFor(authedDb, 'user1', '2026-08-07', HABIT_ID), createCompletionData()]);
+
+    await assertSucceeds(batch.commit());
+  });
+
+  test('Owner cannot soft-delete a habit and log a completion in one batch', async () => {
+    await seedHabit(syncHabitData());
+    const authedDb = asUser('user1');
+    const batch = authedDb.batch();
+    batch.update(habitRef(authedDb), { deletedAt: DELETED_AT });
+    batchChild(batch, authedDb, [completionRefFor(authedDb, 'user1', '2026-08-07', HABIT_ID), createCompletionData()]);
+
+    await assertFails(batch.commit());
+  });
+
+  test('Owner can still tombstone events of a soft-deleted habit', async () => {
+    const data = createProgressEventData('user1', { habitId: HABIT_ID });
+    await seedHabit(syncHabitData({ deletedAt: DELETED_AT }));
+    await withRulesDisabled(async (context) => {
+      await progressEventRef(context.firestore(), 'user1', '2026-08', data.id).set(data);
+    });
+    const authedDb = asUser('user1');
+
+    await assertSucceeds(progressEventRef(authedDb, 'user1', '2026-08', data.id).update({ deletedAt: DELETED_AT }));
+  });
+});
+
+// ============================================================================
+// HABIT REFERENTIAL INTEGRITY
+// Completions, sync completions, goal versions and streaks can only be created
+// for a habit that exists once the write lands.
+// ============================================================================
+
+describe('Habit Referential Integrity Rules', () => {
+  const HABIT_ID = '9996D0CC-630C-4626-91E1-97EFF445E7BF';
+
+  const habitRef = (db) => db.collection('users').doc('user1').collection('habits').doc(HABIT_ID);
+
+  // One ref + document per kind of child that references the habit
+  const children = {
+    'dated completion': (db) => [completionRefFor(db, 'user1', '2026-08-07', HABIT_ID), createCompletionData()],
+    'sync completion': (db) => [
+      syncCompletionRef(db, 'user1', '2026-08', `comp_${HABIT_ID}_2026-08-07`),
+      createSyncCompletionData('user1', HABIT_ID, '2026-08-07'),
+    ],
+    'legacy completion record': (db) => [
+      syncCompletionRef(db, 'user1', '2026-08', 'rec_1', 'records'),
+      createSyncCompletionData('user1', HABIT_ID, '2026-08-07'),
+    ],
+    'goal version': (db) => [
+      goalVersionRef(db, 'user1', HABIT_ID, '2026-08-07'),
+      { ...createGoalVersionData(HABIT_ID), effectiveLocalDate: '2026-08-07' },
+    ],
+    streak: (db) => [db.collection('users').doc('user1').collection('streaks').doc(HABIT_ID), createStreakData()],
+  };
+
+  const kinds = Object.keys(children);
+
+  test.each(kinds)('Owner cannot create a %s for a habit that does not exist', async (kind) => {
+    const authedDb = asUser('user1');
+
+    await assertFails(writeChild(authedDb, children[kind](authedDb)));
+  });
+
+  test.each(kinds)('Owner can create a %s for an existing habit', async (kind) => {
+    await seedLiveHabit('user1', HABIT_ID);
+    const authedDb = asUser('user1');
+
+    await assertSucceeds(writeChild(authedDb, children[kind](authedDb)));
+  });
+
+  test.each(kinds)('Owner can create a habit and its %s in one batch', async (kind) => {
+    const authedDb = asUser('user1');
+    const batch = authedDb.batch();
+    batch.set(habitRef(authedDb), createHabitData());
+    countHabit(batch, authedDb, 'user1', HABIT_ID, 1);
+    batchChild(batch, authedDb, children[kind](authedDb));
+
+    await assertSucceeds(batch.commit());
+  });
+
+  test.each(kinds)('Owner cannot create a %s after the habit is purged', async (kind) => {
+    await seedLiveHabit('user1', HABIT_ID);
+    // purgeDeletedHabits removes the habit with the Admin SDK
+    await withRulesDisabled((context) => habitRef(context.firestore()).delete());
+    const authedDb = asUser('user1');
+
+    await assertFails(writeChild(authedDb, children[kind](authedDb)));
+  });
+
+  test('Owner cannot hard-delete a habit in a batch with its completion', async () => {
+    await seedLiveHabit('user1', HABIT_ID);
+    const authedDb = asUser('user1');
+    const batch = authedDb.batch();
+    batch.delete(habitRef(authedDb));
+    batchChild(batch, authedDb, children['dated completion'](authedDb));
+
+    await assertFails(batch.commit());
+  });
+
+  test('Owner cannot reference another users habit', async () => {
+    await seedLiveHabit('user2', HABIT_ID);
+    const authedDb = asUser('user1');
+
+    await assertFails(writeChild(authedDb, children['dated completion'](authedDb)));
+  });
+
+  test('Owner can still delete an orphaned completion', async () => {
+    await withRulesDisabled(async (context) => {
+      const [ref, data] = children['dated completion'](context.firestore());
+      await ref.set(data);
+    });
+    const authedDb = asUser('user1');
+    const [ref] = children['dated completion'](authedDb);
+
+    await assertSucceeds(ref.delete());
+  });
+});
+
+// ============================================================================
+// HABIT COUNTER
+// Creating or restoring a habit moves /users/{uid}/meta/habit_count up by one
+// in the same write, naming the habit, so a batch can only add one habit.
+// ============================================================================
+
+describe('Habit Counter Rules', () => {
+  const habitRef = (db, habitId) => db.collection('users').doc('user1').collection('habits').doc(habitId);
+
+  const seedCount = (count) =>
+    withRulesDisabled(async (context) => {
+      await habitCountRef(context.firestore(), 'user1').set({ count, updatedAt: new Date() });
+    });
+
+  test('Owner cannot create a habit without counting it', async () => {
+    await assertFails(habitRef(asUser('user1'), 'habit1').set(createHabitData()));
+  });
+
+  test('Owner can create an already soft-deleted habit without counting it', async () => {
+    await assertSucceeds(habitRef(asUser('user1'), 'habit1').set({ ...createHabitData(), deletedAt: new Date() }));
+  });
+
+  test('Owner cannot create two habits in one batch', async () => {
+    const authedDb = asUser('user1');
+    const batch = authedDb.batch();
+    batch.set(habitRef(authedDb, 'habit1'), createHabitData());
+    batch.set(habitRef(authedDb, 'habit2'), createHabitData());
+    countHabit(batch, authedDb, 'user1', 'habit2', 2);
+
+    await assertFails(batch.commit());
+  });
+
+  test('Owner cannot skip or repeat a count', async () => {
+    await seedCount(1);
+    const authedDb = asUser('user1');
+
+    await assertFails(writeCountedHabit(authedDb, 'user1', 'habit1', createHabitData(), { count: 3 }));
+    await assertFails(writeCountedHabit(authedDb, 'user1', 'habit1', createHabitData(), { count: 1 }));
+    await assertSucceeds(writeCountedHabit(authedDb, 'user1', 'habit1', createHabitData(), { count: 2 }));
+  });
+
+  test('Free user cannot count a fourth habit', async () => {
+    await seedCount(3);
+
+    await assertFails(writeCountedHabit(asUser('user1'), 'user1', 'habit4', createHabitData()));
+  });
+
+  test('Owner cannot move the counter without bringing a habit live', async () => {
+    await seedLiveHabit('user1', 'habit1');
+    await seedCount(1);
+    const authedDb = asUser('user1');
+    const counter = habitCountRef(authedDb, 'user1');
+
+    await assertFails(counter.set({ count: 2, lastHabitId: 'habit1', updatedAt: new Date() }));
+    await assertFails(counter.set({ count: 2, lastHabitId: 'habit2', updatedAt: new Date() }));
+    await assertFails(counter.delete());
+  });
+
+  test('Owner cannot write another users counter', async () => {
+    await assertFails(writeCountedHabit(asUser('user2'), 'user1', 'habit1', createHabitData()));
+  });
+});
@@ -0,0 +1,172 @@
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+
+const {
+  setupRulesEnv,
+  asUser,
+  withRulesDisabled,
+} = require('../support/harness');
+
+setupRulesEnv();
+
+// ============================================================================
+// META / MIGRATION
+// ============================================================================
+
+const createMigrationData = () => ({
+  status: 'running',
+  itemsProcessed: 0,
+  version: '1.0.0',
+  metadata: { started_by: 'system' },
+  startedAt: new Date(),
+});
+
+const migrationRef = (db, userId) =>
+  db.collection('users').doc(userId).collection('meta').doc('migration');
+
+describe('Meta Migration Rules', () => {
+  test('User can create valid migration state', async () => {
+    const authedDb = asUser('user1');
+    await assertSucceeds(migrationRef(authedDb, 'user1').set(createMigrationData()));
+  });
+
+  test('User can write BackfillJob partial migration status', async () => {
+    const authedDb = asUser('user1');
+    await assertSucceeds(
+      migrationRef(authedDb, 'user1').set(
+        { status: 'complete', finishedAt: new Date() },
+        { merge: true }
+      )
+    );
+  });
+
+  test('User cannot write migration with invalid status', async () => {
+    const authedDb = asUser('user1');
+    await assertFails(
+      migrationRef(authedDb, 'user1').set({ status: 'bogus', itemsProcessed: 0 })
+    );
+  });
+
+  test('User cannot write migration with negative itemsProcessed', async () => {
+    const authedDb = asUser('user1');
+    const data = createMigrationData();
+    data.itemsProcessed = -1;
+    await assertFails(migrationRef(authedDb, 'user1').set(data));
+  });
+
+  test('User can update migration progress', async () => {
+    const authedDb = asUser('user1');
+    const ref = migrationRef(authedDb, 'user1');
+
+    await withRulesDisabled(async (context) => {
+      await migrationRef(context.firestore(), 'user1').set(createMigrationData());
+    });
+
+    await assertSucceeds(
+      ref.update({
+        itemsProcessed: 10,
+        lastItemKey: 'habit-1',
+        status: 'running',
+      })
+    );
+  });
+
+  test('User can delete migration state', async () => {
+    const authedDb = asUser('user1');
+    const ref = migrationRef(authedDb, 'user1');
+
+    await withRulesDisabled(async (context) => {
+      await migrationRef(context.firestore(), 'user1').set(createMigrationData());
+    });
+
+    await assertSucceeds(ref.delete());
+  });
+
+  test('User cannot write another users migration state', async () => {
+    const authedDb = asUser('user2');
+    await assertFails(migrationRef(authedDb, 'user1').set(createMigrationData()));
+  });
+});
+
+// ============================================================================
+// META / SCHEMA MIGRATION (functions/src/schemaMigration.js)
+// ============================================================================
+
+describe('Meta Schema Migration Rules', () => {
+  const schemaMigrationRef = (db, userId) =>
+    db.collection('users').doc(userId).collection('meta').doc('schema_migration');
+
+  test('Owner can read the server job state but not write or delete it', async () => {
+    await withRulesDisabled(async (context) => {
+      await schemaMigrationRef(context.firestore(), 'user1').set({
+        status: 'paused',
+        version: 'schema-unification-v1',
+        itemsProcessed: 2,
+      });
+    });
+    const authedDb = asUser('user1');
+
+    await assertSucceeds(schemaMigrationRef(authedDb, 'user1').get());
+    await assertFails(schemaMigrationRef(authedDb, 'user1').update({ status: 'completed' }));
+    await assertFails(schemaMigrationRef(authedDb, 'user1').delete());
+    await assertFails(
+      schemaMigrationRef(authedDb, 'user1').collection('backup').doc('habits|h1').set({ key: 'habits/h1' })
+    );
+  });
+});
+
+// ============================================================================
+// META / XP MIGRATION
+// ============================================================================
+
+describe('Meta XP Migration Rules', () => {
+  const xpMigrationRef = (db, userId) =>
+    db.collection('users').doc(userId).collection('meta').doc('xp_migration');
+
+  test('User can mark XP migration complete (FirestoreService shape)', async () => {
+    const authedDb = asUser('user1');
+    await assertSucceeds(
+      xpMigrationRef(authedDb, 'user1').set({
+        status: 'complete',
+        completedAt: new Date(),
+        version: '1.0',
+      })
+    );
+  });
+
+  test('User cannot write xp_migration with invalid status', async () => {
+    const authedDb = asUser('user1');
+    await assertFails(
+      xpMigrationRef(authedDb, 'user1').set({
+        status: 'pending',
+        completedAt: new Date(),
+        version: '1.0',
+      })
+    );
+  });
+
+  test('User can delete xp_migration marker', async () => {
+    const authedDb = asUser('user1');
+    const ref = xpMigrationRef(authedDb, 'user1');
+
+    await withRulesDisabled(async (context) => {
+      await xpMigrationRef(context.firestore(), 'user1').set({
+        status: 'complete',
+        completedAt: new Date(),
+        version: '1.0',
+      });
+    });
+
+    await assertSucceeds(ref.delete());
+  });
+
+  test('User cannot write another users xp_migration', async () => {
+    const authedDb = asUser('user2');
+    await assertFails(
+      xpMigrationRef(authedDb, 'user1').set({
+        status: 'complete',
+        completedAt: new Date(),
+        version: '1.0',
+      })
+    );
+  });
+});
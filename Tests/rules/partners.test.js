@@ -0,0 +1,147 @@
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+
+const firebase = require('firebase/compat/app');
+require('firebase/compat/firestore');
+
+const {
+  setupRulesEnv,
+  asUser,
+  withRulesDisabled,
+  createHabitData,
+  partnerRef,
+  sharedHabitRef,
+  seedPartnership,
+} = require('../support/harness');
+
+const { serverTimestamp } = firebase.firestore.FieldValue;
+
+setupRulesEnv();
+
+// ============================================================================
+// ACCOUNTABILITY PARTNERS
+// Invitations, acceptance and per-habit grants; read access itself is
+// covered in "Cross-User Access Prevention"
+// ============================================================================
+
+describe('Accountability Partner Rules', () => {
+  const invitation = (overrides = {}) => ({
+    partnerId: 'user2',
+    inviteId: 'invite-1',
+    status: 'invited',
+    invitedAt: serverTimestamp(),
+    ...overrides,
+  });
+
+  const grant = (habitId = 'habit1', overrides = {}) => ({
+    habitId,
+    inviteId: 'invite-1',
+    name: 'Morning Run',
+    grantedAt: serverTimestamp(),
+    ...overrides,
+  });
+
+  test('Owner can invite a partner', async () => {
+    const ownerDb = asUser('user1');
+    await assertSucceeds(partnerRef(ownerDb, 'user1', 'user2').set(invitation()));
+  });
+
+  test.each([
+    ['themselves', 'user1', { partnerId: 'user1' }],
+    ['with a partnerId that differs from the doc id', 'user2', { partnerId: 'user3' }],
+    ['as already accepted', 'user2', { status: 'accepted' }],
+    ['without an inviteId', 'user2', { inviteId: '' }],
+    ['with extra fields', 'user2', { canWrite: true }],
+  ])('Owner cannot invite %s', async (name, partnerId, overrides) => {
+    const ownerDb = asUser('user1');
+    await assertFails(partnerRef(ownerDb, 'user1', partnerId).set(invitation(overrides)));
+  });
+
+  test('User cannot create an invitation in another users tree', async () => {
+    const partnerDb = asUser('user2');
+    await assertFails(partnerRef(partnerDb, 'user1', 'user2').set(invitation()));
+  });
+
+  test('Partner can accept an invitation', async () => {
+    await seedPartnership({ status: 'invited' });
+    const partnerDb = asUser('user2');
+
+    await assertSucceeds(
+      partnerRef(partnerDb, 'user1', 'user2').update({ status: 'accepted', acceptedAt: serverTimestamp() })
+    );
+  });
+
+  test('Owner cannot accept on the partners behalf', async () => {
+    await seedPartnership({ status: 'invited' });
+    const ownerDb = asUser('user1');
+
+    await assertFails(partnerRef(ownerDb, 'user1', 'user2').update({ status: 'accepted', acceptedAt: serverTimestamp() }));
+  });
+
+  test('Partner cannot change the inviteId while accepting', async () => {
+    await seedPartnership({ status: 'invited' });
+    const partnerDb = asUser('user2');
+
+    await assertFails(
+      partnerRef(partnerDb, 'user1', 'user2').update({
+        status: 'accepted',
+        acceptedAt: serverTimestamp(),
+        inviteId: 'invite-forged',
+      })
+    );
+  });
+
+  test('Partner can find their invitations with a collection-group query', async () => {
+    await seedPartnership({ status: 'invited' });
+    const partnerDb = asUser('user2');
+
+    await assertSucceeds(partnerDb.collectionGroup('partners').where('partnerId', '==', 'user2').get());
+    await assertFails(partnerDb.collectionGroup('partners').where('partnerId', '==', 'user3').get());
+  });
+
+  test('Partner can leave the partnership', async () => {
+    await seedPartnership();
+    const partnerDb = asUser('user2');
+
+    await assertSucceeds(partnerRef(partnerDb, 'user1', 'user2').delete());
+  });
+
+  test('Owner can share a live habit under the current invitation', async () => {
+    await seedPartnership({ shared: [] });
+    const ownerDb = asUser('user1');
+
+    await assertSucceeds(sharedHabitRef(ownerDb, 'user1', 'user2', 'habit2').set(grant('habit2')));
+  });
+
+  test('Owner cannot share with a stale inviteId, a missing habit or a soft-deleted habit', async () => {
+    await seedPartnership({ shared: [] });
+    await withRulesDisabled(async (context) => {
+      await context.firestore().collection('users').doc('user1').collection('habits').doc('habit2')
+        .update({ deletedAt: new Date() });
+    });
+    const ownerDb = asUser('user1');
+
+    await assertFails(sharedHabitRef(ownerDb, 'user1', 'user2', 'habit1').set(grant('habit1', { inviteId: 'invite-old' })));
+    await assertFails(sharedHabitRef(ownerDb, 'user1', 'user2', 'habit9').set(grant('habit9')));
+    await assertFails(sharedHabitRef(ownerDb, 'user1', 'user2', 'habit2').set(grant('habit2')));
+  });
+
+  test('Owner cannot share before inviting', async () => {
+    const ownerDb = asUser('user1');
+    await withRulesDisabled(async (context) => {
+      await context.firestore().collection('users').doc('user1').collection('habits').doc('habit1').set(createHabitData());
+    });
+
+    await assertFails(sharedHabitRef(ownerDb, 'user1', 'user2', 'habit1').set(grant()));
+  });
+
+  test('Partner cannot grant themselves a habit or edit a grant', async () => {
+    await seedPartnership();
+    const partnerDb = asUser('user2');
+    const ownerDb = asUser('user1');
+
+    await assertSucceeds(sharedHabitRef(partnerDb, 'user1', 'user2', 'habit1').get());
+    await assertFails(sharedHabitRef(partnerDb, 'user1', 'user2', 'habit2').set(grant('habit2')));
+    await assertFails(sharedHabitRef(partnerDb, 'user1', 'user2', 'habit1').delete());
+    await assertFails(sharedHabitRef(ownerDb, 'user1', 'user2', 'habit1').update({ name: 'Renamed' }));
+  });
+});
@@ -0,0 +1,164 @@
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+
+const firebase = require('firebase/compat/app');
+require('firebase/compat/firestore');
+
+const {
+  setupRulesEnv,
+  asUser,
+  asGuest,
+  withRulesDisabled,
+  createHabitData,
+} = require('../support/harness');
+
+const { serverTimestamp } = firebase.firestore.FieldValue;
+
+setupRulesEnv();
+
+// ============================================================================
+// PROFILE AND SETTINGS ROOT DOCUMENT
+// /users/{uid}: display name, time zone, locale, first weekday, reminders
+// ============================================================================
+
+describe('User Profile Rules', () => {
+  const createProfileData = (overrides = {}) => ({
+    displayName: 'Chloe',
+    timezoneIdentifier: 'Europe/Amsterdam',
+    locale: 'en',
+    firstWeekday: 2,
+    dateFormat: 'dayMonthYear',
+    planReminderEnabled: true,
+    planReminderMinutes: 8 * 60,
+    completionReminderEnabled: false,
+    completionReminderMinutes: 21 * 60 + 30,
+    habitReminderEnabled: true,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    ...overrides,
+  });
+
+  const profileRef = (db, userId) => db.collection('users').doc(userId);
+
+  const seedProfile = (overrides = {}) =>
+    withRulesDisabled(async (context) => {
+      await profileRef(context.firestore(), 'user1').set(createProfileData({ createdAt: new Date('2025-01-01T00:00:00Z'), ...overrides }));
+    });
+
+  test('User can create and read their profile', async () => {
+    const authedDb = asUser('user1');
+
+    await assertSucceeds(profileRef(authedDb, 'user1').set(createProfileData()));
+    await assertSucceeds(profileRef(authedDb, 'user1').get());
+  });
+
+  test('User can create a minimal profile without optional settings', async () => {
+    const authedDb = asUser('user1');
+
+    await assertSucceeds(
+      profileRef(authedDb, 'user1').set({
+        timezoneIdentifier: 'UTC',
+        locale: 'ko',
+        firstWeekday: 1,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+      })
+    );
+  });
+
+  test.each([
+    'UTC',
+    'GMT',
+    'Etc/GMT-14',
+    'America/Argentina/Buenos_Aires',
+    'America/Port-au-Prince',
+    'Asia/Ho_Chi_Minh',
+  ])('User can use time zone %s', async (timezoneIdentifier) => {
+    const authedDb = asUser('user1');
+    await assertSucceeds(profileRef(authedDb, 'user1').set(createProfileData({ timezoneIdentifier })));
+  });
+
+  test.each([
+    ['empty', ''],
+    ['UTC offset', '+02:00'],
+    ['abbreviation', 'PST'],
+    ['unknown area', 'Mars/Olympus_Mons'],
+    ['lowercase', 'europe/amsterdam'],
+    ['spaces', 'America/New York'],
+    ['too long', `America/${'X'.repeat(64)}`],
+    ['wrong type', 1],
+  ])('User cannot use time zone: %s', async (name, timezoneIdentifier) => {
+    const authedDb = asUser('user1');
+    await assertFails(profileRef(authedDb, 'user1').set(createProfileData({ timezoneIdentifier })));
+  });
+
+  test.each([
+    ['firstWeekday 0', { firstWeekday: 0 }],
+    ['firstWeekday 8', { firstWeekday: 8 }],
+    ['firstWeekday as string', { firstWeekday: '2' }],
+    ['firstWeekday as float', { firstWeekday: 1.5 }],
+    ['unknown locale', { locale: 'fr' }],
+    ['region-tagged locale', { locale: 'en-US' }],
+    ['empty displayName', { displayName: '' }],
+    ['displayName over 50 characters', { displayName: 'x'.repeat(51) }],
+    ['unknown dateFormat', { dateFormat: 'dd/MM/yyyy' }],
+    ['reminder at 24:00', { planReminderMinutes: 1440 }],
+    ['negative reminder time', { completionReminderMinutes: -1 }],
+    ['non-bool reminder flag', { habitReminderEnabled: 'yes' }],
+    ['unknown field', { theme: 'dark' }],
+    ['missing updatedAt', { updatedAt: undefined }],
+  ])('User cannot create profile with %s', async (name, overrides) => {
+    const authedDb = asUser('user1');
+    const data = createProfileData(overrides);
+    Object.keys(data).filter((key) => data[key] === undefined).forEach((key) => delete data[key]);
+
+    await assertFails(profileRef(authedDb, 'user1').set(data));
+  });
+
+  test('User can update settings and clear the display name', async () => {
+    await seedProfile();
+    const authedDb = asUser('user1');
+
+    await assertSucceeds(
+      profileRef(authedDb, 'user1').update({
+        displayName: null,
+        timezoneIdentifier: 'Asia/Seoul',
+        locale: 'ko',
+        firstWeekday: 1,
+        updatedAt: serverTimestamp(),
+      })
+    );
+  });
+
+  test('User cannot change profile createdAt', async () => {
+    await seedProfile();
+    const authedDb = asUser('user1');
+
+    await assertFails(profileRef(authedDb, 'user1').update({ createdAt: new Date(), updatedAt: new Date() }));
+  });
+
+  test('User can delete their profile without touching subcollections', async () => {
+    await seedProfile();
+    await withRulesDisabled(async (context) => {
+      await profileRef(context.firestore(), 'user1').collection('habits').doc('habit1').set(createHabitData());
+    });
+    const authedDb = asUser('user1');
+
+    await assertSucceeds(profileRef(authedDb, 'user1').delete());
+    await assertSucceeds(profileRef(authedDb, 'user1').collection('habits').doc('habit1').get());
+  });
+
+  test('User cannot read, write or delete another users profile', async () => {
+    await seedProfile();
+    const user2Db = asUser('user2');
+
+    await assertFails(profileRef(user2Db, 'user1').get());
+    await assertFails(profileRef(user2Db, 'user1').set(createProfileData()));
+    await assertFails(profileRef(user2Db, 'user1').update({ locale: 'nl', updatedAt: new Date() }));
+    await assertFails(profileRef(user2Db, 'user1').delete());
+  });
+
+  test('Unauthenticated users cannot read the profile', async () => {
+    await seedProfile();
+    await assertFails(profileRef(asGuest(), 'user1').get());
+  });
+});
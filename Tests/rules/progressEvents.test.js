@@ -0,0 +1,780 @@
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+
+const firebase = require('firebase/compat/app');
+require('firebase/compat/firestore');
+
+const {
+  setupRulesEnv,
+  asUser,
+  withRulesDisabled,
+  createDeviceData,
+  createProgressEventData,
+  createSyncCompletionData,
+  deviceRef,
+  progressEventRef,
+  completionRefFor,
+  syncCompletionRef,
+  rateLimitRef,
+  registerDevice,
+  seedLiveHabit,
+  addRateKeys,
+  writeThrottledEvents,
+  writeThrottledCompletion,
+} = require('../support/harness');
+
+const { serverTimestamp } = firebase.firestore.FieldValue;
+
+setupRulesEnv();
+
+// ============================================================================
+// PROGRESS EVENTS — SyncEngine event path
+// Path: /users/{uid}/events/{yearMonth}/events/{eventId}
+// Mirrors ProgressEvent.toFirestore() + SyncEngine.syncBatch
+// ============================================================================
+
+describe('SyncEngine Progress Event Rules', () => {
+  test('Owner can create valid progress event', async () => {
+    const authedDb = asUser('user1');
+    const data = createProgressEventData('user1');
+
+    await assertSucceeds(writeThrottledEvents(authedDb, 'user1', [data]));
+  });
+
+  test('Owner cannot create progress event from an unregistered device', async () => {
+    const authedDb = asUser('user1');
+    const data = createProgressEventData('user1');
+
+    await assertFails(writeThrottledEvents(authedDb, 'user1', [data], { register: false }));
+  });
+
+  test('First launch can register its device and create events in one batch', async () => {
+    const authedDb = asUser('user1');
+    const data = createProgressEventData('user1');
+    const batch = authedDb.batch();
+
+    batch.set(deviceRef(authedDb, 'user1', data.deviceId), createDeviceData(data.deviceId));
+    batch.set(progressEventRef(authedDb, 'user1', data.dateKey.slice(0, 7), data.id), data);
+    batch.set(rateLimitRef(authedDb, 'user1'), {
+      windowStart: serverTimestamp(),
+      ids: { [data.id]: true },
+      bulkIds: {},
+    });
+
+    await assertSucceeds(batch.commit());
+  });
+
+  test('Revoked device cannot create progress events; other devices still can', async () => {
+    const authedDb = asUser('user1');
+    const data = createProgressEventData('user1');
+
+    await assertSucceeds(writeThrottledEvents(authedDb, 'user1', [data]));
+    await withRulesDisabled(async (context) => {
+      await deviceRef(context.firestore(), 'user1', data.deviceId).update({ revoked: true, revokedAt: new Date() });
+    });
+
+    await assertFails(
+      writeThrottledEvents(authedDb, 'user1', [createProgressEventData('user1', { id: 'evt_after_revoke' })])
+    );
+    await assertSucceeds(
+      writeThrottledEvents(authedDb, 'user1', [
+        createProgressEventData('user1', { id: 'evt_other_device', deviceId: 'device-ipad' }),
+      ])
+    );
+  });
+
+  test('Owner can create progress event with negative progressDelta (DECREMENT)', async () => {
+    const authedDb = asUser('user1');
+    const data = createProgressEventData('user1', {
+      eventType: 'DECREMENT',
+      progressDelta: -1,
+      id: 'evt_dec_1',
+    });
+
+    await assertSucceeds(writeThrottledEvents(authedDb, 'user1', [data]));
+  });
+
+  test('Non-owner cannot create progress event', async () => {
+    const authedDb = asUser('user2');
+    const data = createProgressEventData('user1');
+    const ref = progressEventRef(authedDb, 'user1', '2026-08', data.id);
+
+    await assertFails(ref.set(data));
+  });
+
+  test('Owner cannot create progress event with mismatched userId field', async () => {
+    const authedDb = asUser('user1');
+    const data = createProgressEventData('user2'); // field claims other user
+    const ref = progressEventRef(authedDb, 'user1', '2026-08', data.id);
+
+    await assertFails(ref.set(data));
+  });
+
+  test('Owner cannot create progress event with invalid yearMonth path', async () => {
+    const authedDb = asUser('user1');
+    const data = createProgressEventData('user1');
+    const ref = progressEventRef(authedDb, 'user1', '202608', data.id);
+
+    await assertFails(ref.set(data));
+  });
+
+  test('Owner cannot create progress event missing required fields', async () => {
+    const authedDb = asUser('user1');
+    const ref = progressEventRef(authedDb, 'user1', '2026-08', 'evt_incomplete');
+
+    await assertFails(
+      ref.set({
+        id: 'evt_incomplete',
+        habitId: 'habit1',
+        progressDelta: 1,
+      })
+    );
+  });
+
+  test('Owner cannot create progress event whose id differs from the document id', async () => {
+    const authedDb = asUser('user1');
+    const data = createProgressEventData('user1', { id: 'evt_body' });
+    await registerDevice('user1', data.deviceId);
+    const batch = authedDb.batch();
+    batch.set(progressEventRef(authedDb, 'user1', '2026-08', 'evt_path'), data);
+    batch.set(rateLimitRef(authedDb, 'user1'), {
+      windowStart: serverTimestamp(),
+      ids: { evt_path: true, evt_body: true },
+      bulkIds: {},
+    });
+
+    await assertFails(batch.commit());
+  });
+
+  test('Owner can delete progress event', async () => {
+    const authedDb = asUser('user1');
+    const data = createProgressEventData('user1', { id: 'evt_del' });
+    const ref = progressEventRef(authedDb, 'user1', '2026-08', data.id);
+
+    await withRulesDisabled(async (context) => {
+      await progressEventRef(context.firestore(), 'user1', '2026-08', data.id).set(
+        data
+      );
+    });
+
+    await assertSucceeds(ref.delete());
+  });
+});
+
+// ============================================================================
+// PROGRESS EVENTS — day window and yearMonth bucket
+// utcDayStart/utcDayEnd as EventSourcedUtils.utcDayBoundaries computes them in
+// the event's timezone (local midnight to next local midnight minus 1s)
+// ============================================================================
+
+/** Offset of `timeZone` from UTC at instant `at`, in ms */
+const zoneOffsetMs = (timeZone, at) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(at);
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+  const local = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return local - Math.floor(at.getTime() / 1000) * 1000;
+};
+
+/** UTC instant of local midnight starting `dateKey` in `timeZone` */
+const localMidnight = (timeZone, dateKey) => {
+  const naive = Date.parse(`${dateKey}T00:00:00.000Z`);
+  const guess = naive - zoneOffsetMs(timeZone, new Date(naive));
+  return naive - zoneOffsetMs(timeZone, new Date(guess));
+};
+
+const nextDateKey = (dateKey) =>
+  new Date(Date.parse(`${dateKey}T00:00:00.000Z`) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+/** Progress event for `dateKey` in `timeZone`, occurring `hoursIn` hours after local midnight */
+const zonedProgressEvent = (timeZone, dateKey, hoursIn = 1, overrides = {}) => {
+  const start = localMidnight(timeZone, dateKey);
+  const end = localMidnight(timeZone, nextDateKey(dateKey)) - 1000;
+  const occurredAt = new Date(start + hoursIn * 60 * 60 * 1000);
+  return createProgressEventData('user1', {
+    id: `evt_${timeZone.replace(/\W/g, '_')}_${dateKey}_${hoursIn}`,
+    dateKey,
+    createdAt: occurredAt,
+    occurredAt,
+    utcDayStart: new Date(start),
+    utcDayEnd: new Date(end),
+    timezoneIdentifier: timeZone,
+    ...overrides,
+  });
+};
+
+describe('Progress Event Day Window Rules', () => {
+  const write = (data, yearMonth = data.dateKey.slice(0, 7)) => {
+    const authedDb = asUser('user1');
+    return writeThrottledEvents(authedDb, 'user1', [data], { yearMonth });
+  };
+
+  describe('accepts real day windows', () => {
+    test.each([
+      ['America/New_York', '2026-03-08', 'spring forward (23h day)'],
+      ['America/New_York', '2026-11-01', 'fall back (25h day)'],
+      ['Europe/London', '2026-03-29', 'spring forward at UTC+0'],
+      ['Australia/Sydney', '2026-04-05', 'southern-hemisphere fall back (25h day)'],
+      ['Australia/Sydney', '2026-10-04', 'southern-hemisphere spring forward (23h day)'],
+      ['Pacific/Kiritimati', '2026-08-07', 'UTC+14, furthest east'],
+      ['Pacific/Kiritimati', '2026-09-01', 'UTC+14, local month starts in the previous UTC month'],
+      ['Etc/GMT+12', '2026-08-07', 'UTC-12, furthest west'],
+      ['Pacific/Pago_Pago', '2026-08-31', 'UTC-11, local month ends in the next UTC month'],
+      ['Asia/Kathmandu', '2026-08-07', 'UTC+5:45 quarter-hour offset'],
+      ['Asia/Seoul', '2026-01-01', 'local new year during the previous UTC year'],
+    ])('%s %s (%s)', async (timeZone, dateKey) => {
+      await assertSucceeds(write(zonedProgressEvent(timeZone, dateKey)));
+    });
+
+    test('occurredAt in the last hour of a 25h fall-back day', async () => {
+      await assertSucceeds(write(zonedProgressEvent('America/New_York', '2026-11-01', 24.5)));
+    });
+
+    test('occurredAt after utcDayEnd (progress logged for a past day)', async () => {
+      await assertSucceeds(write(zonedProgressEvent('Etc/GMT+12', '2026-08-07', 25)));
+    });
+
+    test('occurredAt days after the window (backdated edit)', async () => {
+      await assertSucceeds(write(zonedProgressEvent('Asia/Seoul', '2026-08-07', 24 * 30)));
+    });
+
+    test('occurredAt exactly at utcDayStart and at utcDayEnd', async () => {
+      const base = zonedProgressEvent('Asia/Seoul', '2026-08-07');
+
+      const authedDb = asUser('user1');
+
+      await assertSucceeds(
+        writeThrottledEvents(authedDb, 'user1', [
+          { ...base, id: 'evt_at_start', occurredAt: base.utcDayStart },
+          { ...base, id: 'evt_at_end', occurredAt: base.utcDayEnd },
+        ])
+      );
+    });
+  });
+
+  describe('rejects broken day windows', () => {
+    test('Inverted window', async () => {
+      const data = zonedProgressEvent('Asia/Seoul', '2026-08-07');
+
+      await assertFails(write({ ...data, utcDayStart: data.utcDayEnd, utcDayEnd: data.utcDayStart }));
+    });
+
+    test('Window longer than 26 hours', async () => {
+      const data = zonedProgressEvent('America/New_York', '2026-11-01');
+      const utcDayEnd = new Date(data.utcDayStart.getTime() + 27 * 60 * 60 * 1000);
+
+      await assertFails(write({ ...data, utcDayEnd }));
+    });
+
+    test('occurredAt before utcDayStart', async () => {
+      await assertFails(write(zonedProgressEvent('Pacific/Kiritimati', '2026-08-07', -1)));
+    });
+
+    test('Window that cannot be local midnight of dateKey in any zone', async () => {
+      // Seoul window for 2026-08-07 labelled with the previous day (widget timezone bug class)
+      const data = zonedProgressEvent('Asia/Seoul', '2026-08-07');
+
+      await assertFails(write({ ...data, dateKey: '2026-08-06' }));
+    });
+  });
+
+  // Field values ProgressEventService.createEvent produces (via
+  // EventSourcedUtils.utcDayBoundaries) on a device in the given zone, for an
+  // evening action; occurredAt is the creation time.
+  describe('ProgressEventService output', () => {
+    const clientEvent = (id, timeZone, dateKey, utcDayStart, utcDayEnd, occurredAt) =>
+      createProgressEventData('user1', {
+        id,
+        dateKey,
+        createdAt: new Date(occurredAt),
+        occurredAt: new Date(occurredAt),
+        utcDayStart: new Date(utcDayStart),
+        utcDayEnd: new Date(utcDayEnd),
+        timezoneIdentifier: timeZone,
+      });
+
+    test('Asia/Seoul 2026-08-07 at 21:00 local', async () => {
+      await assertSucceeds(
+        write(clientEvent(
+          'evt_client_seoul', 'Asia/Seoul', '2026-08-07',
+          '2026-08-06T15:00:00.000Z', '2026-08-07T14:59:59.000Z', '2026-08-07T12:00:00.000Z'
+        ))
+      );
+    });
+
+    test('America/New_York 2026-08-07 at 22:30 local', async () => {
+      await assertSucceeds(
+        write(clientEvent(
+          'evt_client_new_york', 'America/New_York', '2026-08-07',
+          '2026-08-07T04:00:00.000Z', '2026-08-08T03:59:59.000Z', '2026-08-08T02:30:00.000Z'
+        ))
+      );
+    });
+
+    test('Asia/Seoul 2026-08-07 logged the next morning', async () => {
+      await assertSucceeds(
+        write(clientEvent(
+          'evt_client_seoul_backdated', 'Asia/Seoul', '2026-08-07',
+          '2026-08-06T15:00:00.000Z', '2026-08-07T14:59:59.000Z', '2026-08-07T23:00:00.000Z'
+        ))
+      );
+    });
+
+    test('Backfilled completion with occurredAt clamped to utcDayStart', async () => {
+      // MigrateCompletionsToEvents: max(record.createdAt, utcDayStart)
+      await assertSucceeds(
+        write(clientEvent(
+          'evt_client_backfill', 'Asia/Seoul', '2026-08-07',
+          '2026-08-06T15:00:00.000Z', '2026-08-07T14:59:59.000Z', '2026-08-06T15:00:00.000Z'
+        ))
+      );
+    });
+
+    test('The old double-offset window (secondsFromGMT subtracted twice) is rejected', async () => {
+      await assertFails(
+        write(clientEvent(
+          'evt_client_seoul_old', 'Asia/Seoul', '2026-08-07',
+          '2026-08-06T06:00:00.000Z', '2026-08-07T05:59:59.000Z', '2026-08-07T12:00:00.000Z'
+        ))
+      );
+    });
+  });
+
+  describe('yearMonth bucket follows dateKey', () => {
+    test('Kiritimati 2026-09-01 belongs in 2026-09 even though it starts on 2026-08-31 UTC', async () => {
+      const data = zonedProgressEvent('Pacific/Kiritimati', '2026-09-01');
+
+      await assertFails(write(data, '2026-08'));
+      await assertSucceeds(write(data, '2026-09'));
+    });
+
+    test('Pago Pago 2026-08-31 evening belongs in 2026-08 even though it is 2026-09-01 UTC', async () => {
+      const data = zonedProgressEvent('Pacific/Pago_Pago', '2026-08-31', 20);
+
+      await assertFails(write(data, '2026-09'));
+      await assertSucceeds(write(data, '2026-08'));
+    });
+
+    test('dateKey from another year in the same month number is rejected', async () => {
+      const data = zonedProgressEvent('Asia/Seoul', '2025-08-07');
+
+      await assertFails(write(data, '2026-08'));
+    });
+  });
+});
+
+// ============================================================================
+// PROGRESS EVENTS — append-only updates
+// Only deletedAt (tombstone), isRemote and an increasing syncVersion may change
+// ============================================================================
+
+describe('Progress Event Update Rules', () => {
+  const EVENT_ID = 'evt_upd';
+
+  /** Stored event (written without rules) and the owner's ref to it */
+  const seedEvent = async (overrides = {}) => {
+    const data = createProgressEventData('user1', { id: EVENT_ID, ...overrides });
+    await withRulesDisabled(async (context) => {
+      await progressEventRef(context.firestore(), 'user1', '2026-08', EVENT_ID).set(data);
+    });
+    const authedDb = asUser('user1');
+    return { data, ref: progressEventRef(authedDb, 'user1', '2026-08', EVENT_ID) };
+  };
+
+  test('Owner can tombstone an event with deletedAt', async () => {
+    const { ref } = await seedEvent();
+
+    await assertSucceeds(ref.update({ deletedAt: new Date('2026-08-08T09:00:00.000Z') }));
+  });
+
+  test('Owner can tombstone an event whose deletedAt is null', async () => {
+    const { ref } = await seedEvent({ deletedAt: null });
+
+    await assertSucceeds(ref.update({ deletedAt: new Date('2026-08-08T09:00:00.000Z') }));
+  });
+
+  test('Owner cannot move an existing tombstone', async () => {
+    const { ref } = await seedEvent({ deletedAt: new Date('2026-08-08T09:00:00.000Z') });
+
+    await assertFails(ref.update({ deletedAt: new Date('2026-08-09T09:00:00.000Z') }));
+  });
+
+  test('Owner cannot clear a tombstone', async () => {
+    const { ref } = await seedEvent({ deletedAt: new Date('2026-08-08T09:00:00.000Z') });
+
+    await assertFails(ref.update({ deletedAt: null }));
+  });
+
+  test('Owner cannot set deletedAt to a non-timestamp', async () => {
+    const { ref } = await seedEvent();
+
+    await assertFails(ref.update({ deletedAt: '2026-08-08' }));
+  });
+
+  test('Owner can flip isRemote', async () => {
+    const { ref } = await seedEvent();
+
+    await assertSucceeds(ref.update({ isRemote: true }));
+  });
+
+  test('Owner cannot set isRemote to a non-bool', async () => {
+    const { ref } = await seedEvent();
+
+    await assertFails(ref.update({ isRemote: 'yes' }));
+  });
+
+  test('Owner can increase syncVersion', async () => {
+    const { ref } = await seedEvent({ syncVersion: 1 });
+
+    await assertSucceeds(ref.update({ syncVersion: 2 }));
+  });
+
+  test('Owner cannot decrease syncVersion', async () => {
+    const { ref } = await seedEvent({ syncVersion: 3 });
+
+    await assertFails(ref.update({ syncVersion: 2 }));
+  });
+
+  test('Owner cannot set syncVersion to a non-int', async () => {
+    const { ref } = await seedEvent({ syncVersion: 1 });
+
+    await assertFails(ref.update({ syncVersion: 1.5 }));
+  });
+
+  test('Owner can merge the full event back with only bookkeeping changed (SyncEngine)', async () => {
+    const { data, ref } = await seedEvent();
+
+    await assertSucceeds(ref.set({ ...data, isRemote: true, syncVersion: 2 }, { merge: true }));
+  });
+
+  test.each([
+    ['progressDelta', 5],
+    ['eventType', 'SET'],
+    ['habitId', 'other-habit'],
+    ['dateKey', '2026-08-06'],
+    ['occurredAt', new Date('2026-08-07T11:00:00.000Z')],
+    ['createdAt', new Date('2026-08-07T11:00:00.000Z')],
+    ['utcDayStart', new Date('2026-08-06T23:00:00.000Z')],
+    ['utcDayEnd', new Date('2026-08-07T22:59:59.999Z')],
+    ['timezoneIdentifier', 'Europe/Amsterdam'],
+    ['userId', 'user2'],
+    ['note', 'edited later'],
+    ['metadata', '{}'],
+    ['id', 'evt_other'],
+    ['operationId', 'op_other'],
+    ['deviceId', 'iOS_iPhone_OTHER'],
+  ])('Owner cannot change %s after create', async (field, value) => {
+    const { ref } = await seedEvent();
+
+    await assertFails(ref.update({ [field]: value }));
+  });
+
+  test('Owner cannot remove a field from an event', async () => {
+    const { ref } = await seedEvent({ note: 'original' });
+
+    await assertFails(ref.update({ note: firebase.firestore.FieldValue.delete() }));
+  });
+
+  test('Owner cannot change a forbidden field alongside an allowed one', async () => {
+    const { ref } = await seedEvent({ syncVersion: 1 });
+
+    await assertFails(ref.update({ syncVersion: 2, progressDelta: 3 }));
+  });
+
+  test('Owner cannot update an event stored under a different document id', async () => {
+    const data = createProgressEventData('user1', { id: 'evt_body' });
+    await withRulesDisabled(async (context) => {
+      await progressEventRef(context.firestore(), 'user1', '2026-08', 'evt_path').set(data);
+    });
+    const authedDb = asUser('user1');
+
+    await assertFails(progressEventRef(authedDb, 'user1', '2026-08', 'evt_path').update({ isRemote: true }));
+  });
+
+  test('Non-owner cannot tombstone an event', async () => {
+    await seedEvent();
+    const otherDb = asUser('user2');
+
+    await assertFails(
+      progressEventRef(otherDb, 'user1', '2026-08', EVENT_ID).update({ deletedAt: new Date() })
+    );
+  });
+});
+
+// ============================================================================
+// WRITE THROTTLE — per-user rate window for event creates and completion writes
+// Path: /users/{uid}/rate_limits/writes
+// ============================================================================
+
+describe('Write Throttle Rules', () => {
+  const DEVICE_ID = 'iOS_iPhone_1FCCE3B4-4B25-4861-A708-D7F4A9D9B688';
+
+  const seededIds = (prefix, count) =>
+    Object.fromEntries(Array.from({ length: count }, (_, i) => [`${prefix}_${i}`, true]));
+
+  /** Rate window as another request left it, `ageSeconds` old */
+  const seedRateWindow = async ({ ids = {}, bulkIds = {}, ageSeconds = 0 } = {}) => {
+    await withRulesDisabled(async (context) => {
+      await rateLimitRef(context.firestore(), 'user1').set({
+        windowStart: new Date(Date.now() - ageSeconds * 1000),
+        ids,
+        bulkIds,
+      });
+    });
+  };
+
+  const events = (count, overrides = {}) =>
+    Array.from({ length: count }, (_, i) =>
+      createProgressEventData('user1', { id: `evt_${overrides.eventType || 'INCREMENT'}_${i}`, ...overrides })
+    );
+
+  test('Normal tapping: one event per write within the same window', async () => {
+    const authedDb = asUser('user1');
+    const taps = events(10);
+
+    await assertSucceeds(writeThrottledEvents(authedDb, 'user1', taps.slice(0, 1)));
+    for (const tap of taps.slice(1)) {
+      await assertSucceeds(writeThrottledEvents(authedDb, 'user1', [tap], { newWindow: false }));
+    }
+  });
+
+  test('A full SyncEngine batch of 50 events passes', async () => {
+    const authedDb = asUser('user1');
+
+    await assertSucceeds(writeThrottledEvents(authedDb, 'user1', events(50)));
+  });
+
+  test('Flood: the 121st interactive event in a minute is rejected', async () => {
+    const authedDb = asUser('user1');
+    await seedRateWindow({ ids: seededIds('evt_earlier', 120) });
+
+    await assertFails(writeThrottledEvents(authedDb, 'user1', events(1), { newWindow: false }));
+  });
+
+  test('Flood: 121 interactive events in one batch are rejected', async () => {
+    const authedDb = asUser('user1');
+
+    await assertFails(writeThrottledEvents(authedDb, 'user1', events(121)));
+  });
+
+  test('BACKFILL burst is allowed past the interactive cap', async () => {
+    const authedDb = asUser('user1');
+    await seedRateWindow({ ids: seededIds('evt_earlier', 120) });
+
+    await assertSucceeds(
+      writeThrottledEvents(authedDb, 'user1', events(300, { eventType: 'BACKFILL' }), { newWindow: false })
+    );
+  });
+
+  test('SYNC_IMPORT beyond the 500-event burst is rejected', async () => {
+    const authedDb = asUser('user1');
+    await seedRateWindow({ bulkIds: seededIds('evt_import', 500) });
+
+    await assertFails(
+      writeThrottledEvents(authedDb, 'user1', events(1, { eventType: 'SYNC_IMPORT' }), { newWindow: false })
+    );
+  });
+
+  test('A new window opens once the previous minute has passed', async () => {
+    const authedDb = asUser('user1');
+    await seedRateWindow({ ids: seededIds('evt_earlier', 120), ageSeconds: 61 });
+
+    await assertSucceeds(writeThrottledEvents(authedDb, 'user1', events(1)));
+  });
+
+  test('Event create without a rate window update is rejected', async () => {
+    const authedDb = asUser('user1');
+    const data = createProgressEventData('user1');
+    await registerDevice('user1', DEVICE_ID);
+
+    await assertFails(progressEventRef(authedDb, 'user1', '2026-08', data.id).set(data));
+  });
+
+  test('Rate window update must name the event being created', async () => {
+    const authedDb = asUser('user1');
+    const data = createProgressEventData('user1');
+    await registerDevice('user1', DEVICE_ID);
+    const batch = authedDb.batch();
+    batch.set(progressEventRef(authedDb, 'user1', '2026-08', data.id), data);
+    batch.set(rateLimitRef(authedDb, 'user1'), {
+      windowStart: serverTimestamp(),
+      ids: { evt_someone_else: true },
+      bulkIds: {},
+    });
+
+    await assertFails(batch.commit());
+  });
+
+  test('Interactive event counted in the bulk bucket is rejected', async () => {
+    const authedDb = asUser('user1');
+    const data = createProgressEventData('user1');
+    await registerDevice('user1', DEVICE_ID);
+    const batch = authedDb.batch();
+    batch.set(progressEventRef(authedDb, 'user1', '2026-08', data.id), data);
+    batch.set(rateLimitRef(authedDb, 'user1'), {
+      windowStart: serverTimestamp(),
+      ids: {},
+      bulkIds: { [data.id]: true },
+    });
+
+    await assertFails(batch.commit());
+  });
+
+  test('Re-creating an id already counted in this window is rejected', async () => {
+    const authedDb = asUser('user1');
+    const data = createProgressEventData('user1');
+    await seedRateWindow({ ids: { [data.id]: true } });
+
+    await assertFails(writeThrottledEvents(authedDb, 'user1', [data], { newWindow: false }));
+  });
+
+  test('Owner cannot reset an open window early', async () => {
+    const authedDb = asUser('user1');
+    await seedRateWindow({ ids: seededIds('evt_earlier', 120), ageSeconds: 30 });
+
+    await assertFails(writeThrottledEvents(authedDb, 'user1', events(1)));
+  });
+
+  test('Owner cannot remove ids from an open window', async () => {
+    const authedDb = asUser('user1');
+    await seedRateWindow({ ids: seededIds('evt_earlier', 2) });
+
+    await assertFails(
+      rateLimitRef(authedDb, 'user1').update({
+        ids: { evt_earlier_0: true },
+      })
+    );
+  });
+
+  test('Owner cannot delete the rate window', async () => {
+    const authedDb = asUser('user1');
+    await seedRateWindow({ ids: seededIds('evt_earlier', 1) });
+
+    await assertFails(rateLimitRef(authedDb, 'user1').delete());
+  });
+
+  test('User cannot write another users rate window', async () => {
+    const otherDb = asUser('user2');
+
+    await assertFails(
+      rateLimitRef(otherDb, 'user1').set({ windowStart: serverTimestamp(), ids: {}, bulkIds: {} })
+    );
+  });
+
+  test('All devices of a user share one window', async () => {
+    const authedDb = asUser('user1');
+    await seedRateWindow({ ids: seededIds('evt_earlier', 119) });
+    const tablet = 'iOS_iPad_5B1C2D3E-0000-4000-8000-000000000001';
+
+    await assertSucceeds(
+      writeThrottledEvents(authedDb, 'user1', events(1, { deviceId: tablet }), { newWindow: false })
+    );
+    await assertFails(
+      writeThrottledEvents(authedDb, 'user1', events(1, { id: 'evt_phone' }), { newWindow: false })
+    );
+  });
+
+  test('A rate window named after a device does not count', async () => {
+    const authedDb = asUser('user1');
+    const data = createProgressEventData('user1');
+    await registerDevice('user1', DEVICE_ID);
+    const batch = authedDb.batch();
+    batch.set(progressEventRef(authedDb, 'user1', '2026-08', data.id), data);
+    batch.set(authedDb.collection('users').doc('user1').collection('rate_limits').doc(DEVICE_ID), {
+      windowStart: serverTimestamp(),
+      ids: { [data.id]: true },
+      bulkIds: {},
+    });
+
+    await assertFails(batch.commit());
+  });
+
+  test('Normal tapping on a completion: every write takes a slot', async () => {
+    const authedDb = asUser('user1');
+    await seedLiveHabit('user1', 'habit1');
+    const ref = completionRefFor(authedDb, 'user1', '2026-08-07', 'habit1');
+
+    for (let count = 1; count <= 5; count += 1) {
+      await assertSucceeds(writeThrottledCompletion(authedDb, ref, { count, updatedAt: new Date() }));
+    }
+    await withRulesDisabled(async (context) => {
+      const window = await rateLimitRef(context.firestore(), 'user1').get();
+      expect(Object.keys(window.get('ids'))).toHaveLength(5);
+    });
+  });
+
+  test('Flood: a completion write past the interactive and bulk caps is rejected', async () => {
+    const authedDb = asUser('user1');
+    await seedLiveHabit('user1', 'habit1');
+    await seedRateWindow({ ids: seededIds('evt_earlier', 120), bulkIds: seededIds('evt_import', 500) });
+    const ref = syncCompletionRef(authedDb, 'user1', '2026-08', 'comp_habit1_2026-08-07');
+    const data = createSyncCompletionData('user1', 'habit1', '2026-08-07');
+
+    await assertFails(writeThrottledCompletion(authedDb, ref, data, { newWindow: false }));
+    await assertFails(writeThrottledCompletion(authedDb, ref, data, { newWindow: false, bulk: true }));
+  });
+
+  test('A restore may count completion writes in the bulk bucket', async () => {
+    const authedDb = asUser('user1');
+    await seedLiveHabit('user1', 'habit1');
+    await seedRateWindow({ ids: seededIds('evt_earlier', 120) });
+    const ref = syncCompletionRef(authedDb, 'user1', '2026-08', 'comp_habit1_2026-08-07');
+
+    await assertSucceeds(
+      writeThrottledCompletion(authedDb, ref, createSyncCompletionData('user1', 'habit1', '2026-08-07'), {
+        newWindow: false,
+        bulk: true,
+      })
+    );
+  });
+
+  test('Completion write without a rate window update is rejected', async () => {
+    const authedDb = asUser('user1');
+    await seedLiveHabit('user1', 'habit1');
+
+    await assertFails(
+      completionRefFor(authedDb, 'user1', '2026-08-07', 'habit1').set({ count: 1, updatedAt: new Date() })
+    );
+  });
+
+  test('Completion key must carry the written updatedAt', async () => {
+    const authedDb = asUser('user1');
+    await seedLiveHabit('user1', 'habit1');
+    const ref = completionRefFor(authedDb, 'user1', '2026-08-07', 'habit1');
+    const updatedAt = new Date();
+    const batch = authedDb.batch();
+    batch.set(ref, { count: 1, updatedAt });
+    addRateKeys(batch, authedDb, 'user1', { keys: [`2026-08-07_habit1@${updatedAt.getTime() - 1000}`] });
+
+    await assertFails(batch.commit());
+  });
+
+  test('Repeating a completion key already counted in this window is rejected', async () => {
+    const authedDb = asUser('user1');
+    await seedLiveHabit('user1', 'habit1');
+    const ref = completionRefFor(authedDb, 'user1', '2026-08-07', 'habit1');
+    const data = { count: 1, updatedAt: new Date() };
+
+    await assertSucceeds(writeThrottledCompletion(authedDb, ref, data));
+    await assertFails(writeThrottledCompletion(authedDb, ref, { ...data, count: 2 }, { newWindow: false }));
+  });
+
+  test('Updating an existing event needs no rate window', async () => {
+    const authedDb = asUser('user1');
+    const data = createProgressEventData('user1');
+    await withRulesDisabled(async (context) => {
+      await progressEventRef(context.firestore(), 'user1', '2026-08', data.id).set(data);
+    });
+
+    await assertSucceeds(
+      progressEventRef(authedDb, 'user1', '2026-08', data.id).set({ ...data, isRemote: true }, { merge: true })
+    );
+  });
+});
@@ -0,0 +1,185 @@
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+
+const {
+  setupRulesEnv,
+  asUser,
+  withRulesDisabled,
+  createStreakData,
+  seedLiveHabit,
+} = require('../support/harness');
+
+setupRulesEnv();
+
+// ============================================================================
+// STREAKS TESTS
+// ============================================================================
+
+describe('Streaks Rules', () => {
+  beforeEach(async () => {
+    await seedLiveHabit('user1', 'habit1');
+  });
+
+  test('User can create valid streak', async () => {
+    const authedDb = asUser('user1');
+    const streakRef = authedDb
+      .collection('users')
+      .doc('user1')
+      .collection('streaks')
+      .doc('habit1');
+
+    await assertSucceeds(streakRef.set(createStreakData()));
+  });
+
+  test('User can create streak without lastCompletionDate', async () => {
+    const authedDb = asUser('user1');
+    const streakRef = authedDb
+      .collection('users')
+      .doc('user1')
+      .collection('streaks')
+      .doc('habit1');
+
+    const validData = {
+      current: 0,
+      longest: 0,
+      updatedAt: new Date(),
+    };
+
+    await assertSucceeds(streakRef.set(validData));
+  });
+
+  test('User cannot create streak with negative current', async () => {
+    const authedDb = asUser('user1');
+    const streakRef = authedDb
+      .collection('users')
+      .doc('user1')
+      .collection('streaks')
+      .doc('habit1');
+
+    const invalidData = createStreakData();
+    invalidData.current = -1;
+
+    await assertFails(streakRef.set(invalidData));
+  });
+
+  test('User cannot create streak with invalid date format', async () => {
+    const authedDb = asUser('user1');
+    const streakRef = authedDb
+      .collection('users')
+      .doc('user1')
+      .collection('streaks')
+      .doc('habit1');
+
+    const invalidData = createStreakData();
+    invalidData.lastCompletionDate = '10/15/2025'; // Invalid format
+
+    await assertFails(streakRef.set(invalidData));
+  });
+
+  test('User can update streak', async () => {
+    const authedDb = asUser('user1');
+    const streakRef = authedDb
+      .collection('users')
+      .doc('user1')
+      .collection('streaks')
+      .doc('habit1');
+
+    // Create streak first
+    await withRulesDisabled(async (context) => {
+      await context
+        .firestore()
+        .collection('users')
+        .doc('user1')
+        .collection('streaks')
+        .doc('habit1')
+        .set(createStreakData());
+    });
+
+    await assertSucceeds(
+      streakRef.update({
+        current: 6,
+        longest: 10,
+        lastCompletionDate: '2025-10-15',
+        updatedAt: new Date(),
+      })
+    );
+  });
+
+  test('User cannot write streak with longest below current', async () => {
+    const authedDb = asUser('user1');
+    const streakRef = authedDb
+      .collection('users')
+      .doc('user1')
+      .collection('streaks')
+      .doc('habit1');
+
+    const invalidData = createStreakData();
+    invalidData.current = 11; // longest is 10
+
+    await assertFails(streakRef.set(invalidData));
+  });
+
+  test('User can write streak with current equal to longest', async () => {
+    const authedDb = asUser('user1');
+    const streakRef = authedDb
+      .collection('users')
+      .doc('user1')
+      .collection('streaks')
+      .doc('habit1');
+
+    const validData = createStreakData();
+    validData.current = validData.longest;
+
+    await assertSucceeds(streakRef.set(validData));
+  });
+
+  test('User cannot write streak with lastCompletionDate in the future', async () => {
+    const authedDb = asUser('user1');
+    const streakRef = authedDb
+      .collection('users')
+      .doc('user1')
+      .collection('streaks')
+      .doc('habit1');
+
+    const invalidData = createStreakData();
+    const inTwoDays = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+    invalidData.lastCompletionDate = inTwoDays.toISOString().slice(0, 10);
+
+    await assertFails(streakRef.set(invalidData));
+  });
+
+  test('User can write streak dated today in the furthest-ahead zone (UTC+14)', async () => {
+    const authedDb = asUser('user1');
+    const streakRef = authedDb
+      .collection('users')
+      .doc('user1')
+      .collection('streaks')
+      .doc('habit1');
+
+    const validData = createStreakData();
+    const aheadToday = new Date(Date.now() + 14 * 60 * 60 * 1000 - 60 * 1000);
+    validData.lastCompletionDate = aheadToday.toISOString().slice(0, 10);
+
+    await assertSucceeds(streakRef.set(validData));
+  });
+
+  test('User cannot update streak into an inconsistent state', async () => {
+    const authedDb = asUser('user1');
+    const streakRef = authedDb
+      .collection('users')
+      .doc('user1')
+      .collection('streaks')
+      .doc('habit1');
+
+    await withRulesDisabled(async (context) => {
+      await context
+        .firestore()
+        .collection('users')
+        .doc('user1')
+        .collection('streaks')
+        .doc('habit1')
+        .set(createStreakData());
+    });
+
+    await assertFails(streakRef.update({ current: 12, updatedAt: new Date() }));
+  });
+});
@@ -0,0 +1,237 @@
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+
+const firebase = require('firebase/compat/app');
+require('firebase/compat/firestore');
+
+const {
+  setupRulesEnv,
+  asUser,
+  asGuest,
+  withRulesDisabled,
+  createHabitData,
+  createSyncCompletionData,
+  createXPStateData,
+  deviceRef,
+  createDeviceData,
+  syncCompletionRef,
+  seedLiveHabit,
+  writeThrottledCompletion,
+  writeCountedHabit,
+} = require('../support/harness');
+
+const { serverTimestamp } = firebase.firestore.FieldValue;
+
+setupRulesEnv();
+
+const HOUR = 60 * 60 * 1000;
+
+const asSupport = (uid = 'support1') => asUser(uid, { support: true });
+
+const supportGrantRef = (db, userId, supportUid) =>
+  db.collection('users').doc(userId).collection('support_grants').doc(supportUid);
+
+/** What the app writes when the user approves a support request */
+const createSupportGrantData = (supportUid = 'support1', overrides = {}) => ({
+  supportUid,
+  ticketId: 'TICKET-1042',
+  status: 'approved',
+  approvedAt: serverTimestamp(),
+  expiresAt: new Date(Date.now() + 24 * HOUR),
+  ...overrides,
+});
+
+/** Seed user1's data plus a grant for `supportUid` (rules off, so any shape) */
+const seedSupportCase = ({ supportUid = 'support1', grant = {} } = {}) =>
+  withRulesDisabled(async (context) => {
+    const db = context.firestore();
+    const user = db.collection('users').doc('user1');
+    await user.set({ displayName: 'Casey', timezoneIdentifier: 'Asia/Seoul', locale: 'en', firstWeekday: 1 });
+    await user.collection('habits').doc('habit1').set(createHabitData());
+    await user.collection('xp').doc('state').set(createXPStateData());
+    await syncCompletionRef(db, 'user1', '2025-10', 'comp_habit1_2025-10-15').set(
+      createSyncCompletionData('user1', 'habit1', '2025-10-15')
+    );
+    if (grant !== null) {
+      await supportGrantRef(db, 'user1', supportUid).set({
+        ...createSupportGrantData(supportUid),
+        approvedAt: new Date(),
+        ...grant,
+      });
+    }
+  });
+
+/** The reads a support session makes while debugging user1 */
+const supportReads = (db) => [
+  db.collection('users').doc('user1').get(),
+  db.collection('users').doc('user1').collection('habits').doc('habit1').get(),
+  db.collection('users').doc('user1').collection('habits').get(),
+  syncCompletionRef(db, 'user1', '2025-10', 'comp_habit1_2025-10-15').get(),
+  db.collection('users').doc('user1').collection('xp').doc('state').get(),
+];
+
+// ============================================================================
+// SUPPORT READS
+// ============================================================================
+
+describe('Support Access Rules', () => {
+  test('Support cannot read the user\'s data directly, even with an active grant', async () => {
+    await seedSupportCase();
+    const db = asSupport();
+
+    // Support reads go through the audited supportReadUser callable
+    for (const read of supportReads(db)) {
+      await assertFails(read);
+    }
+    await assertFails(supportGrantRef(db, 'user1', 'support1').get());
+  });
+
+  test('The user can still read their own data and the grant', async () => {
+    await seedSupportCase();
+    const db = asUser('user1');
+
+    for (const read of supportReads(db)) {
+      await assertSucceeds(read);
+    }
+    await assertSucceeds(supportGrantRef(db, 'user1', 'support1').get());
+  });
+
+  test('A grant without the support claim opens nothing', async () => {
+    await seedSupportCase({ supportUid: 'user2' });
+
+    for (const read of supportReads(asUser('user2'))) {
+      await assertFails(read);
+    }
+  });
+
+  test('A grant from one user does not open another user\'s data', async () => {
+    await seedSupportCase();
+    await seedLiveHabit('user2', 'habit1');
+
+    await assertFails(asSupport().collection('users').doc('user2').collection('habits').doc('habit1').get());
+  });
+
+  test('Support can never write, even with an active grant', async () => {
+    await seedSupportCase();
+    const db = asSupport();
+    const user = db.collection('users').doc('user1');
+
+    await assertFails(writeCountedHabit(db, 'user1', 'habit2', createHabitData()));
+    await assertFails(user.collection('habits').doc('habit1').update({ name: 'Changed by support' }));
+    await assertFails(user.collection('habits').doc('habit1').delete());
+    await assertFails(
+      writeThrottledCompletion(
+        db,
+        syncCompletionRef(db, 'user1', '2025-10', 'comp_habit1_2025-10-16'),
+        createSyncCompletionData('user1', 'habit1', '2025-10-16'),
+        { callerId: 'support1' }
+      )
+    );
+    await assertFails(user.update({ displayName: 'Changed by support' }));
+    await assertFails(user.collection('xp').doc('state').set(createXPStateData()));
+    await assertFails(deviceRef(db, 'user1', 'device-support').set(createDeviceData('device-support')));
+    await assertFails(supportGrantRef(db, 'user1', 'support1').update({ expiresAt: new Date(Date.now() + 48 * HOUR) }));
+    await assertFails(supportGrantRef(db, 'user1', 'support1').delete());
+  });
+
+  test('Support cannot grant itself access', async () => {
+    await seedSupportCase({ grant: null });
+
+    await assertFails(supportGrantRef(asSupport(), 'user1', 'support1').set(createSupportGrantData()));
+  });
+
+  test('The support audit log is closed to every client', async () => {
+    await withRulesDisabled((context) =>
+      context.firestore().collection('support_audit').doc('entry1').set({ action: 'grant-role', supportUid: 'support1' })
+    );
+
+    await assertFails(asSupport().collection('support_audit').doc('entry1').get());
+    await assertFails(asUser('user1').collection('support_audit').get());
+    await assertFails(asGuest().collection('support_audit').doc('entry2').set({ action: 'grant-role' }));
+  });
+});
+
+// ============================================================================
+// GRANT APPROVAL AND REVOCATION — /users/{uid}/support_grants/{supportUid}
+// ============================================================================
+
+describe('Support Grant Rules', () => {
+  test('User can approve a grant for up to 72 hours', async () => {
+    const db = asUser('user1');
+
+    await assertSucceeds(supportGrantRef(db, 'user1', 'support1').set(createSupportGrantData()));
+    await assertSucceeds(
+      supportGrantRef(db, 'user1', 'support2').set(
+        createSupportGrantData('support2', { expiresAt: new Date(Date.now() + 71 * HOUR) })
+      )
+    );
+  });
+
+  test.each([
+    ['longer than 72 hours', { expiresAt: new Date(Date.now() + 73 * HOUR) }],
+    ['already expired', { expiresAt: new Date(Date.now() - HOUR) }],
+    ['expiring at an ISO string', { expiresAt: new Date(Date.now() + HOUR).toISOString() }],
+    ['approved at a client time', { approvedAt: new Date() }],
+    ['with an empty ticket id', { ticketId: '' }],
+    ['with another status', { status: 'pending' }],
+    ['naming another support account', { supportUid: 'support2' }],
+    ['with an extra field', { scope: 'all' }],
+  ])('User cannot approve a grant %s', async (_, overrides) => {
+    await assertFails(supportGrantRef(asUser('user1'), 'user1', 'support1').set(createSupportGrantData('support1', overrides)));
+  });
+
+  test('User cannot approve a grant without a ticket id', async () => {
+    const { ticketId, ...data } = createSupportGrantData();
+
+    await assertFails(supportGrantRef(asUser('user1'), 'user1', 'support1').set(data));
+  });
+
+  test('User cannot grant their own account support access', async () => {
+    await assertFails(supportGrantRef(asUser('user1'), 'user1', 'user1').set(createSupportGrantData('user1')));
+  });
+
+  test('User cannot approve a grant in another user\'s data', async () => {
+    await assertFails(supportGrantRef(asUser('user2'), 'user1', 'support1').set(createSupportGrantData()));
+  });
+
+  test('User can revoke a grant at server time and re-approve it for a new ticket', async () => {
+    const db = asUser('user1');
+    await assertSucceeds(supportGrantRef(db, 'user1', 'support1').set(createSupportGrantData()));
+
+    await assertSucceeds(supportGrantRef(db, 'user1', 'support1').update({ status: 'revoked', revokedAt: serverTimestamp() }));
+    await assertSucceeds(
+      supportGrantRef(db, 'user1', 'support1').set(createSupportGrantData('support1', { ticketId: 'TICKET-1043' }))
+    );
+  });
+
+  test('User cannot revoke with a client time, twice, or while changing other fields', async () => {
+    const db = asUser('user1');
+    await assertSucceeds(supportGrantRef(db, 'user1', 'support1').set(createSupportGrantData()));
+
+    await assertFails(supportGrantRef(db, 'user1', 'support1').update({ status: 'revoked', revokedAt: new Date() }));
+    await assertFails(
+      supportGrantRef(db, 'user1', 'support1').update({
+        status: 'revoked',
+        revokedAt: serverTimestamp(),
+        expiresAt: new Date(Date.now() + 48 * HOUR),
+      })
+    );
+    await assertFails(supportGrantRef(db, 'user1', 'support1').update({ status: 'paused', revokedAt: serverTimestamp() }));
+
+    await assertSucceeds(supportGrantRef(db, 'user1', 'support1').update({ status: 'revoked', revokedAt: serverTimestamp() }));
+    await assertFails(supportGrantRef(db, 'user1', 'support1').update({ status: 'revoked', revokedAt: serverTimestamp() }));
+  });
+
+  test('User cannot extend an active grant without re-approving it', async () => {
+    const db = asUser('user1');
+    await assertSucceeds(supportGrantRef(db, 'user1', 'support1').set(createSupportGrantData()));
+
+    await assertFails(supportGrantRef(db, 'user1', 'support1').update({ expiresAt: new Date(Date.now() + 48 * HOUR) }));
+  });
+
+  test('User cannot delete a grant; revoking keeps the record', async () => {
+    const db = asUser('user1');
+    await assertSucceeds(supportGrantRef(db, 'user1', 'support1').set(createSupportGrantData()));
+
+    await assertFails(supportGrantRef(db, 'user1', 'support1').delete());
+  });
+});
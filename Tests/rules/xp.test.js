@@ -0,0 +1,202 @@
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+
+const {
+  setupRulesEnv,
+  asUser,
+  withRulesDisabled,
+  createXPStateData,
+  createXPLedgerData,
+  xpLedgerRef,
+} = require('../support/harness');
+
+setupRulesEnv();
+
+// ============================================================================
+// XP STATE TESTS
+// ============================================================================
+
+describe('XP State Rules', () => {
+  // xp/state is derived from xp_ledger by the awardXP callable; see
+  // Tests/functions/awardXP.test.js for the server-side write path.
+  test('User can read their own XP state', async () => {
+    const authedDb = asUser('user1');
+
+    await withRulesDisabled(async (context) => {
+      await context
+        .firestore()
+        .collection('users')
+        .doc('user1')
+        .collection('xp')
+        .doc('state')
+        .set(createXPStateData());
+    });
+
+    await assertSucceeds(
+      authedDb.collection('users').doc('user1').collection('xp').doc('state').get()
+    );
+  });
+
+  test('User cannot create XP state (server-authoritative)', async () => {
+    const authedDb = asUser('user1');
+    const xpRef = authedDb
+      .collection('users')
+      .doc('user1')
+      .collection('xp')
+      .doc('state');
+
+    await assertFails(xpRef.set(createXPStateData()));
+  });
+
+  test('User cannot create XP state with negative totalXP', async () => {
+    const authedDb = asUser('user1');
+    const xpRef = authedDb
+      .collection('users')
+      .doc('user1')
+      .collection('xp')
+      .doc('state');
+
+    const invalidData = createXPStateData();
+    invalidData.totalXP = -10;
+
+    await assertFails(xpRef.set(invalidData));
+  });
+
+  test('User cannot create XP state with level < 1', async () => {
+    const authedDb = asUser('user1');
+    const xpRef = authedDb
+      .collection('users')
+      .doc('user1')
+      .collection('xp')
+      .doc('state');
+
+    const invalidData = createXPStateData();
+    invalidData.level = 0;
+
+    await assertFails(xpRef.set(invalidData));
+  });
+
+  test('User cannot update XP state (server-authoritative)', async () => {
+    const authedDb = asUser('user1');
+    const xpRef = authedDb
+      .collection('users')
+      .doc('user1')
+      .collection('xp')
+      .doc('state');
+
+    // Create state first
+    await withRulesDisabled(async (context) => {
+      await context
+        .firestore()
+        .collection('users')
+        .doc('user1')
+        .collection('xp')
+        .doc('state')
+        .set(createXPStateData());
+    });
+
+    await assertFails(
+      xpRef.update({
+        totalXP: 150,
+        level: 3,
+        currentLevelXP: 25,
+        lastUpdated: new Date(),
+      })
+    );
+  });
+
+  test('User cannot delete XP state', async () => {
+    const authedDb = asUser('user1');
+
+    await withRulesDisabled(async (context) => {
+      await context
+        .firestore()
+        .collection('users')
+        .doc('user1')
+        .collection('xp')
+        .doc('state')
+        .set(createXPStateData());
+    });
+
+    await assertFails(
+      authedDb.collection('users').doc('user1').collection('xp').doc('state').delete()
+    );
+  });
+});
+
+// ============================================================================
+// XP LEDGER TESTS
+// ============================================================================
+
+describe('XP Ledger Rules', () => {
+  test('User can create valid ledger entry', async () => {
+    const authedDb = asUser('user1');
+    const ledgerRef = xpLedgerRef(authedDb, 'user1', 'event1');
+
+    await assertSucceeds(ledgerRef.set(createXPLedgerData()));
+  });
+
+  test('User cannot create ledger entry with negative delta', async () => {
+    const authedDb = asUser('user1');
+    const ledgerRef = xpLedgerRef(authedDb, 'user1', 'event1');
+
+    const invalidData = createXPLedgerData();
+    invalidData.delta = -25;
+
+    await assertFails(ledgerRef.set(invalidData));
+  });
+
+  test('User cannot create ledger entry with zero delta', async () => {
+    const authedDb = asUser('user1');
+    const ledgerRef = xpLedgerRef(authedDb, 'user1', 'event-zero');
+
+    const invalidData = createXPLedgerData();
+    invalidData.delta = 0;
+
+    await assertFails(ledgerRef.set(invalidData));
+  });
+
+  test('User cannot create ledger entry with empty reason', async () => {
+    const authedDb = asUser('user1');
+    const ledgerRef = xpLedgerRef(authedDb, 'user1', 'event1');
+
+    const invalidData = createXPLedgerData();
+    invalidData.reason = '';
+
+    await assertFails(ledgerRef.set(invalidData));
+  });
+
+  test('User cannot create ledger entry with reason > 500 chars', async () => {
+    const authedDb = asUser('user1');
+    const ledgerRef = xpLedgerRef(authedDb, 'user1', 'event1');
+
+    const invalidData = createXPLedgerData();
+    invalidData.reason = 'a'.repeat(501);
+
+    await assertFails(ledgerRef.set(invalidData));
+  });
+
+  test('User cannot update ledger entry (immutable)', async () => {
+    const authedDb = asUser('user1');
+    const ledgerRef = xpLedgerRef(authedDb, 'user1', 'event1');
+
+    // Create ledger entry first
+    await withRulesDisabled(async (context) => {
+      await xpLedgerRef(context.firestore(), 'user1', 'event1').set(createXPLedgerData());
+    });
+
+    // Try to update
+    await assertFails(ledgerRef.update({ delta: 100 }));
+  });
+
+  test('User cannot delete ledger entry', async () => {
+    const authedDb = asUser('user1');
+    const ledgerRef = xpLedgerRef(authedDb, 'user1', 'event1');
+
+    // Create ledger entry first
+    await withRulesDisabled(async (context) => {
+      await xpLedgerRef(context.firestore(), 'user1', 'event1').set(createXPLedgerData());
+    });
+
+    await assertFails(ledgerRef.delete());
+  });
+});
@@ -0,0 +1,81 @@
+const { isDeepStrictEqual } = require('util');
+
+const { collections } = require('./support/schema');
+const {
+  createRng,
+  generateDocument,
+  generateValidCases,
+  generateMutationCases,
+} = require('./support/generator');
+
+// ============================================================================
+// GENERATOR SANITY (no emulator required)
+// ============================================================================
+
+describe('Schema generator', () => {
+  test('Same seed produces identical documents', () => {
+    const first = generateValidCases(collections.progressEvents, createRng(42), 3);
+    const second = generateValidCases(collections.progressEvents, createRng(42), 3);
+
+    expect(first).toEqual(second);
+  });
+
+  test('Valid documents only use fields of their variant and include every required field', () => {
+    const rng = createRng(7);
+    Object.values(collections).forEach((collection) => {
+      for (let i = 0; i < 20; i += 1) {
+        const { variant, data } = generateDocument(collection, rng);
+        const fields = collection.variants[variant];
+
+        Object.keys(data).forEach((key) => expect(fields).toHaveProperty(key));
+        Object.entries(fields)
+          .filter(([, spec]) => !spec.optional)
+          .forEach(([key]) => expect(data).toHaveProperty(key));
+      }
+    });
+  });
+
+  test('Bound fields take their value from the path context', () => {
+    const { ctx, data } = generateDocument(collections.devices, createRng(3));
+
+    expect(data.id).toBe(ctx.deviceId);
+  });
+
+  test('Bounded ints stay within min and max, and one mutation goes past max', () => {
+    const rng = createRng(9);
+    for (let i = 0; i < 50; i += 1) {
+      const { data } = generateDocument(collections.profile, rng);
+
+      expect(data.firstWeekday).toBeGreaterThanOrEqual(1);
+      expect(data.firstWeekday).toBeLessThanOrEqual(7);
+    }
+    const aboveMax = generateMutationCases(collections.profile, rng).find(
+      ({ field, title }) => field === 'firstWeekday' && title.endsWith('above maximum')
+    );
+    expect(aboveMax.data.firstWeekday).toBe(8);
+  });
+
+  test('Each mutation changes exactly one field', () => {
+    const rng = createRng(11);
+    Object.values(collections).forEach((collection) => {
+      generateMutationCases(collection, rng).forEach(({ field, base, data }) => {
+        const keys = new Set([...Object.keys(base), ...Object.keys(data)]);
+        const changed = [...keys].filter((key) => !isDeepStrictEqual(base[key], data[key]));
+
+        expect(changed).toEqual([field]);
+      });
+    });
+  });
+
+  test('Every collection produces mutations for every field', () => {
+    const rng = createRng(5);
+    Object.values(collections).forEach((collection) => {
+      const cases = generateMutationCases(collection, rng);
+      Object.entries(collection.variants).forEach(([variant, fields]) => {
+        Object.keys(fields).forEach((field) => {
+          expect(cases.some((c) => c.variant === variant && c.field === field)).toBe(true);
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * Seeded document generator for the schemas in ./schema.js.
+ *
+ * Produces random valid documents plus targeted single-field mutations of
+ * them. Every mutation breaks exactly one field check in firestore.rules, so
+ * the rules are expected to allow the base document and deny each mutation.
+ */
+
+/** mulberry32 — small, fast, and reproducible from a 32-bit seed */
+const createRng = (seed) => {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = (values) => values[int(0, values.length - 1)];
+  const chance = (p) => next() < p;
+  return { next, int, pick, chance };
+};
+
+/** Stable 32-bit hash so each collection gets its own stream from one seed */
+const hashString = (value) => {
+  let hash = 2166136261;
+  for (let i = 0; i < value.length; i += 1) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+const ALPHABET = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789-_';
+
+const randomString = (rng, length) => {
+  let out = '';
+  for (let i = 0; i < length; i += 1) {
+    out += ALPHABET[rng.int(0, ALPHABET.length - 1)];
+  }
+  return out;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const randomDateKey = (rng, maxYear = 2030) =>
+  `${rng.int(2020, maxYear)}-${pad(rng.int(1, 12))}-${pad(rng.int(1, 28))}`;
+
+const randomDate = (rng) =>
+  new Date(Date.UTC(2020, 0, 1) + rng.int(0, 10 * 365 * 24 * 3600) * 1000);
+
+/** Per-document identifiers shared by path segments and `from` fields */
+const createContext = (rng) => {
+  const userId = `fuzz-${randomString(rng, 12)}`;
+  const dateKey = randomDateKey(rng);
+  return {
+    userId,
+    habitId: randomString(rng, rng.int(1, 36)),
+    deviceId: `iOS_${randomString(rng, rng.int(1, 40))}`,
+    docId: `evt_${randomString(rng, rng.int(1, 60))}`,
+    dateKey,
+    yearMonth: dateKey.slice(0, 7),
+    awardDocId: rng.chance(0.5) ? dateKey : `${userId}#${dateKey}`,
+  };
+};
+
+/** `data` holds the sibling fields generated so far (for atMost) */
+const generateValue = (spec, rng, ctx, data = {}) => {
+  if (spec.nullable && rng.chance(0.25)) {
+    return null;
+  }
+  if (spec.from) {
+    return ctx[spec.from];
+  }
+  switch (spec.kind) {
+    case 'string': {
+      // Bias toward short strings but hit the upper bound now and then
+      const max = rng.chance(0.1) ? spec.max : Math.min(spec.max, spec.min + 24);
+      return randomString(rng, rng.int(spec.min, max));
+    }
+    case 'int': {
+      const min = spec.min === null ? -1000 : spec.min;
+      const max = spec.atMost ? data[spec.atMost] : spec.max != null ? spec.max : min + 1000;
+      return rng.chance(0.2) ? min : rng.int(min, max);
+    }
+    case 'bool':
+      return rng.chance(0.5);
+    case 'timestamp':
+      return randomDate(rng);
+    case 'dateKey':
+      return randomDateKey(rng, spec.past ? 2024 : 2030);
+    case 'enum':
+      return rng.pick(spec.values);
+    case 'map':
+      return { [randomString(rng, 6)]: randomString(rng, 6) };
+    default:
+      throw new Error(`Unknown field kind: ${spec.kind}`);
+  }
+};
+
+/**
+ * Random valid document for one collection.
+ * `include` forces an optional field to be present (so it can be mutated).
+ */
+const generateDocument = (collection, rng, { variant, include } = {}) => {
+  const variantName = variant || rng.pick(Object.keys(collection.variants));
+  const fields = collection.variants[variantName];
+  const ctx = createContext(rng);
+  const data = {};
+  Object.entries(fields).forEach(([name, spec]) => {
+    if (spec.optional && name !== include && rng.chance(0.5)) {
+      return;
+    }
+    data[name] = generateValue(spec, rng, ctx, data);
+  });
+  return {
+    variant: variantName,
+    ctx,
+    data: collection.derive ? collection.derive(data, ctx, rng) : data,
+  };
+};
+
+const caseFlip = (value) =>
+  value === value.toUpperCase() ? value.toLowerCase() : value.toUpperCase();
+
+/** Single-field mutations that the rules must reject for this field spec */
+const mutationsFor = (spec) => {
+  const mutations = [];
+  if (!spec.optional) {
+    mutations.push({ name: 'missing', remove: true });
+  }
+  if (!spec.nullable) {
+    mutations.push({ name: 'null', value: () => null });
+  }
+  if (spec.bound) {
+    mutations.push({ name: 'mismatched', value: (current) => `${current}-other` });
+  }
+  switch (spec.kind) {
+    case 'string':
+      mutations.push({ name: 'wrong type', value: () => 42 });
+      if (spec.min > 0) {
+        mutations.push({ name: 'empty', value: () => '' });
+      }
+      mutations.push({ name: 'too long', value: () => 'x'.repeat(spec.max + 1) });
+      break;
+    case 'int':
+      mutations.push({ name: 'wrong type', value: () => '1' });
+      mutations.push({ name: 'float', value: () => (spec.min === null ? 0 : spec.min) + 0.5 });
+      if (spec.min !== null) {
+        mutations.push({ name: 'below minimum', value: () => spec.min - 1 });
+      }
+      if (spec.max != null) {
+        mutations.push({ name: 'above maximum', value: () => spec.max + 1 });
+      }
+      if (spec.atMost) {
+        mutations.push({ name: `above ${spec.atMost}`, value: (current, data) => data[spec.atMost] + 1 });
+      }
+      break;
+    case 'bool':
+      mutations.push({ name: 'wrong type', value: () => 'true' });
+      break;
+    case 'timestamp':
+      mutations.push({ name: 'ISO string', value: (current) => new Date(current || 0).toISOString() });
+      mutations.push({ name: 'epoch number', value: () => Date.now() });
+      break;
+    case 'dateKey':
+      mutations.push({ name: 'slash format', value: () => '2025/10/15' });
+      mutations.push({ name: 'US format', value: () => '10-15-2025' });
+      mutations.push({ name: 'wrong type', value: () => 20251015 });
+      if (spec.past) {
+        mutations.push({ name: 'in the future', value: () => '2099-01-01' });
+      }
+      break;
+    case 'enum':
+      mutations.push({ name: 'unknown value', value: () => 'bogus' });
+      mutations.push({ name: 'wrong type', value: () => 1 });
+      spec.values
+        .filter((value) => !spec.values.includes(caseFlip(value)))
+        .slice(0, 1)
+        .forEach((value) => {
+          mutations.push({ name: `case-flipped ${value}`, value: () => caseFlip(value) });
+        });
+      break;
+    case 'map':
+      mutations.push({ name: 'wrong type', value: () => 'not-a-map' });
+      break;
+    default:
+      throw new Error(`Unknown field kind: ${spec.kind}`);
+  }
+  return mutations;
+};
+
+/** Apply one mutation to a copy of `data` */
+const applyMutation = (data, field, mutation) => {
+  const mutated = { ...data };
+  if (mutation.remove) {
+    delete mutated[field];
+  } else {
+    mutated[field] = mutation.value(data[field], data);
+  }
+  return mutated;
+};
+
+/** One valid base document per sample, for allow assertions */
+const generateValidCases = (collection, rng, runs) =>
+  Array.from({ length: runs }, (_, index) => {
+    const doc = generateDocument(collection, rng);
+    return { ...doc, title: `${doc.variant} #${index + 1}` };
+  });
+
+/**
+ * Every (variant, field, mutation) combination for a collection, each applied
+ * to a freshly generated base document, for deny assertions.
+ */
+const generateMutationCases = (collection, rng) => {
+  const cases = [];
+  Object.entries(collection.variants).forEach(([variant, fields]) => {
+    Object.entries(fields).forEach(([field, spec]) => {
+      mutationsFor(spec).forEach((mutation) => {
+        const base = generateDocument(collection, rng, { variant, include: field });
+        cases.push({
+          title: `${variant}.${field}: ${mutation.name}`,
+          variant,
+          field,
+          ctx: base.ctx,
+          base: base.data,
+          data: applyMutation(base.data, field, mutation),
+        });
+      });
+    });
+  });
+  return cases;
+};
+
+module.exports = {
+  createRng,
+  hashString,
+  createContext,
+  generateValue,
+  generateDocument,
+  mutationsFor,
+  applyMutation,
+  generateValidCases,
+  generateMutationCases,
+};
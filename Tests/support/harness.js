@@ -0,0 +1,492 @@
+/**
+ * Shared harness for the rules tests under Tests/rules/.
+ *
+ * Each test file calls setupRulesEnv() once at the top. The rules are loaded
+ * into a project of the current Jest worker (habitto-test-w{n}), so files on
+ * different workers never clear each other's data; files on the same worker
+ * run one after another and start from an empty database.
+ *
+ * Path helpers take the Firestore instance to build the ref on, so the same
+ * helper serves a client context (asUser / asGuest) and a rules-disabled
+ * context (withRulesDisabled).
+ */
+
+const { initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+
+const firebase = require('firebase/compat/app');
+require('firebase/compat/firestore');
+
+const fs = require('fs');
+const path = require('path');
+
+const { WORKER_RULES_PROJECT, workerProjectId } = require('./ruleCoverage');
+
+const { serverTimestamp } = firebase.firestore.FieldValue;
+
+const RULES_PATH = path.join(__dirname, '../../firestore.rules');
+
+const STORAGE_RULES_PATH = path.join(__dirname, '../../storage.rules');
+
+let testEnv = null;
+
+/** The environment of the running test file; only valid inside hooks and tests */
+const rulesEnv = () => {
+  if (!testEnv) {
+    throw new Error('Rules test environment is not set up; call setupRulesEnv() at the top of the test file');
+  }
+  return testEnv;
+};
+
+/** clearStorage() only deletes objects at the bucket root; attachments are nested */
+const deleteStorageTree = async (ref) => {
+  const { items, prefixes } = await ref.listAll();
+  await Promise.all([...items.map((item) => item.delete()), ...prefixes.map(deleteStorageTree)]);
+};
+
+/**
+ * Register the hooks of a rules test file: load firestore.rules (and
+ * storage.rules with `storage: true`) into this worker's project before the
+ * file, clean up after it and clear the data before every test.
+ */
+const setupRulesEnv = ({ projectId = workerProjectId(WORKER_RULES_PROJECT), storage = false } = {}) => {
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId,
+      firestore: {
+        rules: fs.readFileSync(RULES_PATH, 'utf8'),
+        host: 'localhost',
+        port: 8080,
+      },
+      ...(storage
+        ? { storage: { rules: fs.readFileSync(STORAGE_RULES_PATH, 'utf8'), host: 'localhost', port: 9199 } }
+        : {}),
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+    testEnv = null;
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    if (storage) {
+      await testEnv.withSecurityRulesDisabled((context) => deleteStorageTree(context.storage().ref()));
+    }
+  });
+};
+
+// ----------------------------------------------------------------------------
+// Auth contexts
+// ----------------------------------------------------------------------------
+
+/** Client Firestore signed in as `uid`, with custom `claims` on the token (e.g. { support: true }) */
+const asUser = (uid, claims) => rulesEnv().authenticatedContext(uid, claims).firestore();
+
+/** Client Firestore with no signed-in user */
+const asGuest = () => rulesEnv().unauthenticatedContext().firestore();
+
+/** Client Storage (default test bucket) signed in as `uid`; needs setupRulesEnv({ storage: true }) */
+const storageAsUser = (uid) => rulesEnv().authenticatedContext(uid).storage();
+
+/** Client Storage with no signed-in user */
+const storageAsGuest = () => rulesEnv().unauthenticatedContext().storage();
+
+/** Run `fn(context)` with the rules off, for seeding and admin-side reads */
+const withRulesDisabled = (fn) => rulesEnv().withSecurityRulesDisabled(fn);
+
+// ----------------------------------------------------------------------------
+// Test data
+// ----------------------------------------------------------------------------
+
+const createHabitData = () => ({
+  name: 'Morning Run',
+  color: 'green500',
+  type: 'formation',
+  createdAt: new Date(),
+  active: true,
+});
+
+const createGoalVersionData = (habitId) => ({
+  habitId: habitId,
+  effectiveLocalDate: '2025-10-15',
+  goal: 2,
+  createdAt: new Date(),
+});
+
+const createCompletionData = () => ({
+  count: 1,
+  updatedAt: new Date(),
+});
+
+const createXPStateData = () => ({
+  totalXP: 100,
+  level: 2,
+  currentLevelXP: 10,
+  lastUpdated: new Date(),
+});
+
+const createXPLedgerData = () => ({
+  delta: 50,
+  reason: 'Completed daily habit',
+  timestamp: new Date(),
+});
+
+const createStreakData = () => ({
+  current: 5,
+  longest: 10,
+  lastCompletionDate: '2025-10-14',
+  updatedAt: new Date(),
+});
+
+const createDeviceData = (deviceId) => ({
+  id: deviceId,
+  deviceName: 'iPhone 15',
+  deviceModel: 'iPhone 15',
+  lastLogin: new Date(),
+  createdAt: new Date(),
+  appVersion: '1.2.3',
+});
+
+const createSyncCompletionData = (userId, habitId, dateKey) => ({
+  userId,
+  habitId,
+  dateKey,
+  isCompleted: true,
+  progress: 1,
+  createdAt: new Date(),
+  updatedAt: new Date(),
+  completionId: `comp_${habitId}_${dateKey}`,
+});
+
+/** Exact field set from ProgressEvent.toFirestore() */
+const createProgressEventData = (userId, overrides = {}) => {
+  const now = overrides.createdAt || new Date('2026-08-07T10:00:00.000Z');
+  const dateKey = overrides.dateKey || '2026-08-07';
+  const habitId = overrides.habitId || '9996D0CC-630C-4626-91E1-97EFF445E7BF';
+  const deviceId = overrides.deviceId || 'iOS_iPhone_1FCCE3B4-4B25-4861-A708-D7F4A9D9B688';
+  const id =
+    overrides.id ||
+    `evt_${habitId}_${dateKey}_${deviceId}_1`;
+  return {
+    id,
+    habitId,
+    dateKey,
+    eventType: 'INCREMENT',
+    progressDelta: 1,
+    createdAt: now,
+    occurredAt: now,
+    utcDayStart: new Date('2026-08-07T00:00:00.000Z'),
+    utcDayEnd: new Date('2026-08-07T23:59:59.999Z'),
+    deviceId,
+    userId,
+    timezoneIdentifier: 'Asia/Seoul',
+    operationId: `${deviceId}_${now.getTime()}_op`,
+    syncVersion: 1,
+    isRemote: false,
+    ...overrides,
+  };
+};
+
+// ----------------------------------------------------------------------------
+// Paths
+// ----------------------------------------------------------------------------
+
+/** Path helper matching FirestoreRepository: goalVersions/{habitId}/versions/{versionId} */
+const goalVersionRef = (db, userId, habitId, versionId) =>
+  db
+    .collection('users')
+    .doc(userId)
+    .collection('goalVersions')
+    .doc(habitId)
+    .collection('versions')
+    .doc(versionId);
+
+/** Path helper matching FirestoreRepository: completions/{date}/habits/{habitId} */
+const completionRefFor = (db, userId, dateStr, habitId) =>
+  db
+    .collection('users')
+    .doc(userId)
+    .collection('completions')
+    .doc(dateStr)
+    .collection('habits')
+    .doc(habitId);
+
+/** Path helper: /users/{uid}/xp/ledger/entries/{eventId} */
+const xpLedgerRef = (db, userId, eventId) =>
+  db
+    .collection('users')
+    .doc(userId)
+    .collection('xp')
+    .doc('ledger')
+    .collection('entries')
+    .doc(eventId);
+
+/** Path helper: /users/{ownerId}/partners/{partnerId} (accountability invitation) */
+const partnerRef = (db, ownerId, partnerId) =>
+  db.collection('users').doc(ownerId).collection('partners').doc(partnerId);
+
+/** Path helper: /users/{ownerId}/partners/{partnerId}/shared_habits/{habitId} */
+const sharedHabitRef = (db, ownerId, partnerId, habitId) =>
+  partnerRef(db, ownerId, partnerId).collection('shared_habits').doc(habitId);
+
+/** Path helper: /users/{uid}/daily_awards/{docId} (`{dateKey}` or `{uid}#{dateKey}`) */
+const dailyAwardRef = (db, userId, docId) =>
+  db.collection('users').doc(userId).collection('daily_awards').doc(docId);
+
+/** Path helper: /users/{uid}/devices/{deviceId} */
+const deviceRef = (db, userId, deviceId) =>
+  db.collection('users').doc(userId).collection('devices').doc(deviceId);
+
+/** Path helper: /users/{uid}/completions/{yearMonth}/{completions|records}/{recordId} */
+const syncCompletionRef = (db, userId, yearMonth, recordId, subcollection = 'completions') =>
+  db
+    .collection('users')
+    .doc(userId)
+    .collection('completions')
+    .doc(yearMonth)
+    .collection(subcollection)
+    .doc(recordId);
+
+/** Path helper: /users/{uid}/events/{yearMonth}/events/{eventId} */
+const progressEventRef = (db, userId, yearMonth, eventId) =>
+  db
+    .collection('users')
+    .doc(userId)
+    .collection('events')
+    .doc(yearMonth)
+    .collection('events')
+    .doc(eventId);
+
+/** Path helper: /users/{uid}/rate_limits/writes (the user's write-throttle window) */
+const rateLimitRef = (db, userId) =>
+  db.collection('users').doc(userId).collection('rate_limits').doc('writes');
+
+const habitCountRef = (db, userId) =>
+  db.collection('users').doc(userId).collection('meta').doc('habit_count');
+
+/**
+ * Rate-window key the rules expect for a completion write:
+ * `{date}_{habitId}@{updatedAt ms}` on the FirestoreRepository path,
+ * `{recordId}@{updatedAt ms}` in the yearMonth buckets
+ */
+const completionRateKey = (ref, data) => {
+  const [, , , parent, kind, id] = ref.path.split('/');
+  const docKey = kind === 'habits' ? `${parent}_${id}` : id;
+  const millis = data.updatedAt instanceof Date ? data.updatedAt.getTime() : data.updatedAt.toMillis();
+  return `${docKey}@${millis}`;
+};
+
+// ----------------------------------------------------------------------------
+// Seeding
+// ----------------------------------------------------------------------------
+
+/** Seed a live habit through the Admin SDK so child docs can reference it */
+const seedLiveHabit = (userId, habitId) =>
+  withRulesDisabled(async (context) => {
+    await context.firestore().collection('users').doc(userId).collection('habits').doc(habitId).set(createHabitData());
+  });
+
+/**
+ * Seed user1's habits habit1 + habit2 with a completion, streak and goal
+ * version each, and a partnership with user2 sharing `shared` habits.
+ */
+const seedPartnership = ({ status = 'accepted', inviteId = 'invite-1', shared = ['habit1'] } = {}) =>
+  withRulesDisabled(async (context) => {
+    const db = context.firestore();
+    const user = db.collection('users').doc('user1');
+    await Promise.all(
+      ['habit1', 'habit2'].flatMap((habitId) => [
+        user.collection('habits').doc(habitId).set(createHabitData()),
+        completionRefFor(db, 'user1', '2025-10-15', habitId).set(createCompletionData()),
+        syncCompletionRef(db, 'user1', '2025-10', `comp_${habitId}_2025-10-15`).set(
+          createSyncCompletionData('user1', habitId, '2025-10-15')
+        ),
+        user.collection('streaks').doc(habitId).set(createStreakData()),
+        goalVersionRef(db, 'user1', habitId, '2025-10-15').set(createGoalVersionData(habitId)),
+      ])
+    );
+    await partnerRef(db, 'user1', 'user2').set({
+      partnerId: 'user2',
+      inviteId,
+      status,
+      invitedAt: new Date(),
+      ...(status === 'accepted' ? { acceptedAt: new Date() } : {}),
+    });
+    await Promise.all(
+      shared.map((habitId) =>
+        sharedHabitRef(db, 'user1', 'user2', habitId).set({ habitId, inviteId, grantedAt: new Date() })
+      )
+    );
+  });
+
+const isBulkEvent = (event) => ['BACKFILL', 'SYNC_IMPORT'].includes(event.eventType);
+
+/**
+ * Register `deviceId` the way DeviceManager does on login, unless it already
+ * is (a revoked device stays revoked)
+ */
+const registerDevice = (userId, deviceId) =>
+  withRulesDisabled(async (context) => {
+    const ref = deviceRef(context.firestore(), userId, deviceId);
+    if (!(await ref.get()).exists) {
+      await ref.set(createDeviceData(deviceId));
+    }
+  });
+
+/**
+ * Add the rate-window write the throttle requires to `batch`: `keys` go into
+ * `ids`, `bulkKeys` into `bulkIds` of the window of `userId` (the caller).
+ * `newWindow` opens a window at server time; otherwise the keys merge into the
+ * current one.
+ */
+const addRateKeys = (batch, db, userId, { keys = [], bulkKeys = [] }, { newWindow = true } = {}) => {
+  const ids = Object.fromEntries(keys.map((key) => [key, true]));
+  const bulkIds = Object.fromEntries(bulkKeys.map((key) => [key, true]));
+  const rateRef = rateLimitRef(db, userId);
+  if (newWindow) {
+    batch.set(rateRef, { windowStart: serverTimestamp(), ids, bulkIds });
+  } else {
+    batch.set(rateRef, { ids, bulkIds }, { merge: true });
+  }
+};
+
+/**
+ * Create events the way the throttle requires: in one batch that adds each
+ * event id to the user's rate window (`bulkIds` for BACKFILL/SYNC_IMPORT).
+ * The events' device is registered first unless `register` is false.
+ */
+const writeThrottledEvents = async (db, userId, events, { newWindow = true, yearMonth, register = true } = {}) => {
+  if (register) {
+    await registerDevice(userId, events[0].deviceId);
+  }
+  const batch = db.batch();
+  events.forEach((event) => {
+    batch.set(progressEventRef(db, userId, yearMonth || event.dateKey.slice(0, 7), event.id), event);
+  });
+  addRateKeys(
+    batch,
+    db,
+    userId,
+    {
+      keys: events.filter((event) => !isBulkEvent(event)).map((event) => event.id),
+      bulkKeys: events.filter(isBulkEvent).map((event) => event.id),
+    },
+    { newWindow }
+  );
+  return batch.commit();
+};
+
+/** true while `userId`'s rate window is less than 60 seconds old */
+const hasOpenRateWindow = async (userId) => {
+  let open = false;
+  await withRulesDisabled(async (context) => {
+    const snapshot = await rateLimitRef(context.firestore(), userId).get();
+    open = snapshot.exists && snapshot.get('windowStart').toMillis() + 60 * 1000 > Date.now();
+  });
+  return open;
+};
+
+/**
+ * Add the habit counter write the free-tier limit requires to `batch`: the
+ * count after this write (stored count + 1) with `habitId` as lastHabitId.
+ */
+const countHabit = (batch, db, userId, habitId, count) => {
+  batch.set(habitCountRef(db, userId), { count, lastHabitId: habitId, updatedAt: serverTimestamp() });
+};
+
+/** The stored habit count of `userId` (0 without a counter) */
+const storedHabitCount = async (userId) => {
+  let count = 0;
+  await withRulesDisabled(async (context) => {
+    const snapshot = await habitCountRef(context.firestore(), userId).get();
+    count = snapshot.exists ? snapshot.get('count') : 0;
+  });
+  return count;
+};
+
+/**
+ * Create a habit (or, with `update`, apply `data` as an update, e.g. a
+ * restore) the way the free-tier limit requires: batched with the owner's
+ * habit counter moved up by one. `count` defaults to the stored count + 1.
+ */
+const writeCountedHabit = async (db, userId, habitId, data, { update = false, count } = {}) => {
+  if (count === undefined) {
+    count = (await storedHabitCount(userId)) + 1;
+  }
+  const batch = db.batch();
+  const ref = db.collection('users').doc(userId).collection('habits').doc(habitId);
+  if (update) {
+    batch.update(ref, data);
+  } else {
+    batch.set(ref, data);
+  }
+  countHabit(batch, db, userId, habitId, count);
+  return batch.commit();
+};
+
+/**
+ * Write one completion the way the throttle requires: a set (or an update
+ * when `update`) batched with its key in the caller's rate window (`bulkIds`
+ * when `bulk`). `callerId` defaults to the owner in the path; `newWindow`
+ * defaults to opening one only when the caller has none open.
+ */
+const writeThrottledCompletion = async (
+  db,
+  ref,
+  data,
+  { update = false, bulk = false, newWindow, callerId = ref.path.split('/')[1] } = {}
+) => {
+  if (newWindow === undefined) {
+    newWindow = !(await hasOpenRateWindow(callerId));
+  }
+  const batch = db.batch();
+  if (update) {
+    batch.update(ref, data);
+  } else {
+    batch.set(ref, data);
+  }
+  const key = completionRateKey(ref, data);
+  addRateKeys(batch, db, callerId, bulk ? { bulkKeys: [key] } : { keys: [key] }, { newWindow });
+  return batch.commit();
+};
+
+module.exports = {
+  setupRulesEnv,
+  rulesEnv,
+  asUser,
+  asGuest,
+  storageAsUser,
+  storageAsGuest,
+  withRulesDisabled,
+  createHabitData,
+  createGoalVersionData,
+  createCompletionData,
+  createXPStateData,
+  createXPLedgerData,
+  createStreakData,
+  createDeviceData,
+  createSyncCompletionData,
+  createProgressEventData,
+  goalVersionRef,
+  completionRefFor,
+  xpLedgerRef,
+  partnerRef,
+  sharedHabitRef,
+  dailyAwardRef,
+  deviceRef,
+  syncCompletionRef,
+  progressEventRef,
+  rateLimitRef,
+  habitCountRef,
+  seedLiveHabit,
+  seedPartnership,
+  isBulkEvent,
+  registerDevice,
+  completionRateKey,
+  addRateKeys,
+  writeThrottledEvents,
+  writeThrottledCompletion,
+  countHabit,
+  writeCountedHabit,
+};
@@ -0,0 +1,186 @@
+/**
+ * Index coverage for the query catalog (firestore.queries.json).
+ *
+ * The emulator serves every query without indexes, so a query that needs a
+ * composite index only fails in production. This module works out which
+ * index each catalog query needs and compares that with firestore.indexes.json:
+ *
+ * - Queries that touch one field use the automatic single-field index, except
+ *   in collection-group scope, which needs a fieldOverrides entry.
+ * - Equality-only queries are served by merging single-field indexes.
+ * - Anything else needs a composite index: the equality fields (any order),
+ *   then the inequality field, then the orderBy fields with their directions.
+ *
+ * Queries marked `"expect": "deny"` can never run, so they need no index.
+ * Declared composite indexes and field overrides that no query needs are
+ * reported as unused.
+ */
+
+const EQUALITY_OPS = ['==', 'in', 'array-contains', 'array-contains-any'];
+const ARRAY_OPS = ['array-contains', 'array-contains-any'];
+
+const DIRECTIONS = { asc: 'ASCENDING', desc: 'DESCENDING' };
+
+/** Collection id the index is declared on: the last segment of the path */
+const collectionGroupOf = (query) =>
+  query.collectionGroup || query.collection.split('/').filter((segment, index) => index % 2 === 0).pop();
+
+const scopeOf = (query) => (query.collectionGroup ? 'COLLECTION_GROUP' : 'COLLECTION');
+
+const uniq = (values) => [...new Set(values)];
+
+/**
+ * The index a query needs:
+ *   { kind: 'none' } | { kind: 'single', fields: [{ fieldPath, order | arrayConfig }] }
+ *   | { kind: 'composite', equality: [...], ordered: [...] }
+ */
+const requiredIndex = (query) => {
+  const where = query.where || [];
+  const equality = uniq(where.filter(([, op]) => EQUALITY_OPS.includes(op)).map(([field]) => field));
+  const inequality = uniq(where.filter(([, op]) => !EQUALITY_OPS.includes(op)).map(([field]) => field));
+  const arrayFields = where.filter(([, op]) => ARRAY_OPS.includes(op)).map(([field]) => field);
+
+  let ordered = (query.orderBy || []).map(([fieldPath, direction = 'asc']) => ({
+    fieldPath,
+    order: DIRECTIONS[direction],
+  }));
+  // Firestore orders by the inequality field first when the query does not
+  if (inequality.length > 0 && (ordered.length === 0 || ordered[0].fieldPath !== inequality[0])) {
+    ordered = [{ fieldPath: inequality[0], order: 'ASCENDING' }, ...ordered];
+  }
+
+  const equalityFields = equality
+    .filter((field) => !ordered.some((entry) => entry.fieldPath === field))
+    .map((fieldPath) => (arrayFields.includes(fieldPath) ? { fieldPath, arrayConfig: 'CONTAINS' } : { fieldPath, order: 'ASCENDING' }));
+
+  const distinct = uniq([...equality, ...ordered.map((entry) => entry.fieldPath)]);
+  if (distinct.length === 0) {
+    return { kind: 'none' };
+  }
+  if (distinct.length === 1 || ordered.length === 0) {
+    return { kind: 'single', fields: ordered.length > 0 ? [ordered[0]] : equalityFields };
+  }
+  return { kind: 'composite', equality: equalityFields, ordered };
+};
+
+const sameField = (a, b) =>
+  a.fieldPath === b.fieldPath && (a.arrayConfig ? a.arrayConfig === b.arrayConfig : a.order === b.order);
+
+/** Does a declared composite index serve this requirement? */
+const compositeMatches = (index, group, scope, required) => {
+  if (index.collectionGroup !== group || (index.queryScope || 'COLLECTION') !== scope) {
+    return false;
+  }
+  const fields = index.fields || [];
+  if (fields.length !== required.equality.length + required.ordered.length) {
+    return false;
+  }
+  const head = fields.slice(0, required.equality.length);
+  const tail = fields.slice(required.equality.length);
+  const headMatches = required.equality.every((field) =>
+    head.some((entry) => entry.fieldPath === field.fieldPath && (!field.arrayConfig || entry.arrayConfig === field.arrayConfig))
+  );
+  return headMatches && tail.every((entry, i) => sameField(entry, required.ordered[i]));
+};
+
+/** Single-field index for `field` in `scope`, honouring any fieldOverrides entry */
+const singleFieldAvailable = (overrides, group, scope, field) => {
+  const override = overrides.find((entry) => entry.collectionGroup === group && entry.fieldPath === field.fieldPath);
+  if (!override) {
+    // Automatic single-field indexes exist in collection scope only
+    return scope === 'COLLECTION' ? { ok: true } : { ok: false };
+  }
+  const ok = (override.indexes || []).some(
+    (index) =>
+      (index.queryScope || 'COLLECTION') === scope &&
+      (field.arrayConfig ? index.arrayConfig === field.arrayConfig : index.order === field.order)
+  );
+  return { ok, override };
+};
+
+const describeIndex = (group, scope, fields) =>
+  `${group} (${scope}): ${fields.map((field) => `${field.fieldPath} ${field.arrayConfig || field.order}`).join(', ')}`;
+
+/**
+ * Compare a catalog with firestore.indexes.json.
+ * Returns { missing: [{ queryId, index }], unused: [description] }.
+ */
+const verifyIndexes = (catalog, indexConfig) => {
+  const indexes = indexConfig.indexes || [];
+  const overrides = indexConfig.fieldOverrides || [];
+  const usedIndexes = new Set();
+  const usedOverrides = new Set();
+  const missing = [];
+
+  catalog.queries
+    .filter((query) => query.expect !== 'deny')
+    .forEach((query) => {
+      const group = collectionGroupOf(query);
+      const scope = scopeOf(query);
+      const required = requiredIndex(query);
+
+      if (required.kind === 'single') {
+        required.fields.forEach((field) => {
+          const { ok, override } = singleFieldAvailable(overrides, group, scope, field);
+          if (override) {
+            usedOverrides.add(override);
+          }
+          if (!ok) {
+            missing.push({ queryId: query.id, index: `field override ${describeIndex(group, scope, [field])}` });
+          }
+        });
+      } else if (required.kind === 'composite') {
+        const match = indexes.find((index) => compositeMatches(index, group, scope, required));
+        if (match) {
+          usedIndexes.add(match);
+        } else {
+          missing.push({
+            queryId: query.id,
+            index: `composite ${describeIndex(group, scope, [...required.equality, ...required.ordered])}`,
+          });
+        }
+      }
+    });
+
+  const unused = [
+    ...indexes
+      .filter((index) => !usedIndexes.has(index))
+      .map((index) => `composite ${describeIndex(index.collectionGroup, index.queryScope || 'COLLECTION', index.fields || [])}`),
+    ...overrides
+      .filter((override) => !usedOverrides.has(override))
+      .map((override) => `field override ${override.collectionGroup}.${override.fieldPath}`),
+  ];
+
+  return { missing, unused };
+};
+
+/** Substitute {param} placeholders in catalog paths and filter values */
+const fillParams = (value, params) =>
+  typeof value === 'string' ? value.replace(/\{(\w+)\}/g, (whole, name) => (name in params ? params[name] : whole)) : value;
+
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+/** Build a catalog query on a Firestore instance (client compat or Admin SDK) */
+const buildQuery = (firestore, query, params) => {
+  let ref = query.collectionGroup
+    ? firestore.collectionGroup(query.collectionGroup)
+    : firestore.collection(fillParams(query.collection, params));
+  (query.where || []).forEach(([field, op, value]) => {
+    const filled = fillParams(value, params);
+    ref = ref.where(field, op, typeof filled === 'string' && ISO_TIMESTAMP.test(filled) ? new Date(filled) : filled);
+  });
+  (query.orderBy || []).forEach(([field, direction = 'asc']) => {
+    ref = ref.orderBy(field, direction);
+  });
+  if (query.limit) {
+    ref = ref.limit(query.limit);
+  }
+  return ref;
+};
+
+module.exports = {
+  collectionGroupOf,
+  requiredIndex,
+  verifyIndexes,
+  buildQuery,
+};
@@ -0,0 +1,204 @@
+/**
+ * Firestore rules coverage.
+ *
+ * The emulator records, per project, every value each rules expression
+ * evaluated to. This module pulls that report, merges it across the projects
+ * the suite loads rules into, maps every expression back to the innermost
+ * `match` block or `function` in firestore.rules, and flags expressions that
+ * were not seen both true and false.
+ *
+ * Report shape (GET /emulator/v1/projects/{projectId}:ruleCoverage):
+ *   { report: [{ sourcePosition: { line, column, currentOffset, endOffset },
+ *                values: [{ value: { boolValue: true }, count: 3 }],
+ *                children: [...] }] }
+ */
+
+/** Base project of the Tests/rules/ suite; each Jest worker loads the rules into its own `${base}-w{n}` */
+const WORKER_RULES_PROJECT = 'habitto-test';
+
+/** Other projects that load firestore.rules (other functions tests use the Admin SDK and bypass rules) */
+const RULES_PROJECTS = ['habitto-fuzz-test', 'habitto-goals-test', 'habitto-queries-test', 'habitto-entitlements-test', 'habitto-import-test'];
+
+/** Project id for the current Jest worker (JEST_WORKER_ID is 1-based; unset outside Jest) */
+const workerProjectId = (base, workerId = process.env.JEST_WORKER_ID || '1') => `${base}-w${workerId}`;
+
+/** Every project a run with `maxWorkers` workers may have loaded the rules into */
+const rulesProjects = (maxWorkers = 1) => [
+  ...Array.from({ length: Math.max(1, maxWorkers) }, (_, index) => workerProjectId(WORKER_RULES_PROJECT, index + 1)),
+  ...RULES_PROJECTS,
+];
+
+const fetchCoverage = async (projectId, host = process.env.FIRESTORE_EMULATOR_HOST || 'localhost:8080') => {
+  const url = `http://${host}/emulator/v1/projects/${projectId}:ruleCoverage`;
+  const response = await fetch(url).catch((error) => {
+    throw new Error(`Could not reach the Firestore emulator at ${host} for rule coverage (${error.message})`);
+  });
+  if (!response.ok) {
+    throw new Error(`Rule coverage request for ${projectId} failed: HTTP ${response.status}`);
+  }
+  return response.json();
+};
+
+/**
+ * `match` blocks and `function`s with their line spans, outermost first.
+ * Brace counting is enough once path wildcards ({userId}, {path=**}) are
+ * stripped from `match` lines; the rules hold no other literal braces.
+ */
+const parseBlocks = (source) => {
+  const blocks = [];
+  const open = [];
+  source.split('\n').forEach((text, index) => {
+    const line = index + 1;
+    const match = text.match(/^\s*match\s+(\S+)\s*\{/);
+    const fn = text.match(/^\s*function\s+(\w+)\s*\(/);
+    const code = (match ? text.replace(match[1], '') : text).replace(/\/\/.*$/, '');
+
+    if (match || fn) {
+      const block = match
+        ? { kind: 'match', name: match[1], startLine: line, endLine: null }
+        : { kind: 'function', name: fn[1], startLine: line, endLine: null };
+      blocks.push(block);
+      open.push({ block, depth: 0 });
+    }
+
+    for (const char of code) {
+      if (char === '{') {
+        open.forEach((entry) => { entry.depth += 1; });
+      } else if (char === '}') {
+        open.forEach((entry) => { entry.depth -= 1; });
+        while (open.length > 0 && open[open.length - 1].depth === 0) {
+          open.pop().block.endLine = line;
+        }
+      }
+    }
+  });
+  return blocks;
+};
+
+const positionKey = ({ line, column }) => `${line}:${column}`;
+
+/** Depth-first list of expression nodes, skipping children of never-evaluated nodes */
+const flattenReport = (nodes, out = []) => {
+  nodes.forEach((node) => {
+    out.push(node);
+    if (node.children && (node.values || []).length > 0) {
+      flattenReport(node.children, out);
+    }
+  });
+  return out;
+};
+
+/** Merge per-project reports into one entry per source position */
+const mergeReports = (reports) => {
+  const merged = new Map();
+  reports.forEach((report) => {
+    flattenReport(report.report || []).forEach((node) => {
+      const key = positionKey(node.sourcePosition);
+      if (!merged.has(key)) {
+        merged.set(key, { sourcePosition: node.sourcePosition, values: new Set(), evaluated: false });
+      }
+      const entry = merged.get(key);
+      (node.values || []).forEach(({ value }) => {
+        entry.evaluated = true;
+        if (value && typeof value.boolValue === 'boolean') {
+          entry.values.add(value.boolValue);
+        } else {
+          entry.values.add('non-bool');
+        }
+      });
+    });
+  });
+  return merged;
+};
+
+/**
+ * An expression is covered when it was seen both true and false. Expressions
+ * that only ever produced non-boolean values (paths, field reads) are
+ * operands, not conditions, and are not counted.
+ */
+const classify = (entry) => {
+  if (!entry.evaluated) {
+    return 'never_evaluated';
+  }
+  const sawTrue = entry.values.has(true);
+  const sawFalse = entry.values.has(false);
+  if (!sawTrue && !sawFalse) {
+    return 'operand';
+  }
+  if (sawTrue && sawFalse) {
+    return 'covered';
+  }
+  return sawTrue ? 'only_true' : 'only_false';
+};
+
+const snippet = (source, { currentOffset, endOffset }) =>
+  Number.isInteger(currentOffset) && Number.isInteger(endOffset)
+    ? source.slice(currentOffset, endOffset).replace(/\s+/g, ' ').slice(0, 200)
+    : null;
+
+/**
+ * Build the machine-readable summary written after a run.
+ * `uncovered` lists every only_true / only_false / never_evaluated expression.
+ */
+const summarize = (source, reports, { projects = [] } = {}) => {
+  const blocks = parseBlocks(source).map((block) => ({ ...block, expressions: 0, covered: 0, uncovered: [] }));
+  const outside = { kind: 'file', name: '(top level)', startLine: 1, endLine: null, expressions: 0, covered: 0, uncovered: [] };
+
+  const innermost = (line) =>
+    blocks
+      .filter((block) => block.startLine <= line && line <= block.endLine)
+      .reduce((best, block) => (!best || block.startLine >= best.startLine ? block : best), null) || outside;
+
+  mergeReports(reports).forEach((entry) => {
+    const status = classify(entry);
+    if (status === 'operand') {
+      return;
+    }
+    const block = innermost(entry.sourcePosition.line);
+    block.expressions += 1;
+    if (status === 'covered') {
+      block.covered += 1;
+    } else {
+      block.uncovered.push({
+        line: entry.sourcePosition.line,
+        column: entry.sourcePosition.column,
+        status,
+        expression: snippet(source, entry.sourcePosition),
+      });
+    }
+  });
+
+  const all = [...blocks, outside].filter((block) => block.expressions > 0);
+  all.forEach((block) => block.uncovered.sort((a, b) => a.line - b.line || a.column - b.column));
+
+  const expressions = all.reduce((sum, block) => sum + block.expressions, 0);
+  const covered = all.reduce((sum, block) => sum + block.covered, 0);
+  return {
+    generatedAt: new Date().toISOString(),
+    projects,
+    totals: { expressions, covered, uncovered: expressions - covered },
+    blocks: all,
+  };
+};
+
+/** Human-readable failure lines, one per uncovered expression */
+const formatUncovered = (summary) =>
+  summary.blocks.flatMap((block) =>
+    block.uncovered.map(
+      (item) => `  firestore.rules:${item.line}:${item.column} [${block.kind} ${block.name}] ${item.status}: ${item.expression || ''}`
+    )
+  );
+
+module.exports = {
+  WORKER_RULES_PROJECT,
+  RULES_PROJECTS,
+  workerProjectId,
+  rulesProjects,
+  fetchCoverage,
+  parseBlocks,
+  flattenReport,
+  mergeReports,
+  classify,
+  summarize,
+  formatUncovered,
+};
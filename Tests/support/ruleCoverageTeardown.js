@@ -0,0 +1,40 @@
+/**
+ * Jest globalTeardown: rules coverage gate.
+ *
+ * Enabled by RULES_COVERAGE_GATE=1 (set by `npm test`) so running a single
+ * test file with `npx jest <file>` doesn't fail on partial coverage. Writes
+ * coverage/firestore-rules-coverage.json, then fails the run if any rules
+ * expression was not evaluated both true and false.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { rulesProjects, fetchCoverage, summarize, formatUncovered } = require('./ruleCoverage');
+
+const ROOT = path.join(__dirname, '../..');
+const SUMMARY_PATH = path.join(ROOT, 'coverage/firestore-rules-coverage.json');
+
+module.exports = async (globalConfig) => {
+  if (process.env.RULES_COVERAGE_GATE !== '1') {
+    return;
+  }
+
+  const source = fs.readFileSync(path.join(ROOT, 'firestore.rules'), 'utf8');
+  // Workers that never ran a Tests/rules/ file leave an empty report behind
+  const projects = rulesProjects(globalConfig.maxWorkers);
+  const reports = await Promise.all(projects.map((projectId) => fetchCoverage(projectId)));
+  const summary = summarize(source, reports, { projects });
+
+  fs.mkdirSync(path.dirname(SUMMARY_PATH), { recursive: true });
+  fs.writeFileSync(SUMMARY_PATH, `${JSON.stringify(summary, null, 2)}\n`);
+
+  const { expressions, covered, uncovered } = summary.totals;
+  console.log(`\nRules coverage: ${covered}/${expressions} expressions seen true and false ` +
+    `(${path.relative(ROOT, SUMMARY_PATH)})`);
+
+  if (uncovered > 0) {
+    throw new Error(`${uncovered} firestore.rules expression(s) not evaluated both ways:\n` +
+      `${formatUncovered(summary).join('\n')}`);
+  }
+};
@@ -0,0 +1,357 @@
+/**
+ * Field-level description of every document shape validated by firestore.rules.
+ *
+ * Each collection lists one or more `variants`: flat field maps the rules
+ * accept on create. Where the rules accept alternatives (simple vs sync habit
+ * schema, dateKey vs date on daily awards, timestamp vs ts on ledger entries)
+ * each alternative is its own variant, so any single-field mutation of a
+ * variant is expected to be denied.
+ *
+ * Field specs and the variants of the collections production code also
+ * checks (habits, completions, daily awards) come from
+ * Scripts/lib/documentSchema.js, which documents the field options.
+ *
+ * A collection may define `derive(data, ctx, rng)` to make cross-field
+ * constraints hold (e.g. a progress event's day window) after the fields are
+ * generated independently, and `write(db, ctx, data)` when the rules only
+ * accept the document together with companion writes (e.g. the write
+ * throttle's rate window, or the habit a completion references).
+ *
+ * Collections marked `serverOnly` are written by Cloud Functions through the
+ * Admin SDK; for those even a valid document must be denied to clients.
+ */
+
+const firebase = require('firebase/compat/app');
+require('firebase/compat/firestore');
+
+const {
+  string, int, bool, timestamp, dateKey, oneOf, map, optional, nullable, HABIT_TYPES, VARIANTS,
+} = require('../../Scripts/lib/documentSchema');
+
+const EVENT_TYPES = [
+  'INCREMENT', 'DECREMENT', 'SET', 'TOGGLE_COMPLETE',
+  'SYSTEM_RESET', 'BULK_ADJUST', 'BACKFILL', 'SYNC_IMPORT',
+];
+
+const MIGRATION_STATUSES = [
+  'not_started', 'running', 'paused', 'completed', 'complete', 'failed', 'cancelled',
+];
+
+const BULK_EVENT_TYPES = ['BACKFILL', 'SYNC_IMPORT'];
+
+/** LanguageView's languages */
+const LOCALES = ['en', 'ko', 'ja', 'nl', 'de', 'zh', 'th'];
+
+const DATE_FORMATS = ['dayMonthYear', 'monthDayYear', 'yearMonthDay'];
+
+/** Sample of valid TimeZone identifiers; the rules check the shape, not the tz database */
+const TIME_ZONES = [
+  'UTC', 'Europe/Amsterdam', 'America/New_York', 'America/Argentina/Buenos_Aires',
+  'Asia/Seoul', 'Pacific/Kiritimati', 'Etc/GMT+12', 'America/Port-au-Prince',
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const userDoc = (db, ctx) => db.collection('users').doc(ctx.userId);
+
+/** Count a new live habit ctx.habitId in the (empty) user's habit counter, as countsHabit requires */
+const countHabit = (batch, db, ctx) => {
+  batch.set(userDoc(db, ctx).collection('meta').doc('habit_count'), {
+    count: 1,
+    lastHabitId: ctx.habitId,
+    updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+  });
+};
+
+/** Batch the child document with a live habit ctx.habitId for it to reference */
+const withHabit = (name, { throttled = false } = {}) => (db, ctx, data) => {
+  const batch = db.batch();
+  const ref = collections[name].ref(db, ctx);
+  batch.set(userDoc(db, ctx).collection('habits').doc(ctx.habitId), {
+    name: 'Fuzz habit',
+    color: 'green500',
+    type: 'formation',
+    active: true,
+    createdAt: new Date(),
+  });
+  countHabit(batch, db, ctx);
+  batch.set(ref, data);
+  if (throttled) {
+    batch.set(userDoc(db, ctx).collection('rate_limits').doc('writes'), {
+      windowStart: firebase.firestore.FieldValue.serverTimestamp(),
+      ids: data.updatedAt instanceof Date ? { [completionRateKey(ref, data.updatedAt)]: true } : {},
+      bulkIds: {},
+    });
+  }
+  return batch.commit();
+};
+
+/** Write-throttle key of a completion write (`{date}_{habitId}` or `{recordId}`, then `@{updatedAt ms}`) */
+const completionRateKey = (ref, updatedAt) => {
+  const [, , , parent, kind, id] = ref.path.split('/');
+  return `${kind === 'habits' ? `${parent}_${id}` : id}@${updatedAt.getTime()}`;
+};
+
+const ledgerFields = {
+  delta: int(1),
+  reason: string(1, 500),
+};
+
+const collections = {
+  profile: {
+    ref: (db, ctx) => userDoc(db, ctx),
+    variants: {
+      default: {
+        displayName: optional(nullable(string(1, 50))),
+        timezoneIdentifier: oneOf(TIME_ZONES),
+        locale: oneOf(LOCALES),
+        firstWeekday: int(1, { max: 7 }),
+        dateFormat: optional(oneOf(DATE_FORMATS)),
+        planReminderEnabled: optional(bool()),
+        planReminderMinutes: optional(int(0, { max: 1439 })),
+        completionReminderEnabled: optional(bool()),
+        completionReminderMinutes: optional(int(0, { max: 1439 })),
+        habitReminderEnabled: optional(bool()),
+        createdAt: timestamp(),
+        updatedAt: timestamp(),
+      },
+    },
+  },
+
+  habits: {
+    ref: (db, ctx) => userDoc(db, ctx).collection('habits').doc(ctx.habitId),
+    // Only a live habit is counted; one created soft-deleted is not
+    write: (db, ctx, data) => {
+      const batch = db.batch();
+      batch.set(collections.habits.ref(db, ctx), data);
+      if (data.deletedAt == null) {
+        countHabit(batch, db, ctx);
+      }
+      return batch.commit();
+    },
+    variants: VARIANTS.habits,
+  },
+
+  goalVersions: {
+    ref: (db, ctx) =>
+      userDoc(db, ctx)
+        .collection('goalVersions')
+        .doc(ctx.habitId)
+        .collection('versions')
+        .doc(ctx.dateKey),
+    variants: {
+      default: {
+        habitId: string(1, 100, { from: 'habitId', bound: true }),
+        effectiveLocalDate: dateKey({ from: 'dateKey', bound: true }),
+        goal: int(0),
+        createdAt: timestamp(),
+      },
+    },
+    write: withHabit('goalVersions'),
+  },
+
+  completions: {
+    ref: (db, ctx) =>
+      userDoc(db, ctx)
+        .collection('completions')
+        .doc(ctx.dateKey)
+        .collection('habits')
+        .doc(ctx.habitId),
+    variants: {
+      default: {
+        count: int(0),
+        updatedAt: timestamp(),
+      },
+    },
+    write: withHabit('completions', { throttled: true }),
+  },
+
+  syncCompletions: {
+    ref: (db, ctx) =>
+      userDoc(db, ctx)
+        .collection('completions')
+        .doc(ctx.yearMonth)
+        .collection('completions')
+        .doc(ctx.docId),
+    variants: VARIANTS.syncCompletions,
+    write: withHabit('syncCompletions', { throttled: true }),
+  },
+
+  legacyCompletionRecords: {
+    ref: (db, ctx) =>
+      userDoc(db, ctx)
+        .collection('completions')
+        .doc(ctx.yearMonth)
+        .collection('records')
+        .doc(ctx.docId),
+    variants: VARIANTS.syncCompletions,
+    write: withHabit('legacyCompletionRecords', { throttled: true }),
+  },
+
+  progressEvents: {
+    ref: (db, ctx) =>
+      userDoc(db, ctx)
+        .collection('events')
+        .doc(ctx.yearMonth)
+        .collection('events')
+        .doc(ctx.docId),
+    variants: {
+      default: {
+        id: string(1, 200, { from: 'docId' }),
+        habitId: string(1, 100, { from: 'habitId' }),
+        dateKey: dateKey({ from: 'dateKey' }),
+        eventType: oneOf(EVENT_TYPES),
+        progressDelta: int(),
+        createdAt: timestamp(),
+        occurredAt: timestamp(),
+        utcDayStart: timestamp(),
+        utcDayEnd: timestamp(),
+        deviceId: string(1, 200, { from: 'deviceId' }),
+        userId: string(1, 128, { from: 'userId', bound: true }),
+        timezoneIdentifier: string(1, 100),
+        operationId: string(1, 200),
+        syncVersion: int(0),
+        isRemote: bool(),
+        note: optional(string(0, 2000)),
+        metadata: optional(string(0, 5000)),
+        deletedAt: optional(nullable(timestamp())),
+      },
+    },
+    // UTC-day window for ctx.dateKey with occurredAt inside it
+    derive: (data, ctx, rng) => {
+      const start = Date.parse(`${ctx.dateKey}T00:00:00.000Z`);
+      return {
+        ...data,
+        utcDayStart: new Date(start),
+        utcDayEnd: new Date(start + DAY_MS - 1),
+        occurredAt: new Date(start + rng.int(0, DAY_MS - 1)),
+      };
+    },
+    // Event plus its registered device and a fresh rate window naming it, in one batch
+    write: (db, ctx, data) => {
+      const batch = db.batch();
+      const bucket = BULK_EVENT_TYPES.includes(data.eventType) ? 'bulkIds' : 'ids';
+      batch.set(collections.progressEvents.ref(db, ctx), data);
+      batch.set(collections.devices.ref(db, ctx), {
+        id: ctx.deviceId,
+        deviceName: 'Fuzz device',
+        deviceModel: 'iPhone',
+        appVersion: '1.0.0',
+        lastLogin: new Date(),
+        createdAt: new Date(),
+      });
+      batch.set(userDoc(db, ctx).collection('rate_limits').doc('writes'), {
+        windowStart: firebase.firestore.FieldValue.serverTimestamp(),
+        ids: {},
+        bulkIds: {},
+        [bucket]: { [ctx.docId]: true },
+      });
+      return batch.commit();
+    },
+  },
+
+  dailyAwards: {
+    ref: (db, ctx) => userDoc(db, ctx).collection('daily_awards').doc(ctx.awardDocId),
+    variants: VARIANTS.dailyAwards,
+  },
+
+  xpState: {
+    serverOnly: true,
+    ref: (db, ctx) => userDoc(db, ctx).collection('xp').doc('state'),
+    variants: {
+      default: {
+        totalXP: int(0),
+        level: int(1),
+        currentLevelXP: int(0),
+        lastUpdated: timestamp(),
+      },
+    },
+  },
+
+  xpLedgerEntries: {
+    ref: (db, ctx) =>
+      userDoc(db, ctx)
+        .collection('xp')
+        .doc('ledger')
+        .collection('entries')
+        .doc(ctx.docId),
+    variants: {
+      timestamp: { ...ledgerFields, timestamp: timestamp() },
+      ts: { ...ledgerFields, ts: timestamp() },
+    },
+  },
+
+  xpLedger: {
+    serverOnly: true,
+    ref: (db, ctx) => userDoc(db, ctx).collection('xp_ledger').doc(ctx.docId),
+    variants: {
+      timestamp: { ...ledgerFields, timestamp: timestamp() },
+      ts: { ...ledgerFields, ts: timestamp() },
+    },
+  },
+
+  streaks: {
+    ref: (db, ctx) => userDoc(db, ctx).collection('streaks').doc(ctx.habitId),
+    variants: {
+      default: {
+        longest: int(0),
+        current: int(0, { atMost: 'longest' }),
+        updatedAt: timestamp(),
+        lastCompletionDate: optional(nullable(dateKey({ past: true }))),
+      },
+    },
+    write: withHabit('streaks'),
+  },
+
+  migration: {
+    ref: (db, ctx) => userDoc(db, ctx).collection('meta').doc('migration'),
+    variants: {
+      default: {
+        status: oneOf(MIGRATION_STATUSES),
+        itemsProcessed: optional(int(0)),
+        totalItems: optional(nullable(int(0))),
+        version: optional(string(1, 50)),
+        error: optional(nullable(string(0, 2000))),
+        lastItemKey: optional(nullable(string(0, 500))),
+        lastKey: optional(nullable(string(0, 500))),
+        startedAt: optional(nullable(timestamp())),
+        finishedAt: optional(nullable(timestamp())),
+        metadata: optional(map()),
+      },
+    },
+  },
+
+  xpMigration: {
+    ref: (db, ctx) => userDoc(db, ctx).collection('meta').doc('xp_migration'),
+    variants: {
+      default: {
+        status: oneOf(['complete']),
+        completedAt: timestamp(),
+        version: string(1, 50),
+      },
+    },
+  },
+
+  devices: {
+    ref: (db, ctx) => userDoc(db, ctx).collection('devices').doc(ctx.deviceId),
+    variants: {
+      default: {
+        id: string(1, 200, { from: 'deviceId', bound: true }),
+        deviceName: string(1, 100),
+        deviceModel: string(1, 100),
+        appVersion: string(1, 50),
+        lastLogin: timestamp(),
+        createdAt: timestamp(),
+      },
+    },
+  },
+};
+
+module.exports = {
+  collections,
+  HABIT_TYPES,
+  EVENT_TYPES,
+  MIGRATION_STATUSES,
+  LOCALES,
+  TIME_ZONES,
+};
@@ -0,0 +1,123 @@
+/**
+ * Admin-side fixture: one document in every collection firestore.rules
+ * defines under /users/{uid}, covering both habit schemas and all three
+ * completion paths. Writes bypass the rules (Admin SDK or a rules-disabled
+ * context), so shapes here only need to match what the app stores.
+ */
+
+const SEED_DATE = new Date('2025-10-15T08:30:00.000Z');
+
+const userTreeDocuments = (db, uid, now = SEED_DATE) => {
+  const user = db.collection('users').doc(uid);
+  return [
+    [user, { displayName: 'Seed User' }],
+    [
+      user.collection('habits').doc('habit1'),
+      { name: 'Run', color: 'green500', type: 'formation', createdAt: now, active: true },
+    ],
+    [
+      user.collection('habits').doc('habit2'),
+      { name: 'Read', habitType: 'Habit Building', createdAt: now, isActive: true, goal: '1' },
+    ],
+    [
+      user.collection('goalVersions').doc('habit1').collection('versions').doc('2025-10-15'),
+      { habitId: 'habit1', effectiveLocalDate: '2025-10-15', goal: 2, createdAt: now },
+    ],
+    [
+      user.collection('completions').doc('2025-10-15').collection('habits').doc('habit1'),
+      { count: 1, updatedAt: now },
+    ],
+    [
+      user.collection('completions').doc('2025-10').collection('completions').doc('comp_habit2_2025-10-15'),
+      {
+        habitId: 'habit2',
+        dateKey: '2025-10-15',
+        isCompleted: true,
+        progress: 1,
+        createdAt: now,
+        updatedAt: now,
+        userId: uid,
+      },
+    ],
+    [
+      user.collection('completions').doc('2025-10').collection('records').doc('comp_habit2_2025-10-14'),
+      {
+        habitId: 'habit2',
+        dateKey: '2025-10-14',
+        isCompleted: false,
+        progress: 0,
+        createdAt: now,
+        updatedAt: now,
+      },
+    ],
+    [
+      user.collection('events').doc('2025-10').collection('events').doc('evt1'),
+      {
+        id: 'evt1',
+        habitId: 'habit2',
+        dateKey: '2025-10-15',
+        eventType: 'INCREMENT',
+        progressDelta: 1,
+        createdAt: now,
+        occurredAt: now,
+        utcDayStart: new Date('2025-10-14T15:00:00.000Z'),
+        utcDayEnd: new Date('2025-10-15T14:59:59.999Z'),
+        deviceId: 'device1',
+        userId: uid,
+        timezoneIdentifier: 'Asia/Seoul',
+        operationId: 'device1_op1',
+        syncVersion: 1,
+        isRemote: false,
+      },
+    ],
+    [
+      user.collection('daily_awards').doc(`${uid}#2025-10-15`),
+      { userId: uid, dateKey: '2025-10-15', xpGranted: 50, allHabitsCompleted: true, createdAt: now },
+    ],
+    [user.collection('xp').doc('state'), { totalXP: 60, level: 1, currentLevelXP: 60, lastUpdated: now }],
+    [
+      user.collection('xp').doc('ledger').collection('entries').doc('entry1'),
+      { delta: 10, reason: 'Legacy award', timestamp: now },
+    ],
+    [user.collection('xp_ledger').doc('evt-award-1'), { delta: 50, reason: 'Daily award', ts: now, dateKey: '2025-10-15' }],
+    [
+      user.collection('streaks').doc('habit1'),
+      { current: 1, longest: 3, lastCompletionDate: '2025-10-15', updatedAt: now },
+    ],
+    [user.collection('meta').doc('migration'), { status: 'complete', finishedAt: now }],
+    [user.collection('meta').doc('xp_migration'), { status: 'complete', completedAt: now, version: '1.0' }],
+    [user.collection('meta').doc('habit_count'), { count: 2, lastHabitId: 'habit2', updatedAt: now }],
+    [
+      user.collection('entitlements').doc('premium'),
+      {
+        productId: 'com.chloe_lee.Habitto.subscription.lifetime',
+        originalTransactionId: `otx-${uid}`,
+        status: 'active',
+        expiresAt: null,
+        graceUntil: null,
+        environment: 'Stub',
+        verifiedAt: now,
+      },
+    ],
+    [
+      user.collection('devices').doc('device1'),
+      {
+        id: 'device1',
+        deviceName: 'iPhone',
+        deviceModel: 'iPhone 15',
+        appVersion: '1.2.3',
+        lastLogin: now,
+        createdAt: now,
+      },
+    ],
+  ];
+};
+
+/** Write the fixture; returns the number of documents written */
+const seedUserTree = async (db, uid, now = SEED_DATE) => {
+  const writes = userTreeDocuments(db, uid, now);
+  await Promise.all(writes.map(([ref, data]) => ref.set(data)));
+  return writes.length;
+};
+
+module.exports = { SEED_DATE, userTreeDocuments, seedUserTree };
@@ -92,6 +92,9 @@ struct AccountView: View {
     .sheet(isPresented: $showingDataPrivacy) {
       DataPrivacyView()
     }
+    .sheet(isPresented: $showingSupportAccess) {
+      SupportAccessView()
+    }
     .sheet(isPresented: $showingPhotoOptions) {
       PhotoOptionsBottomSheet(
         onClose: {
@@ -257,6 +260,7 @@ struct AccountView: View {
 
   // State variables for showing different screens
   @State private var showingDataPrivacy = false
+  @State private var showingSupportAccess = false
   @State private var showingSignOutAlert = false
   @State private var showingDeleteAccountAlert = false
   @State private var isDeletingAccount = false
@@ -530,6 +534,16 @@ struct AccountView: View {
       }
       .padding(.horizontal, 20)
       .padding(.vertical, 16)
+
+      // Support access Row
+      accountRow(
+        icon: "lifepreserver",
+        title: "Support access",
+        value: nil,
+        hasChevron: true,
+        action: {
+          showingSupportAccess = true
+        })
     }
     .background(Color("appSurface02Variant"))
     .clipShape(RoundedRectangle(cornerRadius: 24))
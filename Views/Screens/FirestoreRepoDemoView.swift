@@ -449,8 +449,12 @@ struct FirestoreRepoDemoView: View {
       // Update streak
       try await repository.updateStreak(habitId: habitId, localDate: selectedDate, completed: true)
       
-      // Award XP
-      try await repository.awardXP(delta: 10, reason: "Completed \(habit.name) on \(selectedDate)")
+      // Award the daily bonus; the server refuses it until every due habit is done that day
+      do {
+        try await repository.awardXP(dateKey: selectedDate, reason: "Completed \(habit.name) on \(selectedDate)")
+      } catch where XPServerService.isNotEarned(error) {
+        print("ℹ️ FirestoreRepoDemoView: \(selectedDate) not earned yet")
+      }
       
     } catch {
       errorMessage = error.localizedDescription
@@ -351,9 +351,9 @@ class HomeViewState: ObservableObject {
           print("♻️ [RESTORE] Habit wasn't soft-deleted yet (delete in progress)")
         }
         
-        // Re-upload to Firestore (habit was hard-deleted during soft-delete)
+        // Restore the soft-deleted Firestore copy and re-upload the habit
         print("♻️ [RESTORE] Re-uploading to Firestore...")
-        FirebaseBackupService.shared.backupHabit(habit)
+        FirebaseBackupService.shared.backupHabit(habit, restoring: true)
         
       } else {
         print("⚠️ [RESTORE] Habit not found in SwiftData")
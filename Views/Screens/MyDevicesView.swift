@@ -96,7 +96,7 @@ struct MyDevicesView: View {
         }
       } message: {
         if let device = deviceToDelete {
-          Text("Are you sure you want to remove \"\(device.deviceName)\"? This device will no longer be able to sync.")
+          Text("Are you sure you want to remove \"\(device.deviceName)\"? This device will no longer be able to sync, and you will need to sign in again on your other devices.")
         }
       }
     }
@@ -116,7 +116,7 @@ struct MyDevicesView: View {
   }
   
   private var otherDevices: [UserDevice] {
-    devices.filter { !$0.isCurrentDevice }
+    devices.filter { !$0.isCurrentDevice && !$0.revoked }
   }
   
   // MARK: - Content Views
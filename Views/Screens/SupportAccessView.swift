@@ -0,0 +1,310 @@
+import SwiftUI
+import FirebaseAuth
+
+// MARK: - SupportAccessView
+
+/// Approve a support agent to read your data for one ticket, and revoke it
+struct SupportAccessView: View {
+  // MARK: Internal
+
+  @Environment(\.dismiss) private var dismiss
+
+  @State private var grants: [SupportGrant] = []
+  @State private var isLoading = true
+  @State private var isSubmitting = false
+  @State private var errorMessage: String?
+  @State private var supportUid = ""
+  @State private var ticketId = ""
+  @State private var hours = 24
+  @State private var grantToRevoke: SupportGrant?
+  @State private var showingRevokeConfirmation = false
+
+  var body: some View {
+    NavigationView {
+      ZStack {
+        // Background
+        Color("appSurface01Variant02")
+          .ignoresSafeArea(.all)
+
+        if isLoading {
+          ProgressView()
+            .scaleEffect(1.2)
+        } else if !isAuthenticated {
+          guestPromptView
+        } else {
+          contentView
+        }
+      }
+      .navigationTitle("Support access")
+      .navigationBarTitleDisplayMode(.inline)
+      .navigationBarBackButtonHidden(true)
+      .toolbar {
+        ToolbarItem(placement: .navigationBarLeading) {
+          Button(action: {
+            dismiss()
+          }) {
+            Image(systemName: "chevron.left")
+              .font(.system(size: 14, weight: .heavy))
+              .foregroundColor(.appInverseSurface70)
+              .foregroundColor(.text01)
+          }
+        }
+      }
+      .onAppear {
+        loadGrants()
+      }
+      .alert("Revoke Access", isPresented: $showingRevokeConfirmation) {
+        Button("Cancel", role: .cancel) {
+          grantToRevoke = nil
+        }
+        Button("Revoke", role: .destructive) {
+          if let grant = grantToRevoke {
+            revokeGrant(grant)
+          }
+        }
+      } message: {
+        if let grant = grantToRevoke {
+          Text("Support will no longer be able to read your data for ticket \(grant.ticketId).")
+        }
+      }
+    }
+  }
+
+  // MARK: Private
+
+  private var isAuthenticated: Bool {
+    guard let currentUser = Auth.auth().currentUser else {
+      return false
+    }
+    return !CurrentUser.isGuestId(currentUser.uid)
+  }
+
+  private var canApprove: Bool {
+    !isSubmitting
+      && !supportUid.trimmingCharacters(in: .whitespaces).isEmpty
+      && !ticketId.trimmingCharacters(in: .whitespaces).isEmpty
+  }
+
+  // MARK: - Content Views
+
+  private var contentView: some View {
+    ScrollView {
+      VStack(alignment: .leading, spacing: 24) {
+        Text("Only approve a request you started. Support can read, but never change, your habits and settings until the access expires or you revoke it.")
+          .font(.system(size: 14, weight: .regular))
+          .foregroundColor(.text04)
+          .padding(.horizontal, 12)
+
+        if let error = errorMessage {
+          Text(error)
+            .font(.system(size: 14, weight: .medium))
+            .foregroundColor(.red600)
+            .padding(.horizontal, 12)
+        }
+
+        approveSection
+        grantsSection
+      }
+      .padding(.horizontal, 20)
+      .padding(.top, 20)
+      .padding(.bottom, 40)
+    }
+  }
+
+  private var approveSection: some View {
+    VStack(alignment: .leading, spacing: 12) {
+      Text("Approve a request")
+        .font(.system(size: 14, weight: .semibold))
+        .foregroundColor(.text06)
+        .padding(.horizontal, 12)
+
+      VStack(spacing: 12) {
+        inputField("Support ID", text: $supportUid)
+        inputField("Ticket number", text: $ticketId)
+
+        Stepper(value: $hours, in: 1 ... SupportAccessService.maxHours) {
+          Text("For \(hours) hours")
+            .font(.system(size: 16, weight: .medium))
+            .foregroundColor(.text01)
+        }
+
+        HabittoButton(
+          size: .large,
+          style: .fillPrimary,
+          content: .text(isSubmitting ? "Approving..." : "Approve"),
+          state: canApprove ? .default : .disabled)
+        {
+          approveGrant()
+        }
+      }
+      .padding(.horizontal, 20)
+      .padding(.vertical, 16)
+      .background(.primaryContainer02)
+      .clipShape(RoundedRectangle(cornerRadius: 24))
+    }
+  }
+
+  private var grantsSection: some View {
+    VStack(alignment: .leading, spacing: 12) {
+      Text("Approved requests")
+        .font(.system(size: 14, weight: .semibold))
+        .foregroundColor(.text06)
+        .padding(.horizontal, 12)
+
+      if grants.isEmpty {
+        Text("You have not approved any support requests")
+          .font(.system(size: 14, weight: .regular))
+          .foregroundColor(.text04)
+          .frame(maxWidth: .infinity)
+          .padding(.vertical, 24)
+          .background(.primaryContainer02)
+          .clipShape(RoundedRectangle(cornerRadius: 24))
+      } else {
+        ForEach(grants) { grant in
+          grantCard(grant)
+        }
+      }
+    }
+  }
+
+  private func grantCard(_ grant: SupportGrant) -> some View {
+    HStack(spacing: 12) {
+      VStack(alignment: .leading, spacing: 4) {
+        Text("Ticket \(grant.ticketId)")
+          .font(.system(size: 16, weight: .medium))
+          .foregroundColor(.text01)
+
+        Text(statusText(grant))
+          .font(.system(size: 12, weight: .regular))
+          .foregroundColor(.text05)
+      }
+
+      Spacer()
+
+      if grant.isActive {
+        Button(action: {
+          grantToRevoke = grant
+          showingRevokeConfirmation = true
+        }) {
+          Text("Revoke")
+            .font(.system(size: 14, weight: .medium))
+            .foregroundColor(.red600)
+        }
+      }
+    }
+    .padding(.horizontal, 20)
+    .padding(.vertical, 16)
+    .background(.primaryContainer02)
+    .clipShape(RoundedRectangle(cornerRadius: 24))
+  }
+
+  private func inputField(_ title: String, text: Binding<String>) -> some View {
+    TextField(title, text: text)
+      .font(.system(size: 16, weight: .regular))
+      .foregroundColor(.text01)
+      .textInputAutocapitalization(.never)
+      .autocorrectionDisabled()
+      .padding(.horizontal, 16)
+      .padding(.vertical, 12)
+      .background(
+        RoundedRectangle(cornerRadius: 12)
+          .fill(Color.surface)
+          .stroke(Color.outline3, lineWidth: 1))
+  }
+
+  private func statusText(_ grant: SupportGrant) -> String {
+    if grant.isActive, let expiresAt = grant.expiresAt {
+      return "Active until \(expiresAt.formatted(date: .abbreviated, time: .shortened))"
+    }
+    if let revokedAt = grant.revokedAt, grant.status == "revoked" {
+      return "Revoked \(DateUtilities.shared.relativeString(for: revokedAt))"
+    }
+    return "Expired"
+  }
+
+  private var guestPromptView: some View {
+    VStack(spacing: 16) {
+      Image(systemName: "person.circle")
+        .font(.system(size: 48))
+        .foregroundColor(.text04)
+
+      Text("Sign in to share your data with support")
+        .font(.system(size: 16, weight: .medium))
+        .foregroundColor(.text01)
+        .multilineTextAlignment(.center)
+        .padding(.horizontal, 40)
+    }
+    .frame(maxWidth: .infinity, maxHeight: .infinity)
+  }
+
+  // MARK: - Actions
+
+  private func loadGrants() {
+    guard isAuthenticated, let userId = Auth.auth().currentUser?.uid else {
+      isLoading = false
+      return
+    }
+
+    Task {
+      do {
+        let fetchedGrants = try await SupportAccessService.shared.grants(userId: userId)
+        await MainActor.run {
+          grants = fetchedGrants
+          isLoading = false
+        }
+      } catch {
+        await MainActor.run {
+          errorMessage = "Failed to load support access: \(error.localizedDescription)"
+          isLoading = false
+        }
+      }
+    }
+  }
+
+  private func approveGrant() {
+    let uid = supportUid.trimmingCharacters(in: .whitespaces)
+    let ticket = ticketId.trimmingCharacters(in: .whitespaces)
+    isSubmitting = true
+    errorMessage = nil
+
+    Task {
+      do {
+        try await SupportAccessService.shared.approve(supportUid: uid, ticketId: ticket, hours: hours)
+        await MainActor.run {
+          supportUid = ""
+          ticketId = ""
+          isSubmitting = false
+        }
+        loadGrants()
+      } catch {
+        await MainActor.run {
+          errorMessage = "Failed to approve support access: \(error.localizedDescription)"
+          isSubmitting = false
+        }
+      }
+    }
+  }
+
+  private func revokeGrant(_ grant: SupportGrant) {
+    Task {
+      do {
+        try await SupportAccessService.shared.revoke(supportUid: grant.supportUid)
+        await MainActor.run {
+          grantToRevoke = nil
+        }
+        loadGrants()
+      } catch {
+        await MainActor.run {
+          errorMessage = "Failed to revoke support access: \(error.localizedDescription)"
+          grantToRevoke = nil
+        }
+      }
+    }
+  }
+}
+
+// MARK: - Preview
+
+#Preview {
+  SupportAccessView()
+}
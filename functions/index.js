@@ -0,0 +1,153 @@
+/**
+ * Cloud Functions entry point.
+ *
+ * Each export is a thin wrapper: authentication checks live here, the logic
+ * lives in ./src so the Jest suite can drive it against the emulators.
+ */
+
+const functionsV1 = require('firebase-functions/v1');
+const { defineSecret } = require('firebase-functions/params');
+const { onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+
+const { db, auth, backupBucket, attachmentBucket } = require('./src/admin');
+const attachments = require('./src/attachments');
+const devices = require('./src/devices');
+const entitlements = require('./src/entitlements');
+const erasure = require('./src/erasure');
+const dataExport = require('./src/export');
+const habitPurge = require('./src/habitPurge');
+const serverBackup = require('./src/serverBackup');
+const streaks = require('./src/streaks');
+const support = require('./src/support');
+const xp = require('./src/xp');
+
+const requireAuth = (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in to call this function');
+  }
+  return request.auth.uid;
+};
+
+/** Grant or reverse a day's completion bonus once the synced data shows it was earned */
+exports.awardXP = onCall(async (request) => {
+  const uid = requireAuth(request);
+  const { metadata } = await auth().getUser(uid);
+  return xp.awardXP(db(), uid, request.data, { accountCreatedAt: new Date(metadata.creationTime) });
+});
+
+/** Recompute the caller's xp/state from their ledger (XP integrity repair) */
+exports.rebuildXPState = onCall((request) => xp.rebuildXPState(db(), requireAuth(request)));
+
+/** Delete the caller's XP ledger and state */
+exports.resetXP = onCall((request) => xp.resetXP(db(), requireAuth(request)));
+
+/** App Store Server API key (.p8); issuer, key id and bundle id are plain APPSTORE_* env values */
+const appStorePrivateKey = defineSecret('APPSTORE_PRIVATE_KEY');
+
+/** Verify a StoreKit transaction with the App Store and write /users/{uid}/entitlements/premium */
+exports.verifyReceipt = onCall({ secrets: [appStorePrivateKey] }, (request) =>
+  entitlements.verifyReceipt(db(), requireAuth(request), request.data)
+);
+
+/** "Download my data": versioned JSON archive plus flat CSVs for the caller */
+exports.exportMyData = onCall((request) => dataExport.exportUserData(db(), requireAuth(request)));
+
+/** Revoke one of the caller's devices and sign out every session (a lost or stolen device) */
+exports.revokeDevice = onCall((request) => devices.revokeDevice(auth(), db(), requireAuth(request), request.data));
+
+/** A support account's read of one user's data: needs that user's active grant, and is audited */
+exports.supportReadUser = onCall((request) => {
+  requireAuth(request);
+  return support.readUserForSupport(db(), request.auth, request.data);
+});
+
+/** The caller approves a support account to read their data for one ticket (at most 72 hours) */
+exports.approveSupportAccess = onCall((request) =>
+  support.approveGrant(auth(), db(), requireAuth(request), request.data)
+);
+
+/** The caller revokes a support account's grant before it expires */
+exports.revokeSupportAccess = onCall((request) => support.revokeGrant(db(), requireAuth(request), request.data));
+
+/**
+ * Erase /users/{uid}, the user's attachments and server backups, and release
+ * their purchase claims, when the Auth user is deleted. Auth delete triggers
+ * only exist in the v1 API; failurePolicy retries a timed-out run, which
+ * resumes from whatever is left.
+ */
+exports.eraseUserOnDelete = functionsV1
+  .runWith({ timeoutSeconds: 540, failurePolicy: true })
+  .auth.user()
+  .onDelete(async (user) => {
+    const receipt = await erasure.eraseUserData(db(), user.uid, { trigger: 'auth.onDelete' });
+    await attachments.deleteUserAttachments(attachmentBucket(), user.uid);
+    await serverBackup.deleteUserBackups(backupBucket(), user.uid);
+    await entitlements.releasePurchaseClaims(db(), user.uid);
+    return receipt;
+  });
+
+/** Recompute /users/{uid}/streaks/{habitId} whenever a day's completion count changes */
+exports.recomputeStreakOnCompletion = onDocumentWritten(
+  'users/{userId}/completions/{dateKey}/habits/{habitId}',
+  (event) =>
+    streaks.recomputeStreak(db(), event.params.userId, event.params.habitId, { dateKey: event.params.dateKey })
+);
+
+/** The same for a SyncEngine completion record (both sides, in case the record changed habit or day) */
+exports.recomputeStreakOnSyncCompletion = onDocumentWritten(
+  'users/{userId}/completions/{yearMonth}/completions/{recordId}',
+  async (event) => {
+    const records = [event.data.before.data(), event.data.after.data()].filter(
+      (record) => record && typeof record.habitId === 'string' && typeof record.dateKey === 'string'
+    );
+    // Earliest changed day per habit, so a move before the checkpoint reads the whole history
+    const earliestDay = new Map();
+    records.forEach(({ habitId, dateKey }) => {
+      if (!earliestDay.has(habitId) || dateKey < earliestDay.get(habitId)) {
+        earliestDay.set(habitId, dateKey);
+      }
+    });
+    for (const [habitId, dateKey] of earliestDay) {
+      await streaks.recomputeStreak(db(), event.params.userId, habitId, { dateKey });
+    }
+  }
+);
+
+/** Delete the photo a completion no longer references (completion deleted, attachment removed or replaced) */
+exports.cleanupAttachmentOnCompletion = onDocumentWritten(
+  'users/{userId}/completions/{yearMonth}/completions/{recordId}',
+  (event) =>
+    attachments.cleanupAttachment(
+      attachmentBucket(),
+      event.params.userId,
+      event.data.before.data(),
+      event.data.after.data()
+    )
+);
+
+/** A goal change can complete or un-complete past days, so recompute on every version write */
+exports.recomputeStreakOnGoalChange = onDocumentWritten(
+  'users/{userId}/goalVersions/{habitId}/versions/{versionId}',
+  (event) => streaks.recomputeStreak(db(), event.params.userId, event.params.habitId)
+);
+
+/** Keep /users/{uid}/meta/habit_count (live habits) current for the free-tier limit in the rules */
+exports.countHabitsOnWrite = onDocumentWritten('users/{userId}/habits/{habitId}', (event) =>
+  entitlements.recountHabits(db(), event.params.userId)
+);
+
+/** Permanently remove habits soft-deleted more than RETENTION_DAYS ago, with their dependents */
+exports.purgeDeletedHabits = onSchedule({ schedule: 'every 24 hours', timeoutSeconds: 540 }, () =>
+  habitPurge.purgeDeletedHabits(db())
+);
+
+/**
+ * Snapshot every recently active user's subtree to Cloud Storage and prune
+ * old snapshots. Runs hourly: each run resumes the day's backup from its
+ * cursor and is a no-op once the day is complete.
+ */
+exports.backupActiveUsers = onSchedule({ schedule: 'every 1 hours', timeoutSeconds: 540 }, () =>
+  serverBackup.snapshotActiveUsers(db(), backupBucket())
+);
@@ -0,0 +1,29 @@
+/**
+ * Lazily initialised Admin SDK handles.
+ *
+ * Cloud Functions, the CLI tools and the Jest suite all share one default
+ * app; under `firebase emulators:exec` FIRESTORE_EMULATOR_HOST,
+ * FIREBASE_AUTH_EMULATOR_HOST and FIREBASE_STORAGE_EMULATOR_HOST are
+ * already set and the Admin SDK routes to the emulators automatically.
+ */
+
+const { initializeApp, getApps } = require('firebase-admin/app');
+const { getAuth } = require('firebase-admin/auth');
+const { getFirestore } = require('firebase-admin/firestore');
+const { getStorage } = require('firebase-admin/storage');
+
+const app = () => (getApps().length ? getApps()[0] : initializeApp());
+
+const db = () => getFirestore(app());
+
+const auth = () => getAuth(app());
+
+const defaultBucketName = () => app().options.storageBucket || `${process.env.GCLOUD_PROJECT}.appspot.com`;
+
+/** Server backup bucket: BACKUP_BUCKET, else the project's default bucket */
+const backupBucket = () => getStorage(app()).bucket(process.env.BACKUP_BUCKET || defaultBucketName());
+
+/** Default bucket, where clients upload photo-proof attachments */
+const attachmentBucket = () => getStorage(app()).bucket(defaultBucketName());
+
+module.exports = { app, db, auth, backupBucket, attachmentBucket };
@@ -0,0 +1,69 @@
+/**
+ * Photo-proof attachments.
+ *
+ * The app uploads a photo to
+ *   users/{uid}/attachments/{habitId}/{dateKey}/{fileName}
+ * in the default bucket (storage.rules: owner only, images up to 5 MiB,
+ * create-once) and then stores its reference on the completion:
+ *   completions/{yearMonth}/completions/{recordId}.attachment
+ *     = { path, contentType, size, uploadedAt }
+ *
+ * Clients cannot list or clean up blobs they no longer reference, so the
+ * completion trigger deletes the old object whenever a completion is deleted
+ * or its attachment is removed or replaced. Legacy .../records docs are not
+ * watched: migrating one to the completions bucket deletes the record while
+ * the new completion keeps the same photo.
+ */
+
+/** Matches the limit in storage.rules and firestore.rules */
+const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+
+const attachmentPrefix = (uid) => `users/${uid}/attachments/`;
+
+const attachmentPath = (uid, habitId, dateKey, fileName) =>
+  `${attachmentPrefix(uid)}${habitId}/${dateKey}/${fileName}`;
+
+const pathOf = (data) => (data && data.attachment && typeof data.attachment.path === 'string' ? data.attachment.path : null);
+
+/**
+ * The object a completion write stopped referencing: the previous
+ * attachment's path when the document was deleted or its attachment was
+ * removed or now points elsewhere; null otherwise.
+ */
+const releasedAttachment = (before, after) => {
+  const previous = pathOf(before);
+  return previous !== null && previous !== pathOf(after) ? previous : null;
+};
+
+/**
+ * Delete the object released by a completion write under /users/{uid}.
+ * Paths outside the user's attachment prefix are ignored (Admin SDK writes
+ * skip the rules that normally guarantee it). Returns the deleted path or
+ * null.
+ */
+const cleanupAttachment = async (bucket, uid, before, after) => {
+  const path = releasedAttachment(before, after);
+  if (path === null || !path.startsWith(attachmentPrefix(uid))) {
+    return null;
+  }
+  await bucket.file(path).delete({ ignoreNotFound: true });
+  return path;
+};
+
+/** Delete every attachment the user uploaded; returns the number of objects */
+const deleteUserAttachments = async (bucket, uid) => {
+  const [files] = await bucket.getFiles({ prefix: attachmentPrefix(uid) });
+  for (const file of files) {
+    await file.delete({ ignoreNotFound: true });
+  }
+  return files.length;
+};
+
+module.exports = {
+  MAX_ATTACHMENT_BYTES,
+  attachmentPrefix,
+  attachmentPath,
+  releasedAttachment,
+  cleanupAttachment,
+  deleteUserAttachments,
+};
@@ -0,0 +1,77 @@
+/**
+ * Daily award integrity scan.
+ *
+ * A day's award lives under one of two ids in /users/{uid}/daily_awards:
+ *   "{uid}#{dateKey}"  SyncEngine / FirestoreService (canonical)
+ *   "{dateKey}"        FirebaseBackupService
+ * The rules now refuse to create the second id for a day whose first already
+ * exists, but awards written before that can hold the same day twice. This
+ * module groups awards by user and day and reports every day stored more
+ * than once, with the XP the extra copies add.
+ */
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+const canonicalAwardId = (uid, dateKey) => `${uid}#${dateKey}`;
+
+/**
+ * The day an award is for: its dateKey (or legacy date) field, else the date
+ * in its id. Returns null when neither is a YYYY-MM-DD string.
+ */
+const awardDateKey = (docId, data = {}) => {
+  const field = typeof data.dateKey === 'string' ? data.dateKey : data.date;
+  if (typeof field === 'string' && DATE_KEY.test(field)) {
+    return field;
+  }
+  const fromId = docId.includes('#') ? docId.slice(docId.lastIndexOf('#') + 1) : docId;
+  return DATE_KEY.test(fromId) ? fromId : null;
+};
+
+/** Owner uid of a daily_awards doc: /users/{uid}/daily_awards/{id} */
+const ownerOf = (doc) => doc.ref.parent.parent.id;
+
+/**
+ * Find days awarded more than once, for one user (`uid`) or across every
+ * user (collection-group scan). Returns
+ *   { awardsRead, unreadable: [path], duplicates: [{ userId, dateKey, docIds, xpGranted, excessXP }] }
+ * sorted by user and day. excessXP is what the copies add beyond the largest one.
+ */
+const findDuplicateAwards = async (db, { uid } = {}) => {
+  const snapshot = uid
+    ? await db.collection('users').doc(uid).collection('daily_awards').get()
+    : await db.collectionGroup('daily_awards').get();
+
+  const days = new Map();
+  const unreadable = [];
+  snapshot.docs.forEach((doc) => {
+    const dateKey = awardDateKey(doc.id, doc.data());
+    if (!dateKey) {
+      unreadable.push(doc.ref.path);
+      return;
+    }
+    const key = `${ownerOf(doc)}|${dateKey}`;
+    days.set(key, [...(days.get(key) || []), doc]);
+  });
+
+  const duplicates = [...days.values()]
+    .filter((docs) => docs.length > 1)
+    .map((docs) => {
+      const xpGranted = docs.map((doc) => (Number.isInteger(doc.get('xpGranted')) ? doc.get('xpGranted') : 0));
+      return {
+        userId: ownerOf(docs[0]),
+        dateKey: awardDateKey(docs[0].id, docs[0].data()),
+        docIds: docs.map((doc) => doc.id).sort(),
+        xpGranted,
+        excessXP: xpGranted.reduce((sum, xp) => sum + xp, 0) - Math.max(...xpGranted),
+      };
+    })
+    .sort((a, b) => a.userId.localeCompare(b.userId) || a.dateKey.localeCompare(b.dateKey));
+
+  return { awardsRead: snapshot.size, unreadable, duplicates };
+};
+
+module.exports = {
+  canonicalAwardId,
+  awardDateKey,
+  findDuplicateAwards,
+};
@@ -0,0 +1,185 @@
+/**
+ * Server-side check that a day earned the daily completion bonus.
+ *
+ * HabitStore.checkDailyCompletionAndAwardXP awards 50 XP for a day once every
+ * habit scheduled that day is completed or skipped. This module repeats that
+ * check over what the app has synced:
+ *   habits       /users/{uid}/habits (schedule, startDate, endDate, skippedDaysJSON)
+ *   completions  /users/{uid}/completions/{yearMonth}/completions (SyncEngine, isCompleted)
+ *                /users/{uid}/completions/{dateKey}/habits/{habitId} (FirestoreRepository, count vs goal)
+ *
+ * A day is only earned with at least one real completion: skips come from
+ * the client-written skippedDaysJSON, so they can excuse a due habit but
+ * never earn a day on their own. Days before the account was created, and
+ * completions of habits not yet created or started, do not count.
+ *
+ * Only fixed-day schedules (every day, weekdays, named weekdays, every N days)
+ * make a habit due. Frequency schedules ("3 days a week", "twice a month") let
+ * the app pick the days, so they never hold a day back here; the check may
+ * accept a day the app would not award, but never refuses one it would.
+ */
+
+const { goalResolver, readGoalVersions } = require('./goals');
+const { todayWindow } = require('./streaks');
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** HabitSchedulingLogic.weekdayNames, indexed like Date#getUTCDay */
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const weekdayOf = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+const daysBetween = (fromKey, toKey) => Math.round((Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) / DAY_MS);
+
+const isTimeZone = (timeZone) => {
+  try {
+    return Boolean(Intl.DateTimeFormat('en-CA', { timeZone }).resolvedOptions().timeZone);
+  } catch (error) {
+    return false;
+  }
+};
+
+/** YYYY-MM-DD of a Firestore Timestamp (or Date) in `timeZone` */
+const localDateKey = (value, timeZone) => {
+  const date = value && typeof value.toDate === 'function' ? value.toDate() : value;
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
+    return null;
+  }
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+};
+
+/**
+ * HabitSchedulingLogic.shouldShowHabitOnDate for fixed-day schedules.
+ * Returns true / false, or null for frequency and unrecognised schedules.
+ */
+const dueOnSchedule = (schedule, dateKey, startKey) => {
+  const value = String(schedule).trim().toLowerCase();
+  const weekday = weekdayOf(dateKey);
+  const named = WEEKDAYS.map((name, index) => (value.includes(name) ? index : -1)).filter((index) => index !== -1);
+
+  if (value === 'every day' || value === 'everyday') {
+    return true;
+  }
+  if (value === 'weekdays') {
+    return weekday >= 1 && weekday <= 5;
+  }
+  if (value === 'weekends') {
+    return weekday === 0 || weekday === 6;
+  }
+  const single = WEEKDAYS.findIndex((name) => value === name || value === name.slice(0, 3));
+  if (single !== -1) {
+    return weekday === single;
+  }
+  if (value.includes('every') && value.includes('day')) {
+    const everyN = /every (\d+) days?/.exec(value);
+    if (everyN) {
+      const days = daysBetween(startKey, dateKey);
+      return Number(everyN[1]) > 0 && days >= 0 && days % Number(everyN[1]) === 0;
+    }
+    return named.includes(weekday);
+  }
+  if (/ a (week|month)|times per week/.test(value)) {
+    return null;
+  }
+  if (value.includes(',')) {
+    return named.includes(weekday);
+  }
+  return null;
+};
+
+const skippedOn = (habit, dateKey) => {
+  if (typeof habit.skippedDaysJSON !== 'string') {
+    return false;
+  }
+  try {
+    const skipped = JSON.parse(habit.skippedDaysJSON);
+    return Boolean(skipped && typeof skipped === 'object' && skipped[dateKey]);
+  } catch (error) {
+    return false;
+  }
+};
+
+const isLive = (habit) => !habit.deletedAt && habit.isActive !== false && habit.active !== false;
+
+/**
+ * Pure check. `habits` are { id, ...data }; `completedIds` is the set of
+ * habit ids completed on `dateKey`. Earned when a habit that existed and
+ * had started that day was completed, and no due habit is left open
+ * (completed or skipped).
+ */
+const isDayEarned = (habits, completedIds, dateKey, { timeZone = 'UTC' } = {}) => {
+  const live = habits.filter(isLive);
+  const done = (habit) => completedIds.has(habit.id) || skippedOn(habit, dateKey);
+
+  const existed = (habit) => {
+    const createdKey = localDateKey(habit.createdAt, timeZone);
+    const startKey = localDateKey(habit.startDate, timeZone);
+    return !(createdKey && dateKey < createdKey) && !(startKey && dateKey < startKey);
+  };
+
+  const due = (habit) => {
+    const startKey = localDateKey(habit.startDate, timeZone);
+    const endKey = localDateKey(habit.endDate, timeZone);
+    if ((startKey && dateKey < startKey) || (endKey && dateKey > endKey) || typeof habit.schedule !== 'string') {
+      return false;
+    }
+    return dueOnSchedule(habit.schedule, dateKey, startKey || dateKey) === true;
+  };
+
+  return live.some((habit) => existed(habit) && completedIds.has(habit.id)) && live.filter(due).every(done);
+};
+
+/** Ids of habits with a completion on `dateKey`, from both completion layouts */
+const readCompletedHabitIds = async (db, uid, dateKey) => {
+  const completions = db.collection('users').doc(uid).collection('completions');
+  const [records, counts] = await Promise.all([
+    completions.doc(dateKey.slice(0, 7)).collection('completions').where('dateKey', '==', dateKey).get(),
+    completions.doc(dateKey).collection('habits').get(),
+  ]);
+
+  const completed = new Set(
+    records.docs.filter((doc) => doc.get('isCompleted') === true).map((doc) => doc.get('habitId'))
+  );
+  await Promise.all(
+    counts.docs.map(async (doc) => {
+      const goal = goalResolver(await readGoalVersions(db, uid, doc.id))(dateKey);
+      if (goal > 0 && Number.isInteger(doc.get('count')) && doc.get('count') >= goal) {
+        completed.add(doc.id);
+      }
+    })
+  );
+  return completed;
+};
+
+/**
+ * Whether `dateKey` earned the daily completion bonus for `uid`. Days that
+ * have not started anywhere on Earth yet, and days before `accountCreatedAt`
+ * (the Auth account's creation time) in `timeZone`, are never earned.
+ */
+const dayEarned = async (db, uid, dateKey, { timeZone = 'UTC', now = new Date(), accountCreatedAt = null } = {}) => {
+  const createdKey = localDateKey(accountCreatedAt, timeZone);
+  if (!DATE_KEY.test(dateKey) || dateKey > todayWindow(now).latest || (createdKey && dateKey < createdKey)) {
+    return false;
+  }
+  const [habits, completedIds] = await Promise.all([
+    db.collection('users').doc(uid).collection('habits').get(),
+    readCompletedHabitIds(db, uid, dateKey),
+  ]);
+  return isDayEarned(
+    habits.docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+    completedIds,
+    dateKey,
+    { timeZone }
+  );
+};
+
+module.exports = {
+  isTimeZone,
+  localDateKey,
+  dueOnSchedule,
+  isDayEarned,
+  readCompletedHabitIds,
+  dayEarned,
+};
@@ -0,0 +1,61 @@
+/**
+ * Device revocation.
+ *
+ * A revoked device doc (/users/{uid}/devices/{deviceId}: revoked, revokedAt)
+ * makes the rules refuse progress events stamped with that id, but the lost
+ * device still holds the user's credential. revokeDevice therefore also
+ * revokes the user's refresh tokens and records the cut-off in
+ * /users/{uid}/meta/sessions ({ revokeTime (seconds), revokedDeviceId,
+ * updatedAt }); firestore.rules refuse every owner request whose ID token
+ * was signed in before revokeTime. Refresh tokens belong to the user, not to
+ * a device, so every device, including the one that revoked, signs in again.
+ *
+ * Both documents are closed to client writes; this is their only writer.
+ */
+
+const { FieldValue } = require('firebase-admin/firestore');
+const { HttpsError } = require('firebase-functions/v2/https');
+
+const deviceRef = (db, uid, deviceId) =>
+  db.collection('users').doc(uid).collection('devices').doc(deviceId);
+
+const sessionsRef = (db, uid) => db.collection('users').doc(uid).collection('meta').doc('sessions');
+
+/**
+ * Revoke the caller's device `deviceId` and every session signed in so far.
+ * Repeating it for a revoked device only moves the cut-off forward.
+ */
+const revokeDevice = async (auth, db, uid, data) => {
+  const { deviceId } = data || {};
+  if (typeof deviceId !== 'string' || deviceId.length === 0 || deviceId.length > 200 || deviceId.includes('/')) {
+    throw new HttpsError('invalid-argument', 'deviceId must be 1-200 characters without "/"');
+  }
+
+  const ref = deviceRef(db, uid, deviceId);
+  const device = await ref.get();
+  if (!device.exists) {
+    throw new HttpsError('not-found', `No device ${deviceId}`);
+  }
+
+  await auth.revokeRefreshTokens(uid);
+  const { tokensValidAfterTime } = await auth.getUser(uid);
+  const revokeTime = Math.floor(Date.parse(tokensValidAfterTime) / 1000);
+
+  const batch = db.batch();
+  if (device.get('revoked') !== true) {
+    batch.update(ref, { revoked: true, revokedAt: FieldValue.serverTimestamp() });
+  }
+  batch.set(sessionsRef(db, uid), {
+    revokeTime,
+    revokedDeviceId: deviceId,
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+  await batch.commit();
+
+  return { deviceId, revokeTime };
+};
+
+module.exports = {
+  revokeDevice,
+  sessionsRef,
+};
@@ -0,0 +1,359 @@
+/**
+ * Premium entitlements.
+ *
+ * /users/{uid}/entitlements/premium is written only here, by the
+ * verifyReceipt callable, after a verifier has checked the StoreKit
+ * transaction. The rules read expiresAt / graceUntil / status from it to
+ * decide whether a user may create habits beyond FREE_HABIT_LIMIT. Clients
+ * count each habit they create or restore in /users/{uid}/meta/habit_count
+ * in the same write; recountHabits corrects the count afterwards.
+ *
+ * A verifier is `async (receipt) => transaction` returning
+ *   { productId, originalTransactionId, expiresAt: Date | null,
+ *     graceUntil: Date | null, revoked: boolean, environment }
+ * In production the receipt is a StoreKit 2 transaction id, looked up with
+ * the App Store Server API (appStoreVerifier, configured from APPSTORE_*).
+ *
+ * Each purchase (originalTransactionId) is claimed in
+ * /purchase_claims/{originalTransactionId} by the first account that
+ * verifies it; other accounts are refused until that account is erased.
+ */
+
+const crypto = require('crypto');
+
+const { FieldValue, Timestamp } = require('firebase-admin/firestore');
+const { HttpsError } = require('firebase-functions/v2/https');
+
+/** Product ids from HabittoPremium.storekit / SubscriptionManager */
+const PRODUCT_IDS = {
+  lifetime: 'com.chloe_lee.Habitto.subscription.lifetime',
+  annual: 'com.chloe_lee.Habitto.subscription.annual',
+  monthly: 'com.chloe_lee.Habitto.subscription.monthly.v2',
+};
+
+/** SubscriptionManager.freeUserHabitLimit */
+const FREE_HABIT_LIMIT = 3;
+
+const MAX_RECEIPT_LENGTH = 10000;
+
+/** Usable as a document id: App Store ids are digits, stub ids are short slugs */
+const TRANSACTION_ID = /^[A-Za-z0-9_-]{1,128}$/;
+
+const entitlementRef = (db, uid) => db.collection('users').doc(uid).collection('entitlements').doc('premium');
+
+const purchaseClaimRef = (db, originalTransactionId) => db.collection('purchase_claims').doc(originalTransactionId);
+
+const habitCountRef = (db, uid) => db.collection('users').doc(uid).collection('meta').doc('habit_count');
+
+const toDate = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : value);
+
+/** Last moment the entitlement grants premium: Infinity for lifetime, -Infinity once revoked */
+const premiumUntil = (entitlement) => {
+  if (entitlement.status === 'revoked' || entitlement.revoked) {
+    return -Infinity;
+  }
+  const expiresAt = toDate(entitlement.expiresAt);
+  if (!expiresAt) {
+    return Infinity;
+  }
+  const graceUntil = toDate(entitlement.graceUntil);
+  return Math.max(expiresAt.getTime(), graceUntil ? graceUntil.getTime() : 0);
+};
+
+/** 'active' | 'grace' | 'expired' | 'revoked' at `now` (same test the rules apply) */
+const entitlementStatus = (entitlement, now = new Date()) => {
+  if (entitlement.status === 'revoked' || entitlement.revoked) {
+    return 'revoked';
+  }
+  const expiresAt = toDate(entitlement.expiresAt);
+  if (!expiresAt || now < expiresAt) {
+    return 'active';
+  }
+  return now.getTime() < premiumUntil(entitlement) ? 'grace' : 'expired';
+};
+
+/**
+ * Local verifier for the emulator and tests: the receipt is base64 JSON
+ * shaped like an App Store transaction
+ *   { productId, originalTransactionId, expiresDate?, gracePeriodExpiresDate?, revocationDate? }
+ * with dates in epoch milliseconds. Nothing is signed, so it must never be
+ * used against production.
+ */
+const stubVerifier = async (receipt) => {
+  let transaction;
+  try {
+    transaction = JSON.parse(Buffer.from(receipt, 'base64').toString('utf8'));
+  } catch (error) {
+    throw new HttpsError('invalid-argument', 'Receipt is not a stub transaction');
+  }
+  const { productId, originalTransactionId, expiresDate, gracePeriodExpiresDate, revocationDate } = transaction || {};
+  return {
+    productId,
+    originalTransactionId,
+    expiresAt: expiresDate ? new Date(expiresDate) : null,
+    graceUntil: gracePeriodExpiresDate ? new Date(gracePeriodExpiresDate) : null,
+    revoked: Boolean(revocationDate),
+    environment: 'Stub',
+  };
+};
+
+// ---------------------------------------------------------------------------
+// App Store Server API
+// ---------------------------------------------------------------------------
+
+const APP_STORE_HOSTS = {
+  Production: 'https://api.storekit.itunes.apple.com',
+  Sandbox: 'https://api.storekit-sandbox.itunes.apple.com',
+};
+
+/** Payload of a JWS from the App Store Server API (fetched over TLS from Apple, so not re-verified) */
+const decodeJws = (jws) => {
+  const [, payload] = String(jws).split('.');
+  return JSON.parse(Buffer.from(payload || '', 'base64url').toString('utf8'));
+};
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/** ES256 bearer token for the App Store Server API, valid for five minutes */
+const appStoreToken = ({ issuerId, keyId, privateKey, bundleId }, now) => {
+  const iat = Math.floor(now.getTime() / 1000);
+  const unsigned = `${base64url({ alg: 'ES256', kid: keyId, typ: 'JWT' })}.${base64url({
+    iss: issuerId,
+    iat,
+    exp: iat + 300,
+    aud: 'appstoreconnect-v1',
+    bid: bundleId,
+  })}`;
+  const signature = crypto.sign('sha256', Buffer.from(unsigned), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+  return `${unsigned}.${signature.toString('base64url')}`;
+};
+
+/**
+ * Verifier backed by the App Store Server API. The receipt is a StoreKit 2
+ * transaction id (Transaction.id on the device). The transaction is looked up
+ * in production first and in the sandbox when production does not know it
+ * (TestFlight and Xcode purchases). For a subscription, the latest
+ * transaction and renewal info of the same subscription decide expiry and
+ * grace, so an old transaction id cannot bring back a lapsed subscription.
+ * `fetch` and `now` are injectable for tests.
+ */
+const appStoreVerifier = ({ issuerId, keyId, privateKey, bundleId, fetch = globalThis.fetch, now = () => new Date() }) => {
+  const key = crypto.createPrivateKey(privateKey);
+
+  const get = async (environment, path) => {
+    const response = await fetch(`${APP_STORE_HOSTS[environment]}${path}`, {
+      headers: { Authorization: `Bearer ${appStoreToken({ issuerId, keyId, privateKey: key, bundleId }, now())}` },
+    });
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new HttpsError('unavailable', `App Store Server API returned ${response.status}`);
+    }
+    return response.json();
+  };
+
+  return async (receipt) => {
+    if (!/^\d{1,32}$/.test(receipt)) {
+      throw new HttpsError('invalid-argument', 'Receipt must be a StoreKit transaction id');
+    }
+
+    let environment = 'Production';
+    let found = await get(environment, `/inApps/v1/transactions/${receipt}`);
+    if (!found) {
+      environment = 'Sandbox';
+      found = await get(environment, `/inApps/v1/transactions/${receipt}`);
+    }
+    if (!found) {
+      throw new HttpsError('not-found', 'App Store does not know this transaction');
+    }
+
+    let transaction = decodeJws(found.signedTransactionInfo);
+    if (transaction.bundleId !== bundleId) {
+      throw new HttpsError('permission-denied', 'Transaction belongs to another app');
+    }
+
+    let renewal = {};
+    if (transaction.type === 'Auto-Renewable Subscription') {
+      const statuses = await get(environment, `/inApps/v1/subscriptions/${transaction.originalTransactionId}`);
+      const latest = (statuses?.data || [])
+        .flatMap((group) => group.lastTransactions || [])
+        .find((last) => last.originalTransactionId === transaction.originalTransactionId);
+      if (latest) {
+        transaction = decodeJws(latest.signedTransactionInfo);
+        renewal = latest.signedRenewalInfo ? decodeJws(latest.signedRenewalInfo) : {};
+      }
+    }
+
+    return {
+      productId: transaction.productId,
+      originalTransactionId: String(transaction.originalTransactionId),
+      expiresAt: transaction.expiresDate ? new Date(transaction.expiresDate) : null,
+      graceUntil: renewal.gracePeriodExpiresDate ? new Date(renewal.gracePeriodExpiresDate) : null,
+      revoked: Boolean(transaction.revocationDate),
+      environment: transaction.environment || environment,
+    };
+  };
+};
+
+/**
+ * App Store Server API credentials from the environment, or null when
+ * unset. APPSTORE_PRIVATE_KEY is the .p8 key (a secret); literal "\n"
+ * sequences are turned into newlines so it fits in one line.
+ */
+const appStoreConfigFromEnv = (env = process.env) => {
+  const { APPSTORE_ISSUER_ID, APPSTORE_KEY_ID, APPSTORE_PRIVATE_KEY, APPSTORE_BUNDLE_ID } = env;
+  if (!APPSTORE_ISSUER_ID || !APPSTORE_KEY_ID || !APPSTORE_PRIVATE_KEY || !APPSTORE_BUNDLE_ID) {
+    return null;
+  }
+  return {
+    issuerId: APPSTORE_ISSUER_ID,
+    keyId: APPSTORE_KEY_ID,
+    privateKey: APPSTORE_PRIVATE_KEY.replace(/\\n/g, '\n'),
+    bundleId: APPSTORE_BUNDLE_ID,
+  };
+};
+
+let installedVerifier = null;
+
+/** Install the verifier verifyReceipt uses (pass null to go back to the default) */
+const setVerifier = (verifier) => {
+  installedVerifier = verifier;
+};
+
+/**
+ * The installed verifier, else the App Store verifier when APPSTORE_* is
+ * set, else the stub under the emulator or RECEIPT_VERIFIER=stub
+ */
+const configuredVerifier = () => {
+  if (installedVerifier) {
+    return installedVerifier;
+  }
+  const appStore = appStoreConfigFromEnv();
+  if (appStore) {
+    installedVerifier = appStoreVerifier(appStore);
+    return installedVerifier;
+  }
+  if (process.env.FUNCTIONS_EMULATOR === 'true' || process.env.RECEIPT_VERIFIER === 'stub') {
+    return stubVerifier;
+  }
+  throw new HttpsError('failed-precondition', 'No receipt verifier is configured');
+};
+
+/** Validate a verifier result; throws HttpsError('invalid-argument') */
+const parseTransaction = (transaction) => {
+  const { productId, originalTransactionId, expiresAt, graceUntil } = transaction || {};
+  if (!Object.values(PRODUCT_IDS).includes(productId)) {
+    throw new HttpsError('invalid-argument', `Unknown product ${productId}`);
+  }
+  if (typeof originalTransactionId !== 'string' || !TRANSACTION_ID.test(originalTransactionId)) {
+    throw new HttpsError('invalid-argument', 'Transaction has no valid originalTransactionId');
+  }
+  const isLifetime = productId === PRODUCT_IDS.lifetime;
+  if (isLifetime ? expiresAt != null : !(expiresAt instanceof Date)) {
+    throw new HttpsError('invalid-argument', isLifetime ? 'Lifetime purchases do not expire' : 'Subscription has no expiry');
+  }
+  return { ...transaction, graceUntil: graceUntil || null };
+};
+
+/**
+ * Verify `data.receipt` and write the caller's entitlement.
+ *
+ * A newer transaction in the same subscription (same originalTransactionId)
+ * always replaces the stored one, so renewals, expiries and revocations land.
+ * A receipt for a different purchase only replaces it when it grants premium
+ * for longer; an old monthly receipt cannot downgrade a lifetime purchase.
+ * A purchase already claimed by another account is refused with
+ * HttpsError('already-exists').
+ */
+const verifyReceipt = async (db, uid, data, { verifier, now = new Date() } = {}) => {
+  const { receipt } = data || {};
+  if (typeof receipt !== 'string' || receipt.length === 0 || receipt.length > MAX_RECEIPT_LENGTH) {
+    throw new HttpsError('invalid-argument', `receipt must be 1-${MAX_RECEIPT_LENGTH} characters`);
+  }
+
+  const transaction = parseTransaction(await (verifier || configuredVerifier())(receipt));
+  const ref = entitlementRef(db, uid);
+  const claimRef = purchaseClaimRef(db, transaction.originalTransactionId);
+
+  return db.runTransaction(async (tx) => {
+    const [existing, claim] = await Promise.all([tx.get(ref), tx.get(claimRef)]);
+    const status = entitlementStatus(transaction, now);
+
+    if (claim.exists && claim.data().uid !== uid) {
+      throw new HttpsError('already-exists', 'This purchase is linked to another account');
+    }
+    if (!claim.exists) {
+      tx.set(claimRef, { uid, productId: transaction.productId, claimedAt: FieldValue.serverTimestamp() });
+    }
+
+    if (
+      existing.exists &&
+      existing.data().originalTransactionId !== transaction.originalTransactionId &&
+      premiumUntil(existing.data()) >= premiumUntil(transaction)
+    ) {
+      return { status: entitlementStatus(existing.data(), now), productId: existing.data().productId, updated: false };
+    }
+
+    tx.set(ref, {
+      productId: transaction.productId,
+      originalTransactionId: transaction.originalTransactionId,
+      status,
+      expiresAt: transaction.expiresAt ? Timestamp.fromDate(transaction.expiresAt) : null,
+      graceUntil: transaction.graceUntil ? Timestamp.fromDate(transaction.graceUntil) : null,
+      environment: transaction.environment || null,
+      verifiedAt: FieldValue.serverTimestamp(),
+    });
+
+    return { status, productId: transaction.productId, updated: true };
+  });
+};
+
+/** Release the purchases `uid` claimed so another account can verify them (account erasure) */
+const releasePurchaseClaims = async (db, uid) => {
+  const claims = await db.collection('purchase_claims').where('uid', '==', uid).get();
+  await Promise.all(claims.docs.map((doc) => doc.ref.delete()));
+  return claims.size;
+};
+
+/**
+ * Rewrite /users/{uid}/meta/habit_count from the live (not soft-deleted)
+ * habits. Recounting instead of incrementing makes retried and out-of-order
+ * trigger runs converge. A user with no habits and no counter (e.g. while
+ * eraseUserOnDelete runs) is left alone.
+ */
+const recountHabits = async (db, uid) => {
+  const habits = db.collection('users').doc(uid).collection('habits');
+  const ref = habitCountRef(db, uid);
+
+  return db.runTransaction(async (tx) => {
+    const [snapshot, counter] = await Promise.all([tx.get(habits.select('deletedAt')), tx.get(ref)]);
+    const count = snapshot.docs.filter((doc) => !doc.get('deletedAt')).length;
+
+    if (count === 0 && !counter.exists) {
+      return null;
+    }
+    if (!counter.exists || counter.data().count !== count) {
+      tx.set(ref, { count, updatedAt: FieldValue.serverTimestamp() });
+    }
+    return count;
+  });
+};
+
+module.exports = {
+  PRODUCT_IDS,
+  FREE_HABIT_LIMIT,
+  entitlementRef,
+  purchaseClaimRef,
+  habitCountRef,
+  premiumUntil,
+  entitlementStatus,
+  stubVerifier,
+  appStoreVerifier,
+  appStoreConfigFromEnv,
+  setVerifier,
+  configuredVerifier,
+  verifyReceipt,
+  releasePurchaseClaims,
+  recountHabits,
+};
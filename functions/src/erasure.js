@@ -0,0 +1,154 @@
+/**
+ * Account erasure.
+ *
+ * Recursively deletes /users/{uid} and every subcollection under it in
+ * bounded batches, then the partner records other users hold for the erased
+ * user (/users/{owner}/partners/{uid} with its shared_habits), found with a
+ * collection-group query on partnerId. Progress is tracked in a receipt at
+ * /erasure_receipts/{sha256(uid)} that holds no user data: re-running after a
+ * timeout or crash simply walks what is left and keeps counting, so the
+ * function is safe to retry.
+ */
+
+const crypto = require('crypto');
+const { FieldValue } = require('firebase-admin/firestore');
+
+/** Writes per batch; Firestore caps a batch at 500 */
+const DEFAULT_BATCH_SIZE = 200;
+
+/** Full walks before giving up on a subtree a still-signed-in device keeps writing to */
+const MAX_PASSES = 3;
+
+const RECEIPTS_COLLECTION = 'erasure_receipts';
+
+const hashUid = (uid) => crypto.createHash('sha256').update(uid).digest('hex');
+
+const receiptRef = (db, uid) => db.collection(RECEIPTS_COLLECTION).doc(hashUid(uid));
+
+/**
+ * Depth-first walk yielding every document under `docRef` (children before
+ * parents), including "missing" parent documents that only hold subcollections.
+ */
+async function* walkDocuments(docRef) {
+  const collections = await docRef.listCollections();
+  for (const collection of collections) {
+    const docs = await collection.listDocuments();
+    for (const doc of docs) {
+      yield* walkDocuments(doc);
+    }
+  }
+  yield docRef;
+}
+
+/** Delete everything under `rootRef` in batches of `batchSize`; returns count */
+const deleteSubtree = async (db, rootRef, { batchSize, onBatch }) => {
+  let pending = [];
+  let deleted = 0;
+
+  const flush = async () => {
+    if (pending.length === 0) {
+      return;
+    }
+    const batch = db.batch();
+    pending.forEach((ref) => batch.delete(ref));
+    await batch.commit();
+    deleted += pending.length;
+    const count = pending.length;
+    pending = [];
+    await onBatch(count);
+  };
+
+  for await (const ref of walkDocuments(rootRef)) {
+    pending.push(ref);
+    if (pending.length >= batchSize) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return deleted;
+};
+
+/** Other users' partner records naming `uid` (invitations to, or partnerships with, the erased user) */
+const partnerRecordsFor = async (db, uid) => {
+  const snapshot = await db.collectionGroup('partners').where('partnerId', '==', uid).get();
+  return snapshot.docs.map((doc) => doc.ref);
+};
+
+const subtreeIsEmpty = async (userRef) => {
+  const [snapshot, collections] = await Promise.all([userRef.get(), userRef.listCollections()]);
+  return !snapshot.exists && collections.length === 0;
+};
+
+/**
+ * Erase a user's whole Firestore subtree and record a minimal receipt.
+ * Returns the final receipt fields.
+ */
+const eraseUserData = async (db, uid, { batchSize = DEFAULT_BATCH_SIZE, trigger = 'manual' } = {}) => {
+  if (typeof uid !== 'string' || uid.length === 0) {
+    throw new Error('eraseUserData requires a uid');
+  }
+
+  const userRef = db.collection('users').doc(uid);
+  const receipt = receiptRef(db, uid);
+  const existing = await receipt.get();
+
+  if (
+    existing.exists
+    && existing.data().status === 'complete'
+    && (await subtreeIsEmpty(userRef))
+    && (await partnerRecordsFor(db, uid)).length === 0
+  ) {
+    return existing.data();
+  }
+
+  await receipt.set(
+    {
+      status: 'in_progress',
+      trigger,
+      updatedAt: FieldValue.serverTimestamp(),
+      ...(existing.exists ? {} : { requestedAt: FieldValue.serverTimestamp(), documentsDeleted: 0 }),
+    },
+    { merge: true }
+  );
+
+  const onBatch = (count) =>
+    receipt.update({
+      documentsDeleted: FieldValue.increment(count),
+      batches: FieldValue.increment(1),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+
+  let passes = 0;
+  do {
+    passes += 1;
+    await deleteSubtree(db, userRef, { batchSize, onBatch });
+  } while (passes < MAX_PASSES && !(await subtreeIsEmpty(userRef)));
+
+  if (!(await subtreeIsEmpty(userRef))) {
+    await receipt.update({ status: 'incomplete', updatedAt: FieldValue.serverTimestamp() });
+    throw new Error(`Erasure incomplete after ${MAX_PASSES} passes; will resume on retry`);
+  }
+
+  for (const partnerRef of await partnerRecordsFor(db, uid)) {
+    await deleteSubtree(db, partnerRef, { batchSize, onBatch });
+  }
+
+  await receipt.update({
+    status: 'complete',
+    completedAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+
+  return (await receipt.get()).data();
+};
+
+module.exports = {
+  DEFAULT_BATCH_SIZE,
+  RECEIPTS_COLLECTION,
+  hashUid,
+  receiptRef,
+  walkDocuments,
+  partnerRecordsFor,
+  eraseUserData,
+};
@@ -0,0 +1,279 @@
+/**
+ * "Download my data" export.
+ *
+ * Walks /users/{uid} across every collection firestore.rules defines and
+ * produces a versioned JSON archive plus flat CSVs. Timestamps become
+ * ISO-8601 strings; dateKey / effectiveLocalDate strings are kept verbatim
+ * (they are local calendar days and must not be re-interpreted as instants).
+ *
+ * Used by the exportMyData callable and Scripts/export_user_data.js.
+ */
+
+/** Bump when the archive layout changes in a way readers must handle */
+const EXPORT_FORMAT_VERSION = 1;
+
+const DATE_KEY_PATTERN = /^[0-9]{4}-[0-9]{2}-[0-9]{2}$/;
+const YEAR_MONTH_PATTERN = /^[0-9]{4}-[0-9]{2}$/;
+
+/** Convert Firestore values into plain JSON (timestamps → ISO-8601) */
+const normalizeValue = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value.toDate === 'function') {
+    return value.toDate().toISOString();
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeValue);
+  }
+  if (typeof value === 'object') {
+    if (typeof value.path === 'string' && typeof value.collection === 'function') {
+      return value.path; // DocumentReference
+    }
+    if (typeof value.latitude === 'number' && typeof value.longitude === 'number') {
+      return { latitude: value.latitude, longitude: value.longitude };
+    }
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, normalizeValue(v)]));
+  }
+  return value;
+};
+
+const docData = (snapshot) => normalizeValue(snapshot.data());
+
+const readCollection = async (collectionRef) => {
+  const snapshot = await collectionRef.get();
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...docData(doc) }));
+};
+
+const readDoc = async (docRef) => {
+  const snapshot = await docRef.get();
+  return snapshot.exists ? docData(snapshot) : null;
+};
+
+/** Simple schema (type/active) vs SyncEngine / backup schema (habitType/isActive) */
+const habitSchemaOf = (habit) => ('habitType' in habit || 'isActive' in habit ? 'sync' : 'simple');
+
+/**
+ * Completions live under three paths:
+ *   completions/{YYYY-MM-DD}/habits/{habitId}    (FirestoreRepository)
+ *   completions/{YYYY-MM}/completions/{recordId} (SyncEngine / backup)
+ *   completions/{YYYY-MM}/records/{recordId}     (legacy bucket)
+ */
+const readCompletions = async (userRef) => {
+  const buckets = await userRef.collection('completions').listDocuments();
+  const rows = [];
+  for (const bucket of buckets) {
+    if (DATE_KEY_PATTERN.test(bucket.id)) {
+      const docs = await readCollection(bucket.collection('habits'));
+      docs.forEach(({ id, ...data }) => {
+        rows.push({ path: 'habits', bucket: bucket.id, id, habitId: id, dateKey: bucket.id, ...data });
+      });
+    } else if (YEAR_MONTH_PATTERN.test(bucket.id)) {
+      for (const path of ['completions', 'records']) {
+        const docs = await readCollection(bucket.collection(path));
+        docs.forEach((doc) => rows.push({ path, bucket: bucket.id, ...doc }));
+      }
+    }
+  }
+  return rows;
+};
+
+const readProgressEvents = async (userRef) => {
+  const months = await userRef.collection('events').listDocuments();
+  const rows = [];
+  for (const month of months) {
+    const docs = await readCollection(month.collection('events'));
+    docs.forEach((doc) => rows.push({ yearMonth: month.id, ...doc }));
+  }
+  return rows;
+};
+
+const readGoalVersions = async (userRef) => {
+  const habits = await userRef.collection('goalVersions').listDocuments();
+  const rows = [];
+  for (const habit of habits) {
+    const docs = await readCollection(habit.collection('versions'));
+    docs.forEach(({ id, ...data }) => rows.push({ versionId: id, habitId: habit.id, ...data }));
+  }
+  return rows;
+};
+
+/** Both ledger paths: xp_ledger (awardXP) and xp/ledger/entries (legacy) */
+const readXPLedger = async (userRef) => {
+  const [current, legacy] = await Promise.all([
+    readCollection(userRef.collection('xp_ledger')),
+    readCollection(userRef.collection('xp').doc('ledger').collection('entries')),
+  ]);
+  return [
+    ...current.map((entry) => ({ path: 'xp_ledger', ...entry })),
+    ...legacy.map((entry) => ({ path: 'xp/ledger/entries', ...entry })),
+  ];
+};
+
+/** Invitations the user sent (/users/{uid}/partners), each with the habits shared under it */
+const readPartners = async (userRef) => {
+  const partners = await readCollection(userRef.collection('partners'));
+  return Promise.all(
+    partners.map(async (partner) => ({
+      ...partner,
+      sharedHabits: await readCollection(userRef.collection('partners').doc(partner.id).collection('shared_habits')),
+    }))
+  );
+};
+
+/** Invitations other users sent to the user, found like fetchPartnerInvitations does */
+const readPartnerInvitations = async (db, uid) => {
+  const snapshot = await db.collectionGroup('partners').where('partnerId', '==', uid).get();
+  return snapshot.docs.map((doc) => ({ ownerId: doc.ref.parent.parent.id, id: doc.id, ...docData(doc) }));
+};
+
+/**
+ * Purchases linked to the user (top-level /purchase_claims, keyed by
+ * originalTransactionId); the uid field is implied by the archive
+ */
+const readPurchaseClaims = async (db, uid) => {
+  const snapshot = await db.collection('purchase_claims').where('uid', '==', uid).get();
+  return snapshot.docs.map((doc) => {
+    const { uid: owner, ...data } = docData(doc);
+    return { id: doc.id, ...data };
+  });
+};
+
+/** Collect the full archive for one user */
+const buildArchive = async (db, uid, { now = new Date() } = {}) => {
+  const userRef = db.collection('users').doc(uid);
+
+  const [
+    profile, habits, goalVersions, completions, progressEvents,
+    dailyAwards, xpState, xpLedger, streaks, migration, schemaMigration, xpMigration, habitCount, sessions, devices,
+    entitlements, purchaseClaims, partners, partnerInvitations, supportGrants,
+  ] = await Promise.all([
+    readDoc(userRef),
+    readCollection(userRef.collection('habits')),
+    readGoalVersions(userRef),
+    readCompletions(userRef),
+    readProgressEvents(userRef),
+    readCollection(userRef.collection('daily_awards')),
+    readDoc(userRef.collection('xp').doc('state')),
+    readXPLedger(userRef),
+    readCollection(userRef.collection('streaks')),
+    readDoc(userRef.collection('meta').doc('migration')),
+    readDoc(userRef.collection('meta').doc('schema_migration')),
+    readDoc(userRef.collection('meta').doc('xp_migration')),
+    readDoc(userRef.collection('meta').doc('habit_count')),
+    readDoc(userRef.collection('meta').doc('sessions')),
+    readCollection(userRef.collection('devices')),
+    readCollection(userRef.collection('entitlements')),
+    readPurchaseClaims(db, uid),
+    readPartners(userRef),
+    readPartnerInvitations(db, uid),
+    readCollection(userRef.collection('support_grants')),
+  ]);
+
+  return {
+    formatVersion: EXPORT_FORMAT_VERSION,
+    exportedAt: now.toISOString(),
+    userId: uid,
+    profile,
+    habits: habits.map((habit) => ({ schema: habitSchemaOf(habit), ...habit })),
+    goalVersions,
+    completions,
+    progressEvents,
+    dailyAwards,
+    xp: { state: xpState, ledger: xpLedger },
+    streaks,
+    meta: { migration, schemaMigration, xpMigration, habitCount, sessions },
+    devices,
+    entitlements,
+    purchaseClaims,
+    partners,
+    partnerInvitations,
+    supportGrants,
+  };
+};
+
+// ---------------------------------------------------------------------------
+// CSV
+// ---------------------------------------------------------------------------
+
+/** Leading characters a spreadsheet reads as the start of a formula */
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * RFC 4180 field: quote when the value holds a delimiter, quote or newline.
+ * Text that a spreadsheet would run as a formula (habit names, notes) gets a
+ * leading `'`; numbers are written as they are, so negative deltas stay numeric.
+ */
+const csvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const raw = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  const text = typeof value === 'string' && FORMULA_START.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) =>
+  [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(csvField).join(','))
+    .join('\r\n') + '\r\n';
+
+const first = (...values) => values.find((value) => value !== undefined && value !== null);
+
+const CSV_TABLES = {
+  'habits.csv': {
+    columns: ['id', 'schema', 'name', 'type', 'active', 'color', 'createdAt', 'deletedAt'],
+    rows: (archive) =>
+      archive.habits.map((habit) => ({
+        ...habit,
+        type: first(habit.type, habit.habitType),
+        active: first(habit.active, habit.isActive),
+      })),
+  },
+  'completions.csv': {
+    columns: ['path', 'bucket', 'id', 'habitId', 'dateKey', 'progress', 'isCompleted', 'createdAt', 'updatedAt'],
+    rows: (archive) =>
+      archive.completions.map((completion) => ({
+        ...completion,
+        progress: first(completion.progress, completion.count),
+      })),
+  },
+  'progress_events.csv': {
+    columns: [
+      'yearMonth', 'id', 'habitId', 'dateKey', 'eventType', 'progressDelta',
+      'occurredAt', 'createdAt', 'deletedAt', 'timezoneIdentifier', 'deviceId',
+      'operationId', 'syncVersion', 'isRemote', 'note',
+    ],
+    rows: (archive) => archive.progressEvents,
+  },
+  'xp_ledger.csv': {
+    columns: ['path', 'id', 'delta', 'reason', 'dateKey', 'timestamp'],
+    rows: (archive) =>
+      archive.xp.ledger.map((entry) => ({ ...entry, timestamp: first(entry.ts, entry.timestamp) })),
+  },
+};
+
+/** Flat CSV files keyed by file name */
+const buildCsvFiles = (archive) =>
+  Object.fromEntries(
+    Object.entries(CSV_TABLES).map(([name, table]) => [name, toCsv(table.columns, table.rows(archive))])
+  );
+
+/** Archive plus CSVs, ready to write to disk or return from a callable */
+const exportUserData = async (db, uid, options) => {
+  const archive = await buildArchive(db, uid, options);
+  return { archive, csv: buildCsvFiles(archive) };
+};
+
+module.exports = {
+  EXPORT_FORMAT_VERSION,
+  normalizeValue,
+  csvField,
+  toCsv,
+  buildArchive,
+  buildCsvFiles,
+  exportUserData,
+};
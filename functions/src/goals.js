@@ -0,0 +1,65 @@
+/**
+ * Goal-in-effect resolution.
+ *
+ * A habit's goal history lives in /users/{uid}/goalVersions/{habitId}/versions.
+ * Each version applies from its effectiveLocalDate until the next one; before
+ * the first version the goal is 1, like FirestoreRepository.getGoal. Goal 0
+ * means the habit is paused that day.
+ *
+ * The rules require versionId == effectiveLocalDate, so a habit has at most
+ * one version per day. Versions written before that rule used random ids and
+ * may share a date; the one created last wins.
+ */
+
+const DEFAULT_GOAL = 1;
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+const versionsRef = (db, uid, habitId) =>
+  db.collection('users').doc(uid).collection('goalVersions').doc(habitId).collection('versions');
+
+const millis = (value) => (value && typeof value.toMillis === 'function' ? value.toMillis() : 0);
+
+/** Version doc id for a goal change effective on `effectiveLocalDate` */
+const versionIdFor = (effectiveLocalDate) => effectiveLocalDate;
+
+/** goalOn(dateKey) over goal version docs, in any order */
+const goalResolver = (versions) => {
+  const sorted = [...versions].sort(
+    (a, b) => a.effectiveLocalDate.localeCompare(b.effectiveLocalDate) || millis(a.createdAt) - millis(b.createdAt)
+  );
+  return (dateKey) => {
+    let goal = DEFAULT_GOAL;
+    for (const version of sorted) {
+      if (version.effectiveLocalDate > dateKey) {
+        break;
+      }
+      goal = version.goal;
+    }
+    return goal;
+  };
+};
+
+/** Every well-formed goal version for one habit */
+const readGoalVersions = async (db, uid, habitId) => {
+  const snapshot = await versionsRef(db, uid, habitId).get();
+  return snapshot.docs
+    .map((doc) => doc.data())
+    .filter((version) => DATE_KEY.test(version.effectiveLocalDate) && Number.isInteger(version.goal));
+};
+
+/** The goal in effect for `habitId` on `dateKey` */
+const goalInEffect = async (db, uid, habitId, dateKey) => {
+  if (!DATE_KEY.test(dateKey)) {
+    throw new Error(`Invalid dateKey: ${dateKey}`);
+  }
+  return goalResolver(await readGoalVersions(db, uid, habitId))(dateKey);
+};
+
+module.exports = {
+  DEFAULT_GOAL,
+  versionIdFor,
+  goalResolver,
+  readGoalVersions,
+  goalInEffect,
+};
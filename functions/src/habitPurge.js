@@ -0,0 +1,150 @@
+/**
+ * Habit purge.
+ *
+ * Deleting a habit sets `deletedAt` on /users/{uid}/habits/{habitId}; the
+ * rules then refuse new completions, events, goal versions and streak writes
+ * for it, and the app can still restore it by clearing `deletedAt`. Once the
+ * retention window has passed, the scheduled purge removes the habit and
+ * everything that references it:
+ *
+ * - goalVersions/{habitId} and its versions
+ * - streaks/{habitId} and streak_checkpoints/{habitId}
+ * - completions/{dateKey}/habits/{habitId}
+ * - completions/{yearMonth}/completions and /records docs with this habitId
+ * - events/{yearMonth}/events docs with this habitId
+ *
+ * The habit is re-read before every batch and deleted last, inside a
+ * transaction that checks it is still soft-deleted, so a restore that races
+ * the purge stops it; anything already removed is gone, which is why the
+ * retention window exists.
+ */
+
+const { walkDocuments } = require('./erasure');
+
+/** Matches the 30-day "Recently Deleted" window shown in the app */
+const RETENTION_DAYS = 30;
+
+/** Deletes per batch; Firestore caps a batch at 500 */
+const DEFAULT_BATCH_SIZE = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+const YEAR_MONTH = /^\d{4}-\d{2}$/;
+
+const userRef = (db, uid) => db.collection('users').doc(uid);
+
+const habitRef = (db, uid, habitId) => userRef(db, uid).collection('habits').doc(habitId);
+
+/** Soft-deleted before `now - retentionDays` */
+const isPurgeDue = (habit, { now = new Date(), retentionDays = RETENTION_DAYS } = {}) => {
+  const deletedAt = habit && habit.deletedAt;
+  if (!deletedAt || typeof deletedAt.toMillis !== 'function') {
+    return false;
+  }
+  return deletedAt.toMillis() <= now.getTime() - retentionDays * DAY_MS;
+};
+
+/** Every document that belongs to one habit, habit doc excluded */
+const listDependents = async (db, uid, habitId) => {
+  const user = userRef(db, uid);
+  const [buckets, eventBuckets] = await Promise.all([
+    user.collection('completions').listDocuments(),
+    user.collection('events').listDocuments(),
+  ]);
+
+  const byHabit = (collection) => collection.where('habitId', '==', habitId).get();
+  const queries = await Promise.all([
+    ...buckets
+      .filter((bucket) => YEAR_MONTH.test(bucket.id))
+      .flatMap((bucket) => [byHabit(bucket.collection('completions')), byHabit(bucket.collection('records'))]),
+    ...eventBuckets.map((bucket) => byHabit(bucket.collection('events'))),
+  ]);
+
+  const goalVersions = [];
+  for await (const ref of walkDocuments(user.collection('goalVersions').doc(habitId))) {
+    goalVersions.push(ref);
+  }
+
+  return [
+    ...buckets
+      .filter((bucket) => DATE_KEY.test(bucket.id))
+      .map((bucket) => bucket.collection('habits').doc(habitId)),
+    ...queries.flatMap((snapshot) => snapshot.docs.map((doc) => doc.ref)),
+    ...goalVersions,
+    user.collection('streaks').doc(habitId),
+    user.collection('streak_checkpoints').doc(habitId),
+  ];
+};
+
+/**
+ * Purge one habit if it is still soft-deleted past the retention window.
+ * Returns { habitId, purged, deleted, reason? }.
+ */
+const purgeHabit = async (db, uid, habitId, { now = new Date(), retentionDays = RETENTION_DAYS, batchSize = DEFAULT_BATCH_SIZE } = {}) => {
+  const ref = habitRef(db, uid, habitId);
+  const stillDue = async () => {
+    const snapshot = await ref.get();
+    return snapshot.exists && isPurgeDue(snapshot.data(), { now, retentionDays });
+  };
+
+  if (!(await stillDue())) {
+    return { habitId, purged: false, deleted: 0, reason: 'not_due' };
+  }
+
+  const dependents = await listDependents(db, uid, habitId);
+  let deleted = 0;
+  for (let start = 0; start < dependents.length; start += batchSize) {
+    if (start > 0 && !(await stillDue())) {
+      return { habitId, purged: false, deleted, reason: 'restored' };
+    }
+    const batch = db.batch();
+    dependents.slice(start, start + batchSize).forEach((dependent) => batch.delete(dependent));
+    await batch.commit();
+    deleted += Math.min(batchSize, dependents.length - start);
+  }
+
+  const purged = await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    if (!snapshot.exists || !isPurgeDue(snapshot.data(), { now, retentionDays })) {
+      return false;
+    }
+    transaction.delete(ref);
+    return true;
+  });
+
+  return purged
+    ? { habitId, purged: true, deleted: deleted + 1 }
+    : { habitId, purged: false, deleted, reason: 'restored' };
+};
+
+/**
+ * Scheduled entry point: purge every habit, for every user, soft-deleted
+ * longer than `retentionDays` ago. Returns { scanned, purged, skipped }.
+ */
+const purgeDeletedHabits = async (db, { now = new Date(), retentionDays = RETENTION_DAYS, batchSize = DEFAULT_BATCH_SIZE } = {}) => {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+  const snapshot = await db.collectionGroup('habits').where('deletedAt', '<=', cutoff).get();
+
+  // completions/{dateKey}/habits docs share the collection id; keep /users/{uid}/habits only
+  const habits = snapshot.docs.filter((doc) => doc.ref.parent.parent && doc.ref.parent.parent.parent.id === 'users');
+
+  let purged = 0;
+  for (const doc of habits) {
+    const result = await purgeHabit(db, doc.ref.parent.parent.id, doc.id, { now, retentionDays, batchSize });
+    if (result.purged) {
+      purged += 1;
+    }
+  }
+  return { scanned: habits.length, purged, skipped: habits.length - purged };
+};
+
+module.exports = {
+  RETENTION_DAYS,
+  DEFAULT_BATCH_SIZE,
+  isPurgeDue,
+  listDependents,
+  purgeHabit,
+  purgeDeletedHabits,
+};
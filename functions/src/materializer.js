@@ -0,0 +1,257 @@
+/**
+ * Progress-event materializer and drift detector.
+ *
+ * SyncEngine writes both ProgressEvent docs
+ *   /users/{uid}/events/{yearMonth}/events/{eventId}
+ * and completion buckets
+ *   /users/{uid}/completions/{yearMonth}/completions/{completionId}
+ *   /users/{uid}/completions/{yearMonth}/records/{recordId}   (legacy)
+ * This module folds the events into expected progress per habitId + dateKey,
+ * reports where the stored completions disagree, and can rebuild the
+ * disagreeing completion docs from the event log.
+ *
+ * Fold semantics mirror ProgressEventService.applyEvents: every event type
+ * carries a signed progressDelta (SET and TOGGLE_COMPLETE are recorded as the
+ * delta to the new value), tombstoned events (deletedAt set) are skipped, and
+ * only the final sum is clamped at 0.
+ */
+
+const { FieldValue } = require('firebase-admin/firestore');
+
+const EVENT_TYPES = [
+  'INCREMENT', 'DECREMENT', 'SET', 'TOGGLE_COMPLETE',
+  'SYSTEM_RESET', 'BULK_ADJUST', 'BACKFILL', 'SYNC_IMPORT',
+];
+
+const DRIFT = {
+  PROGRESS_MISMATCH: 'progress_mismatch',
+  COMPLETION_MISMATCH: 'completion_mismatch',
+  MISSING_COMPLETION: 'missing_completion',
+  MISSING_EVENTS: 'missing_events',
+};
+
+// Stay well under Firestore's 500 writes per batch
+const REBUILD_BATCH_SIZE = 400;
+
+const keyFor = (habitId, dateKey) => `${habitId}|${dateKey}`;
+
+const isTombstoned = (event) => event.deletedAt !== undefined && event.deletedAt !== null;
+
+/** Single source of truth for "does this progress meet the goal?" (Habit.isProgressComplete) */
+const isProgressComplete = (progress, goal) => (goal > 0 ? progress >= goal : progress > 0);
+
+/**
+ * Fold ProgressEvent data into expected progress.
+ * Returns `{ groups, ignored }`: groups is a Map keyed by
+ * `${habitId}|${dateKey}`, ignored lists events with an unknown eventType or
+ * a non-integer progressDelta.
+ */
+const materializeProgress = (events) => {
+  const groups = new Map();
+  const ignored = [];
+
+  events.forEach((event) => {
+    if (!EVENT_TYPES.includes(event.eventType) || !Number.isInteger(event.progressDelta)) {
+      ignored.push(event);
+      return;
+    }
+    const key = keyFor(event.habitId, event.dateKey);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        habitId: event.habitId,
+        dateKey: event.dateKey,
+        rawProgress: 0,
+        eventCount: 0,
+        tombstonedCount: 0,
+      });
+    }
+    const group = groups.get(key);
+    if (isTombstoned(event)) {
+      group.tombstonedCount += 1;
+      return;
+    }
+    group.rawProgress += event.progressDelta;
+    group.eventCount += 1;
+  });
+
+  groups.forEach((group) => {
+    group.progress = Math.max(0, group.rawProgress);
+  });
+
+  return { groups, ignored };
+};
+
+const readEvents = async (db, uid) => {
+  const months = await db.collection('users').doc(uid).collection('events').listDocuments();
+  const snapshots = await Promise.all(months.map((month) => month.collection('events').get()));
+  return snapshots.flatMap((snapshot) =>
+    snapshot.docs.map((doc) => ({ ...doc.data(), id: doc.id, path: doc.ref.path }))
+  );
+};
+
+/**
+ * Stored completions keyed like materializeProgress. The `completions`
+ * bucket wins over the legacy `records` bucket for the same habit and day.
+ */
+const readStoredCompletions = async (db, uid) => {
+  const buckets = await db.collection('users').doc(uid).collection('completions').listDocuments();
+  const stored = new Map();
+
+  for (const subcollection of ['records', 'completions']) {
+    const snapshots = await Promise.all(buckets.map((bucket) => bucket.collection(subcollection).get()));
+    snapshots.forEach((snapshot) => {
+      snapshot.docs.forEach((doc) => {
+        const data = doc.data();
+        if (typeof data.habitId !== 'string' || typeof data.dateKey !== 'string') {
+          return;
+        }
+        stored.set(keyFor(data.habitId, data.dateKey), { ...data, path: doc.ref.path });
+      });
+    });
+  }
+
+  return stored;
+};
+
+/**
+ * Compare folded events against stored completions.
+ *
+ * `goalFor(habitId, dateKey)` may return the goal in effect that day; when it
+ * returns a number the stored isCompleted flag is checked as well.
+ */
+const diffProgress = (expected, stored, { goalFor } = {}) => {
+  const mismatches = [];
+  const keys = new Set([...expected.keys(), ...stored.keys()]);
+
+  keys.forEach((key) => {
+    const folded = expected.get(key);
+    const completion = stored.get(key);
+    const [habitId, dateKey] = key.split('|');
+    const expectedProgress = folded ? folded.progress : 0;
+    const storedProgress = completion && Number.isInteger(completion.progress) ? completion.progress : 0;
+
+    if (!completion) {
+      if (expectedProgress > 0) {
+        mismatches.push({ type: DRIFT.MISSING_COMPLETION, habitId, dateKey, expectedProgress });
+      }
+      return;
+    }
+
+    if (!folded || folded.eventCount === 0) {
+      if (storedProgress > 0) {
+        mismatches.push({
+          type: DRIFT.MISSING_EVENTS, habitId, dateKey, storedProgress, path: completion.path,
+        });
+      }
+      return;
+    }
+
+    if (expectedProgress !== storedProgress) {
+      mismatches.push({
+        type: DRIFT.PROGRESS_MISMATCH,
+        habitId,
+        dateKey,
+        expectedProgress,
+        storedProgress,
+        path: completion.path,
+      });
+    }
+
+    const goal = goalFor ? goalFor(habitId, dateKey) : undefined;
+    if (Number.isInteger(goal)) {
+      const expectedCompleted = isProgressComplete(expectedProgress, goal);
+      if (completion.isCompleted !== expectedCompleted) {
+        mismatches.push({
+          type: DRIFT.COMPLETION_MISMATCH,
+          habitId,
+          dateKey,
+          goal,
+          expectedCompleted,
+          storedCompleted: completion.isCompleted,
+          path: completion.path,
+        });
+      }
+    }
+  });
+
+  mismatches.sort((a, b) => a.dateKey.localeCompare(b.dateKey) || a.habitId.localeCompare(b.habitId));
+  return mismatches;
+};
+
+/**
+ * Rewrite completion docs from the folded events for every
+ * PROGRESS_MISMATCH and MISSING_COMPLETION in a detectDrift report.
+ *
+ * Writes go to the canonical `completions` bucket under SyncEngine's
+ * deterministic id (comp_{habitId}_{dateKey}). MISSING_EVENTS is left alone:
+ * with no events there is nothing to rebuild from, so it needs a human.
+ */
+const rebuildCompletions = async (db, uid, report, { goalFor } = {}) => {
+  const targets = report.mismatches.filter(
+    (m) => m.type === DRIFT.PROGRESS_MISMATCH || m.type === DRIFT.MISSING_COMPLETION
+  );
+
+  for (let start = 0; start < targets.length; start += REBUILD_BATCH_SIZE) {
+    const chunk = targets.slice(start, start + REBUILD_BATCH_SIZE).map((mismatch) => {
+      const completionId = `comp_${mismatch.habitId}_${mismatch.dateKey}`;
+      const ref = db
+        .collection('users')
+        .doc(uid)
+        .collection('completions')
+        .doc(mismatch.dateKey.slice(0, 7))
+        .collection('completions')
+        .doc(completionId);
+      return { ...mismatch, completionId, ref };
+    });
+    const existing = await db.getAll(...chunk.map(({ ref }) => ref));
+    const batch = db.batch();
+
+    chunk.forEach(({ habitId, dateKey, expectedProgress, completionId, ref }, index) => {
+      const goal = goalFor ? goalFor(habitId, dateKey) : undefined;
+      const data = {
+        habitId,
+        dateKey,
+        completionId,
+        progress: expectedProgress,
+        isCompleted: isProgressComplete(expectedProgress, Number.isInteger(goal) ? goal : 0),
+        updatedAt: FieldValue.serverTimestamp(),
+      };
+      if (!existing[index].exists) {
+        data.createdAt = FieldValue.serverTimestamp();
+      }
+      batch.set(ref, data, { merge: true });
+    });
+
+    await batch.commit();
+  }
+
+  return { rebuilt: targets.length };
+};
+
+/** Read, fold and diff one user's events and completions */
+const detectDrift = async (db, uid, options = {}) => {
+  const [events, stored] = await Promise.all([readEvents(db, uid), readStoredCompletions(db, uid)]);
+  const { groups, ignored } = materializeProgress(events);
+  const mismatches = diffProgress(groups, stored, options);
+
+  return {
+    userId: uid,
+    eventsRead: events.length,
+    completionsRead: stored.size,
+    ignoredEvents: ignored.map((event) => event.path || event.id),
+    expected: [...groups.values()],
+    mismatches,
+  };
+};
+
+module.exports = {
+  EVENT_TYPES,
+  DRIFT,
+  isProgressComplete,
+  materializeProgress,
+  readEvents,
+  readStoredCompletions,
+  diffProgress,
+  detectDrift,
+  rebuildCompletions,
+};
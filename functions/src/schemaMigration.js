@@ -0,0 +1,379 @@
+/**
+ * Schema-unification migration.
+ *
+ * Converts one user's data to a single canonical shape so the dual-schema
+ * branches in firestore.rules can eventually be retired:
+ *
+ * - Habits: the simple schema (type/active, short type keys) becomes the
+ *   FirestoreHabit schema (habitType/isActive with HabitType.rawValue display
+ *   strings). Sync habits with short keys are normalised the same way. A
+ *   habit that had `active` keeps it, mirroring isActive, because
+ *   FirestoreRepository.streamHabits still queries `active == true`.
+ * - Completions: legacy .../completions/{yearMonth}/records/{id} docs move to
+ *   .../completions/{yearMonth}/completions/comp_{habitId}_{dateKey}, the
+ *   same move FirebaseBackupService.migrateOldCompletionRecords makes. When
+ *   both exist the newer updatedAt wins.
+ *
+ * Progress lives in /users/{uid}/meta/schema_migration (status,
+ * itemsProcessed, lastKey, version, startedAt, finishedAt, metadata), which
+ * only the Admin SDK writes. The app's own migration keeps
+ * /users/{uid}/meta/migration with FirebaseMigrationState's statuses, which
+ * this job never touches; it refuses to start while the app's migration is
+ * running. Items are processed in key order and each batch commits its
+ * writes together with the new lastKey, so a crashed or paused run resumes
+ * exactly where it stopped. Every original document is copied to
+ * /users/{uid}/meta/schema_migration/backup before it changes, which is what
+ * rollback restores from. Canonical completion targets are read before the
+ * first batch, so a target written by an earlier batch is still backed up with
+ * its pre-migration state.
+ */
+
+const { FieldValue } = require('firebase-admin/firestore');
+
+const MIGRATION_VERSION = 'schema-unification-v1';
+
+/** Items per batch; each item is at most 3 writes, plus the state update */
+const DEFAULT_BATCH_SIZE = 100;
+
+const HABIT_TYPE_DISPLAY = {
+  formation: 'Habit Building',
+  breaking: 'Habit Breaking',
+  'Habit Building': 'Habit Building',
+  'Habit Breaking': 'Habit Breaking',
+};
+
+const userRef = (db, uid) => db.collection('users').doc(uid);
+
+const stateRef = (db, uid) => userRef(db, uid).collection('meta').doc('schema_migration');
+
+/** The app's migration state (FirebaseMigrationState / BackfillJob) */
+const appMigrationRef = (db, uid) => userRef(db, uid).collection('meta').doc('migration');
+
+const backupCollection = (db, uid) => stateRef(db, uid).collection('backup');
+
+/** Backup doc id for an item key (doc ids cannot contain '/') */
+const backupIdFor = (key) => key.replace(/\//g, '|');
+
+const millis = (value) => (value && typeof value.toMillis === 'function' ? value.toMillis() : 0);
+
+/**
+ * Canonical habit data, or null when `data` is already canonical.
+ * Unknown type values are left for the rules to reject rather than guessed.
+ */
+const canonicalHabit = (data) => {
+  const rawType = data.habitType !== undefined ? data.habitType : data.type;
+  const habitType = HABIT_TYPE_DISPLAY[rawType] || rawType;
+  const isActive = typeof data.isActive === 'boolean' ? data.isActive : data.active;
+
+  const { type, active, ...rest } = data;
+  const canonical = { ...rest, habitType, isActive, ...(active !== undefined ? { active: isActive } : {}) };
+
+  const unchanged =
+    type === undefined
+    && data.habitType === habitType
+    && data.isActive === isActive
+    && (active === undefined || active === isActive);
+  return unchanged ? null : canonical;
+};
+
+/** Canonical completion doc for a legacy record (FirebaseBackupService field fill-ins) */
+const canonicalCompletion = (uid, data) => {
+  const completionId = `comp_${data.habitId}_${data.dateKey}`;
+  return {
+    ...data,
+    completionId,
+    userId: uid,
+    createdAt: data.createdAt || data.syncedAt || FieldValue.serverTimestamp(),
+    updatedAt: data.updatedAt || data.syncedAt || FieldValue.serverTimestamp(),
+  };
+};
+
+/** Canonical completion doc a legacy record moves to, or null when it cannot */
+const completionTargetRef = (item) => {
+  const { habitId, dateKey } = item.data;
+  if (typeof habitId !== 'string' || typeof dateKey !== 'string') {
+    return null;
+  }
+  return item.bucket.collection('completions').doc(`comp_${habitId}_${dateKey}`);
+};
+
+/** Every candidate item for one user, sorted by key */
+const listItems = async (db, uid) => {
+  const user = userRef(db, uid);
+  const [habits, buckets] = await Promise.all([
+    user.collection('habits').get(),
+    user.collection('completions').listDocuments(),
+  ]);
+  const records = await Promise.all(buckets.map((bucket) => bucket.collection('records').get()));
+
+  const items = [
+    ...habits.docs.map((doc) => ({ kind: 'habit', key: `habits/${doc.id}`, ref: doc.ref, data: doc.data() })),
+    ...records.flatMap((snapshot, index) =>
+      snapshot.docs.map((doc) => ({
+        kind: 'record',
+        key: `completions/${buckets[index].id}/records/${doc.id}`,
+        ref: doc.ref,
+        bucket: buckets[index],
+        data: doc.data(),
+      }))
+    ),
+  ];
+  return items.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+};
+
+/**
+ * Pre-migration state of every completion target the items move to, keyed by
+ * path. A resumed run takes targets it already touched from their backups,
+ * since the docs themselves now hold the earlier batches' writes.
+ */
+const capturePriors = async (db, uid, items, { resuming = false, batchSize = DEFAULT_BATCH_SIZE } = {}) => {
+  const priors = new Map();
+  if (resuming) {
+    const backups = await backupCollection(db, uid).get();
+    backups.docs.forEach((backup) => {
+      const { targetPath, targetPrior } = backup.data();
+      if (targetPath && !priors.has(targetPath)) {
+        priors.set(targetPath, targetPrior || null);
+      }
+    });
+  }
+
+  const refs = new Map();
+  items.forEach((item) => {
+    const ref = item.kind === 'record' ? completionTargetRef(item) : null;
+    if (ref && !priors.has(ref.path)) {
+      refs.set(ref.path, ref);
+    }
+  });
+  const unread = [...refs.values()];
+  for (let start = 0; start < unread.length; start += batchSize) {
+    const snapshots = await db.getAll(...unread.slice(start, start + batchSize));
+    snapshots.forEach((snapshot) => priors.set(snapshot.ref.path, snapshot.exists ? snapshot.data() : null));
+  }
+  return priors;
+};
+
+/**
+ * Decide what to do with one item. For records this reads the canonical
+ * target; `pending` holds targets already written earlier in the same batch
+ * so two records for one habit and day still resolve newest-wins, and
+ * `priors` (capturePriors) supplies the target's pre-migration state for the
+ * backup. Without `priors` the target as read now is the prior.
+ */
+const planItem = async (db, uid, item, pending = new Map(), priors = new Map()) => {
+  if (item.kind === 'habit') {
+    const after = canonicalHabit(item.data);
+    return after ? { action: 'convert_habit', key: item.key, after } : { action: 'none', key: item.key };
+  }
+
+  const targetRef = completionTargetRef(item);
+  if (!targetRef) {
+    return { action: 'skip_invalid', key: item.key };
+  }
+
+  const after = canonicalCompletion(uid, item.data);
+  const target = await targetRef.get();
+  const existing = target.exists ? target.data() : null;
+  const prior = priors.has(targetRef.path) ? priors.get(targetRef.path) : existing;
+  const current = pending.get(targetRef.path) || existing;
+
+  // Both buckets hold the day: keep whichever was written last
+  const recordWins = !current || millis(item.data.updatedAt || item.data.syncedAt) > millis(current.updatedAt);
+  return {
+    action: recordWins ? 'move_record' : 'drop_record',
+    key: item.key,
+    targetRef,
+    prior,
+    after: recordWins ? after : null,
+  };
+};
+
+const readState = async (db, uid) => {
+  const snapshot = await stateRef(db, uid).get();
+  return snapshot.exists ? snapshot.data() : null;
+};
+
+const isOurs = (state) => state && state.version === MIGRATION_VERSION;
+
+/**
+ * Compute the plan without writing anything, including meta/schema_migration.
+ */
+const dryRun = async (db, uid) => {
+  const items = await listItems(db, uid);
+  const plan = [];
+  for (const item of items) {
+    const step = await planItem(db, uid, item);
+    if (step.action !== 'none') {
+      plan.push({ key: step.key, action: step.action, target: step.targetRef ? step.targetRef.path : null });
+    }
+  }
+  return { dryRun: true, itemsScanned: items.length, plan };
+};
+
+/**
+ * Run (or resume) the migration for one user.
+ *
+ * Options:
+ * - batchSize: items per committed batch
+ * - maxItems:  stop after this many items and leave status 'paused'
+ *              (keeps a single invocation inside a function timeout)
+ *
+ * Returns the meta/schema_migration state after the run.
+ */
+const runMigration = async (db, uid, { batchSize = DEFAULT_BATCH_SIZE, maxItems = Infinity } = {}) => {
+  const ref = stateRef(db, uid);
+  const [existing, app] = await Promise.all([readState(db, uid), appMigrationRef(db, uid).get()]);
+
+  if (app.exists && app.get('status') === 'running') {
+    throw new Error(`The app's migration (${app.get('version') || 'unversioned'}) is running`);
+  }
+  if (isOurs(existing) && existing.status === 'completed') {
+    return existing;
+  }
+
+  // A crashed (failed) run resumes from its cursor like a paused one
+  const resuming = isOurs(existing) && ['running', 'paused', 'failed'].includes(existing.status);
+  const lastKey = resuming ? existing.lastKey || null : null;
+  let itemsProcessed = resuming ? existing.itemsProcessed || 0 : 0;
+
+  const items = (await listItems(db, uid)).filter((item) => lastKey === null || item.key > lastKey);
+  const limit = Math.min(items.length, maxItems);
+
+  await ref.set(
+    {
+      status: 'running',
+      version: MIGRATION_VERSION,
+      itemsProcessed,
+      lastKey,
+      totalItems: itemsProcessed + items.length,
+      error: null,
+      ...(resuming ? {} : { startedAt: FieldValue.serverTimestamp(), finishedAt: null }),
+    },
+    { merge: true }
+  );
+
+  let index = 0;
+  try {
+    const priors = await capturePriors(db, uid, items.slice(0, limit), { resuming, batchSize });
+
+    while (index < limit) {
+      // Honour a pause requested from elsewhere between batches
+      const current = await readState(db, uid);
+      if (current && current.status === 'paused') {
+        return current;
+      }
+
+      const chunk = items.slice(index, Math.min(index + batchSize, limit));
+      const batch = db.batch();
+      const pending = new Map();
+
+      for (const item of chunk) {
+        const step = await planItem(db, uid, item, pending, priors);
+        if (step.action === 'none' || step.action === 'skip_invalid') {
+          continue;
+        }
+
+        batch.set(backupCollection(db, uid).doc(backupIdFor(item.key)), {
+          key: item.key,
+          path: item.ref.path,
+          data: item.data,
+          targetPath: step.targetRef ? step.targetRef.path : null,
+          targetPrior: step.targetRef ? step.prior : null,
+          migratedAt: FieldValue.serverTimestamp(),
+        });
+
+        if (step.action === 'convert_habit') {
+          batch.set(item.ref, step.after);
+        } else {
+          if (step.action === 'move_record') {
+            batch.set(step.targetRef, step.after);
+            pending.set(step.targetRef.path, step.after);
+          }
+          batch.delete(item.ref);
+        }
+      }
+
+      index += chunk.length;
+      itemsProcessed += chunk.length;
+      batch.update(ref, { itemsProcessed, lastKey: chunk[chunk.length - 1].key });
+      await batch.commit();
+    }
+  } catch (error) {
+    await ref.update({ status: 'failed', error: String(error.message).slice(0, 2000) });
+    throw error;
+  }
+
+  await ref.update(
+    index < items.length
+      ? { status: 'paused' }
+      : { status: 'completed', finishedAt: FieldValue.serverTimestamp() }
+  );
+  return readState(db, uid);
+};
+
+/** Ask a running migration to stop after its current batch */
+const pauseMigration = async (db, uid) => {
+  const state = await readState(db, uid);
+  if (!isOurs(state) || state.status !== 'running') {
+    throw new Error(`Nothing to pause (status: ${state ? state.status : 'none'})`);
+  }
+  await stateRef(db, uid).update({ status: 'paused' });
+  return readState(db, uid);
+};
+
+/**
+ * Restore every backed-up document, remove canonical docs the migration
+ * created, and mark the migration cancelled. Safe to re-run after a failure.
+ */
+const rollbackMigration = async (db, uid, { batchSize = DEFAULT_BATCH_SIZE } = {}) => {
+  const state = await readState(db, uid);
+  if (!isOurs(state)) {
+    throw new Error('No schema-unification migration to roll back');
+  }
+  if (state.status === 'running') {
+    throw new Error('Pause the migration before rolling back');
+  }
+
+  const backups = await backupCollection(db, uid).get();
+  let restored = 0;
+
+  for (let start = 0; start < backups.docs.length; start += batchSize) {
+    const batch = db.batch();
+    backups.docs.slice(start, start + batchSize).forEach((backup) => {
+      const { path, data, targetPath, targetPrior } = backup.data();
+      batch.set(db.doc(path), data);
+      if (targetPath) {
+        if (targetPrior) {
+          batch.set(db.doc(targetPath), targetPrior);
+        } else {
+          batch.delete(db.doc(targetPath));
+        }
+      }
+      batch.delete(backup.ref);
+      restored += 1;
+    });
+    await batch.commit();
+  }
+
+  await stateRef(db, uid).update({
+    status: 'cancelled',
+    itemsProcessed: 0,
+    lastKey: null,
+    finishedAt: FieldValue.serverTimestamp(),
+    metadata: { rolledBack: restored },
+  });
+  return { restored, state: await readState(db, uid) };
+};
+
+module.exports = {
+  MIGRATION_VERSION,
+  DEFAULT_BATCH_SIZE,
+  HABIT_TYPE_DISPLAY,
+  canonicalHabit,
+  canonicalCompletion,
+  listItems,
+  dryRun,
+  runMigration,
+  pauseMigration,
+  rollbackMigration,
+};
@@ -0,0 +1,464 @@
+/**
+ * Server-side backups.
+ *
+ * The app's own backups (BackupManager / FirebaseBackupService) only run
+ * while a device is in hand, so a phone lost between backups loses data.
+ * This module snapshots a user's whole /users/{uid} subtree into Cloud
+ * Storage and can roll the user back to any kept snapshot:
+ *
+ *   backups/{uid}/{snapshotId}.json.gz
+ *
+ * Each object is an immutable gzipped JSON archive (formatVersion,
+ * documents with typed values) whose custom metadata carries the summary
+ * used for listing and retention, so listing never downloads an archive.
+ * Unlike the "Download my data" export, values keep their Firestore types
+ * (timestamps, references, geopoints, bytes) so a restore is exact.
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { GeoPoint, Timestamp } = require('firebase-admin/firestore');
+const { walkDocuments, receiptRef } = require('./erasure');
+
+/** Bump when the archive layout changes in a way restore must handle */
+const BACKUP_FORMAT_VERSION = 1;
+
+const BACKUP_PREFIX = 'backups';
+
+/** Users with a device login in this window are snapshotted by the scheduled job */
+const ACTIVE_DAYS = 7;
+
+/** Snapshots older than this are deleted... */
+const RETENTION_DAYS = 30;
+
+/** ...except the newest MIN_SNAPSHOTS, so a user who stops using the app keeps a restore point */
+const MIN_SNAPSHOTS = 3;
+
+/** Collections a restore leaves as they are now (server-verified or security state) */
+const PRESERVED_ON_RESTORE = ['entitlements', 'devices', 'partners', 'support_grants'];
+
+/** Writes per batch; Firestore caps a batch at 500 */
+const DEFAULT_BATCH_SIZE = 200;
+
+/** Documents per getAll() while reading the subtree */
+const READ_CHUNK = 100;
+
+/** Time one scheduled invocation spends on users before leaving the rest to the next (timeout is 540 s) */
+const DEFAULT_TIME_BUDGET_MS = 420 * 1000;
+
+/** Extra lease beyond the budget for the user in progress when it runs out */
+const LEASE_SLACK_MS = 120 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const userRef = (db, uid) => db.collection('users').doc(uid);
+
+/** Path below /users/{uid}; '' for the user document itself */
+const relativePath = (uid, ref) => ref.path.slice(`users/${uid}`.length + 1);
+
+const isPreserved = (path) => PRESERVED_ON_RESTORE.includes(path.split('/')[0]);
+
+/** Sortable, Storage-safe id: 2025-10-15T08:30:00.000Z → 2025-10-15T08-30-00-000Z */
+const snapshotIdFor = (date) => date.toISOString().replace(/[:.]/g, '-');
+
+const objectName = (uid, snapshotId) => `${BACKUP_PREFIX}/${uid}/${snapshotId}.json.gz`;
+
+// ---------------------------------------------------------------------------
+// Typed values
+// ---------------------------------------------------------------------------
+
+/**
+ * Firestore value → JSON that round-trips through decodeValue. Map keys are
+ * sorted so equal documents encode (and hash) identically.
+ */
+const encodeValue = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (value instanceof Timestamp) {
+    return { __type: 'timestamp', seconds: value.seconds, nanoseconds: value.nanoseconds };
+  }
+  if (value instanceof Date) {
+    return encodeValue(Timestamp.fromDate(value));
+  }
+  if (value instanceof GeoPoint) {
+    return { __type: 'geopoint', latitude: value.latitude, longitude: value.longitude };
+  }
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return { __type: 'bytes', base64: Buffer.from(value).toString('base64') };
+  }
+  if (Array.isArray(value)) {
+    return value.map(encodeValue);
+  }
+  if (typeof value === 'object') {
+    if (typeof value.path === 'string' && typeof value.collection === 'function') {
+      return { __type: 'reference', path: value.path };
+    }
+    const fields = Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map((key) => [key, encodeValue(value[key])])
+    );
+    // A stored map that itself has a __type key must not be mistaken for a tagged value
+    return '__type' in fields ? { __type: 'map', fields } : fields;
+  }
+  return value;
+};
+
+/** Value constructors for the Admin SDK; the client import passes the compat SDK's */
+const ADMIN_TYPES = {
+  timestamp: (seconds, nanoseconds) => new Timestamp(seconds, nanoseconds),
+  geopoint: (latitude, longitude) => new GeoPoint(latitude, longitude),
+  bytes: (base64) => Buffer.from(base64, 'base64'),
+};
+
+/** Inverse of encodeValue; references resolve against `db` */
+const decodeValue = (db, value, types = ADMIN_TYPES) => {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => decodeValue(db, item, types));
+  }
+  const decodeFields = (fields) =>
+    Object.fromEntries(Object.entries(fields).map(([key, field]) => [key, decodeValue(db, field, types)]));
+  switch (value.__type) {
+    case 'timestamp':
+      return types.timestamp(value.seconds, value.nanoseconds);
+    case 'geopoint':
+      return types.geopoint(value.latitude, value.longitude);
+    case 'bytes':
+      return types.bytes(value.base64);
+    case 'reference':
+      return db.doc(value.path);
+    case 'map':
+      return decodeFields(value.fields);
+    default:
+      return decodeFields(value);
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Snapshot
+// ---------------------------------------------------------------------------
+
+/** Snapshots of every existing document under /users/{uid} (walkDocuments also yields missing parents) */
+const readExisting = async (db, uid) => {
+  const refs = [];
+  for await (const ref of walkDocuments(userRef(db, uid))) {
+    refs.push(ref);
+  }
+
+  const existing = [];
+  for (let start = 0; start < refs.length; start += READ_CHUNK) {
+    const snapshots = await db.getAll(...refs.slice(start, start + READ_CHUNK));
+    existing.push(...snapshots.filter((snapshot) => snapshot.exists));
+  }
+  return existing;
+};
+
+/** Every document under /users/{uid} as { path, data }, sorted by path */
+const readSubtree = async (db, uid) =>
+  (await readExisting(db, uid))
+    .map((snapshot) => ({ path: relativePath(uid, snapshot.ref), data: encodeValue(snapshot.data()) }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+
+const contentHashOf = (documents) => crypto.createHash('sha256').update(JSON.stringify(documents)).digest('hex');
+
+/** Kept snapshots for one user, newest first: [{ snapshotId, createdAt, reason, documentCount, contentHash }] */
+const listSnapshots = async (bucket, uid) => {
+  const [files] = await bucket.getFiles({ prefix: `${BACKUP_PREFIX}/${uid}/` });
+  return files
+    .map((file) => {
+      const metadata = (file.metadata && file.metadata.metadata) || {};
+      return {
+        snapshotId: file.name.slice(`${BACKUP_PREFIX}/${uid}/`.length).replace(/\.json\.gz$/, ''),
+        createdAt: metadata.createdAt || null,
+        reason: metadata.reason || null,
+        documentCount: Number(metadata.documentCount),
+        contentHash: metadata.contentHash || null,
+      };
+    })
+    .sort((a, b) => b.snapshotId.localeCompare(a.snapshotId));
+};
+
+/**
+ * Snapshot one user's subtree. When nothing changed since the newest kept
+ * snapshot no object is written and that snapshot is returned with
+ * `written: false`. Returns { snapshotId, written, documentCount }.
+ */
+const snapshotUser = async (db, bucket, uid, { now = new Date(), reason = 'scheduled' } = {}) => {
+  if (typeof uid !== 'string' || uid.length === 0) {
+    throw new Error('snapshotUser requires a uid');
+  }
+
+  const documents = await readSubtree(db, uid);
+  const contentHash = contentHashOf(documents);
+
+  const [latest] = await listSnapshots(bucket, uid);
+  if (latest && latest.contentHash === contentHash) {
+    return { snapshotId: latest.snapshotId, written: false, documentCount: documents.length };
+  }
+
+  const snapshotId = snapshotIdFor(now);
+  const archive = {
+    formatVersion: BACKUP_FORMAT_VERSION,
+    userId: uid,
+    snapshotId,
+    createdAt: now.toISOString(),
+    reason,
+    contentHash,
+    documents,
+  };
+
+  await bucket.file(objectName(uid, snapshotId)).save(zlib.gzipSync(JSON.stringify(archive)), {
+    resumable: false,
+    contentType: 'application/gzip',
+    metadata: {
+      metadata: {
+        formatVersion: String(BACKUP_FORMAT_VERSION),
+        createdAt: archive.createdAt,
+        reason,
+        documentCount: String(documents.length),
+        contentHash,
+      },
+    },
+  });
+
+  return { snapshotId, written: true, documentCount: documents.length };
+};
+
+/**
+ * Parse and check an archive: gzipped or plain JSON bytes. Throws when the
+ * format is unknown or the archive belongs to a different user.
+ */
+const parseArchive = (contents, uid) => {
+  const json = contents[0] === 0x1f && contents[1] === 0x8b ? zlib.gunzipSync(contents) : contents;
+  const archive = JSON.parse(json.toString('utf8'));
+  if (archive.formatVersion !== BACKUP_FORMAT_VERSION || !Array.isArray(archive.documents)) {
+    throw new Error(`Unsupported backup formatVersion ${archive.formatVersion}`);
+  }
+  if (archive.userId !== uid) {
+    throw new Error(`Snapshot ${archive.snapshotId} belongs to ${archive.userId}, not ${uid}`);
+  }
+  return archive;
+};
+
+/** Download and check one archive */
+const readSnapshot = async (bucket, uid, snapshotId) => {
+  const file = bucket.file(objectName(uid, snapshotId));
+  const [exists] = await file.exists();
+  if (!exists) {
+    throw new Error(`No snapshot ${snapshotId} for ${uid}`);
+  }
+  const [contents] = await file.download();
+  return parseArchive(contents, uid);
+};
+
+/**
+ * Delete snapshots older than `retentionDays`, always keeping the newest
+ * `minSnapshots`. Returns the deleted snapshot ids.
+ */
+const applyRetention = async (
+  bucket,
+  uid,
+  { now = new Date(), retentionDays = RETENTION_DAYS, minSnapshots = MIN_SNAPSHOTS } = {}
+) => {
+  const cutoff = snapshotIdFor(new Date(now.getTime() - retentionDays * DAY_MS));
+  const expired = (await listSnapshots(bucket, uid))
+    .slice(minSnapshots)
+    .filter((snapshot) => snapshot.snapshotId < cutoff)
+    .map((snapshot) => snapshot.snapshotId);
+
+  for (const snapshotId of expired) {
+    await bucket.file(objectName(uid, snapshotId)).delete({ ignoreNotFound: true });
+  }
+  return expired;
+};
+
+/** Remove every snapshot of one user (account erasure). Returns the count. */
+const deleteUserBackups = async (bucket, uid) => {
+  const [files] = await bucket.getFiles({ prefix: `${BACKUP_PREFIX}/${uid}/` });
+  for (const file of files) {
+    await file.delete({ ignoreNotFound: true });
+  }
+  return files.length;
+};
+
+/** Users with any device login since `now - activeDays` (DeviceManager bumps lastLogin on launch) */
+const activeUserIds = async (db, { now = new Date(), activeDays = ACTIVE_DAYS } = {}) => {
+  const since = new Date(now.getTime() - activeDays * DAY_MS);
+  const snapshot = await db.collectionGroup('devices').where('lastLogin', '>=', since).select().get();
+  const uids = snapshot.docs
+    .filter((doc) => doc.ref.parent.parent && doc.ref.parent.parent.parent.id === 'users')
+    .map((doc) => doc.ref.parent.parent.id);
+  return [...new Set(uids)].sort();
+};
+
+/** Progress of the scheduled run for one UTC day: /backup_runs/{YYYY-MM-DD} */
+const backupRunRef = (db, now) => db.collection('backup_runs').doc(now.toISOString().slice(0, 10));
+
+/**
+ * Take over the day's run unless it is complete or another invocation holds
+ * it. Returns the run state to continue from, or null.
+ */
+const claimBackupRun = (db, ref, { now, leaseMs }) =>
+  db.runTransaction(async (tx) => {
+    const snapshot = await tx.get(ref);
+    const state = snapshot.exists ? snapshot.data() : null;
+    if (state && (state.status === 'completed' || (state.status === 'running' && state.leaseUntil.toMillis() > Date.now()))) {
+      return null;
+    }
+    const claimed = {
+      written: 0,
+      unchanged: 0,
+      pruned: 0,
+      failed: [],
+      lastUid: null,
+      startedAt: Timestamp.fromDate(now),
+      ...state,
+      status: 'running',
+      leaseUntil: Timestamp.fromMillis(Date.now() + leaseMs),
+    };
+    tx.set(ref, claimed);
+    return claimed;
+  });
+
+/**
+ * Scheduled entry point: snapshot every active user, then apply retention to
+ * them. Erased users are skipped. One user's failure does not stop the run.
+ *
+ * Users are processed in uid order and the cursor (lastUid) and running
+ * totals are saved in /backup_runs/{day} after each one. When `timeBudgetMs`
+ * runs out the run is left 'paused' and the next invocation that day resumes
+ * after lastUid, so the job is scheduled more often than daily and a
+ * completed day is a no-op. Once every user is done, failures are thrown so
+ * the run shows as failed.
+ * Returns { runId, status, users, remaining, written, unchanged, pruned, failed: [{ uid, error }] },
+ * or null when the day is complete or another invocation is running it.
+ */
+const snapshotActiveUsers = async (
+  db,
+  bucket,
+  {
+    now = new Date(),
+    activeDays = ACTIVE_DAYS,
+    retentionDays = RETENTION_DAYS,
+    minSnapshots = MIN_SNAPSHOTS,
+    timeBudgetMs = DEFAULT_TIME_BUDGET_MS,
+  } = {}
+) => {
+  const startedMs = Date.now();
+  const runRef = backupRunRef(db, now);
+  const state = await claimBackupRun(db, runRef, { now, leaseMs: timeBudgetMs + LEASE_SLACK_MS });
+  if (!state) {
+    return null;
+  }
+
+  const uids = await activeUserIds(db, { now, activeDays });
+  const pending = uids.filter((uid) => state.lastUid === null || uid > state.lastUid);
+  const { lastUid, leaseUntil, startedAt, status, ...totals } = state;
+  let done = 0;
+
+  for (const uid of pending) {
+    // Always make progress, then stop once the budget is spent
+    if (done > 0 && Date.now() - startedMs >= timeBudgetMs) {
+      break;
+    }
+    try {
+      if (!(await receiptRef(db, uid).get()).exists) {
+        const { written } = await snapshotUser(db, bucket, uid, { now });
+        totals[written ? 'written' : 'unchanged'] += 1;
+        totals.pruned += (await applyRetention(bucket, uid, { now, retentionDays, minSnapshots })).length;
+      }
+    } catch (error) {
+      totals.failed.push({ uid, error: error.message });
+    }
+    done += 1;
+    await runRef.update({ ...totals, lastUid: uid });
+  }
+
+  const remaining = pending.length - done;
+  const summary = {
+    runId: runRef.id,
+    status: remaining > 0 ? 'paused' : 'completed',
+    users: uids.length,
+    remaining,
+    ...totals,
+  };
+  await runRef.update({ status: summary.status, leaseUntil: Timestamp.fromMillis(Date.now()) });
+
+  if (summary.status === 'completed' && summary.failed.length > 0) {
+    const error = new Error(`Backup failed for ${summary.failed.length} of ${uids.length} users`);
+    error.summary = summary;
+    throw error;
+  }
+  return summary;
+};
+
+// ---------------------------------------------------------------------------
+// Restore
+// ---------------------------------------------------------------------------
+
+/**
+ * Roll one user back to `snapshotId`. The current state is snapshotted first
+ * (reason 'pre-restore') so the restore itself can be undone. Every archived
+ * document is written back, then documents that did not exist at snapshot
+ * time are deleted; PRESERVED_ON_RESTORE collections are left untouched.
+ * Not atomic: signed-in devices should be told to re-sync afterwards.
+ * Returns { snapshotId, preRestoreSnapshotId, written, deleted }.
+ */
+const restoreUser = async (db, bucket, uid, snapshotId, { now = new Date(), batchSize = DEFAULT_BATCH_SIZE } = {}) => {
+  const archive = await readSnapshot(bucket, uid, snapshotId);
+  const preRestore = await snapshotUser(db, bucket, uid, { now, reason: 'pre-restore' });
+
+  const user = userRef(db, uid);
+  const refFor = (path) => (path === '' ? user : db.doc(`${user.path}/${path}`));
+  const documents = archive.documents.filter((document) => !isPreserved(document.path));
+  const archived = new Set(documents.map((document) => document.path));
+
+  const extra = (await readExisting(db, uid))
+    .map((snapshot) => snapshot.ref)
+    .filter((ref) => !archived.has(relativePath(uid, ref)) && !isPreserved(relativePath(uid, ref)));
+
+  const commitInBatches = async (items, write) => {
+    for (let start = 0; start < items.length; start += batchSize) {
+      const batch = db.batch();
+      items.slice(start, start + batchSize).forEach((item) => write(batch, item));
+      await batch.commit();
+    }
+  };
+
+  await commitInBatches(documents, (batch, document) => batch.set(refFor(document.path), decodeValue(db, document.data)));
+  await commitInBatches(extra, (batch, ref) => batch.delete(ref));
+
+  return {
+    snapshotId: archive.snapshotId,
+    preRestoreSnapshotId: preRestore.snapshotId,
+    written: documents.length,
+    deleted: extra.length,
+  };
+};
+
+module.exports = {
+  BACKUP_FORMAT_VERSION,
+  BACKUP_PREFIX,
+  ACTIVE_DAYS,
+  RETENTION_DAYS,
+  MIN_SNAPSHOTS,
+  PRESERVED_ON_RESTORE,
+  snapshotIdFor,
+  objectName,
+  encodeValue,
+  decodeValue,
+  listSnapshots,
+  snapshotUser,
+  parseArchive,
+  readSnapshot,
+  applyRetention,
+  deleteUserBackups,
+  activeUserIds,
+  backupRunRef,
+  snapshotActiveUsers,
+  restoreUser,
+};
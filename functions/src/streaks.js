@@ -0,0 +1,229 @@
+/**
+ * Streak recomputation.
+ *
+ * Derives /users/{uid}/streaks/{habitId} from the habit's completions in
+ * both layouts and its goal history (/users/{uid}/goalVersions/{habitId}/versions):
+ *   /users/{uid}/completions/{dateKey}/habits/{habitId}          (FirestoreRepository, `count`)
+ *   /users/{uid}/completions/{yearMonth}/completions/{recordId}  (SyncEngine, `progress` / `isCompleted`)
+ *
+ * A day is complete when its count reaches the goal in effect that day (see
+ * ./goals), or a SyncEngine record marks it completed. Days whose goal is 0
+ * are paused: they neither extend nor break a streak.
+ *
+ * The server does not know the user's time zone, so "today" is a window: a
+ * missed day only breaks the current streak once it has ended everywhere
+ * (UTC-12), and completions dated after today in the furthest-ahead zone
+ * (UTC+14) are ignored.
+ *
+ * A completion write only re-reads the days from the habit's checkpoint on:
+ * /users/{uid}/streak_checkpoints/{habitId} ({ before, current, longest,
+ * lastCompletionDate }, closed to clients) holds the streak folded over
+ * every day before `before`. The checkpoint trails today by
+ * CHECKPOINT_LAG_DAYS and moves forward once it trails by twice that. A
+ * write to a day before the checkpoint, a goal change, or a missing
+ * checkpoint reads the whole history and rebuilds it.
+ */
+
+const { FieldValue } = require('firebase-admin/firestore');
+
+const { goalResolver, readGoalVersions } = require('./goals');
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+const YEAR_MONTH = /^\d{4}-\d{2}$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Days between the checkpoint and the earliest "today" when it is (re)built */
+const CHECKPOINT_LAG_DAYS = 35;
+
+/** A SyncEngine record marked isCompleted completes its day whatever the goal */
+const COMPLETED = Number.POSITIVE_INFINITY;
+
+const toDateKey = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+const parseDateKey = (dateKey) => Date.parse(`${dateKey}T00:00:00Z`);
+
+/** Earliest and latest calendar day anywhere on Earth at `now` */
+const todayWindow = (now = new Date()) => ({
+  earliest: toDateKey(now.getTime() - 12 * 60 * 60 * 1000),
+  latest: toDateKey(now.getTime() + 14 * 60 * 60 * 1000),
+});
+
+const EMPTY_STREAK = { current: 0, longest: 0, lastCompletionDate: null };
+
+const streakOf = ({ current, longest, lastCompletionDate = null }) => ({ current, longest, lastCompletionDate });
+
+/** Fold the days `from`..`until` (inclusive) into `streak`; returns the new streak */
+const foldDays = (streak, counts, goalOn, from, until, earliest) => {
+  let { current, longest, lastCompletionDate } = streak;
+  for (let ms = parseDateKey(from); ms <= parseDateKey(until); ms += DAY_MS) {
+    const day = toDateKey(ms);
+    const goal = goalOn(day);
+    if (goal === 0) {
+      continue;
+    }
+    if ((counts.get(day) || 0) >= goal) {
+      current += 1;
+      longest = Math.max(longest, current);
+      lastCompletionDate = day;
+    } else if (day < earliest) {
+      current = 0;
+    }
+  }
+  return { current, longest, lastCompletionDate };
+};
+
+/**
+ * Pure streak calculation.
+ *
+ * `counts` maps dateKey -> completion count; `versions` are goal version docs.
+ * With a `checkpoint` only days from `checkpoint.before` on are folded into
+ * it. Returns { current, longest, lastCompletionDate }.
+ */
+const computeStreak = (counts, versions, { now = new Date(), checkpoint = null } = {}) => {
+  const { earliest, latest } = todayWindow(now);
+  const base = checkpoint ? streakOf(checkpoint) : EMPTY_STREAK;
+  const start = checkpoint
+    ? checkpoint.before
+    : [...counts.keys()].filter((day) => DATE_KEY.test(day) && day <= latest).sort()[0];
+
+  if (!start || start > latest) {
+    return base;
+  }
+  return foldDays(base, counts, goalResolver(versions), start, latest, earliest);
+};
+
+/**
+ * The checkpoint to store after a recompute at `now`, or null to keep
+ * `checkpoint` as it is. `counts` must cover every day from
+ * `checkpoint.before` (or the whole history without one).
+ */
+const advanceCheckpoint = (counts, versions, { now = new Date(), checkpoint = null } = {}) => {
+  const { earliest } = todayWindow(now);
+  const before = toDateKey(parseDateKey(earliest) - CHECKPOINT_LAG_DAYS * DAY_MS);
+  if (checkpoint && checkpoint.before >= toDateKey(parseDateKey(before) - CHECKPOINT_LAG_DAYS * DAY_MS)) {
+    return null;
+  }
+  const days = [...counts.keys()].filter((day) => DATE_KEY.test(day) && day < before).sort();
+  const from = checkpoint ? checkpoint.before : days[0];
+  const base = checkpoint ? streakOf(checkpoint) : EMPTY_STREAK;
+  const until = toDateKey(parseDateKey(before) - DAY_MS);
+  const folded = from && from <= until ? foldDays(base, counts, goalResolver(versions), from, until, earliest) : base;
+  return { before, ...folded };
+};
+
+const checkpointRef = (db, uid, habitId) =>
+  db.collection('users').doc(uid).collection('streak_checkpoints').doc(habitId);
+
+/** Every dateKey from `from` to `until` */
+const daysBetween = (from, until) => {
+  const days = [];
+  for (let ms = parseDateKey(from); ms <= parseDateKey(until); ms += DAY_MS) {
+    days.push(toDateKey(ms));
+  }
+  return days;
+};
+
+/** Every yearMonth from the month of `from` to the month of `until` */
+const monthsBetween = (from, until) => {
+  const months = [];
+  const date = new Date(Date.parse(`${from.slice(0, 7)}-01T00:00:00Z`));
+  while (date.toISOString().slice(0, 7) <= until.slice(0, 7)) {
+    months.push(date.toISOString().slice(0, 7));
+    date.setUTCMonth(date.getUTCMonth() + 1);
+  }
+  return months;
+};
+
+/**
+ * Completion counts for one habit from both layouts, for the days from
+ * `from` on (every day without it). The larger count wins when both layouts
+ * hold a day.
+ */
+const readCompletionCounts = async (db, uid, habitId, { from = null, now = new Date() } = {}) => {
+  const completions = db.collection('users').doc(uid).collection('completions');
+  let days;
+  let months;
+  if (from) {
+    const { latest } = todayWindow(now);
+    days = from <= latest ? daysBetween(from, latest) : [];
+    months = from <= latest ? monthsBetween(from, latest) : [];
+  } else {
+    const buckets = (await completions.listDocuments()).map((bucket) => bucket.id);
+    days = buckets.filter((id) => DATE_KEY.test(id));
+    months = buckets.filter((id) => YEAR_MONTH.test(id));
+  }
+
+  const [dated, records] = await Promise.all([
+    days.length > 0 ? db.getAll(...days.map((day) => completions.doc(day).collection('habits').doc(habitId))) : [],
+    Promise.all(months.map((month) => completions.doc(month).collection('completions').where('habitId', '==', habitId).get())),
+  ]);
+
+  const counts = new Map();
+  const add = (dateKey, count) => {
+    if (count > 0 && (!from || dateKey >= from)) {
+      counts.set(dateKey, Math.max(counts.get(dateKey) || 0, count));
+    }
+  };
+  dated.forEach((snapshot, index) => {
+    const count = snapshot.exists ? snapshot.data().count : 0;
+    if (Number.isInteger(count)) {
+      add(days[index], count);
+    }
+  });
+  records.flatMap((snapshot) => snapshot.docs).forEach((doc) => {
+    const { dateKey, isCompleted, progress } = doc.data();
+    if (typeof dateKey === 'string' && DATE_KEY.test(dateKey)) {
+      add(dateKey, isCompleted === true ? COMPLETED : Number.isInteger(progress) ? progress : 0);
+    }
+  });
+  return counts;
+};
+
+/**
+ * Recompute and overwrite one habit's streak doc; returns the written fields.
+ * Soft-deleted habits, and purged ones with nothing left, are skipped (null)
+ * so purge deletes cannot recreate their streak doc.
+ *
+ * `dateKey` is the day whose completion changed: the checkpoint is used
+ * unless it is before the checkpoint. Without one (goal changes, repairs)
+ * the whole history is read.
+ */
+const recomputeStreak = async (db, uid, habitId, { now = new Date(), dateKey = null } = {}) => {
+  const saved = dateKey ? await checkpointRef(db, uid, habitId).get() : null;
+  const checkpoint = saved && saved.exists && dateKey >= saved.get('before') ? saved.data() : null;
+
+  const [habit, counts, versions] = await Promise.all([
+    db.collection('users').doc(uid).collection('habits').doc(habitId).get(),
+    readCompletionCounts(db, uid, habitId, { from: checkpoint ? checkpoint.before : null, now }),
+    readGoalVersions(db, uid, habitId),
+  ]);
+  if (habit.exists ? Boolean(habit.data().deletedAt) : counts.size === 0 && !checkpoint) {
+    return null;
+  }
+  const streak = computeStreak(counts, versions, { now, checkpoint });
+  const advanced = advanceCheckpoint(counts, versions, { now, checkpoint });
+
+  const batch = db.batch();
+  batch.set(db.collection('users').doc(uid).collection('streaks').doc(habitId), {
+    ...streak,
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+  if (advanced) {
+    batch.set(checkpointRef(db, uid, habitId), { ...advanced, updatedAt: FieldValue.serverTimestamp() });
+  }
+  await batch.commit();
+
+  return streak;
+};
+
+module.exports = {
+  CHECKPOINT_LAG_DAYS,
+  todayWindow,
+  computeStreak,
+  advanceCheckpoint,
+  readCompletionCounts,
+  recomputeStreak,
+  checkpointRef,
+};
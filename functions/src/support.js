@@ -0,0 +1,228 @@
+/**
+ * Support-staff access.
+ *
+ * A support account carries the custom claim `support: true`. Only
+ * Scripts/support_access.js sets or clears it, through the Admin SDK, and
+ * every change is recorded in /support_audit (closed to clients).
+ *
+ * The claim alone opens nothing, and firestore.rules give it no access.
+ * A support account reads a user's data only through the supportReadUser
+ * callable (readUserForSupport), and only while that user has approved a
+ * grant for it at /users/{uid}/support_grants/{supportUid}:
+ *   { supportUid, ticketId, status: 'approved' | 'revoked',
+ *     approvedAt, expiresAt (at most MAX_GRANT_HOURS later), revokedAt? }
+ * Each read is recorded in /support_audit before any data is returned.
+ *
+ * The app approves and revokes grants through approveSupportAccess and
+ * revokeSupportAccess (approveGrant / revokeGrant), which only grant to an
+ * account that holds the claim and record each change in /support_audit.
+ */
+
+const { HttpsError } = require('firebase-functions/v2/https');
+
+const { buildArchive } = require('./export');
+
+const SUPPORT_CLAIM = 'support';
+
+/** Longest grant the rules accept */
+const MAX_GRANT_HOURS = 72;
+
+const AUDIT_COLLECTION = 'support_audit';
+
+const GRANTS_COLLECTION = 'support_grants';
+
+const toMillis = (value) => (value && typeof value.toMillis === 'function' ? value.toMillis() : null);
+
+const hasSupportClaim = (user) => Boolean(user.customClaims && user.customClaims[SUPPORT_CLAIM] === true);
+
+/**
+ * Set (`enabled`) or clear the support claim on `uid`, keeping any other
+ * claims, and append an audit entry naming the operator. Clearing also
+ * revokes refresh tokens; an ID token already issued keeps the claim until
+ * it expires (at most an hour), which the grant's own expiry still bounds.
+ */
+const setSupportRole = async (auth, db, uid, enabled, { operator, reason = null, now = new Date() } = {}) => {
+  if (!operator) {
+    throw new Error('An operator is required for the support audit log');
+  }
+  const user = await auth.getUser(uid);
+  const before = hasSupportClaim(user);
+  const claims = { ...(user.customClaims || {}) };
+  if (enabled) {
+    claims[SUPPORT_CLAIM] = true;
+  } else {
+    delete claims[SUPPORT_CLAIM];
+  }
+
+  await auth.setCustomUserClaims(uid, claims);
+  if (!enabled) {
+    await auth.revokeRefreshTokens(uid);
+  }
+  await db.collection(AUDIT_COLLECTION).add({
+    action: enabled ? 'grant-role' : 'revoke-role',
+    supportUid: uid,
+    operator,
+    reason,
+    changed: before !== enabled,
+    at: now,
+  });
+
+  return { uid, support: enabled, changed: before !== enabled };
+};
+
+/** Users whose approved, unexpired grant lets `supportUid` read their data now */
+const activeGrantsFor = async (db, supportUid, { now = new Date() } = {}) => {
+  const snapshot = await db.collectionGroup(GRANTS_COLLECTION).where('supportUid', '==', supportUid).get();
+  return snapshot.docs
+    // The rules key access by document id, not by the supportUid field
+    .filter((doc) => doc.id === supportUid)
+    .map((doc) => ({
+      userId: doc.ref.parent.parent.id,
+      ticketId: doc.get('ticketId'),
+      status: doc.get('status'),
+      expiresAt: toMillis(doc.get('expiresAt')),
+    }))
+    .filter((grant) => grant.status === 'approved' && grant.expiresAt !== null && grant.expiresAt > now.getTime())
+    .map((grant) => ({ ...grant, expiresAt: new Date(grant.expiresAt) }));
+};
+
+/** The grant `supportUid` holds from `userId` when it is approved and unexpired, else null */
+const activeGrant = async (db, userId, supportUid, { now = new Date() } = {}) => {
+  const snapshot = await db.collection('users').doc(userId).collection(GRANTS_COLLECTION).doc(supportUid).get();
+  if (!snapshot.exists) {
+    return null;
+  }
+  const expiresAt = toMillis(snapshot.get('expiresAt'));
+  return snapshot.get('status') === 'approved' && expiresAt !== null && expiresAt > now.getTime()
+    ? snapshot.data()
+    : null;
+};
+
+const isDocumentId = (value) => typeof value === 'string' && value.length > 0 && value.length <= 128 && !value.includes('/');
+
+/**
+ * Approve `data.supportUid` to read `uid`'s data for `data.ticketId`, for
+ * `data.hours` (1..MAX_GRANT_HOURS, default 24). Approving again replaces
+ * the grant, e.g. for a new ticket. Only accounts with the support claim can
+ * be approved, so a grant cannot be handed to an arbitrary user.
+ */
+const approveGrant = async (auth, db, uid, data, { now = new Date() } = {}) => {
+  const { supportUid, ticketId, hours = 24 } = data || {};
+  if (!isDocumentId(supportUid) || supportUid === uid) {
+    throw new HttpsError('invalid-argument', 'supportUid must be another account\'s id');
+  }
+  if (typeof ticketId !== 'string' || ticketId.trim().length === 0 || ticketId.length > 100) {
+    throw new HttpsError('invalid-argument', 'ticketId must be 1-100 characters');
+  }
+  if (!Number.isInteger(hours) || hours < 1 || hours > MAX_GRANT_HOURS) {
+    throw new HttpsError('invalid-argument', `hours must be an integer from 1 to ${MAX_GRANT_HOURS}`);
+  }
+
+  const supportUser = await auth.getUser(supportUid).catch((error) => {
+    if (error.code === 'auth/user-not-found') {
+      return null;
+    }
+    throw error;
+  });
+  if (!supportUser || !hasSupportClaim(supportUser)) {
+    throw new HttpsError('not-found', 'No support account with that id');
+  }
+
+  const grant = {
+    supportUid,
+    ticketId,
+    status: 'approved',
+    approvedAt: now,
+    expiresAt: new Date(now.getTime() + hours * 60 * 60 * 1000),
+  };
+  const batch = db.batch();
+  batch.set(db.collection('users').doc(uid).collection(GRANTS_COLLECTION).doc(supportUid), grant);
+  batch.set(db.collection(AUDIT_COLLECTION).doc(), { action: 'approve-grant', supportUid, userId: uid, ticketId, at: now });
+  await batch.commit();
+
+  return { supportUid, ticketId, expiresAt: grant.expiresAt.toISOString() };
+};
+
+/**
+ * Revoke `uid`'s grant to `data.supportUid`. The grant is kept as the
+ * record of what was approved; revoking a revoked grant changes nothing.
+ */
+const revokeGrant = async (db, uid, data, { now = new Date() } = {}) => {
+  const { supportUid } = data || {};
+  if (!isDocumentId(supportUid)) {
+    throw new HttpsError('invalid-argument', 'supportUid must be an account id');
+  }
+  const ref = db.collection('users').doc(uid).collection(GRANTS_COLLECTION).doc(supportUid);
+
+  const changed = await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    if (!snapshot.exists) {
+      throw new HttpsError('not-found', 'No grant for that support account');
+    }
+    if (snapshot.get('status') !== 'approved') {
+      return false;
+    }
+    transaction.update(ref, { status: 'revoked', revokedAt: now });
+    transaction.set(db.collection(AUDIT_COLLECTION).doc(), {
+      action: 'revoke-grant',
+      supportUid,
+      userId: uid,
+      ticketId: snapshot.get('ticketId'),
+      at: now,
+    });
+    return true;
+  });
+
+  return { supportUid, status: 'revoked', changed };
+};
+
+/**
+ * One support read of `data.userId`'s data by the caller (`auth` of a
+ * callable request). Needs the support claim on the caller's token and an
+ * active grant from that user; the read is appended to /support_audit
+ * before the user's export archive (see export.js) is returned.
+ */
+const readUserForSupport = async (db, auth, data, { now = new Date() } = {}) => {
+  if (!auth.token || auth.token[SUPPORT_CLAIM] !== true) {
+    throw new HttpsError('permission-denied', 'Only support accounts can read user data');
+  }
+  const userId = data && data.userId;
+  if (typeof userId !== 'string' || userId.length === 0 || userId.includes('/')) {
+    throw new HttpsError('invalid-argument', 'userId must be a user id');
+  }
+  const grant = await activeGrant(db, userId, auth.uid, { now });
+  if (!grant) {
+    throw new HttpsError('permission-denied', 'The user has not approved an active grant for this account');
+  }
+
+  await db.collection(AUDIT_COLLECTION).add({
+    action: 'read-user',
+    supportUid: auth.uid,
+    userId,
+    ticketId: grant.ticketId,
+    at: now,
+  });
+  return buildArchive(db, userId, { now });
+};
+
+/** Role changes and reads by `supportUid`, newest first */
+const auditTrail = async (db, supportUid) => {
+  const snapshot = await db.collection(AUDIT_COLLECTION).where('supportUid', '==', supportUid).get();
+  return snapshot.docs
+    .map((doc) => ({ ...doc.data(), at: doc.get('at').toDate() }))
+    .sort((a, b) => b.at - a.at);
+};
+
+module.exports = {
+  SUPPORT_CLAIM,
+  MAX_GRANT_HOURS,
+  AUDIT_COLLECTION,
+  hasSupportClaim,
+  setSupportRole,
+  activeGrantsFor,
+  activeGrant,
+  approveGrant,
+  revokeGrant,
+  readUserForSupport,
+  auditTrail,
+};
@@ -0,0 +1,260 @@
+/**
+ * Server-authoritative XP.
+ *
+ * The only XP the app grants is the daily completion bonus
+ * (HabitStore.checkDailyCompletionAndAwardXP), so awards append one entry
+ * per day to /users/{uid}/xp_ledger/daily_{dateKey}, whose delta is what that
+ * day currently contributes (DAILY_COMPLETION_XP, or 0 after a reversal).
+ * /users/{uid}/xp/state is recomputed from the whole ledger in the same
+ * transaction as each entry.
+ *
+ * XP earned before awards moved to the server is kept: the first award (or
+ * rebuild) for a user whose xp/state was written by the app records the
+ * difference between that state and the ledger as one `legacy_balance`
+ * entry. Days before the migration day are covered by that balance and are
+ * not paid again.
+ *
+ * The client names the day; the amount and the entry id are derived here, and
+ * an award is only granted when the day's synced habits and completions show
+ * it was earned (./dailyCompletion). A refused grant is recorded on the
+ * day's entry (`rejectedAt`, delta 0) so the app stops retrying it; an
+ * explicit grant later is still checked again. Reversals only ever lower XP
+ * and are always accepted.
+ *
+ * Both documents are read-only for clients (see firestore.rules); the
+ * callables below are the only writers.
+ */
+
+const { FieldValue } = require('firebase-admin/firestore');
+const { HttpsError } = require('firebase-functions/v2/https');
+
+const { dayEarned, isTimeZone } = require('./dailyCompletion');
+const { todayWindow } = require('./streaks');
+
+/** DailyAwardService / HabitStore daily completion bonus */
+const DAILY_COMPLETION_XP = 50;
+
+const DATE_KEY_PATTERN = /^[0-9]{4}-[0-9]{2}-[0-9]{2}$/;
+
+const SOURCE = 'awardXP';
+
+/** Ledger entry carrying the XP the app granted before awards moved server-side */
+const LEGACY_BALANCE_ID = 'legacy_balance';
+
+/** Deletes per batch in resetXP; Firestore caps a batch at 500 */
+const RESET_BATCH_SIZE = 400;
+
+/**
+ * Level curve shared with DailyAwardService.calculateLevel / UserProgressData:
+ * level = floor(sqrt(totalXP / 300)) + 1, and currentLevelXP counts from the
+ * start of that level.
+ */
+const calculateLevel = (totalXP) => {
+  const level = Math.max(1, Math.floor(Math.sqrt(totalXP / 300)) + 1);
+  const currentLevelStartXP = (level - 1) ** 2 * 300;
+  return { level, currentLevelXP: Math.max(0, totalXP - currentLevelStartXP) };
+};
+
+/** Fold ledger entries (snapshots or plain objects) into an xp/state payload */
+const computeXPState = (entries) => {
+  const totalXP = entries.reduce((sum, entry) => {
+    const data = typeof entry.data === 'function' ? entry.data() : entry;
+    return Number.isInteger(data.delta) ? sum + data.delta : sum;
+  }, 0);
+  return { totalXP, ...calculateLevel(totalXP) };
+};
+
+const xpStateRef = (db, uid) =>
+  db.collection('users').doc(uid).collection('xp').doc('state');
+
+const xpLedgerCollection = (db, uid) =>
+  db.collection('users').doc(uid).collection('xp_ledger');
+
+/** Ledger entry id for the daily completion bonus of `dateKey` */
+const dailyEventId = (dateKey) => `daily_${dateKey}`;
+
+/** xp/state payload for a ledger of plain entries ({ id, ...data }) */
+const ledgerState = (entries) => ({
+  ...computeXPState(entries),
+  awardedDays: entries.filter((entry) => entry.id.startsWith('daily_') && entry.delta > 0).length,
+});
+
+/**
+ * The legacy_balance entry to add for a ledger whose xp/state was written by
+ * the app (no `awardedDays`), or null. Its delta brings the ledger's sum up
+ * to that state's totalXP; `coversBefore` is the first day it does not
+ * cover (today's earliest day anywhere at migration).
+ */
+const legacyBalanceEntry = (stateSnapshot, entries, now) => {
+  const data = stateSnapshot.exists ? stateSnapshot.data() : null;
+  if (!data || Number.isInteger(data.awardedDays) || entries.some((entry) => entry.id === LEGACY_BALANCE_ID)) {
+    return null;
+  }
+  const legacyXP = Number.isInteger(data.totalXP) ? data.totalXP : 0;
+  return {
+    id: LEGACY_BALANCE_ID,
+    eventId: LEGACY_BALANCE_ID,
+    delta: Math.max(0, legacyXP - computeXPState(entries).totalXP),
+    reason: 'XP earned before awards moved to the server',
+    source: 'migration',
+    coversBefore: todayWindow(now).earliest,
+  };
+};
+
+/** Write a plain ledger entry ({ id, ...data }) in `tx` */
+const setEntry = (tx, db, uid, { id, ...data }) =>
+  tx.set(xpLedgerCollection(db, uid).doc(id), { ...data, ts: FieldValue.serverTimestamp() });
+
+/** Validate and normalise callable input; throws HttpsError('invalid-argument') */
+const parseAwardRequest = (data) => {
+  const { dateKey, delta, eventId, reason, timeZone } = data || {};
+
+  if (typeof dateKey !== 'string' || !DATE_KEY_PATTERN.test(dateKey)) {
+    throw new HttpsError('invalid-argument', 'dateKey must be YYYY-MM-DD');
+  }
+  if (delta !== DAILY_COMPLETION_XP && delta !== -DAILY_COMPLETION_XP) {
+    throw new HttpsError(
+      'invalid-argument',
+      `delta must be ${DAILY_COMPLETION_XP} (award) or -${DAILY_COMPLETION_XP} (reversal)`
+    );
+  }
+  if (eventId !== undefined && eventId !== dailyEventId(dateKey)) {
+    throw new HttpsError('invalid-argument', `eventId for ${dateKey} must be ${dailyEventId(dateKey)}`);
+  }
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length === 0 || reason.length > 500)) {
+    throw new HttpsError('invalid-argument', 'reason must be 1-500 characters');
+  }
+  if (timeZone !== undefined && (typeof timeZone !== 'string' || !isTimeZone(timeZone))) {
+    throw new HttpsError('invalid-argument', 'timeZone must be an IANA time zone id');
+  }
+
+  return {
+    dateKey,
+    delta,
+    eventId: dailyEventId(dateKey),
+    reason: reason || (delta > 0 ? `All habits completed on ${dateKey}` : `Daily completion bonus reversed on ${dateKey}`),
+    timeZone: timeZone || 'UTC',
+  };
+};
+
+/**
+ * Grant (delta > 0) or reverse (delta < 0) the daily completion bonus for
+ * `dateKey`, then recompute xp/state from the ledger.
+ *
+ * Repeating a call whose outcome is already recorded, or granting a day
+ * covered by the legacy balance, is a no-op that returns the current state
+ * (`duplicate: true`). A grant for a day the synced data does not show as
+ * earned is recorded as rejected and refused with 'failed-precondition'.
+ */
+const awardXP = async (db, uid, data, { now = new Date(), accountCreatedAt = null } = {}) => {
+  const award = parseAwardRequest(data);
+  const entryRef = xpLedgerCollection(db, uid).doc(award.eventId);
+
+  if (award.delta > 0 && !(await dayEarned(db, uid, award.dateKey, { timeZone: award.timeZone, now, accountCreatedAt }))) {
+    await db.runTransaction(async (tx) => {
+      const entry = await tx.get(entryRef);
+      if (!entry.exists || !(entry.get('delta') > 0)) {
+        tx.set(entryRef, {
+          eventId: award.eventId,
+          dateKey: award.dateKey,
+          delta: 0,
+          reason: `Not earned on ${award.dateKey}`,
+          source: SOURCE,
+          rejectedAt: FieldValue.serverTimestamp(),
+          ts: FieldValue.serverTimestamp(),
+        });
+      }
+    });
+    throw new HttpsError(
+      'failed-precondition',
+      `${award.dateKey} has not earned the daily completion bonus; sync its completions first`
+    );
+  }
+
+  return db.runTransaction(async (tx) => {
+    const [ledger, state] = await Promise.all([tx.get(xpLedgerCollection(db, uid)), tx.get(xpStateRef(db, uid))]);
+    let entries = ledger.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    const migration = legacyBalanceEntry(state, entries, now);
+    if (migration) {
+      entries.push(migration);
+    }
+    const balance = entries.find((entry) => entry.id === LEGACY_BALANCE_ID);
+    const existing = entries.find((entry) => entry.id === award.eventId);
+    const current = existing && Number.isInteger(existing.delta) ? existing.delta : 0;
+    const covered = award.delta > 0 && balance && award.dateKey < balance.coversBefore;
+    const target = award.delta > 0 && !covered ? DAILY_COMPLETION_XP : 0;
+    const changed = !covered && current !== target;
+
+    if (!changed && !migration) {
+      return { ...computeXPState(entries), eventId: award.eventId, duplicate: true };
+    }
+
+    if (migration) {
+      setEntry(tx, db, uid, migration);
+    }
+    if (changed) {
+      const entry = {
+        id: award.eventId,
+        eventId: award.eventId,
+        dateKey: award.dateKey,
+        delta: target,
+        reason: award.reason,
+        source: SOURCE,
+      };
+      entries = [...entries.filter(({ id }) => id !== award.eventId), entry];
+      setEntry(tx, db, uid, entry);
+    }
+    tx.set(xpStateRef(db, uid), { ...ledgerState(entries), lastUpdated: FieldValue.serverTimestamp() });
+
+    return { ...computeXPState(entries), eventId: award.eventId, duplicate: !changed };
+  });
+};
+
+/**
+ * Recompute xp/state from the ledger, for repairs
+ * (FirestoreRepository.repairXPIntegrity). A state the app wrote is carried
+ * into the ledger as the legacy balance first, as on the first award.
+ */
+const rebuildXPState = async (db, uid, { now = new Date() } = {}) =>
+  db.runTransaction(async (tx) => {
+    const [ledger, state] = await Promise.all([tx.get(xpLedgerCollection(db, uid)), tx.get(xpStateRef(db, uid))]);
+    const entries = ledger.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    const migration = legacyBalanceEntry(state, entries, now);
+    if (migration) {
+      entries.push(migration);
+      setEntry(tx, db, uid, migration);
+    }
+    const rebuilt = ledgerState(entries);
+    tx.set(xpStateRef(db, uid), { ...rebuilt, lastUpdated: FieldValue.serverTimestamp() });
+    return rebuilt;
+  });
+
+/**
+ * Delete the caller's ledger and state ("delete my data", guest migration
+ * choosing local data). Awards can be earned again afterwards, each still
+ * checked against the synced data.
+ */
+const resetXP = async (db, uid) => {
+  const ledger = await xpLedgerCollection(db, uid).get();
+  const refs = [...ledger.docs.map((doc) => doc.ref), xpStateRef(db, uid)];
+  for (let start = 0; start < refs.length; start += RESET_BATCH_SIZE) {
+    const batch = db.batch();
+    refs.slice(start, start + RESET_BATCH_SIZE).forEach((ref) => batch.delete(ref));
+    await batch.commit();
+  }
+  return { deletedEntries: ledger.size };
+};
+
+module.exports = {
+  DAILY_COMPLETION_XP,
+  LEGACY_BALANCE_ID,
+  calculateLevel,
+  computeXPState,
+  dailyEventId,
+  parseAwardRequest,
+  awardXP,
+  rebuildXPState,
+  resetXP,
+  xpStateRef,
+  xpLedgerCollection,
+};